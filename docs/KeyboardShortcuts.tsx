@@ -77,8 +77,16 @@ export const shortcuts = {
   RotateHintsBackward: <KeyboardShortcut shift press="Tab" />,
   RefreshHints: <KeyboardShortcut ctrl={{ mac: "cmd" }} press="R" />,
   TogglePeek: <KeyboardShortcut ctrl={{ mac: "cmd" }} press="P" />,
+  MarkHint: <KeyboardShortcut ctrl press="M" />,
   ExitHintsMode: <KeyboardShortcut press="Escape" />,
 
+  // Hints, only in some modes.
+  ActivateAllHints: <KeyboardShortcut shift press="Enter" />,
+  ExtendSelection: <KeyboardShortcut shift press="Enter" />,
+  GridHover: <KeyboardShortcut shift press="Enter" />,
+  GridContextMenu: <KeyboardShortcut alt={{ mac: "ctrl" }} press="Enter" />,
+  OpenCollectedWindow: <KeyboardShortcut ctrl={{ mac: "cmd" }} press="Enter" />,
+
   // Extra.
   Alt: <KeyboardShortcut alt={{ mac: "ctrl" }} />,
 };
@@ -244,6 +244,64 @@ const SECTIONS = [
       </>
     ),
   },
+  {
+    id: "api",
+    title: "Can other extensions and web pages use Link Hints?",
+    content: (
+      <>
+        <p>
+          Yes. Other extensions can control hints mode by sending messages with{" "}
+          <code>browser.runtime.sendMessage(extensionId, message)</code>, once
+          their extension id has been added on the Options page. Every message
+          needs <code>version: 1</code> and can have a <code>tabId</code>{" "}
+          (defaults to the active tab):
+        </p>
+        <ul>
+          <li>
+            <code>
+              {'{ type: "EnterHintsMode", version: 1, mode: "ManyTab" }'}
+            </code>{" "}
+            enters a hints mode. The modes are named like the shortcuts on the
+            Options page: <code>Click</code>, <code>BackgroundTab</code>,{" "}
+            <code>Select</code> and so on.
+          </li>
+          <li>
+            <code>{'{ type: "EnterGridMode", version: 1 }'}</code> enters grid
+            mode.
+          </li>
+          <li>
+            <code>{'{ type: "ExitHintsMode", version: 1 }'}</code> exits hints
+            mode.
+          </li>
+          <li>
+            <code>{'{ type: "GetHintsState", version: 1 }'}</code> responds with
+            the current mode, the entered text and the hint, text and URL of
+            every element with a hint.
+          </li>
+          <li>
+            <code>{'{ type: "ActivateHint", version: 1, hint: "fj" }'}</code>{" "}
+            activates a hint, as if typed. Add <code>alt: true</code> to force
+            opening links in a new tab.
+          </li>
+        </ul>
+        <p>
+          The response is <code>{'{ type: "Ok" }'}</code>,{" "}
+          <code>{'{ type: "HintsState", state }'}</code> or{" "}
+          <code>{'{ type: "Error", message }'}</code>.
+        </p>
+        <p>
+          Web pages can give hints to elements Link Hints can’t tell are
+          clickable, by dispatching a <code>{config.meta.slug}Clickable</code>{" "}
+          event on them:{" "}
+          <code>
+            {`element.dispatchEvent(new CustomEvent("${config.meta.slug}Clickable"))`}
+          </code>
+          . Pass <code>{"{ detail: false }"}</code> as the second argument to
+          undo.
+        </p>
+      </>
+    ),
+  },
   {
     id: "story",
     title: "What is the story behind Link Hints?",
@@ -123,6 +123,12 @@ const STEPS = [
           If there’s no unique match, press {shortcuts.ActivateHint} to activate
           the green hint, or type some hint characters at the end.
         </p>
+        <p>
+          Looking for a link further down the page? The <em>Search</em> hints
+          mode filters by text among all elements on the page. Matches outside
+          the window are listed in the bottom left corner, and are scrolled into
+          view when activated. Give it a shortcut on the Options page to try it.
+        </p>
       </>
     ),
   },
@@ -154,6 +160,14 @@ const STEPS = [
             You can also disable auto-activation of unique matches, requiring{" "}
             {shortcuts.ActivateHint} to be pressed.
           </p>
+          <p>
+            Start a word with <code>/</code> to filter by link address, such as{" "}
+            <code>/settings</code>. Use <code>@</code> to filter by element
+            type, such as <code>@textarea</code>, and <code>#</code> to filter
+            by id, label or title. These can be combined with regular text.
+            Double the first character to search for text starting with it, such
+            as <code>##1</code> for “#1”.
+          </p>
         </Info>
       </>
     ),
@@ -192,6 +206,10 @@ const STEPS = [
             <a href="https://www.wikipedia.org/">wikipedia.org</a>
           </li>
         </ul>
+        <p>
+          In these modes, filter by text and press {shortcuts.ActivateAllHints}{" "}
+          to activate all matching hints at once.
+        </p>
       </>
     ),
   },
@@ -224,6 +242,11 @@ const STEPS = [
             selection, unfocus text fields and cancel hinting.
           </li>
         </ul>
+        <p>
+          To select several elements, filter by text and press{" "}
+          {shortcuts.ExtendSelection} instead of {shortcuts.ActivateHint}. This
+          extends the current selection to the highlighted element.
+        </p>
         <p>
           Finally, you can hold {shortcuts.Alt} while activating a hint (typing
           the last character) to copy its text or link address!
@@ -246,6 +269,35 @@ const STEPS = [
           Hold {shortcuts.Alt} while activating a hint (typing the last
           character) to force links to open in a new tab.
         </p>
+        <p>
+          There’s more on the Options page, without shortcuts by default so that
+          they don’t take over keys of the browser and of text fields. Pick your
+          own for the ones you like:
+        </p>
+        <ul>
+          <li>
+            Hints modes for hovering, right-clicking, double-clicking and
+            middle-clicking, for opening links in new (private) windows, and for
+            copying links (as Markdown, HTML and more). The “many” window modes
+            collect links until you press {shortcuts.OpenCollectedWindow} to
+            open them all in one window.
+          </li>
+          <li>
+            <em>Word</em> puts a hint on every word. Pick the first word, and
+            then the last one to select everything in between.
+          </li>
+          <li>
+            <em>Grid</em> covers the page in a grid, for things without hints
+            like a spot on a map. Type the character of a cell to zoom into it,
+            and press {shortcuts.ActivateHint} to click its center.{" "}
+            {shortcuts.GridHover} hovers and {shortcuts.GridContextMenu}{" "}
+            right-clicks instead.
+          </li>
+          <li>
+            Scrolling the pane you last activated a hint for, or else the
+            largest one in view.
+          </li>
+        </ul>
         <p>
           Too many hints near each other? Press {shortcuts.RotateHintsForward}{" "}
           and {shortcuts.RotateHintsBackward} to rotate which hint is on top.
@@ -254,6 +306,12 @@ const STEPS = [
           Do the hints cover too much of a group of small links? Press{" "}
           {shortcuts.TogglePeek} to peek through them.
         </p>
+        <p>
+          Use the same link all the time? Filter by text to highlight it, press{" "}
+          {shortcuts.MarkHint}, type a label of hint characters and press{" "}
+          {shortcuts.ActivateHint}. From then on, that label is the hint of the
+          link on that site. Marks can be edited on the Options page.
+        </p>
         <p>
           Finally, {shortcuts.RefreshHints} refreshes the hints. Useful if the
           page changes while you use hints.
@@ -1,6 +1,5 @@
-import huffman from "n-ary-huffman";
-
 import iconsChecksum from "../icons/checksum";
+import { getOptionsCSS } from "../shared/css";
 import {
   elementKey,
   ElementRender,
@@ -8,22 +7,33 @@ import {
   ElementTypes,
   ElementWithHint,
   ExtendedElementReport,
+  GridCell,
   HintMeasurements,
   HintUpdate,
+  PointAction,
 } from "../shared/hints";
 import {
   HintsMode,
+  isKeyboardActionAllowedInMode,
   KeyboardAction,
   KeyboardMapping,
   KeyboardModeBackground,
   KeyboardModeWorker,
+  KeySequenceMapping,
+  KeyTranslations,
+  MODE_ONLY_KEYBOARD_ACTIONS,
   NormalizedKeypress,
   PREVENT_OVERTYPING_ALLOWED_KEYBOARD_ACTIONS,
+  ScrollAmount,
+  ScrollDirection,
+  ShortcutsMode,
 } from "../shared/keyboard";
 import {
   addListener,
+  Box,
   CONTAINER_ID,
   decode,
+  EnteredText,
   fireAndForget,
   isMixedCase,
   log,
@@ -31,14 +41,25 @@ import {
   partition,
   Resets,
   splitEnteredText,
+  TextFilter,
 } from "../shared/main";
-import type {
+import {
+  decodeMarks,
+  getMarkLabel,
+  Marks,
+  MARKS_KEY,
+  setMark,
+} from "../shared/marks";
+import {
+  ExternalHintsState,
   FromBackground,
+  FromExternal,
   FromOptions,
   FromPopup,
   FromRenderer,
   FromWorker,
   ToBackground,
+  ToExternal,
   ToOptions,
   ToPopup,
   ToRenderer,
@@ -47,13 +68,26 @@ import type {
 import {
   diffOptions,
   flattenOptions,
+  formatCopyText,
   getDefaults,
+  getHintsKeyboardShortcuts,
   getRawOptions,
+  getSiteOptions,
+  HintLabelStrategy,
+  migrateStoredOptions,
   Options,
+  OPTIONS_VERSION_KEY,
   OptionsData,
   PartialOptions,
   unflattenOptions,
+  UrlRuleOpen,
 } from "../shared/options";
+import {
+  addOptionsSnapshot,
+  decodeOptionsHistory,
+  OPTIONS_HISTORY_KEY,
+  OptionsChange,
+} from "../shared/optionsHistory";
 import {
   MAX_PERF_ENTRIES,
   Perf,
@@ -61,7 +95,36 @@ import {
   TabsPerf,
   TimeTracker,
 } from "../shared/perf";
+import {
+  decodeProfiles,
+  DEFAULT_PROFILE_NAME,
+  getInactiveProfileOptions,
+  ProfileOptions,
+  Profiles,
+  PROFILES_KEY,
+  setProfile,
+} from "../shared/profiles";
+import { RecordedEvent, Recording, RECORDING_KEY } from "../shared/recording";
+import { matchText, TextMatch } from "../shared/textMatch";
 import { bool, tweakable, unsignedInt } from "../shared/tweakable";
+import { applyUrlRules } from "../shared/urlRules";
+import {
+  decodeUsageHistory,
+  getElementSignature,
+  getOrigin,
+  getUsageCount,
+  recordUsage,
+  USAGE_HISTORY_KEY,
+  UsageHistory,
+} from "../shared/usageHistory";
+import {
+  announceActivation,
+  announceHintChars,
+  announceHintsMode,
+  announceTextFilter,
+} from "./announcements";
+import { getCenter, makeGrid } from "./grid";
+import { getHintChars, HINT_LABELERS, labelWithMarks } from "./hintLabels";
 
 type MessageInfo = {
   tabId: number;
@@ -75,6 +138,11 @@ type TabState = {
   perf: Perf;
   isOptionsPage: boolean;
   isPinned: boolean;
+  // Usage history is never recorded for private tabs. Until we know, assume
+  // the tab is private.
+  isIncognito: boolean;
+  // The URL of every frame with a worker, for resolving site rules per frame.
+  frameUrls: Map<number, string | undefined>;
 };
 
 type HintsState =
@@ -87,6 +155,15 @@ type HintsState =
       stats: Array<Stats>;
       refreshing: boolean;
       highlighted: Highlighted;
+      collected: Array<ElementWithHint>;
+    }
+  | {
+      type: "Grid";
+      // The whole viewport of the top frame first, followed by every cell
+      // chosen so far. Empty until the top frame has reported its viewport.
+      areas: Array<Box>;
+      enteredChars: string;
+      highlighted: Highlighted;
     }
   | {
       type: "Hinting";
@@ -100,6 +177,12 @@ type HintsState =
       highlighted: Highlighted;
       updateState: UpdateState;
       peeking: boolean;
+      // The element being marked (see `toggleMarking`) and the label typed so
+      // far.
+      marking: { element: ElementWithHint; label: string } | undefined;
+      // Elements matched so far in the "Many" modes that act on all matches
+      // together, such as copying them or opening them in a single window.
+      collected: Array<ElementWithHint>;
     }
   | {
       type: "Idle";
@@ -139,6 +222,7 @@ type HintInput =
   | {
       type: "ActivateHint";
       alt: boolean;
+      extendSelection: boolean;
     }
   | {
       type: "Backspace";
@@ -146,6 +230,12 @@ type HintInput =
   | {
       type: "Input";
       keypress: NormalizedKeypress;
+    }
+  | {
+      type: "Label";
+      // A whole hint typed at once, from the external API.
+      hint: string;
+      alt: boolean;
     };
 
 // As far as I can tell, the top frameId is always 0. This is also mentioned here:
@@ -176,6 +266,17 @@ export const t = {
   // than tabs. This changes basically everything that deals with tabs to
   // instead deal with windows.
   PREFER_WINDOWS: bool(false),
+
+  // With adaptive hint weights, the weight of an element is multiplied by one
+  // plus the number of times it has been activated before, up to this number.
+  ADAPTIVE_WEIGHT_MAX_BOOST: unsignedInt(10),
+
+  // Activating hints in quick succession (such as in the "Many" modes) only
+  // writes the usage history to `storage.local` once.
+  USAGE_HISTORY_SAVE_DELAY: unsignedInt(2000), // ms
+
+  // In grid mode, cells are never subdivided into cells smaller than this.
+  GRID_MIN_CELL_SIZE: unsignedInt(8), // px
 };
 
 export const tMeta = tweakable("Background", t);
@@ -191,6 +292,36 @@ export default class BackgroundProgram {
 
   resets = new Resets();
 
+  usageHistory: UsageHistory = {};
+
+  usageHistorySaveTimeoutId: ReturnType<typeof setTimeout> | undefined =
+    undefined;
+
+  marks: Marks = {};
+
+  profiles: Profiles = { active: undefined, profiles: [] };
+
+  // The options of the inactive profiles, for site rules. See `profiles.ts`.
+  profileOptions = new Map<string, ProfileOptions>();
+
+  // `getTabOptions` is used several times per keystroke, so it is cached per
+  // tab. The cache is valid as long as the options and the URL of the top
+  // frame stay the same (both options objects are replaced when changed).
+  tabOptionsCache = new WeakMap<
+    TabState,
+    {
+      values: Options;
+      profileOptions: Map<string, ProfileOptions>;
+      url: string | undefined;
+      options: Options;
+    }
+  >();
+
+  // The tab to record the next hints session in (toggled from the popup), and
+  // the recording once the session has started. See `recording.ts`.
+  recording: { tabId: number; recording: Recording | undefined } | undefined =
+    undefined;
+
   constructor() {
     const mac = false;
     const defaults = getDefaults({ mac });
@@ -217,6 +348,10 @@ export default class BackgroundProgram {
       await this.restoreTabsPerf();
     }
 
+    await this.restoreUsageHistory();
+    await this.restoreMarks();
+    await this.restoreProfiles();
+
     const tabs = await browser.tabs.query({});
 
     this.resets.add(
@@ -230,6 +365,7 @@ export default class BackgroundProgram {
         this.onConnect.bind(this),
         "BackgroundProgram#onConnect"
       ),
+      addExternalMessageListener(this.onMessageExternal.bind(this)),
       addListener(
         browser.tabs.onActivated,
         this.onTabActivated.bind(this),
@@ -251,6 +387,11 @@ export default class BackgroundProgram {
         browser.tabs.onRemoved,
         this.onTabRemoved.bind(this),
         "BackgroundProgram#onTabRemoved"
+      ),
+      addListener(
+        browser.storage.onChanged,
+        this.onStorageChanged.bind(this),
+        "BackgroundProgram#onStorageChanged"
       )
     );
 
@@ -458,12 +599,156 @@ export default class BackgroundProgram {
     }
   }
 
+  // See `FromExternal` in messages.ts.
+  async onMessageExternal(
+    rawMessage: unknown,
+    sender: browser.runtime.MessageSender
+  ): Promise<ToExternal> {
+    if (
+      sender.id === undefined ||
+      !this.options.values.externalExtensionIds.includes(sender.id)
+    ) {
+      return {
+        type: "Error",
+        message: `Extension not allowed: ${String(sender.id)}`,
+      };
+    }
+
+    try {
+      const message = decode(FromExternal, rawMessage);
+      const tabId = message.tabId ?? (await getCurrentTab()).id;
+      const tabState =
+        tabId === undefined ? undefined : this.tabState.get(tabId);
+      if (tabId === undefined || tabState === undefined) {
+        return {
+          type: "Error",
+          message: `Tab not available: ${String(tabId)}`,
+        };
+      }
+
+      switch (message.type) {
+        case "EnterGridMode":
+          this.enterGridMode(tabId);
+          return { type: "Ok", tabId };
+
+        case "EnterHintsMode":
+          this.enterHintsMode({
+            tabId,
+            timestamp: Date.now(),
+            mode: message.mode,
+          });
+          return { type: "Ok", tabId };
+
+        case "ExitHintsMode":
+          this.exitHintsMode({ tabId });
+          return { type: "Ok", tabId };
+
+        case "GetHintsState":
+          return {
+            type: "HintsState",
+            tabId,
+            state: this.getExternalHintsState(tabState),
+          };
+
+        case "ActivateHint": {
+          const state = this.getExternalHintsState(tabState);
+          if (
+            state.type !== "Hinting" ||
+            !state.elements.some((element) => element.hint === message.hint)
+          ) {
+            return {
+              type: "Error",
+              message: `No such hint: ${message.hint}`,
+            };
+          }
+          // While marking an element, hint chars type the label of the mark.
+          if (
+            tabState.hintsState.type === "Hinting" &&
+            tabState.hintsState.marking !== undefined
+          ) {
+            return {
+              type: "Error",
+              message: "An element is being marked",
+            };
+          }
+          this.handleHintInput(tabId, Date.now(), {
+            type: "Label",
+            hint: message.hint,
+            alt: message.alt,
+          });
+          return { type: "Ok", tabId };
+        }
+      }
+    } catch (error) {
+      log(
+        "error",
+        "BackgroundProgram#onMessageExternal",
+        error,
+        rawMessage,
+        sender
+      );
+      return {
+        type: "Error",
+        message: error instanceof Error ? error.message : String(error),
+      };
+    }
+  }
+
+  getExternalHintsState(tabState: TabState): ExternalHintsState {
+    const { hintsState } = tabState;
+    switch (hintsState.type) {
+      case "Idle":
+        return { type: "Idle" };
+
+      case "Collecting":
+        return { type: "Collecting", mode: hintsState.mode };
+
+      case "Grid":
+        return { type: "Grid", enteredChars: hintsState.enteredChars };
+
+      case "Hinting": {
+        const tabOptions = this.getTabOptions(tabState);
+
+        const { elementsWithHints } = updateHints({
+          mode: hintsState.mode,
+          enteredChars: hintsState.enteredChars,
+          enteredText: hintsState.enteredText,
+          elementsWithHints: hintsState.elementsWithHints,
+          highlighted: hintsState.highlighted,
+          chars: tabOptions.chars,
+          hintLabels: tabOptions.hintLabels,
+          keyTranslations: tabOptions.keyTranslations,
+          autoActivate: tabOptions.autoActivate,
+          fuzzy: tabOptions.fuzzyMatching,
+          matchHighlighted: false,
+          updateMeasurements: false,
+        });
+        return {
+          type: "Hinting",
+          mode: hintsState.mode,
+          enteredChars: hintsState.enteredChars,
+          enteredText: hintsState.enteredText,
+          elements: elementsWithHints
+            .filter((element) =>
+              element.hint.startsWith(hintsState.enteredChars)
+            )
+            .map((element) => ({
+              hint: element.hint,
+              text: element.text,
+              url: element.url,
+            })),
+        };
+      }
+    }
+  }
+
   onConnect(port: browser.runtime.Port): void {
     port.onDisconnect.addListener(({ sender }) => {
       const info = sender === undefined ? undefined : makeMessageInfo(sender);
       if (info !== undefined) {
         // A frame was removed. If in hints mode, hide all hints for elements in
         // that frame.
+        this.tabState.get(info.tabId)?.frameUrls.delete(info.frameId);
         this.hideElements(info);
       }
     });
@@ -476,13 +761,18 @@ export default class BackgroundProgram {
   ): void {
     log("log", "BackgroundProgram#onWorkerMessage", message, info);
 
+    tabState.frameUrls.set(info.frameId, info.url);
+
     switch (message.type) {
       case "WorkerScriptAdded":
         this.sendWorkerMessage(
           // Make sure that the added worker script gets the same token as all
           // other frames in the page. Otherwise the first hints mode won't
           // reach into any frames.
-          this.makeWorkerState(tabState, { refreshToken: false }),
+          this.makeWorkerState(tabState, {
+            refreshToken: false,
+            url: info.url,
+          }),
           {
             tabId: info.tabId,
             frameId: info.frameId,
@@ -569,20 +859,32 @@ export default class BackgroundProgram {
 
         const { enteredChars, enteredText } = hintsState;
 
+        const tabOptions = this.getTabOptions(tabState);
+
         const { allElementsWithHints, updates } = updateHints({
           mode: hintsState.mode,
           enteredChars,
           enteredText,
           elementsWithHints: updatedElementsWithHints,
           highlighted: hintsState.highlighted,
-          chars: this.options.values.chars,
-          autoActivate: this.options.values.autoActivate,
+          chars: tabOptions.chars,
+          hintLabels: tabOptions.hintLabels,
+          keyTranslations: tabOptions.keyTranslations,
+          autoActivate: tabOptions.autoActivate,
+          fuzzy: tabOptions.fuzzyMatching,
           matchHighlighted: false,
           updateMeasurements: true,
         });
 
         hintsState.elementsWithHints = allElementsWithHints;
 
+        this.record(info.tabId, {
+          type: "Update",
+          timestamp: Date.now(),
+          elements: updatedElementsWithHints,
+          updates,
+        });
+
         this.sendRendererMessage(
           {
             type: "UpdateHints",
@@ -630,6 +932,24 @@ export default class BackgroundProgram {
         break;
       }
 
+      case "ReportViewport": {
+        if (
+          this.recording?.tabId === info.tabId &&
+          this.recording.recording !== undefined
+        ) {
+          this.recording.recording.viewport = message.viewport;
+        }
+
+        const { hintsState } = tabState;
+        if (hintsState.type !== "Grid" || hintsState.areas.length > 0) {
+          return;
+        }
+
+        hintsState.areas = [message.viewport];
+        this.renderGrid(info.tabId);
+        break;
+      }
+
       case "ReportTextRects":
         this.sendRendererMessage(
           {
@@ -682,18 +1002,35 @@ export default class BackgroundProgram {
       // via the back/forward buttons, make sure that the content scripts are in
       // sync.
       case "PersistedPageShow":
-        this.sendWorkerMessage(this.makeWorkerState(tabState), {
-          tabId: info.tabId,
-          frameId: "all_frames",
-        });
+        this.sendWorkerState(tabState, { tabId: info.tabId });
         break;
 
       case "OpenNewTabs":
         if (BROWSER === "firefox") {
+          const results = message.urls.map((url) =>
+            applyUrlRules(this.options.values.urlRules, url)
+          );
+          const getUrls = (
+            predicate: (open: UrlRuleOpen) => boolean
+          ): Array<string> =>
+            results
+              .filter((result) => predicate(result.open))
+              .map((result) => result.url);
+          const windowUrls = getUrls(
+            (open) =>
+              open === "newWindow" ||
+              (open === "mode" && t.PREFER_WINDOWS.value)
+          );
+          const tabUrls = getUrls(
+            (open) => open === "mode" && !t.PREFER_WINDOWS.value
+          );
+          const backgroundTabUrls = getUrls((open) => open === "backgroundTab");
           fireAndForget(
-            t.PREFER_WINDOWS.value
-              ? openNewWindows(message.urls)
-              : openNewTabs(info.tabId, message.urls),
+            Promise.all([
+              openNewWindows(windowUrls),
+              openNewTabs(info.tabId, tabUrls, { background: false }),
+              openNewTabs(info.tabId, backgroundTabUrls, { background: true }),
+            ]).then(() => undefined),
             "BackgroundProgram#onWorkerMessage->openNewTabs",
             message,
             info
@@ -733,19 +1070,25 @@ export default class BackgroundProgram {
   getTextRects({
     enteredChars,
     allElementsWithHints,
-    words,
+    parsedText,
+    fuzzy,
     tabId,
   }: {
     enteredChars: string;
     allElementsWithHints: Array<ElementWithHint>;
-    words: Array<string>;
+    parsedText: EnteredText;
+    fuzzy: boolean;
     tabId: number;
   }): void {
     const indexesByFrame = new Map<number, Array<number>>();
-    for (const { text, hint, frame } of allElementsWithHints) {
+    for (const element of allElementsWithHints) {
+      const { hint, frame } = element;
       const previous = indexesByFrame.get(frame.id) ?? [];
       indexesByFrame.set(frame.id, previous);
-      if (matchesText(text, words) && hint.startsWith(enteredChars)) {
+      if (
+        matchElement(element, parsedText, { fuzzy }) !== undefined &&
+        hint.startsWith(enteredChars)
+      ) {
         previous.push(frame.index);
       }
     }
@@ -754,7 +1097,9 @@ export default class BackgroundProgram {
         {
           type: "GetTextRects",
           indexes,
-          words,
+          // Only plain words are highlighted, not filters.
+          words: parsedText.words,
+          fuzzy,
         },
         { tabId, frameId }
       );
@@ -768,20 +1113,34 @@ export default class BackgroundProgram {
     }
 
     const { hintsState } = tabState;
+
+    if (hintsState.type === "Grid") {
+      this.handleGridInput(tabId, input);
+      return;
+    }
+
     if (hintsState.type !== "Hinting") {
       return;
     }
 
+    if (hintsState.marking !== undefined) {
+      this.handleMarkInput(tabId, input);
+      return;
+    }
+
     // Ignore unknown/non-text keys.
     if (input.type === "Input" && input.keypress.printableKey === undefined) {
       return;
     }
 
+    const tabOptions = this.getTabOptions(tabState);
+
     const isHintKey =
       (input.type === "Input" &&
         input.keypress.printableKey !== undefined &&
-        this.options.values.chars.includes(input.keypress.printableKey)) ||
-      (input.type === "Backspace" && hintsState.enteredChars !== "");
+        tabOptions.chars.includes(input.keypress.printableKey)) ||
+      (input.type === "Backspace" && hintsState.enteredChars !== "") ||
+      input.type === "Label";
 
     // Disallow filtering by text after having started entering hint chars.
     if (
@@ -807,18 +1166,22 @@ export default class BackgroundProgram {
           .replace(/\s+$/, " ");
 
     const {
+      elementsWithHints,
       allElementsWithHints,
       match: actualMatch,
       updates,
-      words,
+      parsedText,
     } = updateHints({
       mode: hintsState.mode,
       enteredChars,
       enteredText,
       elementsWithHints: hintsState.elementsWithHints,
       highlighted: hintsState.highlighted,
-      chars: this.options.values.chars,
-      autoActivate: this.options.values.autoActivate,
+      chars: tabOptions.chars,
+      hintLabels: tabOptions.hintLabels,
+      keyTranslations: tabOptions.keyTranslations,
+      autoActivate: tabOptions.autoActivate,
+      fuzzy: tabOptions.fuzzyMatching,
       matchHighlighted: input.type === "ActivateHint",
       updateMeasurements: false,
     });
@@ -849,13 +1212,51 @@ export default class BackgroundProgram {
     hintsState.elementsWithHints = allElementsWithHints;
     hintsState.highlighted = hintsState.highlighted.concat(highlighted);
 
+    this.record(tabId, {
+      type: "Input",
+      timestamp,
+      input,
+      enteredChars,
+      enteredText,
+      updates,
+    });
+
     this.getTextRects({
       enteredChars,
       allElementsWithHints,
-      words,
+      parsedText,
+      fuzzy: tabOptions.fuzzyMatching,
       tabId,
     });
 
+    const numHints = updates.filter((update) => !update.hidden).length;
+    if (match !== undefined) {
+      this.announce(tabState, announceActivation(match), {
+        tabId,
+        verbose: false,
+      });
+    } else if (isHintKey) {
+      this.announce(tabState, announceHintChars(numHints), {
+        tabId,
+        verbose: true,
+      });
+    } else {
+      this.announce(
+        tabState,
+        announceTextFilter(
+          enteredText,
+          numHints,
+          // The highlighted hint is the first one matching the entered chars.
+          enteredText === ""
+            ? undefined
+            : elementsWithHints.find((element) =>
+                element.hint.startsWith(enteredChars)
+              )
+        ),
+        { tabId, verbose: true }
+      );
+    }
+
     const shouldContinue =
       match === undefined
         ? true
@@ -874,7 +1275,10 @@ export default class BackgroundProgram {
                 (this.options.mac
                   ? input.keypress.ctrl
                   : input.keypress.alt)) ||
-              (input.type === "ActivateHint" && input.alt),
+              ((input.type === "ActivateHint" || input.type === "Label") &&
+                input.alt),
+            extendSelection:
+              input.type === "ActivateHint" && input.extendSelection,
             timestamp,
           });
 
@@ -898,6 +1302,7 @@ export default class BackgroundProgram {
         type: "Idle",
         highlighted: hintsState.highlighted,
       };
+      this.finishRecording(tabId);
       this.setTimeout(tabId, t.MATCH_HIGHLIGHT_DURATION.value);
       this.updateWorkerStateAfterHintActivation({
         tabId,
@@ -908,138 +1313,391 @@ export default class BackgroundProgram {
     this.updateBadge(tabId);
   }
 
-  // Executes some action on the element of the matched hint. Returns whether
-  // the "NonKeyboardShortcutKeypress" handler should continue with its default
-  // implementation for updating hintsState and sending messages or not. Some
-  // hint modes handle that themselves.
-  handleHintMatch({
-    tabId,
-    match,
-    updates,
-    preventOverTyping,
-    alt,
-    timestamp,
-  }: {
-    tabId: number;
-    match: ElementWithHint;
-    updates: Array<HintUpdate>;
-    preventOverTyping: boolean;
-    alt: boolean;
-    timestamp: number;
-  }): boolean {
+  // Typing the label of a cell subdivides it. Backspace goes back to the
+  // previous cell, and activating (Enter) clicks at the center of the current
+  // cell.
+  handleGridInput(tabId: number, input: HintInput): void {
     const tabState = this.tabState.get(tabId);
     if (tabState === undefined) {
-      return true;
+      return;
     }
 
     const { hintsState } = tabState;
-    if (hintsState.type !== "Hinting") {
-      return true;
+    if (hintsState.type !== "Grid" || hintsState.areas.length === 0) {
+      return;
     }
 
-    const { url } = match;
+    switch (input.type) {
+      case "ActivateHint":
+        this.activateGridPoint(tabId, "Click");
+        break;
 
-    const mode: HintsMode =
-      url !== undefined && alt && hintsState.mode !== "Select"
-        ? "ForegroundTab"
-        : hintsState.mode;
+      case "Backspace":
+        if (hintsState.areas.length > 1) {
+          hintsState.areas.pop();
+          hintsState.enteredChars = hintsState.enteredChars.slice(0, -1);
+          this.renderGrid(tabId);
+        }
+        break;
 
-    switch (mode) {
-      case "Click":
-        this.sendWorkerMessage(
-          {
-            type: "ClickElement",
-            index: match.frame.index,
-          },
-          {
-            tabId,
-            frameId: match.frame.id,
-          }
+      case "Input": {
+        const key = input.keypress.printableKey;
+        const cell = this.getGridCells(tabState).find(
+          (gridCell) => gridCell.label === key
         );
-        return true;
-
-      case "ManyClick": {
-        if (match.isTextInput) {
-          this.sendWorkerMessage(
-            {
-              type: "ClickElement",
-              index: match.frame.index,
-            },
-            {
-              tabId,
-              frameId: match.frame.id,
-            }
-          );
-          return true;
+        // Ignore keys that aren’t cell labels, and cells that can’t be
+        // subdivided any further.
+        if (
+          key === undefined ||
+          cell === undefined ||
+          this.getGridCells(tabState, cell.box).length < 2
+        ) {
+          return;
         }
+        hintsState.areas.push(cell.box);
+        hintsState.enteredChars += key;
+        this.renderGrid(tabId);
+        break;
+      }
 
-        this.sendWorkerMessage(
-          {
-            type: "ClickElement",
-            index: match.frame.index,
-          },
-          {
-            tabId,
-            frameId: match.frame.id,
-          }
-        );
+      // Cells are chosen one at a time.
+      case "Label":
+        break;
+    }
+  }
 
-        // Highlight the matched hints immediately, but hide others when the
-        // highlight duration is over. Likely, the same hints will appear again
-        // when the “next” hints mode is started. This reduces flicker.
-        this.sendRendererMessage(
-          {
-            type: "UpdateHints",
-            updates: updates.filter((update) => update.type !== "Hide"),
-            enteredText: hintsState.enteredText,
-          },
-          { tabId }
-        );
+  // Starts marking the highlighted element: The hint chars typed next make up
+  // the label of the mark, and activating the hint saves it. Pressing the
+  // shortcut again cancels.
+  toggleMarking(tabId: number): void {
+    const tabState = this.tabState.get(tabId);
+    if (tabState === undefined) {
+      return;
+    }
 
-        // In case the “next” hints mode takes longer than the highlight
-        // duration, remove the shruggie. It might flicker by otherwise, and we
-        // don’t need it, just like we don’t show it when entering hints mode
-        // initially.
-        this.sendRendererMessage({ type: "RemoveShruggie" }, { tabId });
+    const { hintsState } = tabState;
+    if (hintsState.type !== "Hinting") {
+      return;
+    }
 
-        this.updateWorkerStateAfterHintActivation({
-          tabId,
-          preventOverTyping,
-        });
+    if (hintsState.marking !== undefined) {
+      hintsState.marking = undefined;
+      this.sendRendererMessage(
+        { type: "UpdateMarkLabel", label: undefined },
+        { tabId }
+      );
+      return;
+    }
 
-        this.enterHintsMode({
-          tabId,
-          timestamp,
-          mode: hintsState.mode,
-        });
+    // Marks are stored per origin, so pages without one (such as
+    // `about:blank`) can’t have marks.
+    if (getOrigin(tabState.frameUrls.get(TOP_FRAME_ID)) === undefined) {
+      return;
+    }
 
-        this.setTimeout(tabId, t.MATCH_HIGHLIGHT_DURATION.value);
+    const tabOptions = this.getTabOptions(tabState);
 
-        return false;
-      }
+    const { match } = updateHints({
+      mode: hintsState.mode,
+      enteredChars: hintsState.enteredChars,
+      enteredText: hintsState.enteredText,
+      elementsWithHints: hintsState.elementsWithHints,
+      highlighted: hintsState.highlighted,
+      chars: tabOptions.chars,
+      hintLabels: tabOptions.hintLabels,
+      keyTranslations: tabOptions.keyTranslations,
+      autoActivate: tabOptions.autoActivate,
+      fuzzy: tabOptions.fuzzyMatching,
+      matchHighlighted: true,
+      updateMeasurements: false,
+    });
 
-      case "ManyTab": {
-        if (url === undefined) {
-          log(
-            "error",
-            "Cannot open background tab (many) due to missing URL",
-            match
-          );
-          return true;
-        }
+    if (match === undefined) {
+      return;
+    }
 
-        const matchedIndexes = new Set(
-          hintsState.elementsWithHints
-            .filter((element) => element.hint === match.hint)
-            .map((element) => element.index)
+    hintsState.marking = { element: match.elementWithHint, label: "" };
+    this.sendRendererMessage({ type: "UpdateMarkLabel", label: "" }, { tabId });
+  }
+
+  handleMarkInput(tabId: number, input: HintInput): void {
+    const tabState = this.tabState.get(tabId);
+    if (tabState === undefined) {
+      return;
+    }
+
+    const { hintsState } = tabState;
+    if (hintsState.type !== "Hinting" || hintsState.marking === undefined) {
+      return;
+    }
+
+    const { marking } = hintsState;
+
+    switch (input.type) {
+      case "Input": {
+        const key = input.keypress.printableKey;
+        // Only hint chars can be used, since marks are typed like hints.
+        if (
+          key === undefined ||
+          !this.getTabOptions(tabState).chars.includes(key)
+        ) {
+          return;
+        }
+        marking.label += key;
+        break;
+      }
+
+      case "Backspace":
+        marking.label = marking.label.slice(0, -1);
+        break;
+
+      case "ActivateHint":
+        this.saveMark(tabId);
+        return;
+
+      // The external API doesn’t support marking (see "ActivateHint" in
+      // `onMessageExternal`).
+      case "Label":
+        return;
+    }
+
+    this.sendRendererMessage(
+      { type: "UpdateMarkLabel", label: marking.label },
+      { tabId }
+    );
+  }
+
+  // Saves the mark being typed, or removes the mark of the element if no label
+  // was typed. The hints are then updated to use the new mark.
+  saveMark(tabId: number): void {
+    const tabState = this.tabState.get(tabId);
+    if (tabState === undefined) {
+      return;
+    }
+
+    const { hintsState } = tabState;
+    const origin = getOrigin(tabState.frameUrls.get(TOP_FRAME_ID));
+    if (
+      hintsState.type !== "Hinting" ||
+      hintsState.marking === undefined ||
+      origin === undefined
+    ) {
+      return;
+    }
+
+    const { element, label } = hintsState.marking;
+    const text = element.text.trim();
+
+    this.marks = setMark(this.marks, {
+      origin,
+      signature: getElementSignature(element),
+      mark: {
+        label,
+        description: text !== "" ? text : element.url ?? element.type,
+      },
+    });
+
+    fireAndForget(
+      browser.storage.local.set({ [MARKS_KEY]: this.marks }),
+      "BackgroundProgram#saveMark"
+    );
+
+    const tabOptions = this.getTabOptions(tabState);
+
+    const { allElementsWithHints, updates, parsedText } = updateHints({
+      mode: hintsState.mode,
+      enteredChars: "",
+      enteredText: hintsState.enteredText,
+      // Setting a mark can remove conflicting marks of other elements.
+      elementsWithHints: hintsState.elementsWithHints.map((element2) => ({
+        ...element2,
+        mark: getMarkLabel(this.marks, origin, getElementSignature(element2)),
+      })),
+      highlighted: hintsState.highlighted,
+      chars: tabOptions.chars,
+      hintLabels: tabOptions.hintLabels,
+      keyTranslations: tabOptions.keyTranslations,
+      autoActivate: tabOptions.autoActivate,
+      fuzzy: tabOptions.fuzzyMatching,
+      matchHighlighted: false,
+      updateMeasurements: false,
+    });
+
+    hintsState.marking = undefined;
+    hintsState.enteredChars = "";
+    hintsState.elementsWithHints = allElementsWithHints;
+
+    this.getTextRects({
+      enteredChars: "",
+      allElementsWithHints,
+      parsedText,
+      fuzzy: tabOptions.fuzzyMatching,
+      tabId,
+    });
+
+    this.sendRendererMessage(
+      { type: "UpdateMarkLabel", label: undefined },
+      { tabId }
+    );
+
+    this.sendRendererMessage(
+      {
+        type: "UpdateHints",
+        updates,
+        enteredText: hintsState.enteredText,
+      },
+      { tabId }
+    );
+
+    this.updateBadge(tabId);
+  }
+
+  // Executes some action on the element of the matched hint. Returns whether
+  // the "NonKeyboardShortcutKeypress" handler should continue with its default
+  // implementation for updating hintsState and sending messages or not. Some
+  // hint modes handle that themselves.
+  handleHintMatch({
+    tabId,
+    match,
+    updates,
+    preventOverTyping,
+    alt,
+    extendSelection,
+    timestamp,
+  }: {
+    tabId: number;
+    match: ElementWithHint;
+    updates: Array<HintUpdate>;
+    preventOverTyping: boolean;
+    alt: boolean;
+    extendSelection: boolean;
+    timestamp: number;
+  }): boolean {
+    const tabState = this.tabState.get(tabId);
+    if (tabState === undefined) {
+      return true;
+    }
+
+    const { hintsState } = tabState;
+    if (hintsState.type !== "Hinting") {
+      return true;
+    }
+
+    this.recordUsage(tabState, match);
+
+    // Whatever is done with an element outside the viewport, the user wants to
+    // see it.
+    if (match.offscreen) {
+      this.sendWorkerMessage(
+        {
+          type: "ScrollIntoView",
+          index: match.frame.index,
+        },
+        {
+          tabId,
+          frameId: match.frame.id,
+        }
+      );
+    }
+
+    // The URL rules are applied once, here. `url` is what gets opened.
+    const urlRulesResult =
+      match.url === undefined
+        ? undefined
+        : applyUrlRules(this.options.values.urlRules, match.url);
+    const url = urlRulesResult?.url;
+
+    const mode: HintsMode =
+      urlRulesResult === undefined || NO_ALT_TAB_MODES.has(hintsState.mode)
+        ? hintsState.mode
+        : (URL_RULE_ROUTED_MODES.has(hintsState.mode)
+            ? getForcedMode(urlRulesResult.open)
+            : undefined) ?? (alt ? "ForegroundTab" : hintsState.mode);
+
+    switch (mode) {
+      case "Click":
+      case "Search":
+        this.sendWorkerMessage(
+          {
+            type: "ClickElement",
+            index: match.frame.index,
+          },
+          {
+            tabId,
+            frameId: match.frame.id,
+          }
+        );
+        return true;
+
+      case "ManyClick": {
+        if (match.isTextInput) {
+          this.sendWorkerMessage(
+            {
+              type: "ClickElement",
+              index: match.frame.index,
+            },
+            {
+              tabId,
+              frameId: match.frame.id,
+            }
+          );
+          return true;
+        }
+
+        this.sendWorkerMessage(
+          {
+            type: "ClickElement",
+            index: match.frame.index,
+          },
+          {
+            tabId,
+            frameId: match.frame.id,
+          }
         );
 
-        const highlightedKeys = new Set(
-          hintsState.highlighted.map(({ element }) => elementKey(element))
+        // Highlight the matched hints immediately, but hide others when the
+        // highlight duration is over. Likely, the same hints will appear again
+        // when the “next” hints mode is started. This reduces flicker.
+        this.sendRendererMessage(
+          {
+            type: "UpdateHints",
+            updates: updates.filter((update) => update.type !== "Hide"),
+            enteredText: hintsState.enteredText,
+          },
+          { tabId }
         );
 
-        hintsState.enteredChars = "";
-        hintsState.enteredText = "";
+        // In case the “next” hints mode takes longer than the highlight
+        // duration, remove the shruggie. It might flicker by otherwise, and we
+        // don’t need it, just like we don’t show it when entering hints mode
+        // initially.
+        this.sendRendererMessage({ type: "RemoveShruggie" }, { tabId });
+
+        this.updateWorkerStateAfterHintActivation({
+          tabId,
+          preventOverTyping,
+        });
+
+        this.enterHintsMode({
+          tabId,
+          timestamp,
+          mode: hintsState.mode,
+        });
+
+        this.setTimeout(tabId, t.MATCH_HIGHLIGHT_DURATION.value);
+
+        return false;
+      }
+
+      case "ManyTab": {
+        if (url === undefined) {
+          log(
+            "error",
+            "Cannot open background tab (many) due to missing URL",
+            match
+          );
+          return true;
+        }
 
         this.openNewTab({
           url,
@@ -1047,38 +1705,80 @@ export default class BackgroundProgram {
           tabId,
           frameId: match.frame.id,
           foreground: false,
+          // "ManyTab" stays in hints mode, but still respects URL rules
+          // forcing a new window.
+          newWindow: urlRulesResult?.open === "newWindow",
         });
 
-        this.sendRendererMessage(
+        this.resetHintsAfterMatch({
+          tabId,
+          matches: [match],
+          preventOverTyping,
+        });
+
+        return false;
+      }
+
+      case "ManyNewWindow":
+      case "ManyPrivateWindow": {
+        if (url === undefined) {
+          log(
+            "error",
+            "Cannot open window (many) due to missing URL",
+            match,
+            mode
+          );
+          return true;
+        }
+
+        hintsState.collected.push(match);
+
+        this.sendWorkerMessage(
           {
-            type: "UpdateHints",
-            updates: assignHints(hintsState.elementsWithHints, {
-              mode: "ManyTab",
-              chars: this.options.values.chars,
-              hasEnteredText: false,
-            }).map((element, index) => ({
-              type: "UpdateContent",
-              index: element.index,
-              order: index,
-              matchedChars: "",
-              restChars: element.hint,
-              highlighted:
-                matchedIndexes.has(element.index) ||
-                highlightedKeys.has(elementKey(element)),
-              hidden: element.hidden,
-            })),
-            enteredText: "",
+            type: "FocusElement",
+            index: match.frame.index,
           },
-          { tabId }
+          {
+            tabId,
+            frameId: match.frame.id,
+          }
         );
 
-        this.updateWorkerStateAfterHintActivation({
+        this.resetHintsAfterMatch({
           tabId,
+          matches: [match],
           preventOverTyping,
         });
 
-        this.updateBadge(tabId);
-        this.setTimeout(tabId, t.MATCH_HIGHLIGHT_DURATION.value);
+        return false;
+      }
+
+      case "NewWindow":
+      case "PrivateWindow":
+        if (url === undefined) {
+          log("error", "Cannot open window due to missing URL", match, mode);
+          return true;
+        }
+        fireAndForget(
+          openWindow([url], {
+            incognito: mode === "PrivateWindow",
+          }),
+          "BackgroundProgram#handleHintMatch->openWindow",
+          mode,
+          url
+        );
+        return true;
+
+      case "ManyCopy": {
+        hintsState.collected.push(match);
+
+        this.copyElements({ tabId, match, elements: hintsState.collected });
+
+        this.resetHintsAfterMatch({
+          tabId,
+          matches: [match],
+          preventOverTyping,
+        });
 
         return false;
       }
@@ -1121,14 +1821,311 @@ export default class BackgroundProgram {
             : {
                 type: "SelectElement",
                 index: match.frame.index,
+                extend: extendSelection,
               },
           {
             tabId,
             frameId: match.frame.id,
           }
         );
-        return true;
-    }
+        return true;
+
+      // The first word starts the selection and keeps hints mode going. The
+      // next word extends the selection (if in the same frame) and exits.
+      case "Word": {
+        const first = hintsState.collected.length === 0;
+        this.sendWorkerMessage(
+          {
+            type: "SelectWord",
+            index: match.frame.index,
+            caret: alt,
+            extend:
+              !first && hintsState.collected[0].frame.id === match.frame.id,
+          },
+          {
+            tabId,
+            frameId: match.frame.id,
+          }
+        );
+
+        if (!first) {
+          return true;
+        }
+
+        hintsState.collected = [match];
+        this.resetHintsAfterMatch({
+          tabId,
+          matches: [match],
+          preventOverTyping,
+        });
+        return false;
+      }
+
+      case "Copy":
+        this.copyElements({ tabId, match, elements: [match] });
+        return true;
+
+      case "Hover":
+        this.sendWorkerMessage(
+          {
+            type: "HoverElement",
+            index: match.frame.index,
+          },
+          {
+            tabId,
+            frameId: match.frame.id,
+          }
+        );
+        return true;
+
+      case "ContextMenu":
+        this.sendWorkerMessage(
+          {
+            type: "ContextMenuElement",
+            index: match.frame.index,
+          },
+          {
+            tabId,
+            frameId: match.frame.id,
+          }
+        );
+        return true;
+
+      case "DoubleClick":
+        this.sendWorkerMessage(
+          {
+            type: "DoubleClickElement",
+            index: match.frame.index,
+          },
+          {
+            tabId,
+            frameId: match.frame.id,
+          }
+        );
+        return true;
+
+      case "MiddleClick":
+        // Dispatched middle clicks never open links in new tabs, so do what the
+        // browser would have done for real middle clicks on links.
+        if (url !== undefined) {
+          this.openNewTab({
+            url,
+            elementIndex: match.frame.index,
+            tabId,
+            frameId: match.frame.id,
+            foreground: false,
+          });
+          return true;
+        }
+        this.sendWorkerMessage(
+          {
+            type: "MiddleClickElement",
+            index: match.frame.index,
+          },
+          {
+            tabId,
+            frameId: match.frame.id,
+          }
+        );
+        return true;
+    }
+  }
+
+  // Used by the "Many" modes that stay in hints mode after a match: Clears the
+  // entered text and re-assigns hints, keeping the matched hints highlighted.
+  resetHintsAfterMatch({
+    tabId,
+    matches,
+    preventOverTyping,
+  }: {
+    tabId: number;
+    matches: Array<ElementWithHint>;
+    preventOverTyping: boolean;
+  }): void {
+    const tabState = this.tabState.get(tabId);
+    if (tabState === undefined) {
+      return;
+    }
+
+    const { hintsState } = tabState;
+    if (hintsState.type !== "Hinting") {
+      return;
+    }
+
+    const matchedHints = new Set(matches.map((match) => match.hint));
+    const matchedIndexes = new Set(
+      hintsState.elementsWithHints
+        .filter((element) => matchedHints.has(element.hint))
+        .map((element) => element.index)
+    );
+
+    const highlightedKeys = new Set(
+      hintsState.highlighted.map(({ element }) => elementKey(element))
+    );
+
+    hintsState.enteredChars = "";
+    hintsState.enteredText = "";
+
+    const tabOptions = this.getTabOptions(tabState);
+
+    this.sendRendererMessage(
+      {
+        type: "UpdateHints",
+        updates: assignHints(hintsState.elementsWithHints, {
+          mode: hintsState.mode,
+          chars: tabOptions.chars,
+          hintLabels: tabOptions.hintLabels,
+          keyTranslations: tabOptions.keyTranslations,
+          hasEnteredText: false,
+        }).map((element, index) => ({
+          type: "UpdateContent",
+          index: element.index,
+          order: index,
+          matchedChars: "",
+          restChars: element.hint,
+          highlighted:
+            matchedIndexes.has(element.index) ||
+            highlightedKeys.has(elementKey(element)),
+          hidden: element.hidden,
+        })),
+        enteredText: "",
+      },
+      { tabId }
+    );
+
+    this.updateWorkerStateAfterHintActivation({
+      tabId,
+      preventOverTyping,
+    });
+
+    this.updateBadge(tabId);
+    this.setTimeout(tabId, t.MATCH_HIGHLIGHT_DURATION.value);
+  }
+
+  // Activates all hints matching the entered text and hint chars at once, in
+  // the "Many" modes that open or copy links. Only the first element of each
+  // hint is used, just like when activating a single hint.
+  activateAllHints(tabId: number): void {
+    const tabState = this.tabState.get(tabId);
+    if (tabState === undefined) {
+      return;
+    }
+
+    const { hintsState } = tabState;
+    if (
+      hintsState.type !== "Hinting" ||
+      hintsState.marking !== undefined ||
+      // Activating every single hint on the page is most likely a mistake.
+      (hintsState.enteredChars === "" && hintsState.enteredText === "")
+    ) {
+      return;
+    }
+
+    const { mode, enteredChars } = hintsState;
+
+    const tabOptions = this.getTabOptions(tabState);
+
+    const { elementsWithHints } = updateHints({
+      mode,
+      enteredChars,
+      enteredText: hintsState.enteredText,
+      elementsWithHints: hintsState.elementsWithHints,
+      highlighted: hintsState.highlighted,
+      chars: tabOptions.chars,
+      hintLabels: tabOptions.hintLabels,
+      keyTranslations: tabOptions.keyTranslations,
+      autoActivate: tabOptions.autoActivate,
+      fuzzy: tabOptions.fuzzyMatching,
+      matchHighlighted: false,
+      updateMeasurements: false,
+    });
+
+    const seenHints = new Set<string>();
+    const matches = elementsWithHints.filter((element) => {
+      if (
+        !element.hint.startsWith(enteredChars) ||
+        seenHints.has(element.hint)
+      ) {
+        return false;
+      }
+      seenHints.add(element.hint);
+      return mode === "ManyCopy" || element.url !== undefined;
+    });
+
+    if (matches.length === 0) {
+      return;
+    }
+
+    for (const match of matches) {
+      this.recordUsage(tabState, match);
+      if (mode === "ManyTab" && match.url !== undefined) {
+        const { url, open } = applyUrlRules(
+          this.options.values.urlRules,
+          match.url
+        );
+        this.openNewTab({
+          url,
+          elementIndex: match.frame.index,
+          tabId,
+          frameId: match.frame.id,
+          foreground: false,
+          newWindow: open === "newWindow",
+        });
+      } else {
+        hintsState.collected.push(match);
+      }
+    }
+
+    if (mode === "ManyCopy") {
+      this.copyElements({
+        tabId,
+        match: matches[0],
+        elements: hintsState.collected,
+      });
+    }
+
+    this.resetHintsAfterMatch({ tabId, matches, preventOverTyping: false });
+  }
+
+  // Writes `elements` to the clipboard, one per line, in the format chosen in
+  // the options. The frame of `match` does the actual writing, since the
+  // clipboard API isn’t available in the background.
+  copyElements({
+    tabId,
+    match,
+    elements,
+  }: {
+    tabId: number;
+    match: ElementWithHint;
+    elements: Array<ElementWithHint>;
+  }): void {
+    const { copyFormat, copyTemplate } = this.options.values;
+    fireAndForget(
+      browser.tabs.get(tabId).then((tab) => {
+        const text = elements
+          .map((element) =>
+            formatCopyText(copyFormat, copyTemplate, {
+              url: element.url,
+              text: element.text,
+              title: tab.title ?? "",
+            })
+          )
+          .join("\n");
+        this.sendWorkerMessage(
+          {
+            type: "CopyText",
+            index: match.frame.index,
+            text,
+          },
+          {
+            tabId,
+            frameId: match.frame.id,
+          }
+        );
+      }),
+      "BackgroundProgram#copyElements",
+      match
+    );
   }
 
   refreshHintsRendering(tabId: number): void {
@@ -1144,19 +2141,30 @@ export default class BackgroundProgram {
 
     const { enteredChars, enteredText } = hintsState;
 
-    const { allElementsWithHints, updates, words } = updateHints({
+    const tabOptions = this.getTabOptions(tabState);
+
+    const { allElementsWithHints, updates, parsedText } = updateHints({
       mode: hintsState.mode,
       enteredChars,
       enteredText,
       elementsWithHints: hintsState.elementsWithHints,
       highlighted: hintsState.highlighted,
-      chars: this.options.values.chars,
-      autoActivate: this.options.values.autoActivate,
+      chars: tabOptions.chars,
+      hintLabels: tabOptions.hintLabels,
+      keyTranslations: tabOptions.keyTranslations,
+      autoActivate: tabOptions.autoActivate,
+      fuzzy: tabOptions.fuzzyMatching,
       matchHighlighted: false,
       updateMeasurements: false,
     });
 
-    this.getTextRects({ enteredChars, allElementsWithHints, words, tabId });
+    this.getTextRects({
+      enteredChars,
+      allElementsWithHints,
+      parsedText,
+      fuzzy: tabOptions.fuzzyMatching,
+      tabId,
+    });
 
     this.sendRendererMessage(
       {
@@ -1170,18 +2178,27 @@ export default class BackgroundProgram {
     this.updateBadge(tabId);
   }
 
+  // See `urlRules.ts`.
+  rewriteUrl(url: string): string {
+    return applyUrlRules(this.options.values.urlRules, url).url;
+  }
+
+  // `url` must already have gone through the URL rules. `newWindow` is for
+  // URL rules forcing a new window.
   openNewTab({
     url,
     elementIndex,
     tabId,
     frameId,
     foreground,
+    newWindow = false,
   }: {
     url: string;
     elementIndex: number;
     tabId: number;
     frameId: number;
     foreground: boolean;
+    newWindow?: boolean;
   }): void {
     this.sendWorkerMessage(
       {
@@ -1202,7 +2219,7 @@ export default class BackgroundProgram {
     // downside of using the fake ctrl-click method in Chrome. In fact, there’s
     // even an upside to the ctrl-click method: The HTTP Referer header is sent,
     // just as if you had clicked the link for real. See: <bugzil.la/1615860>.
-    if (t.PREFER_WINDOWS.value) {
+    if (newWindow || t.PREFER_WINDOWS.value) {
       fireAndForget(
         browser.windows
           .create({
@@ -1261,26 +2278,45 @@ export default class BackgroundProgram {
     const { time } = hintsState;
     time.start("assign hints");
 
-    const elementsWithHints: Array<ElementWithHint> = assignHints(
+    const { adaptiveWeights } = this.getTabOptions(tabState);
+    const origin = getOrigin(tabState.frameUrls.get(TOP_FRAME_ID));
+
+    const elements: Array<ElementWithHint> =
       hintsState.pendingElements.elements.map((element, index) => ({
         ...element,
         // These are filled in by `assignHints` but need to be set here for type
         // checking reasons.
         weight: 0,
         hint: "",
+        usageCount: adaptiveWeights
+          ? getUsageCount(
+              this.usageHistory,
+              origin,
+              getElementSignature(element)
+            )
+          : 0,
+        mark: getMarkLabel(this.marks, origin, getElementSignature(element)),
         // This is set for real in the next couple of lines, but set here also
         // to be extra sure that the sorting really is stable.
         index,
-      })),
-      {
-        mode: hintsState.mode,
-        chars: this.options.values.chars,
-        hasEnteredText: false,
-      }
-      // `.index` was set to `-1` in "ReportVisibleElements" (and to a temporary
-      // index above). Now set it for real to map these elements to DOM elements
-      // in RendererProgram.
-    ).map((element, index) => ({ ...element, index }));
+      }));
+
+    this.record(tabId, {
+      type: "Hints",
+      timestamp: Date.now(),
+      mode: hintsState.mode,
+      elements,
+      stats: hintsState.stats,
+    });
+
+    const tabOptions = this.getTabOptions(tabState);
+
+    const elementsWithHints = assignInitialHints(elements, {
+      mode: hintsState.mode,
+      chars: tabOptions.chars,
+      hintLabels: tabOptions.hintLabels,
+      keyTranslations: tabOptions.keyTranslations,
+    });
 
     const elementKeys = new Set(
       elementsWithHints.map((element) => elementKey(element))
@@ -1315,6 +2351,7 @@ export default class BackgroundProgram {
       .map((element, index) => ({
         hintMeasurements: element.hintMeasurements,
         hint: element.hint,
+        offscreenText: getOffscreenText(element),
         // Hints at the same position and with the same hint characters as a
         // previously matched hint are marked as highlighted.
         highlighted: highlightedKeys.has(elementKey(element)),
@@ -1326,6 +2363,7 @@ export default class BackgroundProgram {
         extraHighlighted.map(({ element }) => ({
           hintMeasurements: element.hintMeasurements,
           hint: element.hint,
+          offscreenText: getOffscreenText(element),
           highlighted: true,
           // Previously matched hints are always shown on top over regular hints.
           invertedZIndex: 0,
@@ -1347,11 +2385,10 @@ export default class BackgroundProgram {
         lastUpdateStartTimestamp: hintsState.startTime,
       },
       peeking: false,
+      marking: undefined,
+      collected: hintsState.collected,
     };
-    this.sendWorkerMessage(this.makeWorkerState(tabState), {
-      tabId,
-      frameId: "all_frames",
-    });
+    this.sendWorkerState(tabState, { tabId });
     this.setTimeout(tabId, t.UPDATE_INTERVAL.value);
 
     time.start("render");
@@ -1359,10 +2396,20 @@ export default class BackgroundProgram {
       {
         type: "Render",
         elements: elementRenders,
-        mixedCase: isMixedCase(this.options.values.chars),
+        mixedCase: isMixedCase(tabOptions.chars),
       },
       { tabId }
     );
+    this.announce(
+      tabState,
+      announceHintsMode(
+        hintsState.mode,
+        elementsWithHints.filter(
+          (element) => !element.hidden && !element.offscreen
+        ).length
+      ),
+      { tabId, verbose: false }
+    );
     this.updateBadge(tabId);
   }
 
@@ -1399,10 +2446,7 @@ export default class BackgroundProgram {
         };
 
         // Refresh `oneTimeWindowMessageToken`.
-        this.sendWorkerMessage(this.makeWorkerState(tabState), {
-          tabId,
-          frameId: "all_frames",
-        });
+        this.sendWorkerState(tabState, { tabId });
 
         this.sendWorkerMessage(
           { type: "UpdateElements" },
@@ -1447,14 +2491,19 @@ export default class BackgroundProgram {
 
     const { enteredChars, enteredText } = hintsState;
 
+    const tabOptions = this.getTabOptions(tabState);
+
     const { allElementsWithHints, updates } = updateHints({
       mode: hintsState.mode,
       enteredChars,
       enteredText,
       elementsWithHints: hintsState.elementsWithHints,
       highlighted: hintsState.highlighted,
-      chars: this.options.values.chars,
-      autoActivate: this.options.values.autoActivate,
+      chars: tabOptions.chars,
+      hintLabels: tabOptions.hintLabels,
+      keyTranslations: tabOptions.keyTranslations,
+      autoActivate: tabOptions.autoActivate,
+      fuzzy: tabOptions.fuzzyMatching,
       matchHighlighted: false,
       updateMeasurements: false,
     });
@@ -1491,14 +2540,9 @@ export default class BackgroundProgram {
 
     switch (message.type) {
       case "RendererScriptAdded":
-        this.sendRendererMessage(
-          {
-            type: "StateSync",
-            css: this.options.values.css,
-            logLevel: log.level,
-          },
-          { tabId: info.tabId }
-        );
+        this.sendRendererMessage(this.makeRendererState(info.url), {
+          tabId: info.tabId,
+        });
         // Both uBlock Origin and Adblock Plus use `browser.tabs.insertCSS` with
         // `{ display: none !important; }` and `cssOrigin: "user"` to hide
         // elements. I’ve seen LinkHint’s container to be hidden by a
@@ -1563,9 +2607,30 @@ export default class BackgroundProgram {
           type: "Init",
           logLevel: log.level,
           isEnabled: tabState !== undefined,
+          isRecording: tab.id !== undefined && this.recording?.tabId === tab.id,
+          profiles: this.profiles.profiles.map((profile) => profile.name),
+          activeProfile: this.profiles.active,
         });
         break;
       }
+
+      case "SwitchProfile":
+        await this.switchProfile(message.name);
+        break;
+
+      case "ToggleRecording": {
+        const tab = await getCurrentTab();
+        if (tab.id === undefined) {
+          break;
+        }
+        if (this.recording?.tabId === tab.id) {
+          this.finishRecording(tab.id);
+          this.recording = undefined;
+        } else {
+          this.recording = { tabId: tab.id, recording: undefined };
+        }
+        break;
+      }
     }
   }
 
@@ -1596,7 +2661,15 @@ export default class BackgroundProgram {
       }
 
       case "SaveOptions":
-        await this.saveOptions(message.partialOptions);
+        await this.saveOptions(
+          message.partialOptions,
+          message.isImport ? "Import" : "Save"
+        );
+        this.updateTabsAfterOptionsChange();
+        break;
+
+      case "RollbackOptions":
+        await this.rollbackOptions(message.timestamp);
         this.updateTabsAfterOptionsChange();
         break;
 
@@ -1605,6 +2678,18 @@ export default class BackgroundProgram {
         this.updateTabsAfterOptionsChange();
         break;
 
+      case "SaveProfile":
+        await this.saveProfile(message.name);
+        break;
+
+      case "SwitchProfile":
+        await this.switchProfile(message.name);
+        break;
+
+      case "DeleteProfile":
+        await this.deleteProfile(message.name);
+        break;
+
       case "ResetPerf":
         for (const tabState2 of this.tabState.values()) {
           tabState2.perf = [];
@@ -1618,10 +2703,7 @@ export default class BackgroundProgram {
         tabState.keyboardMode = message.capture
           ? { type: "Capture" }
           : { type: "FromHintsState" };
-        this.sendWorkerMessage(this.makeWorkerState(tabState), {
-          tabId: info.tabId,
-          frameId: "all_frames",
-        });
+        this.sendWorkerState(tabState, { tabId: info.tabId });
         break;
     }
   }
@@ -1639,6 +2721,31 @@ export default class BackgroundProgram {
       });
     };
 
+    // Scroll in the frame where the shortcut was pressed. After activating a
+    // hint for a scrollable element, that’s the frame of the element.
+    const scroll = (direction: ScrollDirection, amount: ScrollAmount): void => {
+      this.sendWorkerMessage(
+        {
+          type: "Scroll",
+          direction,
+          amount,
+          step: this.options.values.scrollStep,
+        },
+        { tabId: info.tabId, frameId: info.frameId }
+      );
+    };
+
+    // The worker only gets the shortcuts for the current hints mode, but the
+    // mode might have changed since the shortcut was pressed.
+    if (MODE_ONLY_KEYBOARD_ACTIONS.has(action)) {
+      const hintsState = this.tabState.get(info.tabId)?.hintsState;
+      const mode =
+        hintsState === undefined ? undefined : getShortcutsMode(hintsState);
+      if (mode === undefined || !isKeyboardActionAllowedInMode(action, mode)) {
+        return;
+      }
+    }
+
     switch (action) {
       case "EnterHintsMode_Click":
         enterHintsMode("Click");
@@ -1664,6 +2771,65 @@ export default class BackgroundProgram {
         enterHintsMode("Select");
         break;
 
+      case "EnterHintsMode_Word":
+        enterHintsMode("Word");
+        break;
+
+      case "EnterHintsMode_Search":
+        enterHintsMode("Search");
+        break;
+
+      case "EnterHintsMode_Copy":
+        enterHintsMode("Copy");
+        break;
+
+      case "EnterHintsMode_NewWindow":
+        enterHintsMode("NewWindow");
+        break;
+
+      case "EnterHintsMode_PrivateWindow":
+        enterHintsMode("PrivateWindow");
+        break;
+
+      case "EnterHintsMode_ManyNewWindow":
+        enterHintsMode("ManyNewWindow");
+        break;
+
+      case "EnterHintsMode_ManyPrivateWindow":
+        enterHintsMode("ManyPrivateWindow");
+        break;
+
+      case "EnterHintsMode_ManyCopy":
+        enterHintsMode("ManyCopy");
+        break;
+
+      case "EnterHintsMode_Hover":
+        enterHintsMode("Hover");
+        break;
+
+      case "EnterHintsMode_ContextMenu":
+        enterHintsMode("ContextMenu");
+        break;
+
+      case "EnterHintsMode_DoubleClick":
+        enterHintsMode("DoubleClick");
+        break;
+
+      case "EnterHintsMode_MiddleClick":
+        enterHintsMode("MiddleClick");
+        break;
+
+      case "EnterHintsMode_Grid":
+        this.enterGridMode(info.tabId);
+        break;
+
+      case "Unhover":
+        this.sendWorkerMessage(
+          { type: "Unhover" },
+          { tabId: info.tabId, frameId: "all_frames" }
+        );
+        break;
+
       case "ExitHintsMode":
         this.exitHintsMode({ tabId: info.tabId });
         break;
@@ -1700,15 +2866,16 @@ export default class BackgroundProgram {
         }
 
         // Refresh `oneTimeWindowMessageToken`.
-        this.sendWorkerMessage(this.makeWorkerState(tabState), {
-          tabId: info.tabId,
-          frameId: "all_frames",
-        });
+        this.sendWorkerState(tabState, { tabId: info.tabId });
 
         enterHintsMode(hintsState.mode);
         break;
       }
 
+      case "MarkHint":
+        this.toggleMarking(info.tabId);
+        break;
+
       case "TogglePeek": {
         const tabState = this.tabState.get(info.tabId);
         if (tabState === undefined) {
@@ -1741,6 +2908,7 @@ export default class BackgroundProgram {
         this.handleHintInput(info.tabId, timestamp, {
           type: "ActivateHint",
           alt: false,
+          extendSelection: false,
         });
         break;
 
@@ -1748,9 +2916,34 @@ export default class BackgroundProgram {
         this.handleHintInput(info.tabId, timestamp, {
           type: "ActivateHint",
           alt: true,
+          extendSelection: false,
+        });
+        break;
+
+      case "ActivateAllHints":
+        this.activateAllHints(info.tabId);
+        break;
+
+      case "OpenCollectedWindow":
+        this.openCollectedWindow(info.tabId);
+        break;
+
+      case "ExtendSelection":
+        this.handleHintInput(info.tabId, timestamp, {
+          type: "ActivateHint",
+          alt: false,
+          extendSelection: true,
         });
         break;
 
+      case "GridHover":
+        this.activateGridPoint(info.tabId, "Hover");
+        break;
+
+      case "GridContextMenu":
+        this.activateGridPoint(info.tabId, "ContextMenu");
+        break;
+
       case "Backspace":
         this.handleHintInput(info.tabId, timestamp, { type: "Backspace" });
         break;
@@ -1761,7 +2954,112 @@ export default class BackgroundProgram {
           { tabId: info.tabId, frameId: "all_frames" }
         );
         break;
+
+      case "ScrollDown":
+        scroll("Down", "Step");
+        break;
+
+      case "ScrollUp":
+        scroll("Up", "Step");
+        break;
+
+      case "ScrollLeft":
+        scroll("Left", "Step");
+        break;
+
+      case "ScrollRight":
+        scroll("Right", "Step");
+        break;
+
+      case "ScrollHalfPageDown":
+        scroll("Down", "HalfPage");
+        break;
+
+      case "ScrollHalfPageUp":
+        scroll("Up", "HalfPage");
+        break;
+
+      case "ScrollPageDown":
+        scroll("Down", "Page");
+        break;
+
+      case "ScrollPageUp":
+        scroll("Up", "Page");
+        break;
+
+      case "ScrollToBottom":
+        scroll("Down", "Edge");
+        break;
+
+      case "ScrollToTop":
+        scroll("Up", "Edge");
+        break;
+
+      case "SwitchToNextProfile":
+        fireAndForget(
+          this.switchToNextProfile(),
+          "BackgroundProgram#onKeyboardShortcut->switchToNextProfile"
+        );
+        break;
+    }
+  }
+
+  maybeStartRecording(tabId: number, tabState: TabState): void {
+    if (
+      this.recording?.tabId !== tabId ||
+      this.recording.recording !== undefined
+    ) {
+      return;
+    }
+
+    const options = this.getTabOptions(tabState);
+    this.recording.recording = {
+      version: META_VERSION,
+      browser: BROWSER,
+      userAgent: navigator.userAgent,
+      timestamp: Date.now(),
+      url: tabState.frameUrls.get(TOP_FRAME_ID),
+      viewport: undefined,
+      frames: Array.from(tabState.frameUrls, ([id, url]) => ({ id, url })),
+      chars: options.chars,
+      hintLabels: options.hintLabels,
+      keyTranslations: options.keyTranslations,
+      autoActivate: options.autoActivate,
+      fuzzyMatching: options.fuzzyMatching,
+      events: [],
+    };
+
+    // The viewport is stored in "ReportViewport".
+    this.sendWorkerMessage(
+      { type: "GetViewport" },
+      { tabId, frameId: TOP_FRAME_ID }
+    );
+  }
+
+  record(tabId: number, event: RecordedEvent): void {
+    if (this.recording?.tabId === tabId) {
+      this.recording.recording?.events.push(event);
+    }
+  }
+
+  // Stores the recording (if the session has started) so that it can be
+  // exported and replayed from the options page.
+  finishRecording(tabId: number): void {
+    if (this.recording?.tabId !== tabId) {
+      return;
+    }
+
+    const { recording } = this.recording;
+    if (recording === undefined) {
+      return;
     }
+
+    this.recording = undefined;
+    fireAndForget(
+      browser.storage.local.set({ [RECORDING_KEY]: recording }),
+      "BackgroundProgram#finishRecording",
+      tabId
+    );
   }
 
   enterHintsMode({
@@ -1781,10 +3079,13 @@ export default class BackgroundProgram {
     const time = new TimeTracker();
     time.start("collect");
 
+    this.maybeStartRecording(tabId, tabState);
+
     this.sendWorkerMessage(
       {
         type: "StartFindElements",
         types: getElementTypes(mode),
+        offscreen: mode === "Search",
       },
       {
         tabId,
@@ -1792,7 +3093,16 @@ export default class BackgroundProgram {
       }
     );
 
-    const refreshing = tabState.hintsState.type !== "Idle";
+    const { hintsState } = tabState;
+
+    const refreshing =
+      hintsState.type === "Collecting" || hintsState.type === "Hinting";
+
+    const collected = refreshing ? hintsState.collected : [];
+
+    // Keep the collected elements when refreshing, so that for example the
+    // clipboard contents aren’t lost. Switching to another mode discards them.
+    const keepCollected = refreshing && hintsState.mode === mode;
 
     tabState.hintsState = {
       type: "Collecting",
@@ -1810,12 +3120,93 @@ export default class BackgroundProgram {
       stats: [],
       refreshing,
       highlighted: tabState.hintsState.highlighted,
+      collected: keepCollected ? collected : [],
     };
 
     this.updateBadge(tabId);
     this.setTimeout(tabId, t.BADGE_COLLECTING_DELAY.value);
   }
 
+  enterGridMode(tabId: number): void {
+    const tabState = this.tabState.get(tabId);
+    if (tabState === undefined) {
+      return;
+    }
+
+    if (tabState.hintsState.type !== "Idle") {
+      this.exitHintsMode({ tabId, sendMessages: false });
+    }
+
+    tabState.hintsState = {
+      type: "Grid",
+      areas: [],
+      enteredChars: "",
+      highlighted: [],
+    };
+
+    // The grid is rendered once the top frame has reported the size of its
+    // viewport (see "ReportViewport").
+    this.sendWorkerMessage(
+      { type: "GetViewport" },
+      { tabId, frameId: TOP_FRAME_ID }
+    );
+    this.sendWorkerState(tabState, { tabId });
+    this.updateBadge(tabId);
+  }
+
+  getGridCells(tabState: TabState, area?: Box): Array<GridCell> {
+    const currentArea = area ?? getGridArea(tabState.hintsState);
+    if (currentArea === undefined) {
+      return [];
+    }
+    const { chars } = this.getTabOptions(tabState);
+    return makeGrid(currentArea, chars, t.GRID_MIN_CELL_SIZE.value);
+  }
+
+  renderGrid(tabId: number): void {
+    const tabState = this.tabState.get(tabId);
+    if (tabState === undefined) {
+      return;
+    }
+
+    const { hintsState } = tabState;
+    const area = getGridArea(hintsState);
+    if (hintsState.type !== "Grid" || area === undefined) {
+      return;
+    }
+
+    this.sendRendererMessage(
+      {
+        type: "RenderGrid",
+        area,
+        cells: this.getGridCells(tabState),
+        enteredChars: hintsState.enteredChars,
+      },
+      { tabId }
+    );
+  }
+
+  // Exits grid mode and does `action` at the center of the current cell. The
+  // top frame passes it on to the frame under the point, if needed.
+  activateGridPoint(tabId: number, action: PointAction): void {
+    const tabState = this.tabState.get(tabId);
+    if (tabState === undefined) {
+      return;
+    }
+
+    const area = getGridArea(tabState.hintsState);
+    if (area === undefined) {
+      return;
+    }
+
+    this.exitHintsMode({ tabId });
+
+    this.sendWorkerMessage(
+      { type: "ActivatePoint", action, ...getCenter(area) },
+      { tabId, frameId: TOP_FRAME_ID }
+    );
+  }
+
   exitHintsMode({
     tabId,
     delayed = false,
@@ -1843,16 +3234,59 @@ export default class BackgroundProgram {
       highlighted: tabState.hintsState.highlighted,
     };
 
+    this.finishRecording(tabId);
+
     if (sendMessages) {
-      this.sendWorkerMessage(this.makeWorkerState(tabState), {
-        tabId,
-        frameId: "all_frames",
-      });
+      this.sendWorkerState(tabState, { tabId });
     }
 
     this.updateBadge(tabId);
   }
 
+  // The "ManyNewWindow" and "ManyPrivateWindow" modes collect links while
+  // hinting, and open them all in one window when the user is done. Leaving
+  // hints mode in any other way discards them.
+  openCollectedWindow(tabId: number): void {
+    const tabState = this.tabState.get(tabId);
+    if (tabState === undefined) {
+      return;
+    }
+
+    const { hintsState } = tabState;
+    if (hintsState.type !== "Hinting") {
+      return;
+    }
+
+    const { mode, collected } = hintsState;
+    const incognito =
+      mode === "ManyPrivateWindow"
+        ? true
+        : mode === "ManyNewWindow"
+        ? false
+        : undefined;
+
+    const urls = Array.from(
+      new Set(
+        collected.flatMap(({ url }) =>
+          url === undefined ? [] : [this.rewriteUrl(url)]
+        )
+      )
+    );
+
+    if (incognito === undefined || urls.length === 0) {
+      return;
+    }
+
+    this.exitHintsMode({ tabId });
+
+    fireAndForget(
+      openWindow(urls, { incognito }),
+      "BackgroundProgram#openCollectedWindow",
+      mode,
+      urls
+    );
+  }
+
   unhighlightHints(tabId: number): void {
     const tabState = this.tabState.get(tabId);
     if (tabState === undefined) {
@@ -1916,6 +3350,11 @@ export default class BackgroundProgram {
         hideDoneWaiting({ refresh: true });
         break;
       }
+
+      // Grid mode starts out with nothing highlighted, and never highlights
+      // anything.
+      case "Grid":
+        break;
     }
   }
 
@@ -1932,10 +3371,7 @@ export default class BackgroundProgram {
         this.options.values.overTypingDuration
     ) {
       tabState.keyboardMode = { type: "FromHintsState" };
-      this.sendWorkerMessage(this.makeWorkerState(tabState), {
-        tabId,
-        frameId: "all_frames",
-      });
+      this.sendWorkerState(tabState, { tabId });
     }
   }
 
@@ -1973,14 +3409,12 @@ export default class BackgroundProgram {
 
     if (tabState !== undefined && changeInfo.pinned !== undefined) {
       tabState.isPinned = changeInfo.pinned;
-      this.sendWorkerMessage(this.makeWorkerState(tabState), {
-        tabId,
-        frameId: "all_frames",
-      });
+      this.sendWorkerState(tabState, { tabId });
     }
   }
 
   onTabRemoved(tabId: number): void {
+    this.finishRecording(tabId);
     this.deleteTabState(tabId);
   }
 
@@ -2037,7 +3471,9 @@ export default class BackgroundProgram {
 
     fireAndForget(
       browser.browserAction.setBadgeText({
-        text: getBadgeText(hintsState),
+        text: getBadgeText(hintsState, {
+          fuzzy: this.getTabOptions(tabState).fuzzyMatching,
+        }),
         tabId,
       }),
       "BackgroundProgram#updateBadge->setBadgeText"
@@ -2060,6 +3496,8 @@ export default class BackgroundProgram {
       }
     }
 
+    await migrateStoredOptions();
+
     const info = await browser.runtime.getPlatformInfo();
     const mac = info.os === "mac";
     const defaults = getDefaults({ mac });
@@ -2086,9 +3524,14 @@ export default class BackgroundProgram {
     };
 
     log.level = options.logLevel;
+
+    this.updateProfileOptions();
   }
 
-  async saveOptions(partialOptions: PartialOptions): Promise<void> {
+  async saveOptions(
+    partialOptions: PartialOptions,
+    change: OptionsChange = "Save"
+  ): Promise<void> {
     // The options are stored flattened to increase the chance of the browser
     // sync not overwriting things when options has changed from multiple
     // places. This means we have to retrieve the whole storage, unflatten it,
@@ -2096,6 +3539,7 @@ export default class BackgroundProgram {
     // flattening `partialOptions` and storing that would mean that you couldn't
     // remove any `options.keys`, for example.
     try {
+      await this.recordOptionsSnapshot(change);
       const rawOptions = await getRawOptions();
       const { keysToRemove, optionsToSet } = diffOptions(
         flattenOptions(this.options.defaults),
@@ -2118,6 +3562,7 @@ export default class BackgroundProgram {
 
   async resetOptions(): Promise<void> {
     try {
+      await this.recordOptionsSnapshot("Reset");
       await browser.storage.sync.clear();
       await this.updateOptions();
     } catch (errorAny) {
@@ -2126,29 +3571,161 @@ export default class BackgroundProgram {
     }
   }
 
+  async rollbackOptions(timestamp: number): Promise<void> {
+    try {
+      const data = await browser.storage.local.get(OPTIONS_HISTORY_KEY);
+      const snapshot = decodeOptionsHistory(data[OPTIONS_HISTORY_KEY]).find(
+        (snapshot2) => snapshot2.timestamp === timestamp
+      );
+      if (snapshot === undefined) {
+        throw new Error("The options to roll back to no longer exist.");
+      }
+      await this.recordOptionsSnapshot("Rollback");
+      // This includes the tweakables, which are in the snapshot too.
+      const raw = await browser.storage.sync.get();
+      await browser.storage.sync.remove(
+        Object.keys(raw).filter(
+          (key) => !Object.prototype.hasOwnProperty.call(snapshot.raw, key)
+        )
+      );
+      // `updateOptions` migrates the snapshot if it is from an older version.
+      await browser.storage.sync.set({
+        ...snapshot.raw,
+        [OPTIONS_VERSION_KEY]: snapshot.version,
+      });
+      await this.updateOptions();
+    } catch (errorAny) {
+      const error = errorAny as Error;
+      this.options.errors = [error.message];
+    }
+  }
+
+  // Snapshots all of `storage.sync`, since resetting and switching profiles
+  // clear the tweakables as well.
+  async recordOptionsSnapshot(change: OptionsChange): Promise<void> {
+    const raw = await browser.storage.sync.get();
+    const data = await browser.storage.local.get(OPTIONS_HISTORY_KEY);
+    const history = addOptionsSnapshot(
+      decodeOptionsHistory(data[OPTIONS_HISTORY_KEY]),
+      { change, raw, now: Date.now() }
+    );
+    await browser.storage.local.set({ [OPTIONS_HISTORY_KEY]: history });
+  }
+
   updateTabsAfterOptionsChange(): void {
     this.sendOptionsMessage({
       type: "StateSync",
       logLevel: log.level,
       options: this.options,
     });
-    for (const tabId of this.tabState.keys()) {
+    for (const [tabId, tabState] of this.tabState) {
       // This also does a "StateSync" for all workers.
       this.exitHintsMode({ tabId });
       this.sendRendererMessage(
-        {
-          type: "StateSync",
-          css: this.options.values.css,
-          logLevel: log.level,
-        },
+        this.makeRendererState(tabState.frameUrls.get(TOP_FRAME_ID)),
         { tabId }
       );
     }
   }
 
+  // Sends `text` to the screen reader live region of the renderer. `verbose`
+  // announcements are only made with the "verbose" `announcements` option.
+  announce(
+    tabState: TabState,
+    text: string,
+    { tabId, verbose }: { tabId: number; verbose: boolean }
+  ): void {
+    const { announcements } = this.getTabOptions(tabState);
+    if (
+      announcements === "verbose" ||
+      (announcements === "brief" && !verbose)
+    ) {
+      this.sendRendererMessage({ type: "Announce", text }, { tabId });
+    }
+  }
+
+  makeRendererState(url: string | undefined): ToRenderer {
+    const { options, tweakables } = getSiteOptions(
+      this.options.values,
+      url,
+      this.profileOptions
+    );
+    return {
+      type: "StateSync",
+      css: getOptionsCSS(options),
+      themeColorScheme: options.themeColorScheme,
+      announcements: options.announcements !== "off",
+      logLevel: log.level,
+      tweakables,
+    };
+  }
+
+  // The effective options for a tab, taking site rules matching the URL of the
+  // top frame into account.
+  getTabOptions(tabState: TabState): Options {
+    const { values } = this.options;
+    const { profileOptions } = this;
+    const url = tabState.frameUrls.get(TOP_FRAME_ID);
+    const cached = this.tabOptionsCache.get(tabState);
+    if (
+      cached !== undefined &&
+      cached.values === values &&
+      cached.profileOptions === profileOptions &&
+      cached.url === url
+    ) {
+      return cached.options;
+    }
+
+    const { options: siteOptions } = getSiteOptions(
+      values,
+      url,
+      profileOptions
+    );
+    const options = {
+      ...siteOptions,
+      chars: getHintChars(siteOptions.hintLabels, siteOptions.chars),
+    };
+    this.tabOptionsCache.set(tabState, {
+      values,
+      profileOptions,
+      url,
+      options,
+    });
+    return options;
+  }
+
+  // Send a "StateSync" message to all workers of a tab. Since site rules are
+  // resolved per frame URL, every known frame gets its own message.
+  sendWorkerState(
+    tabState: TabState,
+    { tabId, refreshToken = true }: { tabId: number; refreshToken?: boolean }
+  ): void {
+    if (refreshToken) {
+      this.oneTimeWindowMessageToken = makeRandomToken();
+    }
+
+    if (tabState.frameUrls.size === 0) {
+      this.sendWorkerMessage(
+        this.makeWorkerState(tabState, { refreshToken: false }),
+        { tabId, frameId: "all_frames" }
+      );
+      return;
+    }
+
+    for (const [frameId, url] of tabState.frameUrls) {
+      this.sendWorkerMessage(
+        this.makeWorkerState(tabState, { refreshToken: false, url }),
+        { tabId, frameId }
+      );
+    }
+  }
+
   makeWorkerState(
     tabState: TabState,
-    { refreshToken = true }: { refreshToken?: boolean } = {}
+    {
+      refreshToken = true,
+      url,
+    }: { refreshToken?: boolean; url?: string | undefined } = {}
   ): ToWorker {
     const { hintsState } = tabState;
 
@@ -2156,6 +3733,12 @@ export default class BackgroundProgram {
       this.oneTimeWindowMessageToken = makeRandomToken();
     }
 
+    const { options, tweakables, selectorRules } = getSiteOptions(
+      this.options.values,
+      url,
+      this.profileOptions
+    );
+
     const common = {
       logLevel: log.level,
       keyTranslations: this.options.values.useKeyTranslations
@@ -2164,6 +3747,10 @@ export default class BackgroundProgram {
       oneTimeWindowMessageToken: this.oneTimeWindowMessageToken,
       mac: this.options.mac,
       isPinned: tabState.isPinned,
+      keySequenceTimeout: this.options.values.keySequenceTimeout,
+      tweakables,
+      selectorRules,
+      reducedMotion: options.accessiblePresentation,
     };
 
     const getKeyboardShortcuts = (
@@ -2175,18 +3762,32 @@ export default class BackgroundProgram {
           )
         : shortcuts;
 
+    const getKeySequences = (
+      sequences: Array<KeySequenceMapping>
+    ): Array<KeySequenceMapping> =>
+      tabState.keyboardMode.type === "PreventOverTyping"
+        ? sequences.filter((sequence) =>
+            PREVENT_OVERTYPING_ALLOWED_KEYBOARD_ACTIONS.has(sequence.action)
+          )
+        : sequences;
+
     const getKeyboardMode = (mode: KeyboardModeWorker): KeyboardModeWorker =>
       tabState.keyboardMode.type === "FromHintsState"
         ? mode
         : tabState.keyboardMode.type;
 
-    return hintsState.type === "Hinting"
+    const shortcutsMode = getShortcutsMode(hintsState);
+
+    return shortcutsMode !== undefined
       ? {
           type: "StateSync",
           clearElements: false,
           keyboardShortcuts: getKeyboardShortcuts(
-            this.options.values.hintsKeyboardShortcuts
+            getHintsKeyboardShortcuts(this.options.values, shortcutsMode)
           ),
+          // Key sequences are typed without modifiers, which would conflict
+          // with typing hint chars and filtering by text.
+          keySequences: [],
           keyboardMode: getKeyboardMode("Hints"),
           ...common,
         }
@@ -2196,6 +3797,7 @@ export default class BackgroundProgram {
           keyboardShortcuts: getKeyboardShortcuts(
             this.options.values.normalKeyboardShortcuts
           ),
+          keySequences: getKeySequences(this.options.values.normalKeySequences),
           keyboardMode: getKeyboardMode("Normal"),
           ...common,
         };
@@ -2225,10 +3827,7 @@ export default class BackgroundProgram {
       this.setTimeout(tabId, this.options.values.overTypingDuration);
     }
 
-    this.sendWorkerMessage(this.makeWorkerState(tabState), {
-      tabId,
-      frameId: "all_frames",
-    });
+    this.sendWorkerState(tabState, { tabId });
   }
 
   updateOptionsPageData(): void {
@@ -2291,6 +3890,149 @@ export default class BackgroundProgram {
     }
   }
 
+  async restoreUsageHistory(): Promise<void> {
+    const data = await browser.storage.local.get(USAGE_HISTORY_KEY);
+    this.usageHistory = decodeUsageHistory(data[USAGE_HISTORY_KEY]);
+  }
+
+  onStorageChanged(
+    changes: Record<string, browser.storage.StorageChange>,
+    areaName: string
+  ): void {
+    // The history can be cleared from the options page (or by resetting
+    // `storage.local`). Other changes come from `recordUsage` and are already
+    // in `this.usageHistory`.
+    if (
+      areaName === "local" &&
+      USAGE_HISTORY_KEY in changes &&
+      changes[USAGE_HISTORY_KEY].newValue === undefined
+    ) {
+      this.usageHistory = {};
+    }
+
+    // Marks can be edited on the options page.
+    if (areaName === "local" && MARKS_KEY in changes) {
+      this.marks = decodeMarks(changes[MARKS_KEY].newValue);
+    }
+
+    // Profiles are cleared when resetting `storage.local`.
+    if (areaName === "local" && PROFILES_KEY in changes) {
+      this.profiles = decodeProfiles(changes[PROFILES_KEY].newValue);
+      this.updateProfileOptions();
+    }
+  }
+
+  async restoreMarks(): Promise<void> {
+    const data = await browser.storage.local.get(MARKS_KEY);
+    this.marks = decodeMarks(data[MARKS_KEY]);
+  }
+
+  async restoreProfiles(): Promise<void> {
+    const data = await browser.storage.local.get(PROFILES_KEY);
+    this.profiles = decodeProfiles(data[PROFILES_KEY]);
+    this.updateProfileOptions();
+  }
+
+  updateProfileOptions(): void {
+    this.profileOptions = getInactiveProfileOptions(
+      this.profiles,
+      this.options.defaults
+    );
+  }
+
+  async saveProfiles(profiles: Profiles): Promise<void> {
+    this.profiles = profiles;
+    this.updateProfileOptions();
+    await browser.storage.local.set({ [PROFILES_KEY]: profiles });
+  }
+
+  // Saves the options in use as the profile called `name`, and makes it the
+  // active profile.
+  async saveProfile(name: string): Promise<void> {
+    const raw = await browser.storage.sync.get();
+    await this.saveProfiles({
+      active: name,
+      profiles: setProfile(this.profiles.profiles, { name, raw }),
+    });
+  }
+
+  async deleteProfile(name: string): Promise<void> {
+    await this.saveProfiles({
+      active: this.profiles.active === name ? undefined : this.profiles.active,
+      profiles: this.profiles.profiles.filter(
+        (profile) => profile.name !== name
+      ),
+    });
+  }
+
+  // Saves the options in use into the active profile (or a new default profile
+  // if there is none, so they aren’t lost), and replaces them with the options
+  // of the profile called `name`.
+  async switchProfile(name: string): Promise<void> {
+    const { active } = this.profiles;
+    const profile = this.profiles.profiles.find(
+      (profile2) => profile2.name === name
+    );
+    if (profile === undefined || name === active) {
+      return;
+    }
+
+    try {
+      await this.recordOptionsSnapshot("Profile");
+      const raw = await browser.storage.sync.get();
+      const profiles = setProfile(this.profiles.profiles, {
+        name: active ?? DEFAULT_PROFILE_NAME,
+        raw,
+      });
+      await browser.storage.sync.clear();
+      await browser.storage.sync.set(profile.raw);
+      await this.saveProfiles({ active: name, profiles });
+      await this.updateOptions();
+    } catch (errorAny) {
+      const error = errorAny as Error;
+      this.options.errors = [error.message];
+    }
+    this.updateTabsAfterOptionsChange();
+  }
+
+  async switchToNextProfile(): Promise<void> {
+    const { active, profiles } = this.profiles;
+    if (profiles.length === 0) {
+      return;
+    }
+    const index = profiles.findIndex((profile) => profile.name === active);
+    await this.switchProfile(profiles[(index + 1) % profiles.length].name);
+  }
+
+  recordUsage(tabState: TabState, match: ElementWithHint): void {
+    const origin = getOrigin(tabState.frameUrls.get(TOP_FRAME_ID));
+    if (
+      !this.getTabOptions(tabState).adaptiveWeights ||
+      tabState.isIncognito ||
+      origin === undefined
+    ) {
+      return;
+    }
+
+    this.usageHistory = recordUsage(this.usageHistory, {
+      origin,
+      signature: getElementSignature(match),
+      now: Date.now(),
+    });
+
+    if (this.usageHistorySaveTimeoutId === undefined) {
+      this.usageHistorySaveTimeoutId = setTimeout(() => {
+        this.usageHistorySaveTimeoutId = undefined;
+        fireAndForget(
+          browser.storage.local.set({
+            [USAGE_HISTORY_KEY]: this.usageHistory,
+          }),
+          "BackgroundProgram#recordUsage"
+        );
+      }, t.USAGE_HISTORY_SAVE_DELAY.value);
+    }
+  }
+
   async restoreTabsPerf(): Promise<void> {
     if (!PROD) {
       try {
@@ -2325,6 +4067,8 @@ function makeEmptyTabState(tabId: number | undefined): TabState {
     perf: [],
     isOptionsPage: false,
     isPinned: false,
+    isIncognito: true,
+    frameUrls: new Map(),
   };
 
   if (tabId !== undefined) {
@@ -2339,6 +4083,7 @@ function makeEmptyTabState(tabId: number | undefined): TabState {
       .get(tabId)
       .then((tab) => {
         tabState.isPinned = tab.pinned;
+        tabState.isIncognito = tab.incognito;
       })
       .catch((error) => {
         log("error", "makeEmptyTabState", `Failed to get tab ${tabId}.`, error);
@@ -2359,6 +4104,66 @@ const CLICK_TYPES: ElementTypes = [
 
 const TAB_TYPES: ElementTypes = ["link"];
 
+const COPY_TYPES: ElementTypes = ["link"];
+
+// Menus opening on hover are usually triggered by links, buttons or elements
+// with event listeners.
+const HOVER_TYPES: ElementTypes = [
+  "clickable",
+  "clickable-event",
+  "label",
+  "link",
+];
+
+const CONTEXT_MENU_TYPES: ElementTypes = [
+  "clickable",
+  "clickable-event",
+  "link",
+  "textarea",
+];
+
+const MIDDLE_CLICK_TYPES: ElementTypes = [
+  "clickable",
+  "clickable-event",
+  "link",
+];
+
+// Modes where holding alt while activating a hint does _not_ open the link in
+// a new tab. Private window links must never end up in a regular tab.
+const NO_ALT_TAB_MODES = new Set<HintsMode>([
+  "ContextMenu",
+  "Copy",
+  "DoubleClick",
+  "Hover",
+  "ManyCopy",
+  "ManyPrivateWindow",
+  "PrivateWindow",
+  "Select",
+  "Word",
+]);
+
+// Modes that activate a single link and exit, where URL rules can force the
+// link to be opened in a certain way instead. The other modes keep their own
+// semantics, such as the "Many" modes staying in hints mode.
+const URL_RULE_ROUTED_MODES = new Set<HintsMode>([
+  "BackgroundTab",
+  "Click",
+  "ForegroundTab",
+  "NewWindow",
+  "Search",
+]);
+
+function getForcedMode(open: UrlRuleOpen): HintsMode | undefined {
+  switch (open) {
+    case "backgroundTab":
+      return "BackgroundTab";
+    case "newWindow":
+      return "NewWindow";
+    case "mode":
+      return undefined;
+  }
+}
+
 function getElementTypes(mode: HintsMode): ElementTypes {
   switch (mode) {
     case "Click":
@@ -2378,6 +4183,44 @@ function getElementTypes(mode: HintsMode): ElementTypes {
 
     case "Select":
       return "selectable";
+
+    case "Word":
+      return "words";
+
+    case "Search":
+      return CLICK_TYPES;
+
+    case "Copy":
+      return COPY_TYPES;
+
+    case "ManyCopy":
+      return COPY_TYPES;
+
+    case "NewWindow":
+      return TAB_TYPES;
+
+    case "PrivateWindow":
+      return TAB_TYPES;
+
+    case "ManyNewWindow":
+      return TAB_TYPES;
+
+    case "ManyPrivateWindow":
+      return TAB_TYPES;
+
+    case "Hover":
+      return HOVER_TYPES;
+
+    case "ContextMenu":
+      return CONTEXT_MENU_TYPES;
+
+    // Double-click-to-edit widgets are often plain text, so use the same
+    // elements as when selecting.
+    case "DoubleClick":
+      return "selectable";
+
+    case "MiddleClick":
+      return MIDDLE_CLICK_TYPES;
   }
 }
 
@@ -2407,6 +4250,43 @@ function getCombiningUrl(
 
     case "Select":
       return undefined;
+
+    case "Word":
+      return undefined;
+
+    // Results outside the viewport are listed one by one.
+    case "Search":
+      return undefined;
+
+    case "Copy":
+      return element.url;
+
+    case "ManyCopy":
+      return element.url;
+
+    case "NewWindow":
+      return element.url;
+
+    case "PrivateWindow":
+      return element.url;
+
+    case "ManyNewWindow":
+      return element.url;
+
+    case "ManyPrivateWindow":
+      return element.url;
+
+    case "Hover":
+      return undefined;
+
+    case "ContextMenu":
+      return undefined;
+
+    case "DoubleClick":
+      return undefined;
+
+    case "MiddleClick":
+      return element.url;
   }
 }
 
@@ -2479,6 +4359,20 @@ function firefoxWorkaround(tabs: Array<browser.tabs.Tab>): void {
   }
 }
 
+// Like `addListener`, but passes on the returned promise, which is the response
+// to the sender.
+function addExternalMessageListener(
+  listener: (
+    message: unknown,
+    sender: browser.runtime.MessageSender
+  ) => Promise<ToExternal>
+): () => void {
+  browser.runtime.onMessageExternal.addListener(listener);
+  return () => {
+    browser.runtime.onMessageExternal.removeListener(listener);
+  };
+}
+
 async function getCurrentTab(): Promise<browser.tabs.Tab> {
   const tabs = await browser.tabs.query({
     active: true,
@@ -2493,21 +4387,36 @@ async function getCurrentTab(): Promise<browser.tabs.Tab> {
 }
 
 // Open a bunch of tabs, and then focus the first of them.
-async function openNewTabs(tabId: number, urls: Array<string>): Promise<void> {
+async function openNewTabs(
+  tabId: number,
+  urls: Array<string>,
+  { background }: { background: boolean }
+): Promise<void> {
   const newTabs = await Promise.all(
     urls.map((url) =>
       browser.tabs.create({
-        active: urls.length === 1,
+        active: !background && urls.length === 1,
         url,
         openerTabId: tabId,
       })
     )
   );
-  if (newTabs.length >= 2 && newTabs[0].id !== undefined) {
+  if (!background && newTabs.length >= 2 && newTabs[0].id !== undefined) {
     await browser.tabs.update(newTabs[0].id, { active: true });
   }
 }
 
+// Open all `urls` as tabs in a single new window.
+async function openWindow(
+  urls: Array<string>,
+  { incognito }: { incognito: boolean }
+): Promise<void> {
+  await browser.windows.create({
+    url: urls,
+    incognito,
+  });
+}
+
 // Open a bunch of windows, and then focus the first of them.
 async function openNewWindows(urls: Array<string>): Promise<void> {
   const newWindows = await Promise.all(
@@ -2554,9 +4463,34 @@ function comparePositions(a: HintMeasurements, b: HintMeasurements): number {
   return a.x - b.x || a.y - b.y;
 }
 
-function getBadgeText(hintsState: HintsState): string {
+// The cell chosen last in grid mode, or the whole viewport.
+function getGridArea(hintsState: HintsState): Box | undefined {
+  return hintsState.type === "Grid" && hintsState.areas.length > 0
+    ? hintsState.areas[hintsState.areas.length - 1]
+    : undefined;
+}
+
+function getShortcutsMode(hintsState: HintsState): ShortcutsMode | undefined {
+  switch (hintsState.type) {
+    case "Idle":
+    case "Collecting":
+      return undefined;
+
+    case "Hinting":
+      return hintsState.mode;
+
+    case "Grid":
+      return "Grid";
+  }
+}
+
+function getBadgeText(
+  hintsState: HintsState,
+  { fuzzy }: { fuzzy: boolean }
+): string {
   switch (hintsState.type) {
     case "Idle":
+    case "Grid":
       return "";
 
     case "Collecting":
@@ -2571,13 +4505,17 @@ function getBadgeText(hintsState: HintsState): string {
 
     case "Hinting": {
       const { enteredChars, enteredText } = hintsState;
-      const words = splitEnteredText(enteredText);
+      const parsedText = splitEnteredText(enteredText);
+      // Count the same elements as `updateHints` shows.
       return hintsState.elementsWithHints
         .filter(
           (element) =>
             // "Hidden" elements have been removed from the DOM or moved off-screen.
             !element.hidden &&
-            matchesText(element.text, words) &&
+            matchShownElement(element, parsedText, {
+              fuzzy,
+              hasEnteredText: enteredText !== "",
+            }) !== undefined &&
             element.hint.startsWith(enteredChars)
         )
         .length.toString();
@@ -2622,13 +4560,60 @@ function combineByHref(
     .concat(rest);
 }
 
+// Elements outside the viewport (search hints mode) get hints when filtering
+// by text (see `updateHints`), so they don’t make the other hints longer.
+export function assignInitialHints(
+  elements: Array<ElementWithHint>,
+  {
+    mode,
+    chars,
+    hintLabels,
+    keyTranslations,
+  }: {
+    mode: HintsMode;
+    chars: string;
+    hintLabels: HintLabelStrategy;
+    keyTranslations: KeyTranslations;
+  }
+): Array<ElementWithHint> {
+  const [onscreen, offscreen] = partition(
+    elements,
+    (element) => !element.offscreen
+  );
+  return (
+    assignHints(onscreen, {
+      mode,
+      chars,
+      hintLabels,
+      keyTranslations,
+      hasEnteredText: false,
+    })
+      .concat(offscreen)
+      // `.index` was set to `-1` in "ReportVisibleElements" (and to a temporary
+      // index in `maybeStartHinting`). Now set it for real to map these
+      // elements to DOM elements in RendererProgram.
+      .map((element, index) => ({ ...element, index }))
+  );
+}
+
 function assignHints(
   passedElements: Array<ElementWithHint>,
   {
     mode,
     chars,
+    hintLabels,
+    keyTranslations,
     hasEnteredText,
-  }: { mode: HintsMode; chars: string; hasEnteredText: boolean }
+    textScores = new Map(),
+  }: {
+    mode: HintsMode;
+    chars: string;
+    hintLabels: HintLabelStrategy;
+    keyTranslations: KeyTranslations;
+    hasEnteredText: boolean;
+    // Fuzzy match scores by element index.
+    textScores?: Map<number, number>;
+  }
 ): Array<ElementWithHint> {
   const largestTextWeight = hasEnteredText
     ? Math.max(1, ...passedElements.map((element) => element.textWeight))
@@ -2640,10 +4625,16 @@ function assignHints(
       ...element,
       // When filtering by text, give better hints to elements with shorter
       // text. The more of the text that is matched, the more likely to be what
-      // the user is looking for.
-      weight: hasEnteredText
-        ? largestTextWeight - element.textWeight + 1
-        : element.hintMeasurements.weight,
+      // the user is looking for. When fuzzy matching, the match score comes
+      // first, and the text weight only breaks ties.
+      weight:
+        (hasEnteredText
+          ? (textScores.get(element.index) ?? 0) +
+            (largestTextWeight - element.textWeight + 1) /
+              (textScores.size > 0 ? largestTextWeight + 1 : 1)
+          : element.hintMeasurements.weight) *
+        // Elements activated often before get better hints.
+        (1 + Math.min(element.usageCount, t.ADAPTIVE_WEIGHT_MAX_BOOST.value)),
       // This is set to the real thing below.
       hint: "",
     }))
@@ -2669,20 +4660,29 @@ function assignHints(
 
   const combined = combineByHref(elements, mode);
 
-  const tree = huffman.createTree(combined, chars.length, {
-    // Even though we sorted `elements` above, `combined` might not be sorted.
-    sorted: false,
-  });
+  // Even though we sorted `elements` above, `combined` might not be sorted.
+  // The labelers don’t rely on the order.
+  const labels = labelWithMarks(
+    HINT_LABELERS[hintLabels],
+    combined.map((item) => item.weight),
+    combined.map((item) =>
+      item instanceof Combined
+        ? item.children.find((child) => child.mark !== undefined)?.mark
+        : item.mark
+    ),
+    chars,
+    keyTranslations
+  );
 
-  tree.assignCodeWords(chars, (item, codeWord) => {
+  for (const [index, item] of combined.entries()) {
     if (item instanceof Combined) {
       for (const child of item.children) {
-        child.hint = codeWord;
+        child.hint = labels[index];
       }
     } else {
-      item.hint = codeWord;
+      item.hint = labels[index];
     }
-  });
+  }
 
   return elements;
 }
@@ -2705,17 +4705,22 @@ function updateChars(chars: string, input: HintInput): string {
       return chars;
     case "Backspace":
       return chars.slice(0, -1);
+    case "Label":
+      return input.hint;
   }
 }
 
-function updateHints({
+export function updateHints({
   mode,
   enteredChars,
   enteredText,
   elementsWithHints: passedElementsWithHints,
   highlighted,
   chars,
+  hintLabels,
+  keyTranslations,
   autoActivate: autoActivateOption,
+  fuzzy,
   matchHighlighted,
   updateMeasurements,
 }: {
@@ -2725,7 +4730,10 @@ function updateHints({
   elementsWithHints: Array<ElementWithHint>;
   highlighted: Highlighted;
   chars: string;
+  hintLabels: HintLabelStrategy;
+  keyTranslations: KeyTranslations;
   autoActivate: boolean;
+  fuzzy: boolean;
   matchHighlighted: boolean;
   updateMeasurements: boolean;
 }): {
@@ -2735,23 +4743,37 @@ function updateHints({
     | { elementWithHint: ElementWithHint; autoActivated: boolean }
     | undefined;
   updates: Array<HintUpdate>;
-  words: Array<string>;
+  parsedText: EnteredText;
 } {
   const hasEnteredText = enteredText !== "";
   const hasEnteredTextOnly = hasEnteredText && enteredChars === "";
-  const words = splitEnteredText(enteredText);
+  const parsedText = splitEnteredText(enteredText);
 
-  // Filter away elements/hints not matching by text.
+  // Filter away elements/hints not matching by text. Fuzzy matches are also
+  // scored, to rank the best matches first.
+  const textScores = new Map<number, number>();
   const [matching, nonMatching] = partition(
     passedElementsWithHints,
-    (element) => matchesText(element.text, words)
+    (element) => {
+      const textMatch = matchShownElement(element, parsedText, {
+        fuzzy,
+        hasEnteredText,
+      });
+      if (textMatch !== undefined && fuzzy) {
+        textScores.set(element.index, textMatch.score);
+      }
+      return textMatch !== undefined;
+    }
   );
 
   // Update the hints after the above filtering.
   const elementsWithHintsAndMaybeHidden = assignHints(matching, {
     mode,
     chars,
+    hintLabels,
+    keyTranslations,
     hasEnteredText,
+    textScores,
   });
 
   // Filter away elements that have become hidden _after_ assigning hints, so
@@ -2801,6 +4823,7 @@ function updateHints({
             order: index,
             hint: element.hint,
             hintMeasurements: element.hintMeasurements,
+            offscreenText: getOffscreenText(element),
             highlighted: isHighlighted,
             hidden: element.hidden || !matches,
           }
@@ -2847,10 +4870,58 @@ function updateHints({
             autoActivated: autoActivate,
           },
     updates,
-    words,
+    parsedText,
   };
 }
 
+// Returns a match if the text of `element` matches all words and the element
+// passes all filters.
+// Elements outside the viewport only show up as search results, once some
+// text has been entered.
+function matchShownElement(
+  element: ElementWithHint,
+  parsedText: EnteredText,
+  { fuzzy, hasEnteredText }: { fuzzy: boolean; hasEnteredText: boolean }
+): TextMatch | undefined {
+  return element.offscreen && !hasEnteredText
+    ? undefined
+    : matchElement(element, parsedText, { fuzzy });
+}
+
+function matchElement(
+  element: ElementWithHint,
+  { words, filters }: EnteredText,
+  { fuzzy }: { fuzzy: boolean }
+): TextMatch | undefined {
+  return filters.every((filter) => matchesTextFilter(element, filter))
+    ? matchText(element.text, words, { fuzzy })
+    : undefined;
+}
+
+function matchesTextFilter(
+  element: ElementWithHint,
+  { kind, value }: TextFilter
+): boolean {
+  switch (kind) {
+    case "url":
+      return element.url?.toLowerCase().includes(value) === true;
+
+    case "type":
+      return element.type.startsWith(value);
+
+    case "attribute":
+      return element.attributes.some((attribute) =>
+        attribute.toLowerCase().includes(value)
+      );
+  }
+}
+
+function getOffscreenText(element: ElementWithHint): string | undefined {
+  return element.offscreen
+    ? element.text.replace(/\s+/g, " ").trim()
+    : undefined;
+}
+
 function mergeElements(
   elementsWithHints: Array<ElementWithHint>,
   updates: Array<ElementReport>,
@@ -2885,17 +4956,16 @@ function mergeElements(
       textContent: update.textContent,
       // Keep the original text weight so that hints don't change.
       textWeight: element.textWeight,
+      attributes: update.attributes,
       isTextInput: update.isTextInput,
       hasClickListener: update.hasClickListener,
+      offscreen: update.offscreen,
       frame: element.frame,
       hidden: false,
       weight: element.weight,
       hint: element.hint,
+      usageCount: element.usageCount,
+      mark: element.mark,
     };
   });
 }
-
-function matchesText(passedText: string, words: Array<string>): boolean {
-  const text = passedText.toLowerCase();
-  return words.every((word) => text.includes(word));
-}
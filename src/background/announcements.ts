@@ -0,0 +1,126 @@
+import type { ElementType, ElementWithHint } from "../shared/hints";
+import type { HintsMode } from "../shared/keyboard";
+
+// Screen readers read these out through a live region in the renderer (see
+// the `announcements` option). They should be short, since a new announcement
+// interrupts the previous one.
+
+// Element texts can be very long, such as for whole paragraphs in the Select
+// hints mode.
+const MAX_TEXT_LENGTH = 80;
+
+export function announceHintsMode(mode: HintsMode, numHints: number): string {
+  return `${describeHintsMode(mode)} hints mode. ${describeNumHints(
+    numHints
+  )}.`;
+}
+
+export function announceTextFilter(
+  enteredText: string,
+  numHints: number,
+  // The element that Enter activates, if any.
+  highlighted: ElementWithHint | undefined
+): string {
+  const text = enteredText.trim();
+  return [
+    text === ""
+      ? `${describeNumHints(numHints)}.`
+      : `${describeNumHints(numHints)} matching “${text}”.`,
+    highlighted === undefined
+      ? undefined
+      : `Enter activates ${describeElement(highlighted)}.`,
+  ]
+    .filter((part) => part !== undefined)
+    .join(" ");
+}
+
+export function announceHintChars(numHints: number): string {
+  return `${describeNumHints(numHints)} left.`;
+}
+
+export function announceActivation(element: ElementWithHint): string {
+  return `Activated ${describeElement(element)}.`;
+}
+
+function describeNumHints(numHints: number): string {
+  return numHints === 0
+    ? "No hints"
+    : numHints === 1
+    ? "1 hint"
+    : `${numHints} hints`;
+}
+
+function describeElement(element: ElementWithHint): string {
+  const text =
+    [element.text, ...element.attributes, element.url ?? ""]
+      .map((item) => item.trim())
+      .find((item) => item !== "") ?? "";
+  const type = describeElementType(element.type);
+  return text === ""
+    ? type
+    : `${type} “${
+        text.length > MAX_TEXT_LENGTH
+          ? `${text.slice(0, MAX_TEXT_LENGTH)}…`
+          : text
+      }”`;
+}
+
+function describeElementType(type: ElementType): string {
+  switch (type) {
+    case "clickable":
+      return "clickable element";
+    case "clickable-event":
+      return "clickable element";
+    case "label":
+      return "label";
+    case "link":
+      return "link";
+    case "scrollable":
+      return "scrollable area";
+    case "selectable":
+      return "text";
+    case "textarea":
+      return "text field";
+  }
+}
+
+function describeHintsMode(mode: HintsMode): string {
+  switch (mode) {
+    case "BackgroundTab":
+      return "Background tab";
+    case "Click":
+      return "Click";
+    case "ContextMenu":
+      return "Context menu";
+    case "Copy":
+      return "Copy";
+    case "DoubleClick":
+      return "Double click";
+    case "ForegroundTab":
+      return "Foreground tab";
+    case "Hover":
+      return "Hover";
+    case "ManyClick":
+      return "Click many";
+    case "ManyCopy":
+      return "Copy many";
+    case "ManyNewWindow":
+      return "Many new windows";
+    case "ManyPrivateWindow":
+      return "Many private windows";
+    case "ManyTab":
+      return "Many tabs";
+    case "MiddleClick":
+      return "Middle click";
+    case "NewWindow":
+      return "New window";
+    case "PrivateWindow":
+      return "Private window";
+    case "Search":
+      return "Search";
+    case "Select":
+      return "Select";
+    case "Word":
+      return "Select word";
+  }
+}
@@ -0,0 +1,78 @@
+import type { GridCell } from "../shared/hints";
+import type { Box } from "../shared/main";
+
+// Cells are allowed to be at most twice as wide as high, or the other way
+// around.
+const MAX_SKEW = Math.log(2);
+
+type Layout = {
+  columns: number;
+  rows: number;
+  skew: number;
+};
+
+// Splits `area` into a grid of cells labelled with one character of `chars`
+// each, row by row. As many characters as possible are used, while keeping
+// the cells roughly square and at least `minCellSize` pixels wide and high.
+export function makeGrid(
+  area: Box,
+  chars: string,
+  minCellSize: number
+): Array<GridCell> {
+  const labels = Array.from(chars);
+  const maxColumns = Math.max(1, Math.floor(area.width / minCellSize));
+  const maxRows = Math.max(1, Math.floor(area.height / minCellSize));
+
+  let best: Layout = { columns: 1, rows: 1, skew: Infinity };
+  for (let columns = 1; columns <= maxColumns; columns++) {
+    for (let rows = 1; rows <= maxRows; rows++) {
+      if (columns * rows > labels.length) {
+        break;
+      }
+      const layout = {
+        columns,
+        rows,
+        // How far from square the cells are.
+        skew: Math.abs(Math.log((area.width * rows) / (area.height * columns))),
+      };
+      if (isBetterLayout(layout, best)) {
+        best = layout;
+      }
+    }
+  }
+
+  const { columns, rows } = best;
+  const width = area.width / columns;
+  const height = area.height / rows;
+
+  return Array.from({ length: columns * rows }, (_, index) => ({
+    label: labels[index],
+    box: {
+      x: area.x + (index % columns) * width,
+      y: area.y + Math.floor(index / columns) * height,
+      width,
+      height,
+    },
+  }));
+}
+
+// Prefer more cells, as long as they are square enough. If no layout is,
+// prefer the squarest one.
+function isBetterLayout(a: Layout, b: Layout): boolean {
+  const aOk = a.skew <= MAX_SKEW;
+  const bOk = b.skew <= MAX_SKEW;
+  const aCount = a.columns * a.rows;
+  const bCount = b.columns * b.rows;
+  return aOk !== bOk
+    ? aOk
+    : aOk
+    ? aCount > bCount || (aCount === bCount && a.skew < b.skew)
+    : a.skew < b.skew || (a.skew === b.skew && aCount > bCount);
+}
+
+export function getCenter(box: Box): { x: number; y: number } {
+  return {
+    x: Math.round(box.x + box.width / 2),
+    y: Math.round(box.y + box.height / 2),
+  };
+}
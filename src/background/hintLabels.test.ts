@@ -0,0 +1,91 @@
+import assert from "assert";
+
+import {
+  EN_US_QWERTY_TRANSLATIONS,
+  KEYBOARD_LAYOUTS,
+  KeyTranslations,
+} from "../shared/keyboard";
+import {
+  fixedLengthLabels,
+  getHintChars,
+  HINT_LABELERS,
+  homeRowLabels,
+  huffmanLabels,
+  labelWithMarks,
+  NUMERIC_HINT_CHARS,
+} from "./hintLabels";
+
+const WEIGHTS = [1, 5, 3, 3, 2];
+
+const QWERTY = EN_US_QWERTY_TRANSLATIONS;
+
+const DVORAK: KeyTranslations =
+  KEYBOARD_LAYOUTS.find((layout) => layout.name === "Dvorak")
+    ?.keyTranslations ?? {};
+
+assert.deepStrictEqual(
+  huffmanLabels(WEIGHTS, "abc"),
+  ["ac", "b", "c", "aa", "ab"],
+  "huffmanLabels"
+);
+
+assert.deepStrictEqual(
+  fixedLengthLabels(WEIGHTS, "abc"),
+  ["bb", "aa", "ba", "ca", "ab"],
+  "fixedLengthLabels"
+);
+
+// “u” is off the home row, and “s”, “d” and “f” are all typed by the left hand,
+// so every label costs at least 1.
+assert.deepStrictEqual(
+  homeRowLabels(WEIGHTS, "sdfu", QWERTY),
+  ["dd", "ss", "ds", "fs", "sd"],
+  "homeRowLabels"
+);
+
+// In Dvorak, “o” and “h” are on the home row (left and right hand), and “p” is
+// above it (left hand). In QWERTY, only “h” is on the home row.
+assert.deepStrictEqual(
+  homeRowLabels(WEIGHTS, "ohp", DVORAK),
+  ["hp", "ho", "oh", "oo", "hh"],
+  "homeRowLabels Dvorak"
+);
+
+assert.deepStrictEqual(
+  homeRowLabels(WEIGHTS, "ohp", QWERTY),
+  ["hph", "hhh", "hoh", "hho", "hhp"],
+  "homeRowLabels QWERTY"
+);
+
+assert.deepStrictEqual(
+  HINT_LABELERS.numeric([1, 2, 3], getHintChars("numeric", "abc"), QWERTY),
+  ["3", "2", "1"],
+  "numeric"
+);
+
+// No other label may start with the mark.
+assert.deepStrictEqual(
+  labelWithMarks(
+    fixedLengthLabels,
+    WEIGHTS,
+    [undefined, undefined, "a", undefined, undefined],
+    "abc",
+    QWERTY
+  ),
+  ["cb", "ba", "a", "ca", "bb"],
+  "labelWithMarks"
+);
+
+// Marks that can’t be typed with the hint characters, such as letter marks
+// with the "numeric" strategy, are ignored.
+assert.deepStrictEqual(
+  labelWithMarks(
+    HINT_LABELERS.numeric,
+    WEIGHTS,
+    [undefined, "a", undefined, "1", undefined],
+    NUMERIC_HINT_CHARS,
+    QWERTY
+  ),
+  ["5", "2", "3", "1", "4"],
+  "labelWithMarks numeric"
+);
@@ -0,0 +1,331 @@
+import huffman from "n-ary-huffman";
+
+import type { KeyTranslations } from "../shared/keyboard";
+import { labelsConflict } from "../shared/marks";
+import type { HintLabelStrategy } from "../shared/options";
+
+// A hint labeler gets the weight of each item to label (a higher weight means
+// more important) and returns one label per item, in the same order. The labels
+// must be prefix-free – no label may be the start of another one – since a hint
+// is activated as soon as its whole label has been typed. `keyTranslations`
+// tell where on the keyboard the characters are.
+export type HintLabeler = (
+  weights: Array<number>,
+  chars: string,
+  keyTranslations: KeyTranslations
+) => Array<string>;
+
+// The "numeric" strategy uses these instead of the hint characters, leaving
+// all letters for filtering by text. This means that marks made with letters
+// are ignored by `labelWithMarks` in that strategy (and marks made with digits
+// are ignored in the others, unless digits are among the hint characters).
+export const NUMERIC_HINT_CHARS = "1234567890";
+
+export const HINT_LABELERS: { [key in HintLabelStrategy]: HintLabeler } = {
+  huffman: huffmanLabels,
+  fixed: fixedLengthLabels,
+  homeRow: homeRowLabels,
+  numeric: huffmanLabels,
+};
+
+export function getHintChars(
+  strategy: HintLabelStrategy,
+  chars: string
+): string {
+  return strategy === "numeric" ? NUMERIC_HINT_CHARS : chars;
+}
+
+// How many times `labelWithMarks` tries to generate enough labels that don’t
+// conflict with the marks before giving up on the marks.
+const MAX_MARK_ROUNDS = 5;
+
+// Like `labeler`, but items with a mark (a label chosen by the user) get the
+// mark as label. Generated labels that conflict with a mark are skipped, and
+// the items that would have gotten them get other labels instead. Marks that
+// can’t be typed using `chars` or that conflict with an earlier mark are
+// ignored.
+export function labelWithMarks(
+  labeler: HintLabeler,
+  weights: Array<number>,
+  marks: Array<string | undefined>,
+  chars: string,
+  keyTranslations: KeyTranslations
+): Array<string> {
+  const usedMarks: Array<string> = [];
+  const result = weights.map((_, index) => {
+    const mark = marks[index];
+    if (
+      mark === undefined ||
+      mark === "" ||
+      !Array.from(mark).every((char) => chars.includes(char)) ||
+      usedMarks.some((usedMark) => labelsConflict(usedMark, mark))
+    ) {
+      return "";
+    }
+    usedMarks.push(mark);
+    return mark;
+  });
+
+  if (usedMarks.length === 0) {
+    return labeler(weights, chars, keyTranslations);
+  }
+
+  const unmarked = weights
+    .map((weight, index) => ({ weight, index }))
+    .filter(({ index }) => result[index] === "")
+    .sort((a, b) =>
+      a.weight !== b.weight ? b.weight - a.weight : a.index - b.index
+    );
+
+  // Generate labels for some extra items with no weight, to have labels to
+  // use instead of the ones that conflict with the marks.
+  let numExtra = 0;
+  for (let round = 0; round < MAX_MARK_ROUNDS; round++) {
+    // Since `unmarked` is sorted by weight, the labels are too.
+    const allWeights = unmarked
+      .map(({ weight }) => weight)
+      .concat(new Array<number>(numExtra).fill(0));
+    const available = labeler(allWeights, chars, keyTranslations).filter(
+      (label) => usedMarks.every((mark) => !labelsConflict(mark, label))
+    );
+
+    if (available.length >= unmarked.length) {
+      for (const [order, { index }] of unmarked.entries()) {
+        result[index] = available[order];
+      }
+      return result;
+    }
+
+    numExtra = numExtra * 2 + (unmarked.length - available.length);
+  }
+
+  return labeler(weights, chars, keyTranslations);
+}
+
+// Labels of varying length: The more weight, the shorter the label.
+export function huffmanLabels(
+  weights: Array<number>,
+  chars: string
+): Array<string> {
+  const labels = weights.map(() => "");
+  const items = weights.map((weight, index) => ({ weight, index }));
+
+  const tree = huffman.createTree(items, chars.length, { sorted: false });
+
+  tree.assignCodeWords(chars, (item, codeWord) => {
+    labels[item.index] = codeWord;
+  });
+
+  return labels;
+}
+
+// All labels have the same length, like in Vimium. The first character varies
+// the fastest, so that typing one character narrows down the hints as much as
+// possible.
+export function fixedLengthLabels(
+  weights: Array<number>,
+  chars: string
+): Array<string> {
+  const length = getLabelLength(weights.length, chars.length, chars.length);
+
+  const labels = weights.map((_, index) => {
+    let label = "";
+    let rest = index;
+    for (let position = 0; position < length; position++) {
+      label += chars[rest % chars.length];
+      rest = Math.floor(rest / chars.length);
+    }
+    return label;
+  });
+
+  return assignByWeight(weights, labels);
+}
+
+// Physical keys, by `KeyboardEvent.code`. `keyTranslations` tell which
+// characters they produce in the user’s layout.
+const HOME_ROW_CODES = new Set([
+  "KeyA",
+  "KeyS",
+  "KeyD",
+  "KeyF",
+  "KeyG",
+  "KeyH",
+  "KeyJ",
+  "KeyK",
+  "KeyL",
+  "Semicolon",
+]);
+const LEFT_HAND_CODES = new Set([
+  "Backquote",
+  "Digit1",
+  "Digit2",
+  "Digit3",
+  "Digit4",
+  "Digit5",
+  "KeyQ",
+  "KeyW",
+  "KeyE",
+  "KeyR",
+  "KeyT",
+  "KeyA",
+  "KeyS",
+  "KeyD",
+  "KeyF",
+  "KeyG",
+  "IntlBackslash",
+  "KeyZ",
+  "KeyX",
+  "KeyC",
+  "KeyV",
+  "KeyB",
+]);
+
+type KeyPosition = {
+  homeRow: boolean;
+  // `undefined` for characters not in the layout.
+  leftHand: boolean | undefined;
+};
+
+// All labels have the same length and start with a home row character.
+// Labels with fewer characters off the home row, and with fewer characters in a
+// row typed by the same hand, are given to the elements with the most weight.
+export function homeRowLabels(
+  weights: Array<number>,
+  chars: string,
+  keyTranslations: KeyTranslations
+): Array<string> {
+  const positions = getKeyPositions(keyTranslations);
+  const getPosition = (char: string): KeyPosition =>
+    positions.get(char) ?? { homeRow: false, leftHand: undefined };
+  // The cost of typing `char` right after `previous`.
+  const getTransitionCost = (
+    previous: string,
+    char: string | undefined
+  ): number => {
+    if (char === undefined) {
+      return 0;
+    }
+    const { homeRow, leftHand } = getPosition(char);
+    return (
+      (homeRow ? 0 : 2) +
+      (leftHand !== undefined && leftHand === getPosition(previous).leftHand
+        ? 1
+        : 0)
+    );
+  };
+
+  const allChars = Array.from(chars);
+  const homeRowChars = allChars.filter((char) => getPosition(char).homeRow);
+  const firstChars = homeRowChars.length > 0 ? homeRowChars : allChars;
+
+  const length = getLabelLength(
+    weights.length,
+    firstChars.length,
+    allChars.length
+  );
+
+  // Generate labels one cost at a time, cheapest first, until there are
+  // enough. Within a cost, the labels come in the same order as in
+  // `fixedLengthLabels`: The first character varies the fastest. Costs only
+  // grow as characters are added, so suffixes that already cost too much are
+  // skipped.
+  const labels: Array<string> = [];
+  const visit = (suffix: string, suffixCost: number, maxCost: number): void => {
+    if (suffixCost > maxCost || labels.length >= weights.length) {
+      return;
+    }
+    if (suffix.length === length - 1) {
+      for (const char of firstChars) {
+        if (
+          suffixCost + getTransitionCost(char, suffix[0]) === maxCost &&
+          labels.length < weights.length
+        ) {
+          labels.push(`${char}${suffix}`);
+        }
+      }
+      return;
+    }
+    for (const char of allChars) {
+      visit(
+        `${suffix}${char}`,
+        suffixCost +
+          (suffix === ""
+            ? 0
+            : getTransitionCost(suffix[suffix.length - 1], char)),
+        maxCost
+      );
+    }
+  };
+
+  const highestCost = MAX_TRANSITION_COST * (length - 1);
+  for (
+    let cost = 0;
+    cost <= highestCost && labels.length < weights.length;
+    cost++
+  ) {
+    visit("", 0, cost);
+  }
+
+  return assignByWeight(weights, labels);
+}
+
+// The highest cost of typing a character right after another: Off the home row
+// (2) and with the same hand (1). The first character of a label is always on
+// the home row (if possible) and is free.
+const MAX_TRANSITION_COST = 3;
+
+// The unshifted and the shifted character of a key have the same position.
+function getKeyPositions(
+  keyTranslations: KeyTranslations
+): Map<string, KeyPosition> {
+  const positions = new Map<string, KeyPosition>();
+  for (const [code, pair] of Object.entries(keyTranslations)) {
+    const position: KeyPosition = {
+      homeRow: HOME_ROW_CODES.has(code),
+      leftHand: LEFT_HAND_CODES.has(code),
+    };
+    for (const char of pair) {
+      if (!positions.has(char)) {
+        positions.set(char, position);
+      }
+    }
+  }
+  return positions;
+}
+
+// The smallest length for which there are enough labels, given the number of
+// characters to choose from for the first position and the rest.
+function getLabelLength(
+  count: number,
+  numFirstChars: number,
+  numChars: number
+): number {
+  if (numChars < 2) {
+    return 1;
+  }
+  let length = 1;
+  let numLabels = numFirstChars;
+  while (numLabels < count) {
+    length++;
+    numLabels *= numChars;
+  }
+  return length;
+}
+
+// Gives the first labels to the items with the most weight. Items with the same
+// weight keep their order.
+function assignByWeight(
+  weights: Array<number>,
+  labels: Array<string>
+): Array<string> {
+  const result = weights.map(() => "");
+  const indexes = weights
+    .map((weight, index) => ({ weight, index }))
+    .sort((a, b) =>
+      a.weight !== b.weight ? b.weight - a.weight : a.index - b.index
+    );
+  for (const [order, { index }] of indexes.entries()) {
+    result[index] = labels[order];
+  }
+  return result;
+}
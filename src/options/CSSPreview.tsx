@@ -4,6 +4,7 @@ import Shadow from "preact-shadow-root";
 
 import {
   CSS,
+  DARK_CLASS,
   HAS_MATCHED_CHARS_CLASS,
   HIDDEN_CLASS,
   HIGHLIGHTED_HINT_CLASS,
@@ -60,10 +61,12 @@ export default function CSSPreview({
   chars,
   css,
   peek,
+  dark,
 }: {
   chars: string;
   css: string;
   peek: boolean;
+  dark: boolean;
 }): VNode {
   const containerRef = useRef<HTMLDivElement>(null);
   const filterByTextRef = useRef<HTMLDivElement>(null);
@@ -82,7 +85,7 @@ export default function CSSPreview({
     const newTextRects = getTextRects({
       element: filterByTextElement,
       viewports: [],
-      words: new Set(splitEnteredText(ENTERED_TEXT)),
+      words: splitEnteredText(ENTERED_TEXT).words,
       checkElementAtPoint: false,
     }).map((box) => ({
       ...box,
@@ -139,7 +142,7 @@ export default function CSSPreview({
 
   return (
     <div
-      className="Preview"
+      className={classlist("Preview", { "Preview--dark": dark })}
       style={{
         height: HINT_Y_OFFSET * 2 + HINT_Y * (HINT_VARIATIONS.length + 2),
         zIndex: MAX_Z_INDEX,
@@ -158,7 +161,12 @@ export default function CSSPreview({
 
       <div style={{ height: "100%" }} ref={containerRef}>
         <Shadow>
-          <div className={classlist(ROOT_CLASS, { [PEEK_CLASS]: peek })}>
+          <div
+            className={classlist(ROOT_CLASS, {
+              [PEEK_CLASS]: peek,
+              [DARK_CLASS]: dark,
+            })}
+          >
             {hint({
               left: 0,
               top: HINT_Y * (HINT_VARIATIONS.length + 1),
@@ -0,0 +1,92 @@
+import { h, VNode } from "preact";
+
+import { decode } from "../shared/main";
+import { CopyFormat, formatCopyText, Options } from "../shared/options";
+import Attachment from "./Attachment";
+import Field from "./Field";
+import TextInput from "./TextInput";
+
+const FORMATS: Array<{ format: CopyFormat; name: string }> = [
+  { format: "url", name: "Plain URL" },
+  { format: "text", name: "Link text" },
+  { format: "markdown", name: "Markdown" },
+  { format: "html", name: "HTML" },
+  { format: "org", name: "Org-mode" },
+  { format: "custom", name: "Custom template" },
+];
+
+const EXAMPLE = {
+  url: "https://example.com/issues/42",
+  text: "Crash when saving",
+  title: "Issue tracker",
+};
+
+export default function CopyFormats({
+  id,
+  options,
+  defaults,
+  onChange,
+}: {
+  id: string;
+  options: Options;
+  defaults: Options;
+  onChange: (
+    partialOptions: Partial<Pick<Options, "copyFormat" | "copyTemplate">>
+  ) => void;
+}): VNode {
+  return (
+    <Field
+      id={id}
+      label="Copy format"
+      description={
+        <p>
+          How links are copied in the “Copy link” and “Copy many links” modes.
+          The custom template can use <code>{"{url}"}</code>,{" "}
+          <code>{"{text}"}</code> (the link text) and <code>{"{title}"}</code>{" "}
+          (the page title). When copying many links, each link ends up on its
+          own line. Example:{" "}
+          <code>
+            {formatCopyText(options.copyFormat, options.copyTemplate, EXAMPLE)}
+          </code>
+        </p>
+      }
+      changed={options.copyFormat !== defaults.copyFormat}
+      changedRight={options.copyTemplate !== defaults.copyTemplate}
+      render={({ id: fieldId }) => (
+        <div className="Spaced">
+          <select
+            id={fieldId}
+            style={{ flex: "1 1 50%" }}
+            value={options.copyFormat}
+            onChange={(event) => {
+              onChange({
+                copyFormat: decode(CopyFormat, event.currentTarget.value),
+              });
+            }}
+          >
+            {FORMATS.map(({ format, name }) => (
+              <option key={format} value={format}>
+                {name}
+              </option>
+            ))}
+          </select>
+
+          <Attachment label="Custom template" style={{ flex: "1 1 50%" }}>
+            <TextInput
+              style={{ flexGrow: 1 }}
+              disabled={options.copyFormat !== "custom"}
+              placeholder={defaults.copyTemplate}
+              savedValue={options.copyTemplate}
+              normalize={(value) =>
+                value.trim() === "" ? defaults.copyTemplate : value
+              }
+              save={(value) => {
+                onChange({ copyTemplate: value });
+              }}
+            />
+          </Attachment>
+        </div>
+      )}
+    />
+  );
+}
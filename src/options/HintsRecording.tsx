@@ -0,0 +1,468 @@
+// This file is allowed to import the hint assignment functions from the
+// background program, to replay recordings the same way. Thanks to Rollup
+// this does not blow up the bundle size.
+/* eslint-disable import/no-restricted-paths */
+
+import { h, VNode } from "preact";
+import { useEffect, useMemo, useState } from "preact/hooks";
+
+import { assignInitialHints, updateHints } from "../background/Program";
+import type {
+  ElementWithHint,
+  HintMeasurements,
+  HintUpdate,
+} from "../shared/hints";
+import type { HintsMode } from "../shared/keyboard";
+import {
+  addListener,
+  Box,
+  classlist,
+  decode,
+  deepEqual,
+  fireAndForget,
+  partition,
+} from "../shared/main";
+import {
+  decodeRecording,
+  RecordedEvent,
+  Recording,
+  RECORDING_KEY,
+} from "../shared/recording";
+import Field from "./Field";
+import { readAsJson, saveFile, selectFile, toISODateString } from "./files";
+
+type ReplayedHint = {
+  element: ElementWithHint;
+  hintMeasurements: HintMeasurements;
+  matchedChars: string;
+  restChars: string;
+  highlighted: boolean;
+  hidden: boolean;
+};
+
+type ReplayStep = {
+  event: RecordedEvent;
+  enteredChars: string;
+  enteredText: string;
+  hints: Array<ReplayedHint>;
+  // Whether `updateHints` produced the same updates as when recording.
+  // `undefined` for events without updates.
+  matchesRecording: boolean | undefined;
+};
+
+export default function HintsRecording({ id }: { id: string }): VNode {
+  const [recording, setRecording] = useState<Recording | undefined>(undefined);
+  const [stepIndex, setStepIndex] = useState<number>(0);
+  const [openError, setOpenError] = useState<string | undefined>(undefined);
+
+  useEffect(() => {
+    const load = async (): Promise<void> => {
+      const data = await browser.storage.local.get(RECORDING_KEY);
+      setRecording(decodeRecording(data[RECORDING_KEY]));
+    };
+    fireAndForget(load(), "HintsRecording#load");
+
+    return addListener(
+      browser.storage.onChanged,
+      (changes, areaName) => {
+        const change = changes[RECORDING_KEY];
+        if (areaName === "local" && change !== undefined) {
+          setRecording(decodeRecording(change.newValue));
+          setStepIndex(0);
+          setOpenError(undefined);
+        }
+      },
+      "HintsRecording storage.onChanged listener"
+    );
+  }, []);
+
+  const steps = useMemo(
+    () => (recording === undefined ? [] : replay(recording)),
+    [recording]
+  );
+
+  const openFile = async (): Promise<void> => {
+    try {
+      const file = await selectFile("application/json");
+      const data = await readAsJson(file);
+      setRecording(decode(Recording, data));
+      setStepIndex(0);
+      setOpenError(undefined);
+    } catch (errorAny) {
+      const error = errorAny as Error;
+      setOpenError(`The file is invalid: ${error.message}`);
+    }
+  };
+
+  return (
+    <Field
+      id={id}
+      fullWidth
+      label="Hints session recording"
+      span
+      changed={false}
+      description={
+        <p>
+          Reporting a missing or misplaced hint? Click “Record hints session” in
+          the toolbar button popup, and use hints in that tab as usual. When you
+          leave hints mode, the recording shows up here. Export it and attach
+          the file to the issue. Note that it contains the text and URLs of the
+          hinted elements, and the URLs of the frames of the page.
+        </p>
+      }
+      render={() => (
+        <div className="SpacedVertical">
+          <div className="Spaced">
+            <button
+              type="button"
+              disabled={recording === undefined}
+              onClick={() => {
+                if (recording !== undefined) {
+                  saveFile(
+                    `${JSON.stringify(recording, undefined, 2)}\n`,
+                    `${META_SLUG}-recording-${toISODateString(
+                      new Date(recording.timestamp)
+                    )}.json`,
+                    "application/json"
+                  );
+                }
+              }}
+            >
+              Export
+            </button>
+            <button
+              type="button"
+              onClick={() => {
+                fireAndForget(openFile(), "HintsRecording#openFile");
+              }}
+            >
+              Open recording
+            </button>
+          </div>
+
+          {openError !== undefined && <p className="Error">{openError}</p>}
+
+          {recording === undefined ? (
+            <p>No recording yet.</p>
+          ) : (
+            <Replay
+              recording={recording}
+              steps={steps}
+              stepIndex={Math.min(stepIndex, steps.length - 1)}
+              onStepIndexChange={setStepIndex}
+            />
+          )}
+        </div>
+      )}
+    />
+  );
+}
+
+function Replay({
+  recording,
+  steps,
+  stepIndex,
+  onStepIndexChange,
+}: {
+  recording: Recording;
+  steps: Array<ReplayStep>;
+  stepIndex: number;
+  onStepIndexChange: (stepIndex: number) => void;
+}): VNode {
+  const step = steps[stepIndex] as ReplayStep | undefined;
+  const viewport = recording.viewport ?? guessViewport(steps);
+
+  return (
+    <div className="SpacedVertical">
+      <table className="SiteRulesTable TextSmall">
+        <tbody>
+          <tr>
+            <th>Page</th>
+            <td>{recording.url ?? "Unknown"}</td>
+          </tr>
+          <tr>
+            <th>Recorded</th>
+            <td>
+              {new Date(recording.timestamp).toLocaleString()} with version{" "}
+              {recording.version} in {recording.browser ?? "unknown browser"}
+            </td>
+          </tr>
+          <tr>
+            <th>Viewport</th>
+            <td>
+              {Math.round(viewport.width)}×{Math.round(viewport.height)}
+              {recording.viewport === undefined && " (guessed)"}
+            </td>
+          </tr>
+          <tr>
+            <th>Frames</th>
+            <td>
+              {recording.frames
+                .map((frame) => `${frame.id}: ${frame.url ?? "Unknown"}`)
+                .join(", ")}
+            </td>
+          </tr>
+        </tbody>
+      </table>
+
+      {step === undefined ? (
+        <p>The recording has no events.</p>
+      ) : (
+        <div className="SpacedVertical">
+          <div className="Spaced Spaced--center">
+            <select
+              value={stepIndex}
+              onChange={(event) => {
+                onStepIndexChange(Number(event.currentTarget.value));
+              }}
+            >
+              {steps.map((step2, index) => (
+                <option key={index} value={index}>
+                  {index + 1}. {describeEvent(step2.event)}
+                </option>
+              ))}
+            </select>
+            <span className="TextSmall">
+              Entered chars: <code>{step.enteredChars}</code> Entered text:{" "}
+              <code>{step.enteredText}</code>
+            </span>
+          </div>
+
+          {step.matchesRecording !== undefined && (
+            <p
+              className={classlist("TextSmall", {
+                Error: !step.matchesRecording,
+              })}
+            >
+              {step.matchesRecording
+                ? "The replayed hints match the recording."
+                : "The replayed hints differ from the recording."}
+            </p>
+          )}
+
+          <Wireframe viewport={viewport} hints={step.hints} />
+        </div>
+      )}
+    </div>
+  );
+}
+
+function Wireframe({
+  viewport,
+  hints,
+}: {
+  viewport: Box;
+  hints: Array<ReplayedHint>;
+}): VNode {
+  const visible = hints.filter((hint) => !hint.hidden);
+  const [offscreen, onscreen] = partition(
+    visible,
+    (hint) => hint.element.offscreen
+  );
+
+  return (
+    <div className="SpacedVertical">
+      <div
+        className="RecordingWireframe"
+        style={{ paddingTop: `${(viewport.height / viewport.width) * 100}%` }}
+      >
+        {onscreen.map((hint) => (
+          <span
+            key={hint.element.index}
+            className={classlist("RecordingWireframe-hint", {
+              "is-right": hint.hintMeasurements.align === "right",
+              "is-highlighted": hint.highlighted,
+              "is-frame": hint.element.frame.id !== 0,
+            })}
+            style={{
+              left: `${(hint.hintMeasurements.x / viewport.width) * 100}%`,
+              top: `${(hint.hintMeasurements.y / viewport.height) * 100}%`,
+            }}
+            title={describeHint(hint)}
+          >
+            <span className="RecordingWireframe-matched">
+              {hint.matchedChars}
+            </span>
+            {hint.restChars}
+          </span>
+        ))}
+      </div>
+
+      {offscreen.length > 0 && (
+        <ul className="TextSmall">
+          {offscreen.map((hint) => (
+            <li key={hint.element.index} title={describeHint(hint)}>
+              <code>{hint.matchedChars + hint.restChars}</code>{" "}
+              {hint.element.text}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+// Runs the recorded element reports through `assignInitialHints` and
+// `updateHints`, like `BackgroundProgram` does, and applies the resulting
+// updates like `RendererProgram` does.
+function replay(recording: Recording): Array<ReplayStep> {
+  const { chars, hintLabels, keyTranslations } = recording;
+  let mode: HintsMode = "Click";
+  let elements: Array<ElementWithHint> = [];
+  let hints: Array<ReplayedHint> = [];
+  let enteredChars = "";
+  let enteredText = "";
+
+  return recording.events.map((event): ReplayStep => {
+    switch (event.type) {
+      case "Hints":
+        ({ mode } = event);
+        enteredChars = "";
+        enteredText = "";
+        elements = assignInitialHints(event.elements, {
+          mode,
+          chars,
+          hintLabels,
+          keyTranslations,
+        });
+        hints = elements.map((element) => ({
+          element,
+          hintMeasurements: element.hintMeasurements,
+          matchedChars: "",
+          restChars: element.hint,
+          highlighted: false,
+          // Elements outside the viewport only get hints when filtering by
+          // text.
+          hidden: element.offscreen,
+        }));
+        return {
+          event,
+          enteredChars,
+          enteredText,
+          hints,
+          matchesRecording: undefined,
+        };
+
+      case "Input":
+      case "Update": {
+        if (event.type === "Input") {
+          ({ enteredChars, enteredText } = event);
+        }
+        const { allElementsWithHints, updates } = updateHints({
+          mode,
+          enteredChars,
+          enteredText,
+          elementsWithHints:
+            event.type === "Update" ? event.elements : elements,
+          // Previously matched hints in the "Many" modes aren’t recorded.
+          highlighted: [],
+          chars,
+          hintLabels,
+          keyTranslations,
+          autoActivate: recording.autoActivate,
+          fuzzy: recording.fuzzyMatching,
+          matchHighlighted:
+            event.type === "Input" && event.input.type === "ActivateHint",
+          updateMeasurements: event.type === "Update",
+        });
+        elements = allElementsWithHints;
+        hints = applyUpdates(hints, updates);
+        return {
+          event,
+          enteredChars,
+          enteredText,
+          hints,
+          matchesRecording: deepEqual(updates, event.updates),
+        };
+      }
+    }
+  });
+}
+
+function applyUpdates(
+  hints: Array<ReplayedHint>,
+  updates: Array<HintUpdate>
+): Array<ReplayedHint> {
+  const updatesByIndex = new Map(
+    updates.map((update) => [update.index, update])
+  );
+
+  return hints.map((hint) => {
+    const update = updatesByIndex.get(hint.element.index);
+    switch (update?.type) {
+      case undefined:
+        return hint;
+
+      case "Hide":
+        return { ...hint, hidden: true };
+
+      case "UpdateContent":
+        return {
+          ...hint,
+          matchedChars: update.matchedChars,
+          restChars: update.restChars,
+          highlighted: update.highlighted,
+          hidden: update.hidden,
+        };
+
+      case "UpdatePosition":
+        return {
+          ...hint,
+          hintMeasurements: update.hintMeasurements,
+          matchedChars: "",
+          restChars: update.hint,
+          highlighted: update.highlighted,
+          hidden: update.hidden,
+        };
+    }
+  });
+}
+
+// Recordings made before the top frame reported its viewport don’t have one.
+function guessViewport(steps: Array<ReplayStep>): Box {
+  const measurements = steps.flatMap((step) =>
+    step.hints.map((hint) => hint.hintMeasurements)
+  );
+  return {
+    x: 0,
+    y: 0,
+    width: Math.max(1, ...measurements.map((item) => item.maxX)),
+    height: Math.max(1, ...measurements.map((item) => item.y)),
+  };
+}
+
+function describeEvent(event: RecordedEvent): string {
+  switch (event.type) {
+    case "Hints":
+      return `Hints mode ${event.mode}: ${event.elements.length} elements in ${event.stats.length} frames`;
+
+    case "Update":
+      return "Positions updated";
+
+    case "Input":
+      switch (event.input.type) {
+        case "ActivateHint":
+          return "Activate highlighted hint";
+        case "Backspace":
+          return "Backspace";
+        case "Input":
+          return `Key: ${
+            event.input.keypress.printableKey ?? event.input.keypress.key
+          }`;
+        case "Label":
+          return `Hint: ${event.input.hint}`;
+      }
+  }
+}
+
+function describeHint(hint: ReplayedHint): string {
+  const { element } = hint;
+  return [
+    `${element.type} (${hint.hintMeasurements.debug})`,
+    element.text,
+    element.url,
+    element.frame.id !== 0 ? `Frame ${element.frame.id}` : undefined,
+  ]
+    .filter((line) => line !== undefined && line !== "")
+    .join("\n");
+}
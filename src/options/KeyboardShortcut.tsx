@@ -39,6 +39,23 @@ export default function KeyboardShortcut({
   );
 }
 
+// A key sequence such as `gf`, one key at a time.
+export function KeySequence({
+  mac,
+  sequence,
+}: {
+  mac: boolean;
+  sequence: string;
+}): VNode {
+  return (
+    <span className="KeySequence">
+      {Array.from(sequence).map((key, index) => (
+        <KeyboardShortcut key={index} mac={mac} shortcut={{ key }} />
+      ))}
+    </span>
+  );
+}
+
 export function hasShift(shortcut: Partial<Shortcut>): boolean {
   const { key = "" } = shortcut;
   return key.length === 1
@@ -3,6 +3,7 @@ import { Component, h, VNode } from "preact";
 import {
   KeyboardAction,
   KeyboardMapping,
+  KeySequenceMapping,
   NormalizedKeypress,
   serializeShortcut,
   Shortcut,
@@ -10,7 +11,11 @@ import {
 import { classlist, deepEqual } from "../shared/main";
 import ButtonWithPopup from "./ButtonWithPopup";
 import Field from "./Field";
-import KeyboardShortcut, { hasShift, viewKey } from "./KeyboardShortcut";
+import KeyboardShortcut, {
+  hasShift,
+  KeySequence,
+  viewKey,
+} from "./KeyboardShortcut";
 
 type ShortcutError =
   | { type: "CommonTextEditingShortcutConflict" }
@@ -31,6 +36,14 @@ type Props = {
   chars: string;
   mappings: Array<KeyboardMapping>;
   defaultMappings: Array<KeyboardMapping>;
+  // The actions to show, one per row. Defaults to the actions of
+  // `defaultMappings`.
+  actions?: Array<KeyboardAction>;
+  // Shortcuts that apply unless overridden by one in `mappings`, such as the
+  // shortcuts for all hints modes when editing the ones for a single mode.
+  inheritedMappings?: Array<KeyboardMapping>;
+  // Key sequences without modifiers, such as `gf`. Only for Normal mode.
+  sequences?: Array<KeySequenceMapping>;
   capturedKeypressWithTimestamp:
     | {
         timestamp: number;
@@ -38,6 +51,7 @@ type Props = {
       }
     | undefined;
   onChange: (mappings: Array<KeyboardMapping>) => void;
+  onSequencesChange?: (sequences: Array<KeySequenceMapping>) => void;
   onAddChange: (isOpen: boolean) => void;
 };
 
@@ -49,12 +63,17 @@ type State = {
         error: ShortcutError;
       }
     | undefined;
+  // The keys typed so far when adding a key sequence.
+  recordedSequence: string;
+  sequenceConflict: KeySequenceMapping | undefined;
 };
 
 export default class KeyboardShortcuts extends Component<Props, State> {
   override state: State = {
     addingAction: undefined,
     shortcutError: undefined,
+    recordedSequence: "",
+    sequenceConflict: undefined,
   };
 
   override componentDidUpdate(prevProps: Props): void {
@@ -64,9 +83,10 @@ export default class KeyboardShortcuts extends Component<Props, State> {
       mac,
       useKeyTranslations,
       mappings,
+      sequences,
       onAddChange,
     } = this.props;
-    const { addingAction } = this.state;
+    const { addingAction, recordedSequence } = this.state;
 
     if (
       !deepEqual(
@@ -117,11 +137,49 @@ export default class KeyboardShortcuts extends Component<Props, State> {
         this.setState({
           addingAction: undefined,
           shortcutError: undefined,
+          recordedSequence: "",
+          sequenceConflict: undefined,
         });
         onAddChange(false);
         return;
       }
 
+      // In Normal mode, keys without modifiers are recorded as a key sequence,
+      // which is saved by pressing Enter.
+      if (
+        mode === "Normal" &&
+        sequences !== undefined &&
+        !hasModifier(shortcut)
+      ) {
+        if (capturedKeypress.printableKey !== undefined) {
+          this.setState({
+            shortcutError: undefined,
+            recordedSequence: recordedSequence + capturedKeypress.printableKey,
+            sequenceConflict: undefined,
+          });
+          return;
+        }
+
+        if (recordedSequence !== "") {
+          switch (shortcut.key) {
+            case "Backspace":
+              this.setState({
+                recordedSequence: recordedSequence.slice(0, -1),
+                sequenceConflict: undefined,
+              });
+              break;
+
+            case "Enter":
+              this.saveSequence({
+                sequence: recordedSequence,
+                action: addingAction,
+              });
+              break;
+          }
+          return;
+        }
+      }
+
       if (!isRecognized(shortcut.key)) {
         this.setState({
           shortcutError: {
@@ -216,12 +274,47 @@ export default class KeyboardShortcuts extends Component<Props, State> {
     this.setState({
       addingAction: undefined,
       shortcutError: undefined,
+      recordedSequence: "",
+      sequenceConflict: undefined,
     });
 
     onChange(newMappings);
     onAddChange(false);
   }
 
+  saveSequence(newMapping: KeySequenceMapping): void {
+    const { sequences = [], onSequencesChange, onAddChange } = this.props;
+
+    // A sequence that is the start of another can’t be told apart from it
+    // while typing.
+    const conflictingMapping = sequences.find(
+      (mapping) =>
+        mapping.sequence !== newMapping.sequence &&
+        (mapping.sequence.startsWith(newMapping.sequence) ||
+          newMapping.sequence.startsWith(mapping.sequence))
+    );
+    if (conflictingMapping !== undefined) {
+      this.setState({ sequenceConflict: conflictingMapping });
+      return;
+    }
+
+    const newSequences = sequences
+      .filter((mapping) => mapping.sequence !== newMapping.sequence)
+      .concat(newMapping);
+
+    this.setState({
+      addingAction: undefined,
+      shortcutError: undefined,
+      recordedSequence: "",
+      sequenceConflict: undefined,
+    });
+
+    if (onSequencesChange !== undefined) {
+      onSequencesChange(newSequences);
+    }
+    onAddChange(false);
+  }
+
   render(): VNode {
     const {
       id,
@@ -232,11 +325,16 @@ export default class KeyboardShortcuts extends Component<Props, State> {
       useKeyTranslations,
       mappings,
       defaultMappings,
+      actions = defaultMappings.map((mapping) => mapping.action),
+      inheritedMappings = [],
+      sequences,
       chars,
       onChange,
+      onSequencesChange,
       onAddChange,
     } = this.props;
-    const { addingAction, shortcutError } = this.state;
+    const { addingAction, shortcutError, recordedSequence, sequenceConflict } =
+      this.state;
 
     return (
       <Field
@@ -250,25 +348,46 @@ export default class KeyboardShortcuts extends Component<Props, State> {
           <div>
             <table className="ShortcutsTable">
               <tbody>
-                {defaultMappings.map((defaultMapping, index) => {
+                {actions.map((action, index) => {
                   const shortcuts = mappings
-                    .filter(
-                      (mapping) => mapping.action === defaultMapping.action
-                    )
+                    .filter((mapping) => mapping.action === action)
                     .map((mapping) => ({
                       key: serializeShortcut(mapping.shortcut),
                       shortcut: mapping.shortcut,
                     }))
                     .sort((a, b) => compare(a.key, b.key));
 
-                  const changed = !(
-                    shortcuts.length === 1 &&
-                    shortcuts.every(({ shortcut }) =>
-                      deepEqual(shortcut, defaultMapping.shortcut)
-                    )
-                  );
+                  const defaultShortcuts = defaultMappings
+                    .filter((mapping) => mapping.action === action)
+                    .map((mapping) => mapping.shortcut);
 
-                  const isAdding = addingAction === defaultMapping.action;
+                  const inheritedShortcuts = inheritedMappings
+                    .filter((mapping) => mapping.action === action)
+                    .map((mapping) => ({
+                      key: serializeShortcut(mapping.shortcut),
+                      shortcut: mapping.shortcut,
+                      overridden: mappings.some((mapping2) =>
+                        deepEqual(mapping2.shortcut, mapping.shortcut)
+                      ),
+                    }))
+                    .sort((a, b) => compare(a.key, b.key));
+
+                  const actionSequences = (sequences ?? [])
+                    .filter((mapping) => mapping.action === action)
+                    .map((mapping) => mapping.sequence)
+                    .sort(compare);
+
+                  const changed =
+                    !(
+                      shortcuts.length === defaultShortcuts.length &&
+                      shortcuts.every(({ shortcut }) =>
+                        defaultShortcuts.some((defaultShortcut) =>
+                          deepEqual(shortcut, defaultShortcut)
+                        )
+                      )
+                    ) || actionSequences.length > 0;
+
+                  const isAdding = addingAction === action;
 
                   const conflictingChars = getConflictingChars(
                     shortcuts.map(({ shortcut }) => shortcut),
@@ -276,14 +395,9 @@ export default class KeyboardShortcuts extends Component<Props, State> {
                   );
 
                   return (
-                    <tr
-                      key={index}
-                      id={getKeyboardActionId(defaultMapping.action)}
-                    >
+                    <tr key={index} id={getKeyboardActionId(action)}>
                       <th className={classlist({ "is-changed": changed })}>
-                        <p>
-                          {describeKeyboardAction(defaultMapping.action).name}
-                        </p>
+                        <p>{describeKeyboardAction(action).name}</p>
                         {conflictingChars.length > 0 && (
                           <p className="TextSmall Error">
                             Overridden hint characters:{" "}
@@ -294,6 +408,27 @@ export default class KeyboardShortcuts extends Component<Props, State> {
                       <td>
                         <div className="Spaced Spaced--center">
                           <div className="ShortcutsGrid">
+                            {inheritedShortcuts.map(
+                              ({ key, shortcut, overridden }) => (
+                                <div
+                                  key={`inherited:${key}`}
+                                  className={classlist(
+                                    "ShortcutsGrid-inherited",
+                                    { "is-overridden": overridden }
+                                  )}
+                                  title={
+                                    overridden
+                                      ? "Inherited, but overridden in this mode"
+                                      : "Inherited from all hints modes"
+                                  }
+                                >
+                                  <KeyboardShortcut
+                                    mac={mac}
+                                    shortcut={shortcut}
+                                  />
+                                </div>
+                              )
+                            )}
                             {shortcuts.map(({ key, shortcut }) => (
                               <div key={key}>
                                 <KeyboardShortcut
@@ -317,6 +452,31 @@ export default class KeyboardShortcuts extends Component<Props, State> {
                                 </button>
                               </div>
                             ))}
+                            {actionSequences.map((sequence) => (
+                              <div key={`sequence:${sequence}`}>
+                                <KeySequence mac={mac} sequence={sequence} />
+                                <button
+                                  type="button"
+                                  title="Remove this key sequence"
+                                  className="RemoveButton"
+                                  onClick={() => {
+                                    if (
+                                      sequences !== undefined &&
+                                      onSequencesChange !== undefined
+                                    ) {
+                                      onSequencesChange(
+                                        sequences.filter(
+                                          (mapping) =>
+                                            mapping.sequence !== sequence
+                                        )
+                                      );
+                                    }
+                                  }}
+                                >
+                                  ×
+                                </button>
+                              </div>
+                            ))}
                           </div>
 
                           <div className="AddShortcutButton">
@@ -327,9 +487,9 @@ export default class KeyboardShortcuts extends Component<Props, State> {
                               buttonContent={<strong>+</strong>}
                               onOpenChange={(open: boolean) => {
                                 this.setState({
-                                  addingAction: open
-                                    ? defaultMapping.action
-                                    : undefined,
+                                  addingAction: open ? action : undefined,
+                                  recordedSequence: "",
+                                  sequenceConflict: undefined,
                                 });
                                 onAddChange(open);
                               }}
@@ -338,10 +498,17 @@ export default class KeyboardShortcuts extends Component<Props, State> {
                                   className="SpacedVertical"
                                   style={{ width: 450 }}
                                 >
-                                  {shortcutError === undefined ? (
+                                  {recordedSequence !== "" ? (
+                                    <SequenceAddDisplay
+                                      mac={mac}
+                                      sequence={recordedSequence}
+                                      conflict={sequenceConflict}
+                                    />
+                                  ) : shortcutError === undefined ? (
                                     <ShortcutAddDisplay
                                       mac={mac}
-                                      defaultMapping={defaultMapping}
+                                      defaultShortcuts={defaultShortcuts}
+                                      allowSequences={sequences !== undefined}
                                     />
                                   ) : (
                                     <div className="SpacedVertical">
@@ -387,10 +554,12 @@ export default class KeyboardShortcuts extends Component<Props, State> {
 
 function ShortcutAddDisplay({
   mac,
-  defaultMapping,
+  defaultShortcuts,
+  allowSequences,
 }: {
   mac: boolean;
-  defaultMapping: KeyboardMapping;
+  defaultShortcuts: Array<Shortcut>;
+  allowSequences: boolean;
 }): VNode {
   return (
     <div>
@@ -398,10 +567,26 @@ function ShortcutAddDisplay({
         <strong>Press the keyboard shortcut you’d like to use!</strong>
       </p>
 
+      {allowSequences && (
+        <p>
+          Or type a key sequence without modifiers, such as{" "}
+          <KeySequence mac={mac} sequence="f" /> or{" "}
+          <KeySequence mac={mac} sequence="gf" />, and press{" "}
+          <KeyboardShortcut mac={mac} shortcut={{ key: "Enter" }} />.
+        </p>
+      )}
+
       <div className="TextSmall SpacedVertical" style={{ marginTop: 15 }}>
         <p>
           Default:{" "}
-          <KeyboardShortcut mac={mac} shortcut={defaultMapping.shortcut} />
+          {defaultShortcuts.length === 0
+            ? "None"
+            : defaultShortcuts.map((shortcut, index) => (
+                <span key={index}>
+                  {index > 0 && ", "}
+                  <KeyboardShortcut mac={mac} shortcut={shortcut} />
+                </span>
+              ))}
         </p>
         <p>
           Note: Some browser/OS shortcuts cannot be overridden. For example,{" "}
@@ -420,6 +605,51 @@ function ShortcutAddDisplay({
   );
 }
 
+function SequenceAddDisplay({
+  mac,
+  sequence,
+  conflict,
+}: {
+  mac: boolean;
+  sequence: string;
+  conflict: KeySequenceMapping | undefined;
+}): VNode {
+  return (
+    <div className="SpacedVertical">
+      <KeySequence mac={mac} sequence={sequence} />
+      {conflict === undefined ? (
+        <p>
+          Keep typing, or press{" "}
+          <KeyboardShortcut mac={mac} shortcut={{ key: "Enter" }} /> to save the
+          key sequence.{" "}
+          <KeyboardShortcut mac={mac} shortcut={{ key: "Backspace" }} /> erases
+          the last key.
+        </p>
+      ) : (
+        <div>
+          <p>
+            <strong>
+              This key sequence can’t be told apart from{" "}
+              <KeySequence mac={mac} sequence={conflict.sequence} />, used for:{" "}
+              <span style={{ whiteSpace: "nowrap" }}>
+                “{describeKeyboardAction(conflict.action).name}.”
+              </span>
+            </strong>
+          </p>
+          <p>
+            Keep typing, or press{" "}
+            <KeyboardShortcut mac={mac} shortcut={{ key: "Backspace" }} /> to
+            erase the last key.
+          </p>
+        </div>
+      )}
+      <p className="TextSmall">
+        Key sequences are ignored while typing in text inputs.
+      </p>
+    </div>
+  );
+}
+
 function ShortcutErrorDisplay({
   mac,
   mode,
@@ -595,11 +825,81 @@ export function describeKeyboardAction(
         name: "Open link in new tab and switch to it",
       };
 
+    case "EnterHintsMode_NewWindow":
+      return {
+        name: "Open link in new window",
+      };
+
+    case "EnterHintsMode_PrivateWindow":
+      return {
+        name: "Open link in private window",
+      };
+
+    case "EnterHintsMode_ManyNewWindow":
+      return {
+        name: "Open many links in one new window",
+      };
+
+    case "EnterHintsMode_ManyPrivateWindow":
+      return {
+        name: "Open many links in one private window",
+      };
+
     case "EnterHintsMode_Select":
       return {
         name: "Select element",
       };
 
+    case "EnterHintsMode_Copy":
+      return {
+        name: "Copy link",
+      };
+
+    case "EnterHintsMode_ManyCopy":
+      return {
+        name: "Copy many links",
+      };
+
+    case "EnterHintsMode_Hover":
+      return {
+        name: "Hover element",
+      };
+
+    case "Unhover":
+      return {
+        name: "Stop hovering element",
+      };
+
+    case "EnterHintsMode_ContextMenu":
+      return {
+        name: "Right-click element",
+      };
+
+    case "EnterHintsMode_DoubleClick":
+      return {
+        name: "Double-click element",
+      };
+
+    case "EnterHintsMode_MiddleClick":
+      return {
+        name: "Middle-click element",
+      };
+
+    case "EnterHintsMode_Word":
+      return {
+        name: "Select words",
+      };
+
+    case "EnterHintsMode_Grid":
+      return {
+        name: "Click anywhere using a grid",
+      };
+
+    case "EnterHintsMode_Search":
+      return {
+        name: "Search the whole page",
+      };
+
     case "ExitHintsMode":
       return {
         name: "Exit hints mode",
@@ -625,11 +925,41 @@ export function describeKeyboardAction(
         name: "Toggle peek mode",
       };
 
+    case "MarkHint":
+      return {
+        name: "Mark highlighted element with a custom hint",
+      };
+
     case "Escape":
       return {
         name: "Exit hints mode, blur elements and clear selection",
       };
 
+    case "ActivateAllHints":
+      return {
+        name: "Activate all matching hints",
+      };
+
+    case "OpenCollectedWindow":
+      return {
+        name: "Open the collected links in one window",
+      };
+
+    case "ExtendSelection":
+      return {
+        name: "Extend selection to highlighted element",
+      };
+
+    case "GridHover":
+      return {
+        name: "Hover the center of the current cell",
+      };
+
+    case "GridContextMenu":
+      return {
+        name: "Right-click the center of the current cell",
+      };
+
     case "ActivateHint":
       return {
         name: "Activate highlighted hint",
@@ -649,6 +979,61 @@ export function describeKeyboardAction(
       return {
         name: "Swap which end of a text selection to work on",
       };
+
+    case "ScrollDown":
+      return {
+        name: "Scroll down",
+      };
+
+    case "ScrollUp":
+      return {
+        name: "Scroll up",
+      };
+
+    case "ScrollLeft":
+      return {
+        name: "Scroll left",
+      };
+
+    case "ScrollRight":
+      return {
+        name: "Scroll right",
+      };
+
+    case "ScrollHalfPageDown":
+      return {
+        name: "Scroll down half a page",
+      };
+
+    case "ScrollHalfPageUp":
+      return {
+        name: "Scroll up half a page",
+      };
+
+    case "ScrollPageDown":
+      return {
+        name: "Scroll down a page",
+      };
+
+    case "ScrollPageUp":
+      return {
+        name: "Scroll up a page",
+      };
+
+    case "ScrollToBottom":
+      return {
+        name: "Scroll to the bottom",
+      };
+
+    case "ScrollToTop":
+      return {
+        name: "Scroll to the top",
+      };
+
+    case "SwitchToNextProfile":
+      return {
+        name: "Switch to the next options profile",
+      };
   }
 }
 
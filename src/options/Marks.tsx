@@ -0,0 +1,182 @@
+import { h, VNode } from "preact";
+import { useEffect, useState } from "preact/hooks";
+
+import { addListener, fireAndForget } from "../shared/main";
+import {
+  decodeMarks,
+  labelsConflict,
+  Marks as MarksData,
+  MARKS_KEY,
+  setMark,
+} from "../shared/marks";
+import Field from "./Field";
+import TextInput from "./TextInput";
+
+export default function Marks({
+  id,
+  chars,
+}: {
+  id: string;
+  chars: string;
+}): VNode {
+  const [marks, setMarks] = useState<MarksData>({});
+  const [labelErrors, setLabelErrors] = useState<
+    Record<string, string | undefined>
+  >({});
+
+  useEffect(() => {
+    const load = async (): Promise<void> => {
+      const data = await browser.storage.local.get(MARKS_KEY);
+      setMarks(decodeMarks(data[MARKS_KEY]));
+    };
+    fireAndForget(load(), "Marks#load");
+
+    return addListener(
+      browser.storage.onChanged,
+      (changes, areaName) => {
+        const change = changes[MARKS_KEY];
+        if (areaName === "local" && change !== undefined) {
+          setMarks(decodeMarks(change.newValue));
+        }
+      },
+      "Marks storage.onChanged listener"
+    );
+  }, []);
+
+  const save = (newMarks: MarksData): void => {
+    setMarks(newMarks);
+    fireAndForget(
+      browser.storage.local.set({ [MARKS_KEY]: newMarks }),
+      "Marks#save"
+    );
+  };
+
+  const rows = Object.keys(marks)
+    .sort()
+    .flatMap((origin) =>
+      Object.entries(marks[origin])
+        .map(([signature, mark]) => ({ origin, signature, mark }))
+        .sort((a, b) => a.mark.label.localeCompare(b.mark.label))
+    );
+
+  return (
+    <Field
+      id={id}
+      fullWidth
+      label="Marks"
+      span
+      changed={false}
+      description={
+        <p>
+          Marks are hints of your own choosing for elements you use a lot. In
+          hints mode, filter by text to highlight an element, press the “Mark
+          highlighted element with a custom hint” shortcut, type a label and
+          press Enter. Marks only apply on the site where they were made, and
+          always win over the generated hints. Labels can only use the hint
+          characters, and no label may be the start of another one on the same
+          site.
+        </p>
+      }
+      render={() =>
+        rows.length > 0 ? (
+          <table className="SelectorRulesTable">
+            <thead>
+              <tr>
+                <th>Site</th>
+                <th>Element</th>
+                <th>Label</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(({ origin, signature, mark }) => {
+                const key = `${origin}\n${signature}`;
+                return (
+                  <tr key={key}>
+                    <td>{origin}</td>
+                    <td>{mark.description}</td>
+                    <td>
+                      <TextInput
+                        savedValue={mark.label}
+                        normalize={(value) => value.trim()}
+                        save={(value) => {
+                          const error = validateLabel(value, {
+                            chars,
+                            otherLabels: Object.entries(marks[origin])
+                              .filter(
+                                ([signature2]) => signature2 !== signature
+                              )
+                              .map(([, mark2]) => mark2.label),
+                          });
+                          setLabelErrors({ ...labelErrors, [key]: error });
+                          if (error === undefined) {
+                            save(
+                              setMark(marks, {
+                                origin,
+                                signature,
+                                mark: { ...mark, label: value },
+                              })
+                            );
+                          }
+                        }}
+                      />
+                      {labelErrors[key] !== undefined && (
+                        <p className="TextSmall Error">{labelErrors[key]}</p>
+                      )}
+                    </td>
+                    <td>
+                      <button
+                        type="button"
+                        title="Remove this mark"
+                        className="RemoveButton"
+                        onClick={() => {
+                          save(
+                            setMark(marks, {
+                              origin,
+                              signature,
+                              mark: { ...mark, label: "" },
+                            })
+                          );
+                          setLabelErrors({});
+                        }}
+                      >
+                        ×
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        ) : (
+          <p className="TextSmall">No marks yet.</p>
+        )
+      }
+    />
+  );
+}
+
+function validateLabel(
+  label: string,
+  { chars, otherLabels }: { chars: string; otherLabels: Array<string> }
+): string | undefined {
+  if (label === "") {
+    return "The label cannot be empty. Remove the mark instead.";
+  }
+
+  const invalidChars = Array.from(label).filter(
+    (char) => !chars.includes(char)
+  );
+  if (invalidChars.length > 0) {
+    return `Not hint characters: ${invalidChars.join(" ")}`;
+  }
+
+  const conflicting = otherLabels.find((otherLabel) =>
+    labelsConflict(label, otherLabel)
+  );
+  if (conflicting !== undefined) {
+    return `Conflicts with the mark “${conflicting}”.`;
+  }
+
+  return undefined;
+}
@@ -0,0 +1,123 @@
+import { h, VNode } from "preact";
+import { useState } from "preact/hooks";
+
+import {
+  KeyboardAction,
+  KeyboardMapping,
+  MODE_ONLY_KEYBOARD_ACTIONS,
+  NormalizedKeypress,
+  ShortcutsMode,
+} from "../shared/keyboard";
+import { decode, deepEqual } from "../shared/main";
+import type { ModeKeyboardShortcuts as ModeKeyboardShortcutsData } from "../shared/options";
+import KeyboardShortcuts, { describeKeyboardAction } from "./KeyboardShortcuts";
+
+// In the same order as the main keyboard shortcuts.
+const SHORTCUTS_MODES: Array<ShortcutsMode> = [
+  "Click",
+  "BackgroundTab",
+  "ForegroundTab",
+  "ManyClick",
+  "ManyTab",
+  "Select",
+  "NewWindow",
+  "ManyNewWindow",
+  "PrivateWindow",
+  "ManyPrivateWindow",
+  "Copy",
+  "ManyCopy",
+  "Hover",
+  "ContextMenu",
+  "MiddleClick",
+  "DoubleClick",
+  "Grid",
+  "Word",
+  "Search",
+];
+
+export default function ModeKeyboardShortcuts({
+  id,
+  mac,
+  useKeyTranslations,
+  chars,
+  hintsMappings,
+  mappings,
+  defaultMappings,
+  capturedKeypressWithTimestamp,
+  onChange,
+  onAddChange,
+}: {
+  id: string;
+  mac: boolean;
+  useKeyTranslations: boolean;
+  chars: string;
+  // The shortcuts for all hints modes.
+  hintsMappings: Array<KeyboardMapping>;
+  mappings: ModeKeyboardShortcutsData;
+  defaultMappings: ModeKeyboardShortcutsData;
+  capturedKeypressWithTimestamp:
+    | {
+        timestamp: number;
+        keypress: NormalizedKeypress;
+      }
+    | undefined;
+  onChange: (mappings: ModeKeyboardShortcutsData) => void;
+  onAddChange: (isOpen: boolean) => void;
+}): VNode {
+  const [mode, setMode] = useState<ShortcutsMode>("ManyTab");
+
+  const actions = Array.from(
+    new Set<KeyboardAction>(hintsMappings.map((mapping) => mapping.action))
+  ).concat(
+    Array.from(MODE_ONLY_KEYBOARD_ACTIONS)
+      .filter(([, modes]) => modes.has(mode))
+      .map(([action]) => action)
+  );
+
+  return (
+    <KeyboardShortcuts
+      key={mode}
+      id={id}
+      mode="Hints"
+      mac={mac}
+      useKeyTranslations={useKeyTranslations}
+      name="Hints mode keyboard shortcuts per mode"
+      description={
+        <div className="SpacedVertical">
+          <p>
+            Each hints mode uses the hints mode keyboard shortcuts above (dimmed
+            here), plus its own. A shortcut of the mode replaces the same
+            shortcut from above (crossed out). Some actions are only available
+            in certain modes.
+          </p>
+          <select
+            value={mode}
+            onChange={(event) => {
+              setMode(decode(ShortcutsMode, event.currentTarget.value));
+            }}
+          >
+            {SHORTCUTS_MODES.map((shortcutsMode) => (
+              <option key={shortcutsMode} value={shortcutsMode}>
+                {describeKeyboardAction(`EnterHintsMode_${shortcutsMode}`).name}
+                {!deepEqual(
+                  mappings[shortcutsMode] ?? [],
+                  defaultMappings[shortcutsMode] ?? []
+                ) && " (changed)"}
+              </option>
+            ))}
+          </select>
+        </div>
+      }
+      chars={chars}
+      mappings={mappings[mode] ?? []}
+      defaultMappings={defaultMappings[mode] ?? []}
+      actions={actions}
+      inheritedMappings={hintsMappings}
+      capturedKeypressWithTimestamp={capturedKeypressWithTimestamp}
+      onChange={(newMappings) => {
+        onChange({ ...mappings, [mode]: newMappings });
+      }}
+      onAddChange={onAddChange}
+    />
+  );
+}
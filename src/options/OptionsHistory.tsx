@@ -0,0 +1,164 @@
+import { h, VNode } from "preact";
+import { useEffect, useState } from "preact/hooks";
+
+import { addListener, fireAndForget } from "../shared/main";
+import type { FlatOptions } from "../shared/options";
+import {
+  decodeOptionsHistory,
+  diffFlatOptions,
+  OPTIONS_HISTORY_KEY,
+  OptionsChange,
+  OptionsHistory as OptionsHistoryData,
+} from "../shared/optionsHistory";
+import Field from "./Field";
+
+export default function OptionsHistory({
+  id,
+  currentRaw,
+  onRollback,
+}: {
+  id: string;
+  // The options in use, as stored in `storage.sync`.
+  currentRaw: FlatOptions;
+  onRollback: (timestamp: number) => void;
+}): VNode {
+  const [history, setHistory] = useState<OptionsHistoryData>([]);
+  const [expanded, setExpanded] = useState<number | undefined>(undefined);
+
+  useEffect(() => {
+    const load = async (): Promise<void> => {
+      const data = await browser.storage.local.get(OPTIONS_HISTORY_KEY);
+      setHistory(decodeOptionsHistory(data[OPTIONS_HISTORY_KEY]));
+    };
+    fireAndForget(load(), "OptionsHistory#load");
+
+    return addListener(
+      browser.storage.onChanged,
+      (changes, areaName) => {
+        const change = changes[OPTIONS_HISTORY_KEY];
+        if (areaName === "local" && change !== undefined) {
+          setHistory(decodeOptionsHistory(change.newValue));
+        }
+      },
+      "OptionsHistory storage.onChanged listener"
+    );
+  }, []);
+
+  // Each snapshot is compared to what replaced it: The next snapshot, or the
+  // options in use for the latest one. Newest first.
+  const rows = history
+    .map((snapshot, index) => ({
+      snapshot,
+      diff: diffFlatOptions(
+        snapshot.raw,
+        index + 1 < history.length ? history[index + 1].raw : currentRaw
+      ),
+    }))
+    .reverse();
+
+  return (
+    <Field
+      id={id}
+      fullWidth
+      label="Options history"
+      span
+      changed={false}
+      description={
+        <p>
+          The options are saved here before they are changed, imported, reset or
+          replaced by a profile. Quick successive changes share one entry.
+          Restoring an entry adds the current options to the history too.
+          Tweakables are restored along with the options, but not listed.
+        </p>
+      }
+      render={() =>
+        rows.length > 0 ? (
+          <table className="SelectorRulesTable">
+            <thead>
+              <tr>
+                <th>Saved</th>
+                <th>Then</th>
+                <th>Changed options</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(({ snapshot, diff }) => (
+                <tr key={snapshot.timestamp}>
+                  <td>{new Date(snapshot.timestamp).toLocaleString()}</td>
+                  <td>{describeChange(snapshot.change)}</td>
+                  <td className="TextSmall">
+                    {diff.length === 0 ? (
+                      "None"
+                    ) : expanded === snapshot.timestamp ? (
+                      <table className="SiteRulesTable">
+                        <tbody>
+                          {diff.map((item) => (
+                            <tr key={item.key}>
+                              <th>{item.key}</th>
+                              <td>
+                                <code>{viewValue(item.before)}</code> →{" "}
+                                <code>{viewValue(item.after)}</code>
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    ) : (
+                      <button
+                        type="button"
+                        onClick={() => {
+                          setExpanded(snapshot.timestamp);
+                        }}
+                      >
+                        {diff.length === 1
+                          ? "1 option"
+                          : `${diff.length} options`}
+                      </button>
+                    )}
+                  </td>
+                  <td>
+                    <button
+                      type="button"
+                      onClick={() => {
+                        onRollback(snapshot.timestamp);
+                      }}
+                    >
+                      Restore
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ) : (
+          <p className="TextSmall">No history yet.</p>
+        )
+      }
+    />
+  );
+}
+
+function describeChange(change: OptionsChange): string {
+  switch (change) {
+    case "Import":
+      return "Imported";
+    case "Profile":
+      return "Switched profile";
+    case "Reset":
+      return "Reset to defaults";
+    case "Rollback":
+      return "Restored older options";
+    case "Save":
+      return "Changed";
+  }
+}
+
+// Flat options only contain values that differ from the defaults.
+function viewValue(value: unknown): string {
+  return value === undefined
+    ? "default"
+    : value === null
+    ? "removed"
+    : JSON.stringify(value);
+}
@@ -217,6 +217,10 @@ function sumStats(
         numTrackedElements: sum(({ numTrackedElements }) => numTrackedElements),
         numVisibleElements: sum(({ numVisibleElements }) => numVisibleElements),
         numVisibleFrames: sum(({ numVisibleFrames }) => numVisibleFrames),
+        numIndexedElements: sum(({ numIndexedElements }) => numIndexedElements),
+        numRemeasured: sum(({ numRemeasured }) => numRemeasured),
+        numCandidates: sum(({ numCandidates }) => numCandidates),
+        numSkipped: sum(({ numSkipped }) => numSkipped),
         bailed: sum(({ bailed }) => bailed),
         durations: sumDurations(stats.map(({ durations }) => durations)),
       },
@@ -270,6 +274,10 @@ function statsToRows(allStats: Array<Array<Stats>>): Array<{
             numTrackedElements: match.numTrackedElements.toString(),
             numVisibleElements: match.numVisibleElements.toString(),
             numVisibleFrames: match.numVisibleFrames.toString(),
+            numIndexedElements: match.numIndexedElements.toString(),
+            numRemeasured: match.numRemeasured.toString(),
+            numCandidates: match.numCandidates.toString(),
+            numSkipped: match.numSkipped.toString(),
             bailed: match.bailed.toString(),
             durations: match.durations,
           }
@@ -278,6 +286,10 @@ function statsToRows(allStats: Array<Array<Stats>>): Array<{
             numTrackedElements: "-",
             numVisibleElements: "-",
             numVisibleFrames: "-",
+            numIndexedElements: "-",
+            numRemeasured: "-",
+            numCandidates: "-",
+            numSkipped: "-",
             bailed: "-",
             durations: [],
           };
@@ -304,9 +316,25 @@ function statsToRows(allStats: Array<Array<Stats>>): Array<{
           values: allData.map(({ numVisibleFrames }) => numVisibleFrames),
         },
         {
-          heading: "# bailed",
+          heading: "# candidate elements",
+          values: allData.map(({ numCandidates }) => numCandidates),
+        },
+        {
+          heading: "# skipped (too slow)",
+          values: allData.map(({ numSkipped }) => numSkipped),
+        },
+        {
+          heading: "# bailed (spatial index)",
           values: allData.map(({ bailed }) => bailed),
         },
+        {
+          heading: "# indexed elements",
+          values: allData.map(({ numIndexedElements }) => numIndexedElements),
+        },
+        {
+          heading: "# re-measured in index",
+          values: allData.map(({ numRemeasured }) => numRemeasured),
+        },
       ],
     };
   });
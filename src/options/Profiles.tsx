@@ -0,0 +1,214 @@
+import { Fragment, h, VNode } from "preact";
+import { useEffect, useState } from "preact/hooks";
+
+import { addListener, fireAndForget } from "../shared/main";
+import type { FlatOptions } from "../shared/options";
+import {
+  decodeProfiles,
+  partitionProfileRaw,
+  Profiles as ProfilesData,
+  PROFILES_KEY,
+} from "../shared/profiles";
+import Field from "./Field";
+import TextInput from "./TextInput";
+
+export default function Profiles({
+  id,
+  currentRaw,
+  switchShortcut,
+  onSave,
+  onSwitch,
+  onDelete,
+}: {
+  id: string;
+  // The options in use, as stored in `storage.sync`, including tweakables.
+  currentRaw: FlatOptions;
+  switchShortcut: VNode | undefined;
+  onSave: (name: string) => void;
+  onSwitch: (name: string) => void;
+  onDelete: (name: string) => void;
+}): VNode {
+  const profiles = useProfiles();
+  const [newName, setNewName] = useState<string>("");
+  const [expanded, setExpanded] = useState<string | undefined>(undefined);
+
+  const name = newName.trim();
+
+  return (
+    <Field
+      id={id}
+      fullWidth
+      label="Profiles"
+      span
+      changed={false}
+      description={
+        <p>
+          Save the current options (including tweakables) as a named profile,
+          for example one for presenting and one for daily use. Switch profiles
+          here, from the toolbar button popup
+          {switchShortcut !== undefined && <> or with {switchShortcut}</>}.
+          Changes made to the options are saved into the active profile when
+          switching to another one. Site rules can also use a profile for
+          matching pages. Each profile lists the options that differ from the
+          defaults.
+        </p>
+      }
+      render={() => (
+        <div className="SpacedVertical">
+          {profiles.profiles.length > 0 ? (
+            <table className="SelectorRulesTable">
+              <thead>
+                <tr>
+                  <th>Profile</th>
+                  <th>Changed from defaults</th>
+                  <th />
+                  <th />
+                </tr>
+              </thead>
+              <tbody>
+                {profiles.profiles.map((profile) => {
+                  const isActive = profile.name === profiles.active;
+                  const raw = isActive ? currentRaw : profile.raw;
+                  const changes = describeRaw(raw);
+                  return (
+                    <tr key={profile.name}>
+                      <td>
+                        {isActive ? (
+                          <strong>{profile.name} (active)</strong>
+                        ) : (
+                          profile.name
+                        )}
+                      </td>
+                      <td className="TextSmall">
+                        {changes.length === 0 ? (
+                          "Nothing"
+                        ) : expanded === profile.name ? (
+                          <ul>
+                            {changes.map((change) => (
+                              <li key={change}>
+                                <code>{change}</code>
+                              </li>
+                            ))}
+                          </ul>
+                        ) : (
+                          <button
+                            type="button"
+                            onClick={() => {
+                              setExpanded(profile.name);
+                            }}
+                          >
+                            {changes.length === 1
+                              ? "1 change"
+                              : `${changes.length} changes`}
+                          </button>
+                        )}
+                      </td>
+                      <td>
+                        <button
+                          type="button"
+                          disabled={isActive}
+                          onClick={() => {
+                            onSwitch(profile.name);
+                          }}
+                        >
+                          Switch
+                        </button>
+                      </td>
+                      <td>
+                        <button
+                          type="button"
+                          title="Remove this profile"
+                          className="RemoveButton"
+                          onClick={() => {
+                            onDelete(profile.name);
+                          }}
+                        >
+                          ×
+                        </button>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          ) : (
+            <p className="TextSmall">No profiles yet.</p>
+          )}
+
+          {profiles.profiles.length > 0 && profiles.active === undefined && (
+            <p className="TextSmall">
+              The current options don’t belong to a profile. They are saved as
+              “Default” when switching profiles.
+            </p>
+          )}
+
+          <div className="Spaced">
+            <TextInput
+              style={{ flex: "1 1 auto" }}
+              placeholder="Profile name"
+              savedValue={newName}
+              normalize={(value) => value.trim()}
+              save={(value) => {
+                setNewName(value);
+              }}
+            />
+            <button
+              type="button"
+              disabled={name === ""}
+              onClick={() => {
+                onSave(name);
+                setNewName("");
+              }}
+            >
+              {profiles.profiles.some((profile) => profile.name === name)
+                ? "Overwrite profile with current options"
+                : "Save current options as profile"}
+            </button>
+          </div>
+        </div>
+      )}
+    />
+  );
+}
+
+function describeRaw(raw: FlatOptions): Array<string> {
+  const { options, tweakables } = partitionProfileRaw(raw);
+  return [
+    ...Object.entries(options).map(([key, value]) =>
+      value === null ? `${key}: removed` : `${key}: ${JSON.stringify(value)}`
+    ),
+    ...Object.entries(tweakables).map(
+      ([key, value]) => `${key}: ${JSON.stringify(value)}`
+    ),
+  ].sort();
+}
+
+// The profiles are only changed by the background program, and are read
+// straight from `storage.local` here.
+export function useProfiles(): ProfilesData {
+  const [profiles, setProfiles] = useState<ProfilesData>({
+    active: undefined,
+    profiles: [],
+  });
+
+  useEffect(() => {
+    const load = async (): Promise<void> => {
+      const data = await browser.storage.local.get(PROFILES_KEY);
+      setProfiles(decodeProfiles(data[PROFILES_KEY]));
+    };
+    fireAndForget(load(), "useProfiles#load");
+
+    return addListener(
+      browser.storage.onChanged,
+      (changes, areaName) => {
+        const change = changes[PROFILES_KEY];
+        if (areaName === "local" && change !== undefined) {
+          setProfiles(decodeProfiles(change.newValue));
+        }
+      },
+      "useProfiles storage.onChanged listener"
+    );
+  }, []);
+
+  return profiles;
+}
@@ -12,13 +12,18 @@ import {
 
 import {
   CSS,
+  getOptionsCSS,
   MAX_Z_INDEX,
   SUGGESTION_FONT_SIZE,
   SUGGESTION_VIMIUM,
+  THEMES,
 } from "../shared/css";
 import {
+  detectKeyboardLayout,
   isModifierKey,
+  KEYBOARD_LAYOUTS,
   keyboardEventToKeypress,
+  KeyboardLayout,
   KeyboardMapping,
   KeyPair,
   Keypress,
@@ -37,6 +42,7 @@ import {
   LOG_LEVELS,
   LogLevel,
   normalizeUnsignedInt,
+  partition,
   Resets,
 } from "../shared/main";
 import type {
@@ -45,17 +51,26 @@ import type {
   ToBackground,
 } from "../shared/messages";
 import {
+  Announcements,
+  HintLabelStrategy,
   importOptions,
   normalizeChars,
+  OPTIONS_VERSION,
+  OPTIONS_VERSION_KEY,
   OptionsData,
   PartialOptions,
+  ThemeColorScheme,
 } from "../shared/options";
 import type { TabsPerf } from "../shared/perf";
+import { normalizeStringArray } from "../shared/tweakable";
 import Attachment from "./Attachment";
 import ButtonWithPopup from "./ButtonWithPopup";
+import CopyFormats from "./CopyFormats";
 import CSSPreview from "./CSSPreview";
 import Details from "./Details";
 import Field from "./Field";
+import { readAsJson, saveFile, selectFile, toISODateString } from "./files";
+import HintsRecording from "./HintsRecording";
 import ImportSummary from "./ImportSummary";
 import KeyboardShortcut, { viewKey } from "./KeyboardShortcut";
 import KeyboardShortcuts, {
@@ -64,15 +79,25 @@ import KeyboardShortcuts, {
   getKeyboardActionId,
   isRecognized,
 } from "./KeyboardShortcuts";
+import Marks from "./Marks";
+import ModeKeyboardShortcuts from "./ModeKeyboardShortcuts";
+import OptionsHistory from "./OptionsHistory";
 import Perf from "./Perf";
+import Profiles from "./Profiles";
+import SelectorRules from "./SelectorRules";
+import SiteRules from "./SiteRules";
+import StringSetEditor from "./StringSetEditor";
 import TestLinks from "./TestLinks";
 import TextInput from "./TextInput";
+import ThemeGallery, { THEME_NAMES } from "./ThemeGallery";
 import Tweakable, {
   getTweakableExport,
   hasChangedTweakable,
   partitionTweakable,
   saveTweakable,
 } from "./Tweakable";
+import UrlRules from "./UrlRules";
+import UsageHistory from "./UsageHistory";
 
 type UpdateStatus =
   | "AlreadyFullyUpdated"
@@ -87,6 +112,55 @@ const CSS_SUGGESTIONS = [
   { name: "Vimium", value: SUGGESTION_VIMIUM },
 ];
 
+const ANNOUNCEMENTS: Array<{ value: Announcements; name: string }> = [
+  { value: "off", name: "No screen reader announcements" },
+  { value: "brief", name: "Brief screen reader announcements" },
+  { value: "verbose", name: "Verbose screen reader announcements" },
+];
+
+const THEME_COLOR_SCHEMES: Array<{
+  value: ThemeColorScheme;
+  name: string;
+}> = [
+  { value: "system", name: "When the system uses dark mode" },
+  {
+    value: "page",
+    name: "When the page is dark (or else the system uses dark mode)",
+  },
+  { value: "dark", name: "Always" },
+  { value: "light", name: "Never" },
+];
+
+const HINT_LABEL_STRATEGIES: Array<{
+  value: HintLabelStrategy;
+  name: string;
+  description: string;
+}> = [
+  {
+    value: "huffman",
+    name: "Shortest for likely elements",
+    description:
+      "The more likely an element is to be clicked, the shorter its hint.",
+  },
+  {
+    value: "fixed",
+    name: "Fixed length",
+    description: "All hints have the same length.",
+  },
+  {
+    value: "homeRow",
+    name: "Fixed length, home row first",
+    description:
+      "All hints have the same length and start on the home row of the keyboard layout (see below). Hints that stay on the home row and alternate hands are preferred.",
+  },
+  {
+    value: "numeric",
+    name: "Numbers",
+    description:
+      "Hints use digits only, leaving all letters for filtering by text. The hint characters above are not used, and neither are marks made with them.",
+  },
+];
+
 const getLayoutMap =
   navigator.keyboard !== undefined && navigator.keyboard !== null
     ? navigator.keyboard.getLayoutMap.bind(navigator.keyboard)
@@ -114,6 +188,7 @@ type State = {
         numPartiallyUpdated: number;
         numAlreadyPartiallyUpdated: number;
         numNotUpdated: number;
+        layout: KeyboardLayout | undefined;
       }
     | undefined;
   capturedKeypressWithTimestamp:
@@ -123,6 +198,7 @@ type State = {
       }
     | undefined;
   peek: boolean;
+  previewDark: boolean;
   cssSuggestion: string;
   importData: {
     successCount: number | undefined;
@@ -157,6 +233,7 @@ export default class OptionsProgram extends Component<Props, State> {
     keyboardDetect: undefined,
     capturedKeypressWithTimestamp: undefined,
     peek: false,
+    previewDark: false,
     cssSuggestion: CSS_SUGGESTIONS[0].value,
     importData: {
       successCount: undefined,
@@ -289,7 +366,10 @@ export default class OptionsProgram extends Component<Props, State> {
     }
   }
 
-  saveOptions(partialOptions: PartialOptions): void {
+  saveOptions(
+    partialOptions: PartialOptions,
+    { isImport = false }: { isImport?: boolean } = {}
+  ): void {
     this.setState((state) => ({
       options:
         state.options === undefined
@@ -307,6 +387,7 @@ export default class OptionsProgram extends Component<Props, State> {
     this.sendMessage({
       type: "SaveOptions",
       partialOptions,
+      isImport,
     });
   }
 
@@ -352,7 +433,7 @@ export default class OptionsProgram extends Component<Props, State> {
         },
       });
       if (newOptions !== undefined) {
-        this.saveOptions(newOptions);
+        this.saveOptions(newOptions, { isImport: true });
       }
       await saveTweakable(tweakableData);
     } catch (errorAny) {
@@ -372,6 +453,7 @@ export default class OptionsProgram extends Component<Props, State> {
     const tweakableExport = getTweakableExport();
 
     const data = {
+      [OPTIONS_VERSION_KEY]: OPTIONS_VERSION,
       ...(optionsData !== undefined ? optionsData.raw : {}),
       ...tweakableExport,
     };
@@ -397,6 +479,7 @@ export default class OptionsProgram extends Component<Props, State> {
       keyboardDetect,
       capturedKeypressWithTimestamp,
       peek,
+      previewDark,
       cssSuggestion,
       importData,
       perf,
@@ -416,10 +499,20 @@ export default class OptionsProgram extends Component<Props, State> {
     const usingDefaults =
       deepEqual(defaults, options) && !hasChangedTweakable();
 
+    // Layouts that have the same hint characters as the default share preset.
+    const [defaultCharsLayouts, otherLayouts] = partition(
+      KEYBOARD_LAYOUTS,
+      (layout) => layout.chars === defaults.chars
+    );
     const charsPresets = [
-      { name: "QWERTY (default)", value: defaults.chars },
-      { name: "Dvorak", value: "hutenogacpridkmjw" },
-      { name: "Colemak", value: "tnseriaoplfuwydhvmck" },
+      {
+        name: `${[
+          "QWERTY",
+          ...defaultCharsLayouts.map(({ name }) => name),
+        ].join(", ")} (default)`,
+        value: defaults.chars,
+      },
+      ...otherLayouts.map(({ name, chars }) => ({ name, value: chars })),
     ];
 
     const conflictingActions = getConflictingKeyboardActions(
@@ -443,8 +536,20 @@ export default class OptionsProgram extends Component<Props, State> {
       defaults.keyTranslations
     );
 
+    const keyboardLayoutIndex = KEYBOARD_LAYOUTS.findIndex((layout) =>
+      deepEqual(layout.keyTranslations, options.keyTranslations)
+    );
+    const keyboardLayout =
+      keyboardLayoutIndex >= 0
+        ? KEYBOARD_LAYOUTS[keyboardLayoutIndex]
+        : undefined;
+
     const { lastKeypress } = keyTranslationsInput;
 
+    const switchProfileMapping = options.normalKeyboardShortcuts.find(
+      (mapping) => mapping.action === "SwitchToNextProfile"
+    );
+
     return (
       <div className="Layout">
         <main className="Layout-main Paper">
@@ -540,6 +645,42 @@ export default class OptionsProgram extends Component<Props, State> {
             )}
           />
 
+          <Field
+            key="hintLabels"
+            id="hintLabels"
+            label="Hint labels"
+            description={
+              <p>
+                {
+                  HINT_LABEL_STRATEGIES.find(
+                    ({ value }) => value === options.hintLabels
+                  )?.description
+                }
+              </p>
+            }
+            changed={options.hintLabels !== defaults.hintLabels}
+            render={({ id }) => (
+              <select
+                id={id}
+                value={options.hintLabels}
+                onChange={(event) => {
+                  this.saveOptions({
+                    hintLabels: decode(
+                      HintLabelStrategy,
+                      event.currentTarget.value
+                    ),
+                  });
+                }}
+              >
+                {HINT_LABEL_STRATEGIES.map(({ value, name }) => (
+                  <option key={value} value={value}>
+                    {name}
+                  </option>
+                ))}
+              </select>
+            )}
+          />
+
           <Field
             key="autoActivate"
             id="autoActivate"
@@ -615,6 +756,66 @@ export default class OptionsProgram extends Component<Props, State> {
             )}
           />
 
+          <Field
+            key="fuzzyMatching"
+            id="fuzzyMatching"
+            label="Fuzzy filtering by text"
+            description={
+              <p>
+                Match the letters you type even if they are spread out, so that
+                “gh” matches “GitHub”, and ignore accents, so that “cafe”
+                matches “Café”. The best matches get the shortest hints.
+              </p>
+            }
+            changed={options.fuzzyMatching !== defaults.fuzzyMatching}
+            render={({ id }) => (
+              <div className="ShrinkwrapChildren">
+                <label className="Spaced Spaced--center">
+                  <input
+                    type="checkbox"
+                    id={id}
+                    checked={options.fuzzyMatching}
+                    onChange={(event) => {
+                      this.saveOptions({
+                        fuzzyMatching: event.currentTarget.checked,
+                      });
+                    }}
+                  />
+                  <span>Enabled</span>
+                </label>
+              </div>
+            )}
+          />
+
+          <UsageHistory
+            key="adaptiveWeights"
+            id="adaptiveWeights"
+            options={options}
+            defaults={defaults}
+            onChange={(adaptiveWeights) => {
+              this.saveOptions({ adaptiveWeights });
+            }}
+            onExport={(history) => {
+              saveFile(
+                `${JSON.stringify(history, undefined, 2)}\n`,
+                `${META_SLUG}-usage-history-${toISODateString(
+                  new Date()
+                )}.json`,
+                "application/json"
+              );
+            }}
+          />
+
+          <CopyFormats
+            key="copyFormat"
+            id="copyFormat"
+            options={options}
+            defaults={defaults}
+            onChange={(partialOptions) => {
+              this.saveOptions(partialOptions);
+            }}
+          />
+
           <Field
             key="useKeyTranslations"
             id="useKeyTranslations"
@@ -688,6 +889,23 @@ export default class OptionsProgram extends Component<Props, State> {
                   : "Type here to translate codes to keys"
               }
               changed={keyTranslationsChanged}
+              description={
+                keyboardLayout !== undefined &&
+                keyboardLayout.chars !== options.chars ? (
+                  <p>
+                    Suggested hint characters for {keyboardLayout.name}:{" "}
+                    <code>{keyboardLayout.chars}</code>{" "}
+                    <button
+                      type="button"
+                      onClick={() => {
+                        this.saveOptions({ chars: keyboardLayout.chars });
+                      }}
+                    >
+                      Use them
+                    </button>
+                  </p>
+                ) : null
+              }
               render={({ id }) => (
                 <div className="Spaced">
                   <div className="SpacedVertical" style={{ flex: "1 1 50%" }}>
@@ -919,6 +1137,33 @@ export default class OptionsProgram extends Component<Props, State> {
                                         keyboardDetect.numAlreadyPartiallyUpdated
                                       }
                                     </p>
+                                    {keyboardDetect.layout !== undefined && (
+                                      <div className="SpacedVertical">
+                                        <p>
+                                          Your layout looks like{" "}
+                                          {keyboardDetect.layout.name}. Its
+                                          preset also knows the shifted keys.
+                                        </p>
+                                        <button
+                                          type="button"
+                                          onClick={() => {
+                                            if (
+                                              keyboardDetect.layout !==
+                                              undefined
+                                            ) {
+                                              this.saveOptions({
+                                                keyTranslations:
+                                                  keyboardDetect.layout
+                                                    .keyTranslations,
+                                              });
+                                            }
+                                          }}
+                                        >
+                                          Use the {keyboardDetect.layout.name}{" "}
+                                          preset
+                                        </button>
+                                      </div>
+                                    )}
                                   </div>
                                 )}
                               </div>
@@ -933,6 +1178,28 @@ export default class OptionsProgram extends Component<Props, State> {
                           />
                         )}
 
+                        <select
+                          value={keyboardLayoutIndex}
+                          onChange={(event) => {
+                            const index = Number(event.currentTarget.value);
+                            if (index >= 0 && index < KEYBOARD_LAYOUTS.length) {
+                              this.saveOptions({
+                                keyTranslations:
+                                  KEYBOARD_LAYOUTS[index].keyTranslations,
+                              });
+                            }
+                          }}
+                        >
+                          {keyboardLayout === undefined && (
+                            <option value={-1}>Presets</option>
+                          )}
+                          {KEYBOARD_LAYOUTS.map(({ name }, index) => (
+                            <option key={name} value={index}>
+                              {name}
+                            </option>
+                          ))}
+                        </select>
+
                         {keyTranslationsChanged ? (
                           <button
                             type="button"
@@ -1059,15 +1326,82 @@ export default class OptionsProgram extends Component<Props, State> {
             chars=""
             mappings={options.normalKeyboardShortcuts}
             defaultMappings={defaults.normalKeyboardShortcuts}
+            sequences={options.normalKeySequences}
             capturedKeypressWithTimestamp={capturedKeypressWithTimestamp}
             onChange={(newMappings) => {
               this.saveOptions({
                 normalKeyboardShortcuts: newMappings,
               });
             }}
+            onSequencesChange={(newSequences) => {
+              this.saveOptions({
+                normalKeySequences: newSequences,
+              });
+            }}
             onAddChange={this.onKeyboardShortcutAddChange}
           />
 
+          <Field
+            key="keySequenceTimeout"
+            id="keySequenceTimeout"
+            label="Key sequence timeout"
+            description={
+              <p>
+                Main keyboard shortcuts can also be Vim-style key sequences
+                without modifiers, such as <code>gf</code>. This is how long to
+                wait for the next key of a sequence.
+              </p>
+            }
+            changed={options.keySequenceTimeout !== defaults.keySequenceTimeout}
+            render={({ id }) => (
+              <div className="Spaced Spaced--center">
+                <TextInput
+                  id={id}
+                  style={{ flex: "1 1 50%" }}
+                  savedValue={options.keySequenceTimeout.toString()}
+                  normalize={(value) =>
+                    normalizeUnsignedInt(value, defaults.keySequenceTimeout)
+                  }
+                  save={(value) => {
+                    this.saveOptions({ keySequenceTimeout: Number(value) });
+                  }}
+                />
+                <span style={{ flex: "1 1 50%" }}>milliseconds</span>
+              </div>
+            )}
+          />
+
+          <Field
+            key="scrollStep"
+            id="scrollStep"
+            label="Scroll step"
+            description={
+              <p>
+                How far the “Scroll up/down/left/right” shortcuts scroll. They
+                scroll the element you most recently activated a hint for, if it
+                is scrollable, or otherwise the largest scrollable element in
+                view.
+              </p>
+            }
+            changed={options.scrollStep !== defaults.scrollStep}
+            render={({ id }) => (
+              <div className="Spaced Spaced--center">
+                <TextInput
+                  id={id}
+                  style={{ flex: "1 1 50%" }}
+                  savedValue={options.scrollStep.toString()}
+                  normalize={(value) =>
+                    normalizeUnsignedInt(value, defaults.scrollStep)
+                  }
+                  save={(value) => {
+                    this.saveOptions({ scrollStep: Number(value) });
+                  }}
+                />
+                <span style={{ flex: "1 1 50%" }}>pixels</span>
+              </div>
+            )}
+          />
+
           <KeyboardShortcuts
             key="hints"
             id="hints"
@@ -1087,13 +1421,86 @@ export default class OptionsProgram extends Component<Props, State> {
             onAddChange={this.onKeyboardShortcutAddChange}
           />
 
+          <ModeKeyboardShortcuts
+            key="modes"
+            id="modes"
+            mac={mac}
+            useKeyTranslations={options.useKeyTranslations}
+            chars={options.chars}
+            hintsMappings={options.hintsKeyboardShortcuts}
+            mappings={options.modeKeyboardShortcuts}
+            defaultMappings={defaults.modeKeyboardShortcuts}
+            capturedKeypressWithTimestamp={capturedKeypressWithTimestamp}
+            onChange={(newMappings) => {
+              this.saveOptions({
+                modeKeyboardShortcuts: newMappings,
+              });
+            }}
+            onAddChange={this.onKeyboardShortcutAddChange}
+          />
+
           <Field
             key="css"
             id="css"
             label="Appearance"
-            changed={options.css !== defaults.css}
+            changed={
+              options.theme !== defaults.theme ||
+              options.themeColorScheme !== defaults.themeColorScheme ||
+              options.css !== defaults.css
+            }
             render={({ id }) => (
               <div className="SpacedVertical">
+                <ThemeGallery
+                  chars={options.chars}
+                  theme={options.theme}
+                  onChange={(theme) => {
+                    this.saveOptions({ theme });
+                  }}
+                />
+
+                <div className="Spaced Spaced--center">
+                  <label className="Spaced Spaced--center">
+                    <span>Use the dark variant</span>
+                    <select
+                      value={options.themeColorScheme}
+                      onChange={(event) => {
+                        this.saveOptions({
+                          themeColorScheme: decode(
+                            ThemeColorScheme,
+                            event.currentTarget.value
+                          ),
+                        });
+                      }}
+                    >
+                      {THEME_COLOR_SCHEMES.map(({ value, name }) => (
+                        <option key={value} value={value}>
+                          {name}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+
+                  <button
+                    type="button"
+                    style={{ marginLeft: "auto" }}
+                    onClick={() => {
+                      const themeCSS = `/* Forked from the ${
+                        THEME_NAMES.find(({ value }) => value === options.theme)
+                          ?.name ?? options.theme
+                      } theme. */\n${THEMES[options.theme]}`;
+                      this.saveOptions({
+                        theme: defaults.theme,
+                        css:
+                          options.css.trim() === ""
+                            ? themeCSS
+                            : `${themeCSS}\n\n${options.css}`,
+                      });
+                    }}
+                  >
+                    Fork theme into custom CSS
+                  </button>
+                </div>
+
                 <div className="Spaced">
                   <TextInput
                     textarea
@@ -1154,8 +1561,12 @@ export default class OptionsProgram extends Component<Props, State> {
                 </div>
 
                 <p className="TextSmall">
-                  To the left, you can add or copy and paste CSS overrides to
-                  change the look of things. To the right, you’ll find the base
+                  Pick a theme above. Each theme has a dark variant for dark
+                  pages. To the left, you can add or copy and paste CSS
+                  overrides to change the look of things further. Prefix a
+                  selector with <code>:where(.dark)</code> to only target the
+                  dark variant. Forking a theme copies its CSS to the left, to
+                  use as a starting point. To the right, you’ll find the base
                   CSS for reference, as well as some inspiration through the
                   dropdown.
                 </p>
@@ -1177,18 +1588,191 @@ export default class OptionsProgram extends Component<Props, State> {
                         }}
                       />
                     </label>
+
+                    <label className="Spaced Spaced--center">
+                      <span>Dark</span>
+                      <input
+                        type="checkbox"
+                        checked={previewDark}
+                        onChange={(event) => {
+                          this.setState({
+                            previewDark: event.currentTarget.checked,
+                          });
+                        }}
+                      />
+                    </label>
                   </div>
 
                   <CSSPreview
                     chars={options.chars}
-                    css={options.css}
+                    css={getOptionsCSS(options)}
                     peek={peek}
+                    dark={previewDark}
                   />
                 </div>
               </div>
             )}
           />
 
+          <Field
+            key="accessibility"
+            id="accessibility"
+            label="Accessibility"
+            description={
+              <p>
+                Screen readers can announce entering hints mode and the number
+                of hints, the elements that are activated and, with verbose
+                announcements, the results of filtering by text and which
+                element <em>Enter</em> activates. Announcements are silent
+                without a screen reader. Larger hints and reduced motion makes
+                hints bigger, turns off smooth scrolling and doesn’t flash
+                copied elements.
+              </p>
+            }
+            changed={options.announcements !== defaults.announcements}
+            changedRight={
+              options.accessiblePresentation !== defaults.accessiblePresentation
+            }
+            render={({ id }) => (
+              <div className="Spaced">
+                <select
+                  id={id}
+                  value={options.announcements}
+                  style={{ flex: "1 1 50%" }}
+                  onChange={(event) => {
+                    this.saveOptions({
+                      announcements: decode(
+                        Announcements,
+                        event.currentTarget.value
+                      ),
+                    });
+                  }}
+                >
+                  {ANNOUNCEMENTS.map(({ value, name }) => (
+                    <option key={value} value={value}>
+                      {name}
+                    </option>
+                  ))}
+                </select>
+
+                <label
+                  className="Spaced Spaced--center"
+                  style={{ flex: "1 1 50%" }}
+                >
+                  <input
+                    type="checkbox"
+                    checked={options.accessiblePresentation}
+                    onChange={(event) => {
+                      this.saveOptions({
+                        accessiblePresentation: event.currentTarget.checked,
+                      });
+                    }}
+                  />
+                  <span>Larger hints and reduced motion</span>
+                </label>
+              </div>
+            )}
+          />
+
+          <SiteRules
+            key="siteRules"
+            id="siteRules"
+            options={options}
+            defaults={defaults}
+            onChange={(siteRules) => {
+              this.saveOptions({ siteRules });
+            }}
+          />
+
+          <SelectorRules
+            key="selectorRules"
+            id="selectorRules"
+            options={options}
+            defaults={defaults}
+            onChange={(selectorRules) => {
+              this.saveOptions({ selectorRules });
+            }}
+          />
+
+          <UrlRules
+            key="urlRules"
+            id="urlRules"
+            options={options}
+            defaults={defaults}
+            onChange={(urlRules) => {
+              this.saveOptions({ urlRules });
+            }}
+          />
+
+          <Field
+            key="externalExtensionIds"
+            id="externalExtensionIds"
+            label="Extensions allowed to control hints"
+            description={
+              <p>
+                Other extensions listed here (by extension id) can enter and
+                exit hints mode, read the current hints and activate hints.{" "}
+                <a href={`${META_HOMEPAGE}#api`}>More information.</a>
+              </p>
+            }
+            changed={
+              options.externalExtensionIds.length !==
+              defaults.externalExtensionIds.length
+            }
+            onReset={() => {
+              this.saveOptions({
+                externalExtensionIds: defaults.externalExtensionIds,
+              });
+            }}
+            render={({ id }) => (
+              <StringSetEditor
+                id={id}
+                savedValue={new Set(options.externalExtensionIds)}
+                save={(newValue) => {
+                  this.saveOptions({
+                    externalExtensionIds: normalizeStringArray(newValue),
+                  });
+                }}
+              />
+            )}
+          />
+
+          <Profiles
+            key="profiles"
+            id="profiles"
+            currentRaw={{ ...optionsData.raw, ...getTweakableExport() }}
+            switchShortcut={
+              switchProfileMapping === undefined ? undefined : (
+                <KeyboardShortcut
+                  mac={mac}
+                  shortcut={switchProfileMapping.shortcut}
+                />
+              )
+            }
+            onSave={(name) => {
+              this.sendMessage({ type: "SaveProfile", name });
+            }}
+            onSwitch={(name) => {
+              this.sendMessage({ type: "SwitchProfile", name });
+            }}
+            onDelete={(name) => {
+              this.sendMessage({ type: "DeleteProfile", name });
+            }}
+          />
+
+          <OptionsHistory
+            key="optionsHistory"
+            id="optionsHistory"
+            currentRaw={optionsData.raw}
+            onRollback={(timestamp) => {
+              this.sendMessage({ type: "RollbackOptions", timestamp });
+            }}
+          />
+
+          <Marks key="marks" id="marks" chars={options.chars} />
+
+          <HintsRecording key="recording" id="recording" />
+
           <div className="SpacedVertical SpacedVertical--large">
             <Details
               summary="Performance"
@@ -1647,6 +2231,7 @@ export default class OptionsProgram extends Component<Props, State> {
           numPartiallyUpdated: count("PartiallyUpdated"),
           numAlreadyPartiallyUpdated: count("AlreadyPartiallyUpdated"),
           numNotUpdated: count("NotUpdated"),
+          layout: detectKeyboardLayout(layoutMap),
         },
       });
     } catch (errorAny) {
@@ -1731,43 +2316,3 @@ function ActivateHighlightedKey({
     </span>
   );
 }
-
-function saveFile(
-  content: string,
-  fileName: string,
-  contentType: string
-): void {
-  const a = document.createElement("a");
-  const file = new Blob([content], { type: contentType });
-  const url = URL.createObjectURL(file);
-  a.href = url;
-  a.download = fileName;
-  a.dispatchEvent(new MouseEvent("click"));
-  URL.revokeObjectURL(url);
-}
-
-async function selectFile(accept: string): Promise<File> {
-  return new Promise((resolve) => {
-    const input = document.createElement("input");
-    input.type = "file";
-    input.accept = accept;
-    input.onchange = () => {
-      input.onchange = null;
-      if (input.files !== null) {
-        resolve(input.files[0]);
-      }
-    };
-    input.dispatchEvent(new MouseEvent("click"));
-  });
-}
-
-async function readAsJson(file: File): Promise<unknown> {
-  return new Response(file).json();
-}
-
-function toISODateString(date: Date): string {
-  const pad = (num: number): string => num.toString().padStart(2, "0");
-  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(
-    date.getDate()
-  )}`;
-}
@@ -0,0 +1,177 @@
+import { h, VNode } from "preact";
+import { useState } from "preact/hooks";
+
+import { decode } from "../shared/main";
+import { Options, SelectorRule, SelectorRuleAction } from "../shared/options";
+import Field from "./Field";
+import TextInput from "./TextInput";
+
+const ACTIONS: Array<{ action: SelectorRuleAction; name: string }> = [
+  { action: "link", name: "Link" },
+  { action: "clickable", name: "Clickable" },
+  { action: "textarea", name: "Text input" },
+  { action: "scrollable", name: "Scrollable" },
+  { action: "exclude", name: "No hint" },
+];
+
+export default function SelectorRules({
+  id,
+  options,
+  defaults,
+  onChange,
+}: {
+  id: string;
+  options: Options;
+  defaults: Options;
+  onChange: (selectorRules: Array<SelectorRule>) => void;
+}): VNode {
+  const [selectorErrors, setSelectorErrors] = useState<
+    Record<number, string | undefined>
+  >({});
+
+  const rules = options.selectorRules;
+
+  const updateRule = (index: number, rule: Partial<SelectorRule>): void => {
+    onChange(
+      rules.map((rule2, index2) =>
+        index2 === index ? { ...rule2, ...rule } : rule2
+      )
+    );
+  };
+
+  return (
+    <Field
+      id={id}
+      fullWidth
+      label="Hint selector rules"
+      span
+      changed={rules.length > 0}
+      onReset={() => {
+        onChange(defaults.selectorRules);
+      }}
+      description={
+        <p>
+          Fix missing or redundant hints: Elements matching a CSS selector can
+          be forced to be treated as a certain kind of element, or to not get a
+          hint at all. Each rule only applies to pages whose URL matches its
+          pattern (<code>*</code> matches anything). Later rules win over
+          earlier ones. With the log level set to “log”, the console shows which
+          rule applied to each hint, and which elements were excluded.
+        </p>
+      }
+      render={() => (
+        <div className="SpacedVertical">
+          {rules.length > 0 && (
+            <table className="SelectorRulesTable">
+              <thead>
+                <tr>
+                  <th>URL pattern</th>
+                  <th>Selector</th>
+                  <th>Treat as</th>
+                  <th />
+                </tr>
+              </thead>
+              <tbody>
+                {rules.map((rule, index) => (
+                  <tr key={index}>
+                    <td>
+                      <TextInput
+                        placeholder="*://example.com/*"
+                        savedValue={rule.pattern}
+                        normalize={(value) => value.trim()}
+                        save={(value) => {
+                          updateRule(index, { pattern: value });
+                        }}
+                      />
+                    </td>
+                    <td>
+                      <TextInput
+                        placeholder=".menu-item"
+                        savedValue={rule.selector}
+                        normalize={(value) => value.trim()}
+                        save={(value) => {
+                          const error = validateSelector(value);
+                          setSelectorErrors({
+                            ...selectorErrors,
+                            [index]: error,
+                          });
+                          if (error === undefined) {
+                            updateRule(index, { selector: value });
+                          }
+                        }}
+                      />
+                      {selectorErrors[index] !== undefined && (
+                        <p className="TextSmall Error">
+                          {selectorErrors[index]}
+                        </p>
+                      )}
+                    </td>
+                    <td>
+                      <select
+                        value={rule.action}
+                        onChange={(event) => {
+                          const action = decode(
+                            SelectorRuleAction,
+                            event.currentTarget.value
+                          );
+                          updateRule(index, { action });
+                        }}
+                      >
+                        {ACTIONS.map(({ action, name }) => (
+                          <option key={action} value={action}>
+                            {name}
+                          </option>
+                        ))}
+                      </select>
+                    </td>
+                    <td>
+                      <button
+                        type="button"
+                        title="Remove this rule"
+                        className="RemoveButton"
+                        onClick={() => {
+                          onChange(
+                            rules.filter((_, index2) => index2 !== index)
+                          );
+                          setSelectorErrors({});
+                        }}
+                      >
+                        ×
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          <div>
+            <button
+              type="button"
+              onClick={() => {
+                onChange([
+                  ...rules,
+                  { pattern: "", selector: "", action: "clickable" },
+                ]);
+              }}
+            >
+              Add rule
+            </button>
+          </div>
+        </div>
+      )}
+    />
+  );
+}
+
+function validateSelector(selector: string): string | undefined {
+  try {
+    if (selector !== "") {
+      document.querySelector(selector);
+    }
+    return undefined;
+  } catch (errorAny) {
+    const error = errorAny as Error;
+    return error.message;
+  }
+}
@@ -0,0 +1,356 @@
+import { h, VNode } from "preact";
+import { useState } from "preact/hooks";
+
+import {
+  getMatchingSiteRules,
+  getSiteOptions,
+  normalizeChars,
+  Options,
+  SiteRule,
+} from "../shared/options";
+import { getInactiveProfileOptions, ProfileOptions } from "../shared/profiles";
+import Attachment from "./Attachment";
+import Field from "./Field";
+import { useProfiles } from "./Profiles";
+import TextInput from "./TextInput";
+import { SITE_TWEAKABLE_KEYS } from "./Tweakable";
+
+export default function SiteRules({
+  id,
+  options,
+  defaults,
+  onChange,
+}: {
+  id: string;
+  options: Options;
+  defaults: Options;
+  onChange: (siteRules: Array<SiteRule>) => void;
+}): VNode {
+  const [testUrl, setTestUrl] = useState<string>("");
+  const [tweakablesErrors, setTweakablesErrors] = useState<
+    Record<number, string | undefined>
+  >({});
+
+  const rules = options.siteRules;
+
+  const profiles = useProfiles();
+
+  const updateRule = (index: number, rule: Partial<SiteRule>): void => {
+    onChange(
+      rules.map((rule2, index2) =>
+        index2 === index ? { ...rule2, ...rule } : rule2
+      )
+    );
+  };
+
+  return (
+    <Field
+      id={id}
+      fullWidth
+      label="Site rules"
+      span
+      changed={rules.length > 0}
+      onReset={() => {
+        onChange(defaults.siteRules);
+      }}
+      description={
+        <p>
+          Override hint characters, auto activation, CSS and debug tweakables
+          for pages whose URL matches a pattern, or use the hints options, CSS
+          and tweakables of a profile. <code>*</code> matches anything, for
+          example <code>*://mail.example.com/*</code>. Rules are resolved per
+          frame, and later rules win over earlier ones. Leave a field empty to
+          use the global option. Tweakables are written as JSON, for example{" "}
+          <code>{`{"ElementManager.ROLES_CLICKABLE": ["button"]}`}</code>.
+        </p>
+      }
+      render={() => (
+        <div className="SpacedVertical">
+          {rules.map((rule, index) => (
+            <div key={index} className="SiteRule SpacedVertical">
+              <div className="Spaced Spaced--center">
+                <TextInput
+                  style={{ flex: "1 1 auto" }}
+                  placeholder="*://example.com/*"
+                  savedValue={rule.pattern}
+                  normalize={(value) => value.trim()}
+                  save={(value) => {
+                    updateRule(index, { pattern: value });
+                  }}
+                />
+                <button
+                  type="button"
+                  title="Remove this rule"
+                  className="RemoveButton"
+                  onClick={() => {
+                    onChange(rules.filter((_, index2) => index2 !== index));
+                    setTweakablesErrors({});
+                  }}
+                >
+                  ×
+                </button>
+              </div>
+
+              <div className="Spaced">
+                <Attachment label="Hint characters" style={{ flex: "1 1 50%" }}>
+                  <TextInput
+                    style={{ flexGrow: 1 }}
+                    placeholder={options.chars}
+                    savedValue={rule.chars ?? ""}
+                    normalize={(value) =>
+                      value.trim() === ""
+                        ? ""
+                        : normalizeChars(value, options.chars)
+                    }
+                    save={(value) => {
+                      updateRule(index, {
+                        chars: value === "" ? undefined : value,
+                      });
+                    }}
+                  />
+                </Attachment>
+
+                <Attachment label="Profile" style={{ flex: "1 1 50%" }}>
+                  <select
+                    style={{ flexGrow: 1 }}
+                    value={rule.profile ?? ""}
+                    onChange={(event) => {
+                      const { value } = event.currentTarget;
+                      updateRule(index, {
+                        profile: value === "" ? undefined : value,
+                      });
+                    }}
+                  >
+                    <option value="">None</option>
+                    {profiles.profiles.map((profile) => (
+                      <option key={profile.name} value={profile.name}>
+                        {profile.name}
+                      </option>
+                    ))}
+                    {rule.profile !== undefined &&
+                      profiles.profiles.every(
+                        (profile) => profile.name !== rule.profile
+                      ) && (
+                        <option value={rule.profile}>
+                          {rule.profile} (missing)
+                        </option>
+                      )}
+                  </select>
+                </Attachment>
+
+                <Attachment label="Auto activate" style={{ flex: "1 1 50%" }}>
+                  <select
+                    style={{ flexGrow: 1 }}
+                    value={
+                      rule.autoActivate === undefined
+                        ? ""
+                        : rule.autoActivate
+                        ? "on"
+                        : "off"
+                    }
+                    onChange={(event) => {
+                      const { value } = event.currentTarget;
+                      updateRule(index, {
+                        autoActivate: value === "" ? undefined : value === "on",
+                      });
+                    }}
+                  >
+                    <option value="">
+                      Global ({options.autoActivate ? "enabled" : "disabled"})
+                    </option>
+                    <option value="on">Enabled</option>
+                    <option value="off">Disabled</option>
+                  </select>
+                </Attachment>
+              </div>
+
+              <div className="Spaced">
+                <TextInput
+                  textarea
+                  className="TextSmall"
+                  style={{ flex: "1 1 50%", height: 100 }}
+                  placeholder="CSS overrides for this site…"
+                  savedValue={rule.css ?? ""}
+                  save={(value) => {
+                    updateRule(index, {
+                      css: value.trim() === "" ? undefined : value,
+                    });
+                  }}
+                />
+
+                <TextInput
+                  textarea
+                  className="TextSmall"
+                  style={{ flex: "1 1 50%", height: 100 }}
+                  placeholder="Tweakables for this site (JSON)…"
+                  savedValue={
+                    Object.keys(rule.tweakables).length === 0
+                      ? ""
+                      : JSON.stringify(rule.tweakables, undefined, 2)
+                  }
+                  save={(value) => {
+                    const result = parseTweakables(value);
+                    setTweakablesErrors({
+                      ...tweakablesErrors,
+                      [index]: result.error,
+                    });
+                    if (result.error === undefined) {
+                      updateRule(index, { tweakables: result.tweakables });
+                    }
+                  }}
+                />
+              </div>
+
+              {tweakablesErrors[index] !== undefined && (
+                <p className="TextSmall Error">{tweakablesErrors[index]}</p>
+              )}
+            </div>
+          ))}
+
+          <div>
+            <button
+              type="button"
+              onClick={() => {
+                onChange([
+                  ...rules,
+                  {
+                    pattern: "",
+                    profile: undefined,
+                    chars: undefined,
+                    autoActivate: undefined,
+                    css: undefined,
+                    tweakables: {},
+                  },
+                ]);
+              }}
+            >
+              Add rule
+            </button>
+          </div>
+
+          {(rules.length > 0 || options.selectorRules.length > 0) && (
+            <SiteRulesTest
+              options={options}
+              profileOptions={getInactiveProfileOptions(profiles, defaults)}
+              testUrl={testUrl}
+              onTestUrlChange={setTestUrl}
+            />
+          )}
+        </div>
+      )}
+    />
+  );
+}
+
+function SiteRulesTest({
+  options,
+  profileOptions,
+  testUrl,
+  onTestUrlChange,
+}: {
+  options: Options;
+  profileOptions: Map<string, ProfileOptions>;
+  testUrl: string;
+  onTestUrlChange: (testUrl: string) => void;
+}): VNode {
+  const url = testUrl.trim() === "" ? undefined : testUrl.trim();
+  const matching = getMatchingSiteRules(options, url);
+  const {
+    options: siteOptions,
+    tweakables,
+    selectorRules,
+  } = getSiteOptions(options, url, profileOptions);
+
+  return (
+    <div className="SpacedVertical">
+      <Attachment label="Test URL">
+        <TextInput
+          style={{ flexGrow: 1 }}
+          placeholder="https://example.com/some/page"
+          savedValue={testUrl}
+          save={onTestUrlChange}
+        />
+      </Attachment>
+
+      {url !== undefined && (
+        <table className="SiteRulesTable TextSmall">
+          <tbody>
+            <tr>
+              <th>Matching rules</th>
+              <td>
+                {matching.length === 0
+                  ? "None"
+                  : matching.map((rule) => rule.pattern).join(", ")}
+              </td>
+            </tr>
+            <tr>
+              <th>Hint characters</th>
+              <td>
+                <code>{siteOptions.chars}</code>
+              </td>
+            </tr>
+            <tr>
+              <th>Auto activate</th>
+              <td>{siteOptions.autoActivate ? "Enabled" : "Disabled"}</td>
+            </tr>
+            <tr>
+              <th>CSS</th>
+              <td>
+                <pre>
+                  {siteOptions.css.trim() === "" ? "–" : siteOptions.css}
+                </pre>
+              </td>
+            </tr>
+            {selectorRules.map((rule, index) => (
+              <tr key={index}>
+                <th>Selector rule</th>
+                <td>
+                  <code>{rule.selector}</code> → {rule.action}
+                </td>
+              </tr>
+            ))}
+            {Object.entries(tweakables).map(([key, value]) => (
+              <tr key={key}>
+                <th>{key}</th>
+                <td>
+                  <code>{JSON.stringify(value)}</code>
+                  {!SITE_TWEAKABLE_KEYS.has(key) && (
+                    <span className="Error"> (unknown tweakable)</span>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+function parseTweakables(
+  value: string
+):
+  | { tweakables: Record<string, unknown>; error: undefined }
+  | { tweakables: undefined; error: string } {
+  if (value.trim() === "") {
+    return { tweakables: {}, error: undefined };
+  }
+
+  try {
+    const parsed: unknown = JSON.parse(value);
+    if (
+      typeof parsed !== "object" ||
+      parsed === null ||
+      Array.isArray(parsed)
+    ) {
+      return {
+        tweakables: undefined,
+        error: "Expected a JSON object of tweakables.",
+      };
+    }
+    return { tweakables: parsed as Record<string, unknown>, error: undefined };
+  } catch (errorAny) {
+    const error = errorAny as Error;
+    return { tweakables: undefined, error: error.message };
+  }
+}
@@ -0,0 +1,139 @@
+import { h, VNode } from "preact";
+import Shadow from "preact-shadow-root";
+
+import {
+  CSS,
+  DARK_CLASS,
+  HAS_MATCHED_CHARS_CLASS,
+  HIGHLIGHTED_HINT_CLASS,
+  HINT_CLASS,
+  MATCHED_CHARS_CLASS,
+  MIXED_CASE_CLASS,
+  ROOT_CLASS,
+  TEXT_RECT_CLASS,
+  THEMES,
+} from "../shared/css";
+import { classlist, isMixedCase } from "../shared/main";
+import type { Theme } from "../shared/options";
+
+export const THEME_NAMES: Array<{ value: Theme; name: string }> = [
+  { value: "classic", name: "Classic" },
+  { value: "dark", name: "Dark" },
+  { value: "highContrast", name: "High contrast" },
+  { value: "largePrint", name: "Large print" },
+  { value: "minimalOutline", name: "Minimal outline" },
+];
+
+// Shows every theme in its light and dark variant, with the hint states side
+// by side: Plain, with matched chars, highlighted and a text rect.
+export default function ThemeGallery({
+  chars,
+  theme,
+  onChange,
+}: {
+  chars: string;
+  theme: Theme;
+  onChange: (theme: Theme) => void;
+}): VNode {
+  const hintChars = chars.slice(0, 2);
+
+  return (
+    <div className="ThemeGallery">
+      {THEME_NAMES.map(({ value, name }) => (
+        <div
+          key={value}
+          className={classlist("ThemeGallery-item", {
+            "is-selected": value === theme,
+          })}
+        >
+          <label className="Spaced Spaced--center">
+            <input
+              type="radio"
+              name="theme"
+              checked={value === theme}
+              onChange={() => {
+                onChange(value);
+              }}
+            />
+            <span>{name}</span>
+          </label>
+          {[false, true].map((dark) => (
+            <ThemeSample
+              key={dark.toString()}
+              css={`
+                ${CSS}\n\n${THEMES[value]}
+              `}
+              chars={hintChars}
+              dark={dark}
+            />
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function ThemeSample({
+  css,
+  chars,
+  dark,
+}: {
+  css: string;
+  chars: string;
+  dark: boolean;
+}): VNode {
+  const hint = ({
+    matchedChars,
+    restChars,
+    highlighted,
+  }: {
+    matchedChars: string;
+    restChars: string;
+    highlighted: boolean;
+  }): VNode => (
+    <div
+      key={`${matchedChars}-${highlighted.toString()}`}
+      className={classlist(HINT_CLASS, {
+        [MIXED_CASE_CLASS]: isMixedCase(chars),
+        [HAS_MATCHED_CHARS_CLASS]: matchedChars !== "",
+        [HIGHLIGHTED_HINT_CLASS]: highlighted,
+      })}
+      style={{ display: "inline-block" }}
+    >
+      {matchedChars !== "" && (
+        <span className={MATCHED_CHARS_CLASS}>{matchedChars}</span>
+      )}
+      {restChars}
+    </div>
+  );
+
+  return (
+    <div
+      className={classlist("ThemeSample", { "ThemeSample--dark": dark })}
+      title={dark ? "Dark variant" : "Light variant"}
+    >
+      <Shadow>
+        <div
+          className={classlist(ROOT_CLASS, { [DARK_CLASS]: dark })}
+          style={{ display: "flex", alignItems: "center", gap: 6 }}
+        >
+          {hint({ matchedChars: "", restChars: chars, highlighted: false })}
+          {hint({
+            matchedChars: chars.slice(0, 1),
+            restChars: chars.slice(1),
+            highlighted: false,
+          })}
+          {hint({ matchedChars: "", restChars: chars, highlighted: true })}
+          <span style={{ position: "relative" }}>
+            text
+            <span
+              className={TEXT_RECT_CLASS}
+              style={{ position: "absolute", inset: 0 }}
+            />
+          </span>
+          <style>{css}</style>
+        </div>
+      </Shadow>
+    </div>
+  );
+}
@@ -46,6 +46,16 @@ const ALL_KEYS = new Set<string>(
   )
 );
 
+// Site rules can override tweakables for everything running in a page, but not
+// the background ones (which are global).
+export const SITE_TWEAKABLE_KEYS = new Set<string>(
+  ALL_TWEAKABLES.flatMap(([, tMeta]) =>
+    tMeta === tMetaBackground
+      ? []
+      : Object.keys(tMeta.defaults).map((key) => `${tMeta.namespace}.${key}`)
+  )
+);
+
 export default function Tweakable({
   before,
   onUpdate,
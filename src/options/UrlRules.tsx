@@ -0,0 +1,230 @@
+import { h, VNode } from "preact";
+import { useState } from "preact/hooks";
+
+import { decode } from "../shared/main";
+import {
+  matchesUrlPattern,
+  Options,
+  UrlRule,
+  UrlRuleOpen,
+} from "../shared/options";
+import { applyUrlRules } from "../shared/urlRules";
+import Attachment from "./Attachment";
+import Field from "./Field";
+import TextInput from "./TextInput";
+
+const OPEN: Array<{ open: UrlRuleOpen; name: string }> = [
+  { open: "mode", name: "As the hints mode says" },
+  { open: "backgroundTab", name: "Always in a background tab" },
+  { open: "newWindow", name: "Always in a new window" },
+];
+
+export default function UrlRules({
+  id,
+  options,
+  defaults,
+  onChange,
+}: {
+  id: string;
+  options: Options;
+  defaults: Options;
+  onChange: (urlRules: Array<UrlRule>) => void;
+}): VNode {
+  const [testUrl, setTestUrl] = useState<string>("");
+
+  const rules = options.urlRules;
+
+  const updateRule = (index: number, rule: Partial<UrlRule>): void => {
+    onChange(
+      rules.map((rule2, index2) =>
+        index2 === index ? { ...rule2, ...rule } : rule2
+      )
+    );
+  };
+
+  return (
+    <Field
+      id={id}
+      fullWidth
+      label="Link URL rules"
+      span
+      changed={rules.length > 0}
+      onReset={() => {
+        onChange(defaults.urlRules);
+      }}
+      description={
+        <p>
+          Rewrite links before they are opened in a new tab or window: Remove
+          query parameters (space separated, <code>*</code> matches anything, as
+          in <code>utm_* fbclid</code>) or replace the host, for example to use
+          a self-hosted front-end. Links can also be forced to always open in a
+          background tab or a new window, no matter the hints mode. Each rule
+          applies to links whose URL matches its pattern, and gets the result of
+          the rules before it.
+        </p>
+      }
+      render={() => (
+        <div className="SpacedVertical">
+          {rules.length > 0 && (
+            <table className="SelectorRulesTable">
+              <thead>
+                <tr>
+                  <th>URL pattern</th>
+                  <th>Remove parameters</th>
+                  <th>Replace host</th>
+                  <th>Open</th>
+                  <th />
+                </tr>
+              </thead>
+              <tbody>
+                {rules.map((rule, index) => (
+                  <tr key={index}>
+                    <td>
+                      <TextInput
+                        placeholder="*://example.com/*"
+                        savedValue={rule.pattern}
+                        normalize={(value) => value.trim()}
+                        save={(value) => {
+                          updateRule(index, { pattern: value });
+                        }}
+                      />
+                    </td>
+                    <td>
+                      <TextInput
+                        placeholder="utm_* fbclid"
+                        savedValue={rule.removeParams}
+                        normalize={(value) => value.trim()}
+                        save={(value) => {
+                          updateRule(index, { removeParams: value });
+                        }}
+                      />
+                    </td>
+                    <td>
+                      <TextInput
+                        placeholder="example.org"
+                        savedValue={rule.host}
+                        normalize={(value) => value.trim()}
+                        save={(value) => {
+                          updateRule(index, { host: value });
+                        }}
+                      />
+                    </td>
+                    <td>
+                      <select
+                        value={rule.open}
+                        onChange={(event) => {
+                          const open = decode(
+                            UrlRuleOpen,
+                            event.currentTarget.value
+                          );
+                          updateRule(index, { open });
+                        }}
+                      >
+                        {OPEN.map(({ open, name }) => (
+                          <option key={open} value={open}>
+                            {name}
+                          </option>
+                        ))}
+                      </select>
+                    </td>
+                    <td>
+                      <button
+                        type="button"
+                        title="Remove this rule"
+                        className="RemoveButton"
+                        onClick={() => {
+                          onChange(
+                            rules.filter((_, index2) => index2 !== index)
+                          );
+                        }}
+                      >
+                        ×
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          <div>
+            <button
+              type="button"
+              onClick={() => {
+                onChange([
+                  ...rules,
+                  { pattern: "", removeParams: "", host: "", open: "mode" },
+                ]);
+              }}
+            >
+              Add rule
+            </button>
+          </div>
+
+          {rules.length > 0 && (
+            <UrlRulesTest
+              rules={rules}
+              testUrl={testUrl}
+              onTestUrlChange={setTestUrl}
+            />
+          )}
+        </div>
+      )}
+    />
+  );
+}
+
+function UrlRulesTest({
+  rules,
+  testUrl,
+  onTestUrlChange,
+}: {
+  rules: Array<UrlRule>;
+  testUrl: string;
+  onTestUrlChange: (testUrl: string) => void;
+}): VNode {
+  const url = testUrl.trim();
+  const matching = rules.filter((rule) => matchesUrlPattern(rule.pattern, url));
+  const result = applyUrlRules(rules, url);
+
+  return (
+    <div className="SpacedVertical">
+      <Attachment label="Test link URL">
+        <TextInput
+          style={{ flexGrow: 1 }}
+          placeholder="https://example.com/article?utm_source=feed"
+          savedValue={testUrl}
+          save={onTestUrlChange}
+        />
+      </Attachment>
+
+      {url !== "" && (
+        <table className="SiteRulesTable TextSmall">
+          <tbody>
+            <tr>
+              <th>Matching rules</th>
+              <td>
+                {matching.length === 0
+                  ? "None"
+                  : matching.map((rule) => rule.pattern).join(", ")}
+              </td>
+            </tr>
+            <tr>
+              <th>Rewritten URL</th>
+              <td>
+                <code>{result.url}</code>
+              </td>
+            </tr>
+            <tr>
+              <th>Opens</th>
+              <td>
+                {OPEN.find(({ open }) => open === result.open)?.name ??
+                  result.open}
+              </td>
+            </tr>
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
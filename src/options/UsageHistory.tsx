@@ -0,0 +1,140 @@
+import { h, VNode } from "preact";
+import { useEffect, useState } from "preact/hooks";
+
+import { addListener, fireAndForget } from "../shared/main";
+import type { Options } from "../shared/options";
+import {
+  decodeUsageHistory,
+  USAGE_HISTORY_KEY,
+  UsageHistory as UsageHistoryData,
+} from "../shared/usageHistory";
+import Field from "./Field";
+
+export default function UsageHistory({
+  id,
+  options,
+  defaults,
+  onChange,
+  onExport,
+}: {
+  id: string;
+  options: Options;
+  defaults: Options;
+  onChange: (adaptiveWeights: boolean) => void;
+  onExport: (history: UsageHistoryData) => void;
+}): VNode {
+  const [history, setHistory] = useState<UsageHistoryData>({});
+
+  useEffect(() => {
+    const load = async (): Promise<void> => {
+      const data = await browser.storage.local.get(USAGE_HISTORY_KEY);
+      setHistory(decodeUsageHistory(data[USAGE_HISTORY_KEY]));
+    };
+    fireAndForget(load(), "UsageHistory#load");
+
+    return addListener(
+      browser.storage.onChanged,
+      (changes, areaName) => {
+        const change = changes[USAGE_HISTORY_KEY];
+        if (areaName === "local" && change !== undefined) {
+          setHistory(decodeUsageHistory(change.newValue));
+        }
+      },
+      "UsageHistory storage.onChanged listener"
+    );
+  }, []);
+
+  const origins = Object.entries(history)
+    .map(([origin, entries]) => {
+      const values = Object.values(entries);
+      return {
+        origin,
+        numElements: values.length,
+        numActivations: values.reduce((sum, entry) => sum + entry.count, 0),
+        lastUsed: Math.max(...values.map((entry) => entry.lastUsed)),
+      };
+    })
+    .sort((a, b) => b.lastUsed - a.lastUsed);
+
+  return (
+    <Field
+      id={id}
+      label="Adaptive hint weights"
+      description={
+        <p>
+          Learn which elements you activate the most on each site, and give them
+          shorter hints. Only hashes of the site and of the element type, URL
+          and text are stored, on this device only. Nothing is recorded in
+          private windows.
+        </p>
+      }
+      changed={options.adaptiveWeights !== defaults.adaptiveWeights}
+      render={({ id: fieldId }) => (
+        <div className="SpacedVertical">
+          <div className="ShrinkwrapChildren">
+            <label className="Spaced Spaced--center">
+              <input
+                type="checkbox"
+                id={fieldId}
+                checked={options.adaptiveWeights}
+                onChange={(event) => {
+                  onChange(event.currentTarget.checked);
+                }}
+              />
+              <span>Enabled</span>
+            </label>
+          </div>
+
+          {origins.length > 0 ? (
+            <table className="SelectorRulesTable TextSmall">
+              <thead>
+                <tr>
+                  <th>Site (hash)</th>
+                  <th>Elements</th>
+                  <th>Activations</th>
+                  <th>Last used</th>
+                </tr>
+              </thead>
+              <tbody>
+                {origins.map((item) => (
+                  <tr key={item.origin}>
+                    <td>{item.origin}</td>
+                    <td>{item.numElements}</td>
+                    <td>{item.numActivations}</td>
+                    <td>{new Date(item.lastUsed).toLocaleString()}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : (
+            <p className="TextSmall">No history recorded yet.</p>
+          )}
+
+          <div className="Spaced">
+            <button
+              type="button"
+              disabled={origins.length === 0}
+              onClick={() => {
+                onExport(history);
+              }}
+            >
+              Export history
+            </button>
+            <button
+              type="button"
+              disabled={origins.length === 0}
+              onClick={() => {
+                fireAndForget(
+                  browser.storage.local.remove(USAGE_HISTORY_KEY),
+                  "UsageHistory#clear"
+                );
+              }}
+            >
+              Clear history
+            </button>
+          </div>
+        </div>
+      )}
+    />
+  );
+}
@@ -0,0 +1,39 @@
+export function saveFile(
+  content: string,
+  fileName: string,
+  contentType: string
+): void {
+  const a = document.createElement("a");
+  const file = new Blob([content], { type: contentType });
+  const url = URL.createObjectURL(file);
+  a.href = url;
+  a.download = fileName;
+  a.dispatchEvent(new MouseEvent("click"));
+  URL.revokeObjectURL(url);
+}
+
+export async function selectFile(accept: string): Promise<File> {
+  return new Promise((resolve) => {
+    const input = document.createElement("input");
+    input.type = "file";
+    input.accept = accept;
+    input.onchange = () => {
+      input.onchange = null;
+      if (input.files !== null) {
+        resolve(input.files[0]);
+      }
+    };
+    input.dispatchEvent(new MouseEvent("click"));
+  });
+}
+
+export async function readAsJson(file: File): Promise<unknown> {
+  return new Response(file).json();
+}
+
+export function toISODateString(date: Date): string {
+  const pad = (num: number): string => num.toString().padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(
+    date.getDate()
+  )}`;
+}
@@ -68,12 +68,27 @@ export default class PopupProgram {
     switch (message.type) {
       case "Init":
         log.level = message.logLevel;
-        this.render({ isEnabled: message.isEnabled });
+        this.render({
+          isEnabled: message.isEnabled,
+          isRecording: message.isRecording,
+          profiles: message.profiles,
+          activeProfile: message.activeProfile,
+        });
         break;
     }
   }
 
-  render({ isEnabled }: { isEnabled: boolean }): void {
+  render({
+    isEnabled,
+    isRecording,
+    profiles,
+    activeProfile,
+  }: {
+    isEnabled: boolean;
+    isRecording: boolean;
+    profiles: Array<string>;
+    activeProfile: string | undefined;
+  }): void {
     const previous = document.getElementById(CONTAINER_ID);
 
     if (previous !== null) {
@@ -143,6 +158,71 @@ export default class PopupProgram {
           </button>
         </p>
 
+        {profiles.length > 0 && (
+          <div>
+            <p>
+              Options profile:{" "}
+              {activeProfile === undefined ? (
+                <em>None (unsaved)</em>
+              ) : (
+                <strong>{activeProfile}</strong>
+              )}
+            </p>
+
+            <p className="Buttons">
+              {profiles.map((name) => (
+                <button
+                  key={name}
+                  type="button"
+                  className="browser-style"
+                  disabled={name === activeProfile ? true : undefined}
+                  onClick={() => {
+                    browser.runtime
+                      .sendMessage(wrapMessage({ type: "SwitchProfile", name }))
+                      .then(() => {
+                        window.close();
+                      })
+                      .catch((error: Error) => {
+                        showError(error);
+                      });
+                  }}
+                >
+                  {name}
+                </button>
+              ))}
+            </p>
+          </div>
+        )}
+
+        {isEnabled && (
+          <div>
+            <p>
+              {isRecording
+                ? "The next hints session in this tab is being recorded."
+                : "Reporting a missing or misplaced hint? Record a hints session in this tab, and attach it from the Options page."}
+            </p>
+
+            <p className="Buttons">
+              <button
+                type="button"
+                className="browser-style"
+                onClick={() => {
+                  browser.runtime
+                    .sendMessage(wrapMessage({ type: "ToggleRecording" }))
+                    .then(() => {
+                      window.close();
+                    })
+                    .catch((error: Error) => {
+                      showError(error);
+                    });
+                }}
+              >
+                {isRecording ? "Stop recording" : "Record hints session"}
+              </button>
+            </p>
+          </div>
+        )}
+
         {errorElement}
       </div>
     );
@@ -1,9 +1,11 @@
 import type { JSX as PreactJSX } from "preact";
 
+type Child = HTMLElement | boolean | string | null | undefined;
+
 export function h(
   tag: string,
   props: Record<string, string | undefined> | null | undefined,
-  ...children: Array<HTMLElement | boolean | string | null | undefined>
+  ...children: Array<Array<Child> | Child>
 ): HTMLElement {
   const element = document.createElement(tag);
 
@@ -20,13 +22,14 @@ export function h(
 
     for (const key of Object.keys(rest)) {
       const value = rest[key];
-      if (value !== undefined) {
+      // `key` is only used by the linter when rendering lists.
+      if (value !== undefined && key !== "key") {
         element.setAttribute(key, value);
       }
     }
   }
 
-  for (const child of children) {
+  for (const child of children.flat()) {
     if (child !== null && child !== undefined && typeof child !== "boolean") {
       element.append(
         typeof child === "string" ? document.createTextNode(child) : child
@@ -1,14 +1,21 @@
 import {
   CONTAINER_STYLES,
   CSS,
+  DARK_CLASS,
+  GRID_CELL_CLASS,
+  GRID_POINT_CLASS,
   HAS_MATCHED_CHARS_CLASS,
   HIDDEN_CLASS,
   HIGHLIGHTED_HINT_CLASS,
   HINT_CLASS,
+  LIVE_REGION_STYLES,
   MATCHED_CHARS_CLASS,
   MAX_Z_INDEX,
   MIN_Z_INDEX,
   MIXED_CASE_CLASS,
+  OFFSCREEN_HINT_CLASS,
+  OFFSCREEN_HINTS_CLASS,
+  OFFSCREEN_TEXT_CLASS,
   PEEK_CLASS,
   ROOT_CLASS,
   SHRUGGIE,
@@ -18,6 +25,7 @@ import {
 } from "../shared/css";
 import type {
   ElementRender,
+  GridCell,
   HintMeasurements,
   HintUpdate,
 } from "../shared/hints";
@@ -26,19 +34,26 @@ import {
   addListener,
   Box,
   CONTAINER_ID,
+  describeTextFilters,
   fireAndForget,
   getViewport,
   log,
   Resets,
   setStyles,
+  splitEnteredText,
 } from "../shared/main";
 import type {
   FromBackground,
   FromRenderer,
   ToBackground,
 } from "../shared/messages";
+import type { ThemeColorScheme } from "../shared/options";
 import { TimeTracker } from "../shared/perf";
-import { tweakable, unsignedInt } from "../shared/tweakable";
+import {
+  applyTweakableOverrides,
+  tweakable,
+  unsignedInt,
+} from "../shared/tweakable";
 import { applyStyles, parseCSS, Rule } from "./css";
 
 type HintSize = {
@@ -60,6 +75,9 @@ export default class RendererProgram {
 
   enteredText = "";
 
+  // The label typed so far when marking an element.
+  markLabel: string | undefined = undefined;
+
   resets = new Resets();
 
   shruggieElement: HTMLElement;
@@ -68,6 +86,13 @@ export default class RendererProgram {
 
   statusText: Text;
 
+  // In search hints mode, hints for elements outside the viewport are listed
+  // here, each in a row together with the text of the element.
+  offscreenHints: HTMLElement;
+
+  // The rows of `offscreenHints`, by hint element.
+  offscreenRows = new Map<HTMLElement, HTMLElement>();
+
   hintSize: HintSize;
 
   container: {
@@ -86,6 +111,20 @@ export default class RendererProgram {
     parsed: undefined,
   };
 
+  themeColorScheme: ThemeColorScheme = "system";
+
+  // Screen readers read out the text put in `region` (see the `announcements`
+  // option). It lives outside `container`, so that announcements made just
+  // before unrendering (such as when activating a hint) aren’t cut off. Like
+  // `container`, it uses a closed shadow root, so that the page can’t read what
+  // the user types.
+  liveRegion: {
+    element: HTMLElement;
+    region: HTMLElement;
+  };
+
+  announcements = false;
+
   constructor() {
     this.shruggieElement = createHintElement(SHRUGGIE);
     this.shruggieElement.classList.add(SHRUGGIE_CLASS);
@@ -106,6 +145,26 @@ export default class RendererProgram {
       "z-index": MAX_Z_INDEX.toString(),
     });
 
+    this.offscreenHints = document.createElement("div");
+    this.offscreenHints.classList.add(OFFSCREEN_HINTS_CLASS);
+    setStyles(this.offscreenHints, {
+      position: "absolute",
+      display: "flex",
+      "flex-direction": "column",
+      "align-items": "flex-start",
+      overflow: "hidden",
+      "z-index": MAX_Z_INDEX.toString(),
+    });
+
+    const liveRegionElement = document.createElement("div");
+    setStyles(liveRegionElement, LIVE_REGION_STYLES);
+    const region = document.createElement("div");
+    region.setAttribute("role", "status");
+    region.setAttribute("aria-live", "polite");
+    region.setAttribute("aria-atomic", "true");
+    liveRegionElement.attachShadow({ mode: "closed" }).append(region);
+    this.liveRegion = { element: liveRegionElement, region };
+
     this.hintSize = {
       widthBase: 0,
       widthPerLetter: 0,
@@ -201,6 +260,7 @@ export default class RendererProgram {
     log("log", "RendererProgram#stop");
     this.resets.reset();
     this.unrender();
+    this.liveRegion.element.remove();
   }
 
   sendMessage(message: FromRenderer): void {
@@ -233,7 +293,17 @@ export default class RendererProgram {
         const newCSS = `${CSS}\n\n${message.css}`;
         const changedCSS = this.css.text !== newCSS;
         this.css.text = newCSS;
+        this.themeColorScheme = message.themeColorScheme;
+        this.announcements = message.announcements;
+        // Live regions need to be in the page before their text changes to be
+        // picked up reliably.
+        if (this.announcements) {
+          this.mountLiveRegion();
+        } else {
+          this.liveRegion.element.remove();
+        }
         log.level = message.logLevel;
+        applyTweakableOverrides(tMeta, message.tweakables);
         if (
           BROWSER === "firefox" &&
           this.css.parsed !== undefined &&
@@ -256,6 +326,15 @@ export default class RendererProgram {
         this.updateHints(message.updates, message.enteredText);
         break;
 
+      case "Announce":
+        this.announce(message.text);
+        break;
+
+      case "UpdateMarkLabel":
+        this.markLabel = message.label;
+        this.updateStatus();
+        break;
+
       case "RemoveShruggie":
         this.shruggieElement.remove();
         break;
@@ -264,6 +343,10 @@ export default class RendererProgram {
         this.rotateHints({ forward: message.forward });
         break;
 
+      case "RenderGrid":
+        this.renderGrid(message.area, message.cells, message.enteredChars);
+        break;
+
       case "RenderTextRects":
         this.unrenderTextRects(message.frameId);
         this.renderTextRects(message.rects, message.frameId);
@@ -381,15 +464,8 @@ export default class RendererProgram {
     };
   }
 
-  async render(
-    elements: Array<ElementRender>,
-    { mixedCase }: { mixedCase: boolean }
-  ): Promise<void> {
-    const time = new TimeTracker();
-
-    time.start("prepare");
-    this.unrender();
-    const viewport = getViewport();
+  // Inserts the (empty) container into the page, covering `viewport`.
+  mount(viewport: Box): void {
     const { root, shadowRoot } = this.container;
 
     // `style.sheet` below is only available after the container has been
@@ -420,6 +496,10 @@ export default class RendererProgram {
       }
     }
 
+    root.classList.toggle(
+      DARK_CLASS,
+      shouldUseDarkTheme(this.themeColorScheme)
+    );
     shadowRoot.append(root);
     this.maybeApplyStyles(root);
     this.updateContainer(viewport);
@@ -439,6 +519,19 @@ export default class RendererProgram {
         "RendererProgram#onResize"
       )
     );
+  }
+
+  async render(
+    elements: Array<ElementRender>,
+    { mixedCase }: { mixedCase: boolean }
+  ): Promise<void> {
+    const time = new TimeTracker();
+
+    time.start("prepare");
+    this.unrender();
+    const viewport = getViewport();
+    this.mount(viewport);
+    const { root } = this.container;
 
     if (elements.length === 0) {
       root.append(this.shruggieElement);
@@ -455,6 +548,7 @@ export default class RendererProgram {
       hint,
       highlighted,
       invertedZIndex,
+      offscreenText,
     } of elements) {
       time.start("loop:create");
       const element = createHintElement(hint);
@@ -463,6 +557,14 @@ export default class RendererProgram {
         element.classList.add(MIXED_CASE_CLASS);
       }
 
+      if (offscreenText !== undefined) {
+        // Elements outside the viewport get hints only once filtering by text.
+        element.classList.add(HIDDEN_CLASS);
+        this.hints.push(element);
+        this.listOffscreenHint(element, offscreenText);
+        continue;
+      }
+
       time.start("loop:position");
       const { styles, maybeOutsideHorizontally } = getHintPosition({
         hintSize: this.hintSize,
@@ -494,6 +596,8 @@ export default class RendererProgram {
 
     // This are appended last, so that the shruggie can be shown based on if
     // there are any non-hidden hints before it using CSS selectors.
+    root.append(this.offscreenHints);
+    this.updateOffscreenHints();
     root.append(this.shruggieElement);
     root.append(this.statusElement);
     this.maybeApplyStyles(this.shruggieElement);
@@ -538,6 +642,44 @@ export default class RendererProgram {
     });
   }
 
+  renderGrid(area: Box, cells: Array<GridCell>, enteredChars: string): void {
+    this.unrender();
+    this.mount(getViewport());
+    const { root } = this.container;
+
+    for (const { label, box } of cells) {
+      const cell = document.createElement("div");
+      cell.className = GRID_CELL_CLASS;
+      setStyles(cell, {
+        position: "absolute",
+        left: `${box.x}px`,
+        top: `${box.y}px`,
+        width: `${box.width}px`,
+        height: `${box.height}px`,
+      });
+      const hint = createHintElement(label);
+      cell.append(hint);
+      root.append(cell);
+      this.maybeApplyStyles(cell);
+      this.maybeApplyStyles(hint);
+    }
+
+    // Mark where the click would happen if no more cells are chosen.
+    const point = document.createElement("div");
+    point.className = GRID_POINT_CLASS;
+    setStyles(point, {
+      position: "absolute",
+      left: `${area.x + area.width / 2}px`,
+      top: `${area.y + area.height / 2}px`,
+      "z-index": (MAX_Z_INDEX - 1).toString(),
+    });
+    root.append(point);
+    this.maybeApplyStyles(point);
+
+    root.append(this.statusElement);
+    this.setStatus(enteredChars);
+  }
+
   updateHints(updates: Array<HintUpdate>, enteredText: string): void {
     const viewport = getViewport();
     const maybeNeedsMoveInsideViewport = [];
@@ -607,6 +749,28 @@ export default class RendererProgram {
         case "UpdatePosition": {
           child.classList.toggle(HIDDEN_CLASS, update.hidden);
           child.classList.toggle(HIGHLIGHTED_HINT_CLASS, update.highlighted);
+
+          // Elements can move into or out of the viewport when scrolling.
+          const row = this.offscreenRows.get(child);
+          if (update.offscreenText !== undefined) {
+            if (row === undefined) {
+              setStyles(child, {
+                position: "",
+                left: "",
+                right: "",
+                top: "",
+                "margin-right": "",
+              });
+              this.listOffscreenHint(child, update.offscreenText);
+            }
+            break;
+          }
+          if (row !== undefined) {
+            row.remove();
+            this.offscreenRows.delete(child);
+            this.offscreenHints.before(child);
+          }
+
           const { styles } = getHintPosition({
             hintSize: this.hintSize,
             hint: update.hint,
@@ -638,17 +802,74 @@ export default class RendererProgram {
       }
 
       this.maybeApplyStyles(child);
+
+      const row = this.offscreenRows.get(child);
+      if (row !== undefined) {
+        row.classList.toggle(
+          HIDDEN_CLASS,
+          child.classList.contains(HIDDEN_CLASS)
+        );
+        if (update.type !== "Hide") {
+          // List the best matches first.
+          setStyles(row, { order: update.order.toString() });
+        }
+        this.maybeApplyStyles(row);
+      }
     }
 
+    this.updateOffscreenHints();
     this.maybeApplyStyles(this.shruggieElement);
 
-    this.setStatus(enteredText.replace(/\s/g, "\u00a0"));
-
     if (maybeNeedsMoveInsideViewport.length > 0) {
       this.moveInsideViewport(maybeNeedsMoveInsideViewport, viewport);
     }
 
     this.enteredText = enteredText;
+    this.updateStatus();
+  }
+
+  updateStatus(): void {
+    if (this.markLabel !== undefined) {
+      this.setStatus(`Mark:\u00a0${this.markLabel}`);
+      return;
+    }
+
+    // Show which filters (if any) are active, such as “/settings (URL)”.
+    const filterNames = describeTextFilters(
+      splitEnteredText(this.enteredText).filters
+    );
+    this.setStatus(
+      (filterNames === ""
+        ? this.enteredText
+        : `${this.enteredText.trim()} (${filterNames})`
+      ).replace(/\s/g, "\u00a0")
+    );
+  }
+
+  listOffscreenHint(hint: HTMLElement, offscreenText: string): void {
+    const row = document.createElement("div");
+    row.className = OFFSCREEN_HINT_CLASS;
+    row.classList.toggle(HIDDEN_CLASS, hint.classList.contains(HIDDEN_CLASS));
+    const text = document.createElement("span");
+    text.className = OFFSCREEN_TEXT_CLASS;
+    text.append(document.createTextNode(offscreenText));
+    row.append(hint, text);
+    this.offscreenHints.append(row);
+    this.offscreenRows.set(hint, row);
+    this.maybeApplyStyles(row);
+    this.maybeApplyStyles(hint);
+    this.maybeApplyStyles(text);
+  }
+
+  // Hide the list if there is nothing in it, so that the shruggie can be shown.
+  updateOffscreenHints(): void {
+    this.offscreenHints.classList.toggle(
+      HIDDEN_CLASS,
+      Array.from(this.offscreenRows.values()).every((row) =>
+        row.classList.contains(HIDDEN_CLASS)
+      )
+    );
+    this.maybeApplyStyles(this.offscreenHints);
   }
 
   rotateHints({ forward }: { forward: boolean }): void {
@@ -695,6 +916,23 @@ export default class RendererProgram {
     this.maybeApplyStyles(this.statusElement);
   }
 
+  mountLiveRegion(): void {
+    const { element } = this.liveRegion;
+    if (!element.isConnected && document.documentElement !== null) {
+      document.documentElement.append(element);
+    }
+  }
+
+  announce(text: string): void {
+    if (!this.announcements) {
+      return;
+    }
+    this.mountLiveRegion();
+    // Replacing the text node (rather than updating it) makes screen readers
+    // announce the same text again, such as the same number of hints.
+    this.liveRegion.region.replaceChildren(document.createTextNode(text));
+  }
+
   togglePeek({ peek }: { peek: boolean }): void {
     const { root } = this.container;
     root.classList.toggle(PEEK_CLASS, peek);
@@ -704,6 +942,9 @@ export default class RendererProgram {
   unrender(): void {
     this.hints = [];
     this.rects.clear();
+    this.offscreenRows.clear();
+    this.offscreenHints.replaceChildren();
+    this.markLabel = undefined;
 
     this.container.element.remove();
     this.container.root.classList.remove(PEEK_CLASS);
@@ -924,3 +1165,76 @@ async function wait0(): Promise<void> {
     setTimeout(resolve, 0);
   });
 }
+
+function shouldUseDarkTheme(themeColorScheme: ThemeColorScheme): boolean {
+  switch (themeColorScheme) {
+    case "dark":
+      return true;
+    case "light":
+      return false;
+    case "page":
+      return (
+        isPageDark() ??
+        window.matchMedia("(prefers-color-scheme: dark)").matches
+      );
+    case "system":
+      return window.matchMedia("(prefers-color-scheme: dark)").matches;
+  }
+}
+
+// Looks at the background color of `<body>`, and then `<html>`. Returns
+// `undefined` if neither has a (non-transparent) background color.
+function isPageDark(): boolean | undefined {
+  for (const element of [document.body, document.documentElement]) {
+    if (element === null) {
+      continue;
+    }
+    const color = parseRGB(window.getComputedStyle(element).backgroundColor);
+    if (color !== undefined && color.alpha > 0) {
+      return getRelativeLuminance(color) < DARK_LUMINANCE;
+    }
+  }
+  return undefined;
+}
+
+// Below this, white text has better contrast than black text.
+const DARK_LUMINANCE = 0.18;
+
+const rgbRegex =
+  /^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)(?:\s*[,/]\s*([\d.]+%?))?\s*\)$/;
+
+// Computed colors are always serialized as `rgb()` or `rgba()` in practice.
+function parseRGB(
+  color: string
+): { red: number; green: number; blue: number; alpha: number } | undefined {
+  const match = rgbRegex.exec(color);
+  if (match === null) {
+    return undefined;
+  }
+  const [, red, green, blue, alpha = "1"] = match;
+  return {
+    red: Number(red),
+    green: Number(green),
+    blue: Number(blue),
+    alpha: alpha.endsWith("%")
+      ? Number(alpha.slice(0, -1)) / 100
+      : Number(alpha),
+  };
+}
+
+// <https://www.w3.org/TR/WCAG21/#dfn-relative-luminance>
+function getRelativeLuminance({
+  red,
+  green,
+  blue,
+}: {
+  red: number;
+  green: number;
+  blue: number;
+}): number {
+  const [r, g, b] = [red, green, blue].map((value) => {
+    const c = value / 255;
+    return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
@@ -1,3 +1,5 @@
+import type { Options, Theme } from "./options";
+
 export const ROOT_CLASS = "root";
 export const HINT_CLASS = "hint";
 export const HIGHLIGHTED_HINT_CLASS = "highlighted";
@@ -9,6 +11,12 @@ export const SHRUGGIE_CLASS = "shruggie";
 export const STATUS_CLASS = "status";
 export const PEEK_CLASS = "peek";
 export const HIDDEN_CLASS = "hidden";
+export const GRID_CELL_CLASS = "gridCell";
+export const GRID_POINT_CLASS = "gridPoint";
+export const OFFSCREEN_HINTS_CLASS = "offscreenHints";
+export const OFFSCREEN_HINT_CLASS = "offscreenHint";
+export const OFFSCREEN_TEXT_CLASS = "offscreenText";
+export const DARK_CLASS = "dark";
 
 // The minimum and maximum z-index browsers support.
 export const MIN_Z_INDEX = -2147483648;
@@ -24,6 +32,18 @@ export const CONTAINER_STYLES = {
   overflow: "hidden",
 };
 
+// Visually hidden, but read by screen readers.
+export const LIVE_REGION_STYLES = {
+  all: "unset",
+  position: "fixed",
+  width: "1px",
+  height: "1px",
+  overflow: "hidden",
+  clip: "rect(0 0 0 0)",
+  "clip-path": "inset(50%)",
+  "white-space": "nowrap",
+};
+
 const font = BROWSER === "firefox" ? "font: menu;" : "font-family: system-ui;";
 
 // The CSS is ordered so that stuff more interesting for users to change in the
@@ -69,6 +89,46 @@ export const CSS = `
   line-height: 1;
 }
 
+.${GRID_CELL_CLASS} {
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  border: solid 1px rgba(0, 0, 0, 0.3);
+  box-sizing: border-box;
+}
+
+.${GRID_POINT_CLASS} {
+  width: 6px;
+  height: 6px;
+  margin: -4px 0 0 -4px;
+  background-color: ${COLOR_PURPLE};
+  border: solid 1px white;
+  border-radius: 50%;
+}
+
+.${OFFSCREEN_HINTS_CLASS} {
+  bottom: 0;
+  left: 0;
+  max-width: 50%;
+  max-height: 50%;
+}
+
+.${OFFSCREEN_HINT_CLASS} {
+  display: flex;
+  align-items: center;
+  padding: 2px 4px;
+  color: white;
+  background-color: black;
+}
+
+.${OFFSCREEN_TEXT_CLASS} {
+  font-size: 12px;
+  margin-left: 6px;
+  overflow: hidden;
+  text-overflow: ellipsis;
+  white-space: nowrap;
+}
+
 .${PEEK_CLASS} .${HINT_CLASS}:not(.${HAS_MATCHED_CHARS_CLASS}):not(.${HIGHLIGHTED_HINT_CLASS}) {
   opacity: 0.2;
 }
@@ -79,9 +139,14 @@ export const CSS = `
 
 .${HIDDEN_CLASS},
 .${HINT_CLASS}:not(.${HIDDEN_CLASS}) ~ .${SHRUGGIE_CLASS},
+.${OFFSCREEN_HINTS_CLASS}:not(.${HIDDEN_CLASS}) ~ .${SHRUGGIE_CLASS},
 .${STATUS_CLASS}:empty {
   opacity: 0 !important;
 }
+
+.${OFFSCREEN_HINT_CLASS}.${HIDDEN_CLASS} {
+  display: none !important;
+}
 `.trim();
 
 export const SUGGESTION_FONT_SIZE = `
@@ -132,3 +197,188 @@ export const SUGGESTION_VIMIUM = `
   right: 150px;
 }
 `.trim();
+
+// Rules for the dark variant of a theme. `DARK_CLASS` is set on the root
+// element when the dark variant should be used (see the `themeColorScheme`
+// option). `:where()` keeps the specificity the same as without the prefix,
+// so that the order decides (like in `renderer/css.ts`), and rules in the
+// `css` option override themes in both variants.
+function dark(selector: string): string {
+  return `:where(.${DARK_CLASS}) ${selector}`;
+}
+
+const THEME_CLASSIC = `
+${dark(`.${HINT_CLASS}`)} {
+  border-color: rgba(255, 255, 255, 0.7);
+}
+
+${dark(`.${TEXT_RECT_CLASS}`)} {
+  border-bottom-color: #c792ea;
+}
+`.trim();
+
+const THEME_DARK = `
+.${HINT_CLASS} {
+  color: white;
+  background-color: #2b2b2b;
+  border-color: rgba(0, 0, 0, 0.8);
+}
+
+.${HIGHLIGHTED_HINT_CLASS} {
+  color: black;
+  background-color: ${COLOR_GREEN};
+}
+
+.${MATCHED_CHARS_CLASS} {
+  opacity: 0.4;
+}
+
+.${TEXT_RECT_CLASS} {
+  border-bottom-color: #2b2b2b;
+}
+
+${dark(`.${HINT_CLASS}`)} {
+  border-color: rgba(255, 255, 255, 0.5);
+}
+
+${dark(`.${TEXT_RECT_CLASS}`)} {
+  border-bottom-color: #e0e0e0;
+}
+`.trim();
+
+const THEME_HIGH_CONTRAST = `
+.${HINT_CLASS} {
+  font-size: 14px;
+  color: yellow;
+  background-color: black;
+  border: solid 2px white;
+}
+
+.${HIGHLIGHTED_HINT_CLASS} {
+  color: black;
+  background-color: white;
+  border-color: black;
+}
+
+.${MATCHED_CHARS_CLASS} {
+  opacity: 1;
+  text-decoration: underline;
+}
+
+.${TEXT_RECT_CLASS} {
+  border-bottom: 3px solid black;
+}
+
+${dark(`.${HINT_CLASS}`)} {
+  color: black;
+  background-color: yellow;
+  border-color: black;
+}
+
+${dark(`.${HIGHLIGHTED_HINT_CLASS}`)} {
+  color: white;
+  background-color: black;
+  border-color: white;
+}
+
+${dark(`.${TEXT_RECT_CLASS}`)} {
+  border-bottom-color: yellow;
+}
+`.trim();
+
+// Larger hints and status. Also used on top of any theme with the
+// `accessiblePresentation` option.
+const ACCESSIBLE_CSS = `
+.${HINT_CLASS} {
+  font-size: 20px;
+  padding: 3px 4px;
+}
+
+.${MATCHED_CHARS_CLASS} {
+  opacity: 0.4;
+}
+
+.${STATUS_CLASS} {
+  font-size: 22px;
+  padding: 6px 8px;
+}
+
+.${OFFSCREEN_TEXT_CLASS} {
+  font-size: 18px;
+}
+`.trim();
+
+const THEME_LARGE_PRINT = `
+${ACCESSIBLE_CSS}
+
+.${TEXT_RECT_CLASS} {
+  border-bottom-width: 4px;
+}
+
+${dark(`.${HINT_CLASS}`)} {
+  border-color: rgba(255, 255, 255, 0.7);
+}
+
+${dark(`.${TEXT_RECT_CLASS}`)} {
+  border-bottom-color: #c792ea;
+}
+`.trim();
+
+const THEME_MINIMAL_OUTLINE = `
+.${HINT_CLASS} {
+  padding: 1px 2px;
+  color: #333;
+  background-color: rgba(255, 255, 255, 0.85);
+  border: solid 1px currentColor;
+  border-radius: 3px;
+  font-weight: normal;
+}
+
+.${HIGHLIGHTED_HINT_CLASS} {
+  color: #1a7f37;
+  background-color: rgba(255, 255, 255, 0.85);
+  font-weight: bold;
+}
+
+.${MATCHED_CHARS_CLASS} {
+  opacity: 0.4;
+}
+
+.${TEXT_RECT_CLASS} {
+  border-bottom: 1px dashed #333;
+}
+
+${dark(`.${HINT_CLASS}`)} {
+  color: #eee;
+  background-color: rgba(0, 0, 0, 0.75);
+}
+
+${dark(`.${HIGHLIGHTED_HINT_CLASS}`)} {
+  color: #7ee787;
+}
+
+${dark(`.${TEXT_RECT_CLASS}`)} {
+  border-bottom-color: #eee;
+}
+`.trim();
+
+// Applied between `CSS` and the `css` option. The classic theme is `CSS`
+// itself, plus a few tweaks for dark pages.
+export const THEMES: Record<Theme, string> = {
+  classic: THEME_CLASSIC,
+  dark: THEME_DARK,
+  highContrast: THEME_HIGH_CONTRAST,
+  largePrint: THEME_LARGE_PRINT,
+  minimalOutline: THEME_MINIMAL_OUTLINE,
+};
+
+// The CSS to apply on top of `CSS`, in order.
+export function getOptionsCSS(
+  options: Pick<Options, "accessiblePresentation" | "css" | "theme">
+): string {
+  return [
+    THEMES[options.theme],
+    ...(options.accessiblePresentation ? [ACCESSIBLE_CSS] : []),
+    options.css,
+  ].join("\n\n");
+}
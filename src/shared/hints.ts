@@ -1,5 +1,7 @@
 import { array, multi, stringUnion } from "tiny-decoders";
 
+import type { Box } from "./main";
+
 export type ElementType = ReturnType<typeof ElementType>;
 export const ElementType = stringUnion({
   "clickable-event": null,
@@ -16,6 +18,9 @@ export const ElementTypes = multi({
   array: array(ElementType),
   string: stringUnion({
     selectable: null,
+    // Like "selectable", but every visible word gets a hint rather than every
+    // element.
+    words: null,
   }),
 });
 
@@ -36,6 +41,9 @@ export type VisibleElement = {
   type: ElementType;
   measurements: HintMeasurements;
   hasClickListener: boolean;
+  // Whether the element is outside the viewport. Such elements are only found
+  // in search hints mode.
+  offscreen: boolean;
 };
 
 export type ElementReport = {
@@ -47,8 +55,11 @@ export type ElementReport = {
   text: string;
   textContent: boolean;
   textWeight: number;
+  // The id, aria-label and title of the element (if any), for filtering.
+  attributes: Array<string>;
   isTextInput: boolean;
   hasClickListener: boolean;
+  offscreen: boolean;
 };
 
 export type ExtendedElementReport = ElementReport & {
@@ -62,6 +73,27 @@ export type ExtendedElementReport = ElementReport & {
 export type ElementWithHint = ExtendedElementReport & {
   weight: number;
   hint: string;
+  // How many times the element has been activated before on the site (see
+  // `usageHistory.ts`). Always 0 if adaptive hint weights are turned off.
+  usageCount: number;
+  // The label of the mark for the element on the site, if any (see
+  // `marks.ts`). Used as hint instead of a generated one.
+  mark: string | undefined;
+};
+
+// In grid mode, a grid of labelled cells covers the viewport of the top frame
+// instead of hints for elements. Choosing a cell subdivides it, until one of
+// these actions is done at the center of the current cell.
+export type PointAction = ReturnType<typeof PointAction>;
+export const PointAction = stringUnion({
+  Click: null,
+  ContextMenu: null,
+  Hover: null,
+});
+
+export type GridCell = {
+  label: string;
+  box: Box;
 };
 
 export function elementKey(element: ElementWithHint): string {
@@ -74,6 +106,9 @@ export type ElementRender = {
   hint: string;
   highlighted: boolean;
   invertedZIndex: number;
+  // Hints for elements outside the viewport are listed together with the text
+  // of the element, instead of being positioned at the element.
+  offscreenText: string | undefined;
 };
 
 export type HintUpdate =
@@ -97,6 +132,7 @@ export type HintUpdate =
       order: number;
       hint: string;
       hintMeasurements: HintMeasurements;
+      offscreenText: string | undefined;
       highlighted: boolean;
       hidden: boolean;
     };
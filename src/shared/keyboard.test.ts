@@ -0,0 +1,111 @@
+import assert from "assert";
+
+import {
+  KeySequenceMapping,
+  KeySequenceResult,
+  matchKeySequence,
+  PendingKeySequence,
+} from "./keyboard";
+
+const sequences = [
+  KeySequenceMapping({ sequence: "f", action: "EnterHintsMode_Click" }),
+  KeySequenceMapping({
+    sequence: "gf",
+    action: "EnterHintsMode_ForegroundTab",
+  }),
+  KeySequenceMapping({
+    sequence: "gF",
+    action: "EnterHintsMode_BackgroundTab",
+  }),
+  KeySequenceMapping({ sequence: "yyw", action: "EnterHintsMode_Copy" }),
+];
+
+const TIMEOUT = 1000;
+
+function match(
+  pending: PendingKeySequence | undefined,
+  key: string,
+  now = 0
+): KeySequenceResult {
+  return matchKeySequence({ sequences, pending, key, now, timeout: TIMEOUT });
+}
+
+assert.throws(
+  () => KeySequenceMapping({ sequence: "g f", action: "EnterHintsMode_Click" }),
+  /without whitespace/,
+  "sequence with whitespace"
+);
+
+assert.throws(
+  () => KeySequenceMapping({ sequence: "", action: "EnterHintsMode_Click" }),
+  /without whitespace/,
+  "empty sequence"
+);
+
+assert.deepStrictEqual(
+  match(undefined, "f"),
+  { type: "Matched", action: "EnterHintsMode_Click", releasePending: false },
+  "single key sequence"
+);
+
+assert.deepStrictEqual(
+  match(undefined, "g"),
+  { type: "Pending", keys: "g", releasePending: false },
+  "start of sequence"
+);
+
+assert.deepStrictEqual(
+  match({ keys: "g", timestamp: 0 }, "F", 500),
+  {
+    type: "Matched",
+    action: "EnterHintsMode_BackgroundTab",
+    releasePending: false,
+  },
+  "completed sequence"
+);
+
+assert.deepStrictEqual(
+  match({ keys: "y", timestamp: 0 }, "y", 500),
+  { type: "Pending", keys: "yy", releasePending: false },
+  "continued sequence"
+);
+
+assert.deepStrictEqual(
+  match(undefined, "x"),
+  { type: "NotMatched", releasePending: false },
+  "unmapped key"
+);
+
+assert.deepStrictEqual(
+  match({ keys: "yy", timestamp: 0 }, "x", 500),
+  { type: "NotMatched", releasePending: true },
+  "unfinished sequence is released"
+);
+
+assert.deepStrictEqual(
+  match({ keys: "g", timestamp: 0 }, "f", TIMEOUT),
+  {
+    type: "Matched",
+    action: "EnterHintsMode_ForegroundTab",
+    releasePending: false,
+  },
+  "completed just within timeout"
+);
+
+assert.deepStrictEqual(
+  match({ keys: "g", timestamp: 0 }, "f", TIMEOUT + 1),
+  { type: "Matched", action: "EnterHintsMode_Click", releasePending: true },
+  "timed out sequence is released and the key starts over"
+);
+
+assert.deepStrictEqual(
+  match({ keys: "g", timestamp: 0 }, "y", 500),
+  { type: "Pending", keys: "y", releasePending: true },
+  "unfinished sequence is released and the key starts another"
+);
+
+assert.deepStrictEqual(
+  match({ keys: "y", timestamp: 0 }, "x", TIMEOUT + 1),
+  { type: "NotMatched", releasePending: true },
+  "timed out sequence is released"
+);
@@ -10,24 +10,60 @@ import {
 
 export type KeyboardAction = ReturnType<typeof KeyboardAction>;
 export const KeyboardAction = stringUnion({
+  ActivateAllHints: null,
   ActivateHint: null,
   ActivateHintAlt: null,
   Backspace: null,
   EnterHintsMode_BackgroundTab: null,
   EnterHintsMode_Click: null,
+  EnterHintsMode_ContextMenu: null,
+  EnterHintsMode_Copy: null,
+  EnterHintsMode_DoubleClick: null,
   EnterHintsMode_ForegroundTab: null,
+  EnterHintsMode_Grid: null,
+  EnterHintsMode_Hover: null,
   EnterHintsMode_ManyClick: null,
+  EnterHintsMode_ManyCopy: null,
+  EnterHintsMode_ManyNewWindow: null,
+  EnterHintsMode_ManyPrivateWindow: null,
   EnterHintsMode_ManyTab: null,
+  EnterHintsMode_MiddleClick: null,
+  EnterHintsMode_NewWindow: null,
+  EnterHintsMode_PrivateWindow: null,
+  EnterHintsMode_Search: null,
   EnterHintsMode_Select: null,
+  EnterHintsMode_Word: null,
   Escape: null,
   ExitHintsMode: null,
+  ExtendSelection: null,
+  GridContextMenu: null,
+  GridHover: null,
+  MarkHint: null,
+  OpenCollectedWindow: null,
   RefreshHints: null,
   ReverseSelection: null,
   RotateHintsBackward: null,
   RotateHintsForward: null,
+  ScrollDown: null,
+  ScrollHalfPageDown: null,
+  ScrollHalfPageUp: null,
+  ScrollLeft: null,
+  ScrollPageDown: null,
+  ScrollPageUp: null,
+  ScrollRight: null,
+  ScrollToBottom: null,
+  ScrollToTop: null,
+  ScrollUp: null,
+  SwitchToNextProfile: null,
   TogglePeek: null,
+  Unhover: null,
 });
 
+// The scroll keyboard actions scroll the most recently hinted scrollable
+// element, or by default the largest one in view.
+export type ScrollDirection = "Down" | "Left" | "Right" | "Up";
+export type ScrollAmount = "Edge" | "HalfPage" | "Page" | "Step";
+
 // Allow exiting hints mode if we ever get stuck in Prevent overtyping mode.
 export const PREVENT_OVERTYPING_ALLOWED_KEYBOARD_ACTIONS =
   new Set<KeyboardAction>(["Escape", "ExitHintsMode"]);
@@ -129,6 +165,77 @@ export const KeyboardMappingWithModifiers = fieldsAuto<KeyboardMapping>({
   action: KeyboardAction,
 });
 
+// Vim-style key sequences, such as `f` or `gf`, typed without modifiers. Each
+// character is one key, so only printable keys can be used.
+export type KeySequenceMapping = ReturnType<typeof KeySequenceMapping>;
+export const KeySequenceMapping = fieldsAuto({
+  sequence: chain(string, validateKeySequence),
+  action: KeyboardAction,
+});
+
+function validateKeySequence(sequence: string): string {
+  if (!/^\S+$/.test(sequence)) {
+    throw new DecoderError({
+      message: "Expected a key sequence without whitespace",
+      value: sequence,
+    });
+  }
+  return sequence;
+}
+
+export type PendingKeySequence = {
+  // The keys typed so far.
+  keys: string;
+  // When the last key was typed.
+  timestamp: number;
+};
+
+export type KeySequenceResult =
+  | { type: "Matched"; action: KeyboardAction; releasePending: boolean }
+  | { type: "NotMatched"; releasePending: boolean }
+  | { type: "Pending"; keys: string; releasePending: boolean };
+
+// Matches `key`, typed after the `pending` keys, against `sequences`. If a
+// sequence is also the start of a longer one, the shorter one wins. Pending keys
+// older than `timeout` are dropped. `releasePending` means that the pending keys
+// turned out not to be (the start of) a sequence, so they should be passed on
+// to the page after all.
+export function matchKeySequence({
+  sequences,
+  pending,
+  key,
+  now,
+  timeout,
+}: {
+  sequences: Array<KeySequenceMapping>;
+  pending: PendingKeySequence | undefined;
+  key: string;
+  now: number;
+  timeout: number;
+}): KeySequenceResult {
+  const pendingKeys =
+    pending !== undefined && now - pending.timestamp <= timeout
+      ? pending.keys
+      : "";
+
+  // If the pending keys and this key don’t make up (the start of) a sequence,
+  // this key might start a new one.
+  const candidates = pendingKeys === "" ? [key] : [pendingKeys + key, key];
+
+  for (const keys of candidates) {
+    const releasePending = pending !== undefined && keys === key;
+    const mapping = sequences.find((mapping2) => mapping2.sequence === keys);
+    if (mapping !== undefined) {
+      return { type: "Matched", action: mapping.action, releasePending };
+    }
+    if (sequences.some((mapping2) => mapping2.sequence.startsWith(keys))) {
+      return { type: "Pending", keys, releasePending };
+    }
+  }
+
+  return { type: "NotMatched", releasePending: pending !== undefined };
+}
+
 export type KeyboardModeBackground =
   | { type: "Capture" }
   | { type: "FromHintsState" }
@@ -140,15 +247,58 @@ export type KeyboardModeWorker =
   | "Normal"
   | "PreventOverTyping";
 
-export type HintsMode = ReturnType<typeof HintsMode>;
-export const HintsMode = stringUnion({
+const HINTS_MODES = {
   BackgroundTab: null,
   Click: null,
+  ContextMenu: null,
+  Copy: null,
+  DoubleClick: null,
   ForegroundTab: null,
+  Hover: null,
   ManyClick: null,
+  ManyCopy: null,
+  ManyNewWindow: null,
+  ManyPrivateWindow: null,
   ManyTab: null,
+  MiddleClick: null,
+  NewWindow: null,
+  PrivateWindow: null,
+  Search: null,
   Select: null,
-});
+  Word: null,
+};
+
+export type HintsMode = ReturnType<typeof HintsMode>;
+export const HintsMode = stringUnion(HINTS_MODES);
+
+// Grid mode has no hints, so it isn’t a hints mode. It can still have its own
+// shortcuts, though, just like the hints modes.
+export type ShortcutsMode = ReturnType<typeof ShortcutsMode>;
+export const ShortcutsMode = stringUnion({ ...HINTS_MODES, Grid: null });
+
+// Hints mode actions that only make sense in some modes. They are ignored in
+// all other modes, even if they have a shortcut.
+export const MODE_ONLY_KEYBOARD_ACTIONS = new Map<
+  KeyboardAction,
+  Set<ShortcutsMode>
+>([
+  [
+    "ActivateAllHints",
+    new Set(["ManyCopy", "ManyNewWindow", "ManyPrivateWindow", "ManyTab"]),
+  ],
+  ["ExtendSelection", new Set(["Select"])],
+  ["GridContextMenu", new Set(["Grid"])],
+  ["GridHover", new Set(["Grid"])],
+  ["OpenCollectedWindow", new Set(["ManyNewWindow", "ManyPrivateWindow"])],
+]);
+
+export function isKeyboardActionAllowedInMode(
+  action: KeyboardAction,
+  mode: ShortcutsMode
+): boolean {
+  const modes = MODE_ONLY_KEYBOARD_ACTIONS.get(action);
+  return modes === undefined || modes.has(mode);
+}
 
 export type KeyPair = ReturnType<typeof KeyPair>;
 export const KeyPair = tuple([string, string]);
@@ -205,6 +355,196 @@ export const EN_US_QWERTY_TRANSLATIONS: KeyTranslations = {
   Slash: ["/", "?"],
 };
 
+// The codes of the keys in each row, as on an en-US keyboard.
+const ROW_CODES: Array<Array<string>> = [
+  [
+    "Backquote",
+    "Digit1",
+    "Digit2",
+    "Digit3",
+    "Digit4",
+    "Digit5",
+    "Digit6",
+    "Digit7",
+    "Digit8",
+    "Digit9",
+    "Digit0",
+    "Minus",
+    "Equal",
+  ],
+  [
+    "KeyQ",
+    "KeyW",
+    "KeyE",
+    "KeyR",
+    "KeyT",
+    "KeyY",
+    "KeyU",
+    "KeyI",
+    "KeyO",
+    "KeyP",
+    "BracketLeft",
+    "BracketRight",
+    "Backslash",
+  ],
+  [
+    "KeyA",
+    "KeyS",
+    "KeyD",
+    "KeyF",
+    "KeyG",
+    "KeyH",
+    "KeyJ",
+    "KeyK",
+    "KeyL",
+    "Semicolon",
+    "Quote",
+  ],
+  [
+    "KeyZ",
+    "KeyX",
+    "KeyC",
+    "KeyV",
+    "KeyB",
+    "KeyN",
+    "KeyM",
+    "Comma",
+    "Period",
+    "Slash",
+  ],
+];
+
+// Builds key translations from the unshifted and shifted characters of each
+// row, in the order of `ROW_CODES`. `IntlBackslash` is the extra key next to
+// the left shift key on ISO keyboards.
+function rowsToKeyTranslations(
+  rows: Array<[string, string]>,
+  intlBackslash?: KeyPair
+): KeyTranslations {
+  const entries = rows.flatMap(([unshifted, shifted], rowIndex) => {
+    const unshiftedChars = Array.from(unshifted);
+    const shiftedChars = Array.from(shifted);
+    return ROW_CODES[rowIndex].map((code, index): [string, KeyPair] => [
+      code,
+      [unshiftedChars[index], shiftedChars[index]],
+    ]);
+  });
+  return Object.fromEntries(
+    intlBackslash === undefined
+      ? entries
+      : entries.concat([["IntlBackslash", intlBackslash]])
+  );
+}
+
+const DIGITS_ROW: [string, string] = ["`1234567890-=", "~!@#$%^&*()_+"];
+
+export type KeyboardLayout = {
+  name: string;
+  keyTranslations: KeyTranslations;
+  // Suggested hint characters, starting on the home row.
+  chars: string;
+};
+
+// Common layouts besides en-US QWERTY (which is the default).
+export const KEYBOARD_LAYOUTS: Array<KeyboardLayout> = [
+  {
+    name: "Dvorak",
+    keyTranslations: rowsToKeyTranslations([
+      ["`1234567890[]", "~!@#$%^&*(){}"],
+      ["',.pyfgcrl/=\\", '"<>PYFGCRL?+|'],
+      ["aoeuidhtns-", "AOEUIDHTNS_"],
+      [";qjkxbmwvz", ":QJKXBMWVZ"],
+    ]),
+    chars: "hutenogacpridkmjw",
+  },
+  {
+    name: "Colemak",
+    keyTranslations: rowsToKeyTranslations([
+      DIGITS_ROW,
+      ["qwfpgjluy;[]\\", "QWFPGJLUY:{}|"],
+      ["arstdhneio'", 'ARSTDHNEIO"'],
+      ["zxcvbkm,./", "ZXCVBKM<>?"],
+    ]),
+    chars: "tnseriaoplfuwydhvmck",
+  },
+  {
+    name: "Colemak-DH",
+    keyTranslations: rowsToKeyTranslations([
+      DIGITS_ROW,
+      ["qwfpbjluy;[]\\", "QWFPBJLUY:{}|"],
+      ["arstgmneio'", 'ARSTGMNEIO"'],
+      ["zxcdvkh,./", "ZXCDVKH<>?"],
+    ]),
+    chars: "tnseriaogmplfuwydhck",
+  },
+  {
+    name: "Workman",
+    keyTranslations: rowsToKeyTranslations([
+      DIGITS_ROW,
+      ["qdrwbjfup;[]\\", "QDRWBJFUP:{}|"],
+      ["ashtgyneoi'", 'ASHTGYNEOI"'],
+      ["zxmcvkl,./", "ZXMCVKL<>?"],
+    ]),
+    chars: "tnhesoafruwpdyglvmk",
+  },
+  {
+    name: "AZERTY",
+    keyTranslations: rowsToKeyTranslations(
+      [
+        ["²&é\"'(-è_çà)=", "²1234567890°+"],
+        ["azertyuiop^$*", "AZERTYUIOP¨£µ"],
+        ["qsdfghjklmù", "QSDFGHJKLM%"],
+        ["wxcvbn,;:!", "WXCVBN?./§"],
+      ],
+      ["<", ">"]
+    ),
+    chars: "fjdkslqurieozhgmvcn",
+  },
+  {
+    name: "QWERTZ",
+    keyTranslations: rowsToKeyTranslations(
+      [
+        ["^1234567890ß´", '°!"§$%&/()=?`'],
+        ["qwertzuiopü+#", "QWERTZUIOPÜ*'"],
+        ["asdfghjklöä", "ASDFGHJKLÖÄ"],
+        ["yxcvbnm,.-", "YXCVBNM;:_"],
+      ],
+      ["<", ">"]
+    ),
+    chars: "fjdkslaurieowhgmvcn",
+  },
+  {
+    name: "Nordic",
+    keyTranslations: rowsToKeyTranslations(
+      [
+        ["§1234567890+´", '½!"#¤%&/()=?`'],
+        ["qwertyuiopå¨'", "QWERTYUIOPÅ^*"],
+        ["asdfghjklöä", "ASDFGHJKLÖÄ"],
+        ["zxcvbnm,.-", "ZXCVBNM;:_"],
+      ],
+      ["<", ">"]
+    ),
+    chars: "fjdkslaurieowhgmvcn",
+  },
+];
+
+// Guesses which layout a layout map from `navigator.keyboard.getLayoutMap()`
+// belongs to, by comparing the letter keys. The layout map only contains
+// unshifted keys.
+export function detectKeyboardLayout(layoutMap: {
+  get: (code: string) => string | undefined;
+}): KeyboardLayout | undefined {
+  const letterCodes = ROW_CODES.slice(1).flat();
+  const matches = (keyTranslations: KeyTranslations): boolean =>
+    letterCodes.every((code) => {
+      const key = layoutMap.get(code);
+      return key === undefined || key === keyTranslations[code][0];
+    });
+  return matches(EN_US_QWERTY_TRANSLATIONS)
+    ? undefined
+    : KEYBOARD_LAYOUTS.find((layout) => matches(layout.keyTranslations));
+}
+
 export function keyboardEventToKeypress(event: KeyboardEvent): Keypress {
   return {
     key: event.key,
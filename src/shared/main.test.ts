@@ -0,0 +1,48 @@
+import assert from "assert";
+
+import { splitEnteredText } from "./main";
+
+assert.deepStrictEqual(
+  splitEnteredText(" Foo  bar "),
+  { words: ["Foo", "bar"], filters: [] },
+  "words"
+);
+
+assert.deepStrictEqual(
+  splitEnteredText("/settings @textarea #search save"),
+  {
+    words: ["save"],
+    filters: [
+      { kind: "url", value: "/settings" },
+      { kind: "type", value: "textarea" },
+      { kind: "attribute", value: "search" },
+    ],
+  },
+  "filters"
+);
+
+// A prefix on its own is ignored while the value is still being typed.
+assert.deepStrictEqual(
+  splitEnteredText("# @ / foo"),
+  { words: ["foo"], filters: [] },
+  "bare prefixes"
+);
+
+assert.deepStrictEqual(
+  splitEnteredText("##1 @@mentions //r/foo"),
+  { words: ["#1", "@mentions", "/r/foo"], filters: [] },
+  "doubled prefixes"
+);
+
+assert.deepStrictEqual(
+  splitEnteredText("## @@"),
+  { words: ["#", "@"], filters: [] },
+  "doubled prefixes only"
+);
+
+// Prefixes only count at the start of a word.
+assert.deepStrictEqual(
+  splitEnteredText("a#b c@d"),
+  { words: ["a#b", "c@d"], filters: [] },
+  "prefix characters inside words"
+);
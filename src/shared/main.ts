@@ -6,6 +6,8 @@ import {
   stringUnion,
 } from "tiny-decoders";
 
+import { getMatchedRanges } from "./textMatch";
+
 // It's tempting to put a random number or something in the ID, but in case
 // something goes wrong and a rogue container is left behind it's always
 // possible to find and remove it if the ID is known. Also, RendererProgram and
@@ -365,27 +367,22 @@ export function getTextRects({
   element,
   viewports,
   words,
+  fuzzy = false,
   checkElementAtPoint = true,
 }: {
   element: HTMLElement;
   viewports: Array<Box>;
-  words: Set<string>;
+  words: Array<string>;
+  fuzzy?: boolean;
   checkElementAtPoint?: boolean;
 }): Array<Box> {
-  const text = extractText(element).toLowerCase();
-
-  const ranges = [];
-
-  for (const word of words) {
-    let index = -1;
-    while ((index = text.indexOf(word, index + 1)) >= 0) {
-      ranges.push({
-        start: index,
-        end: index + word.length,
-        range: document.createRange(),
-      });
-    }
-  }
+  const ranges = getMatchedRanges(extractText(element), words, {
+    fuzzy,
+  }).map(({ start, end }) => ({
+    start,
+    end,
+    range: document.createRange(),
+  }));
 
   if (ranges.length === 0) {
     return [];
@@ -488,8 +485,63 @@ export function isMixedCase(string: string): boolean {
   return string.toLowerCase() !== string && string.toUpperCase() !== string;
 }
 
-export function splitEnteredText(enteredText: string): Array<string> {
-  return enteredText.split(" ").filter((word) => word !== "");
+// Besides plain words, the entered text can contain filters, starting with a
+// prefix character: `/` filters by URL (the slash is included, so `/settings`
+// matches URLs containing “/settings”), `@` by element type (`@textarea`) and
+// `#` by id, aria-label or title. Filters and words can be combined. A prefix
+// on its own is ignored (so that typing `#` doesn’t hide everything until the
+// value is typed), and a doubled prefix means literal text: `##1` matches the
+// text “#1”.
+export type TextFilterKind = "attribute" | "type" | "url";
+
+export type TextFilter = {
+  kind: TextFilterKind;
+  value: string;
+};
+
+export type EnteredText = {
+  words: Array<string>;
+  filters: Array<TextFilter>;
+};
+
+const TEXT_FILTER_PREFIXES = new Map<string, TextFilterKind>([
+  ["/", "url"],
+  ["@", "type"],
+  ["#", "attribute"],
+]);
+
+const TEXT_FILTER_NAMES: { [key in TextFilterKind]: string } = {
+  url: "URL",
+  type: "type",
+  attribute: "id/label/title",
+};
+
+export function splitEnteredText(enteredText: string): EnteredText {
+  const words: Array<string> = [];
+  const filters: Array<TextFilter> = [];
+
+  for (const word of enteredText.split(" ")) {
+    if (word === "") {
+      continue;
+    }
+    const kind = TEXT_FILTER_PREFIXES.get(word[0]);
+    if (kind === undefined) {
+      words.push(word);
+    } else if (word[1] === word[0]) {
+      words.push(word.slice(1));
+    } else if (word.length > 1) {
+      filters.push({ kind, value: kind === "url" ? word : word.slice(1) });
+    }
+  }
+
+  return { words, filters };
+}
+
+// For showing which filters are active, such as “URL, type”.
+export function describeTextFilters(filters: Array<TextFilter>): string {
+  return Array.from(
+    new Set(filters.map(({ kind }) => TEXT_FILTER_NAMES[kind]))
+  ).join(", ");
 }
 
 // Deep equal for JSON data.
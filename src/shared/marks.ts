@@ -0,0 +1,73 @@
+import { fieldsAuto, record, string } from "tiny-decoders";
+
+import { decode, log } from "./main";
+
+// Marks are hints chosen by the user for elements they use a lot, such as “s”
+// for the search box of a site. They are stored per origin in `storage.local`,
+// and elements are identified by the same signature as in `usageHistory.ts`.
+export const MARKS_KEY = "marks";
+
+export type Mark = ReturnType<typeof Mark>;
+export const Mark = fieldsAuto({
+  label: string,
+  // The text or URL of the element when it was marked, to be able to tell
+  // the marks apart on the options page.
+  description: string,
+});
+
+// origin -> element signature -> mark
+export type Marks = ReturnType<typeof Marks>;
+export const Marks = record(record(Mark));
+
+// Returns no marks if there are none, or if they are broken.
+export function decodeMarks(value: unknown): Marks {
+  if (value === undefined) {
+    return {};
+  }
+  try {
+    return decode(Marks, value);
+  } catch (error) {
+    log("error", "decodeMarks", "Failed to decode.", error);
+    return {};
+  }
+}
+
+export function getMarkLabel(
+  marks: Marks,
+  origin: string | undefined,
+  signature: string
+): string | undefined {
+  return origin === undefined ? undefined : marks[origin]?.[signature]?.label;
+}
+
+// Two labels conflict if one of them is the start of the other, since a hint
+// is activated as soon as its whole label has been typed.
+export function labelsConflict(a: string, b: string): boolean {
+  return a.startsWith(b) || b.startsWith(a);
+}
+
+// Returns new marks with the mark for `signature` set to `mark` (or removed if
+// the label is empty). Other marks of the origin that conflict with the new
+// label are removed, since the latest mark wins.
+export function setMark(
+  marks: Marks,
+  { origin, signature, mark }: { origin: string; signature: string; mark: Mark }
+): Marks {
+  const rest = Object.fromEntries(
+    Object.entries(marks[origin] ?? {}).filter(
+      ([signature2, mark2]) =>
+        signature2 !== signature &&
+        (mark.label === "" || !labelsConflict(mark.label, mark2.label))
+    )
+  );
+
+  const newMarks = mark.label === "" ? rest : { ...rest, [signature]: mark };
+
+  if (Object.keys(newMarks).length === 0) {
+    return Object.fromEntries(
+      Object.entries(marks).filter(([origin2]) => origin2 !== origin)
+    );
+  }
+
+  return { ...marks, [origin]: newMarks };
+}
@@ -1,18 +1,41 @@
+import {
+  boolean,
+  chain,
+  DecoderError,
+  fieldsAuto,
+  fieldsUnion,
+  number,
+  optional,
+  repr,
+  string,
+} from "tiny-decoders";
+
 import type {
   ElementRender,
   ElementReport,
   ElementTypes,
+  GridCell,
   HintUpdate,
+  PointAction,
 } from "./hints";
-import type {
+import {
+  HintsMode,
   KeyboardAction,
   KeyboardMapping,
   KeyboardModeWorker,
+  KeySequenceMapping,
   KeyTranslations,
   NormalizedKeypress,
+  ScrollAmount,
+  ScrollDirection,
 } from "./keyboard";
 import type { Box, LogLevel } from "./main";
-import type { OptionsData, PartialOptions } from "./options";
+import type {
+  ElementSelectorRule,
+  OptionsData,
+  PartialOptions,
+  ThemeColorScheme,
+} from "./options";
 import type { Durations, Stats, TabsPerf } from "./perf";
 
 export type FromBackground =
@@ -88,6 +111,10 @@ export type FromWorker =
       elements: Array<ElementReport>;
       rects: Array<Box>;
     }
+  | {
+      type: "ReportViewport";
+      viewport: Box;
+    }
   | {
       type: "ReportVisibleElements";
       elements: Array<ElementReport>;
@@ -105,14 +132,34 @@ export type FromWorker =
     };
 
 export type ToWorker =
+  | {
+      type: "ActivatePoint";
+      action: PointAction;
+      // Viewport coordinates of the top frame.
+      x: number;
+      y: number;
+    }
   | {
       type: "ClickElement";
       index: number;
     }
+  | {
+      type: "ContextMenuElement";
+      index: number;
+    }
   | {
       type: "CopyElement";
       index: number;
     }
+  | {
+      type: "CopyText";
+      index: number;
+      text: string;
+    }
+  | {
+      type: "DoubleClickElement";
+      index: number;
+    }
   | {
       type: "Escape";
     }
@@ -124,6 +171,18 @@ export type ToWorker =
       type: "GetTextRects";
       indexes: Array<number>;
       words: Array<string>;
+      fuzzy: boolean;
+    }
+  | {
+      type: "GetViewport";
+    }
+  | {
+      type: "HoverElement";
+      index: number;
+    }
+  | {
+      type: "MiddleClickElement";
+      index: number;
     }
   | {
       type: "OpenNewTab";
@@ -133,24 +192,55 @@ export type ToWorker =
   | {
       type: "ReverseSelection";
     }
+  | {
+      type: "Scroll";
+      direction: ScrollDirection;
+      amount: ScrollAmount;
+      // Pixels, for `amount: "Step"`.
+      step: number;
+    }
+  | {
+      type: "ScrollIntoView";
+      index: number;
+    }
   | {
       type: "SelectElement";
       index: number;
+      // Extend the current selection to the element instead of replacing it.
+      extend: boolean;
+    }
+  | {
+      type: "SelectWord";
+      index: number;
+      // Place the caret before the word instead of selecting it.
+      caret: boolean;
+      // Extend the selection from the word selected before to this one.
+      extend: boolean;
     }
   | {
       type: "StartFindElements";
       types: ElementTypes;
+      // Also find elements outside the viewport (search hints mode).
+      offscreen: boolean;
     }
   | {
       type: "StateSync";
       logLevel: LogLevel;
       clearElements: boolean;
       keyboardShortcuts: Array<KeyboardMapping>;
+      keySequences: Array<KeySequenceMapping>;
+      keySequenceTimeout: number;
       keyboardMode: KeyboardModeWorker;
       keyTranslations: KeyTranslations;
       oneTimeWindowMessageToken: string;
       mac: boolean;
       isPinned: boolean;
+      tweakables: Record<string, unknown>;
+      selectorRules: Array<ElementSelectorRule>;
+      reducedMotion: boolean;
+    }
+  | {
+      type: "Unhover";
     }
   | {
       type: "UpdateElements";
@@ -168,6 +258,10 @@ export type FromRenderer =
     };
 
 export type ToRenderer =
+  | {
+      type: "Announce";
+      text: string;
+    }
   | {
       type: "Peek";
     }
@@ -179,6 +273,13 @@ export type ToRenderer =
       elements: Array<ElementRender>;
       mixedCase: boolean;
     }
+  | {
+      type: "RenderGrid";
+      // The current area, which the cells cover.
+      area: Box;
+      cells: Array<GridCell>;
+      enteredChars: string;
+    }
   | {
       type: "RenderTextRects";
       rects: Array<Box>;
@@ -190,8 +291,12 @@ export type ToRenderer =
     }
   | {
       type: "StateSync";
+      // See `getOptionsCSS`.
       css: string;
+      themeColorScheme: ThemeColorScheme;
+      announcements: boolean;
       logLevel: LogLevel;
+      tweakables: Record<string, unknown>;
     }
   | {
       type: "Unpeek";
@@ -203,19 +308,40 @@ export type ToRenderer =
       type: "UpdateHints";
       updates: Array<HintUpdate>;
       enteredText: string;
+    }
+  | {
+      type: "UpdateMarkLabel";
+      // `undefined` when not marking an element.
+      label: string | undefined;
     };
 
-export type FromPopup = {
-  type: "PopupScriptAdded";
-};
+export type FromPopup =
+  | {
+      type: "PopupScriptAdded";
+    }
+  | {
+      type: "SwitchProfile";
+      name: string;
+    }
+  | {
+      type: "ToggleRecording";
+    };
 
 export type ToPopup = {
   type: "Init";
   logLevel: LogLevel;
   isEnabled: boolean;
+  // Whether the next hints session in the current tab is being recorded.
+  isRecording: boolean;
+  profiles: Array<string>;
+  activeProfile: string | undefined;
 };
 
 export type FromOptions =
+  | {
+      type: "DeleteProfile";
+      name: string;
+    }
   | {
       type: "OptionsScriptAdded";
     }
@@ -225,9 +351,23 @@ export type FromOptions =
   | {
       type: "ResetPerf";
     }
+  | {
+      type: "RollbackOptions";
+      // The `timestamp` of the `OptionsSnapshot` to go back to.
+      timestamp: number;
+    }
   | {
       type: "SaveOptions";
       partialOptions: PartialOptions;
+      isImport: boolean;
+    }
+  | {
+      type: "SaveProfile";
+      name: string;
+    }
+  | {
+      type: "SwitchProfile";
+      name: string;
     }
   | {
       type: "ToggleKeyboardCapture";
@@ -248,3 +388,101 @@ export type ToOptions =
       logLevel: LogLevel;
       options: OptionsData;
     };
+
+// Other extensions can control hints mode by sending `FromExternal` messages
+// with `browser.runtime.sendMessage(extensionId, message)`, as long as their
+// extension id is listed in the `externalExtensionIds` option. Every message
+// must contain `version: EXTERNAL_API_VERSION`. The version is only increased
+// when the protocol changes in a backwards incompatible way. `tabId` defaults
+// to the active tab of the current window.
+export const EXTERNAL_API_VERSION = 1;
+
+// Pages can dispatch this (bubbling) event on their own elements to mark them
+// as clickable, for elements that can’t be detected automatically. Set
+// `detail` to `false` to unmark the element again.
+export const EXTERNAL_CLICKABLE_EVENT = `${META_SLUG}Clickable`;
+
+const ExternalApiVersion = chain(number, (version) => {
+  if (version !== EXTERNAL_API_VERSION) {
+    throw new DecoderError({
+      message: `Expected version ${repr(EXTERNAL_API_VERSION)}`,
+      value: version,
+    });
+  }
+  return version;
+});
+
+export type FromExternal = ReturnType<typeof FromExternal>;
+export const FromExternal = fieldsUnion("type", {
+  ActivateHint: fieldsAuto({
+    type: () => "ActivateHint" as const,
+    version: ExternalApiVersion,
+    tabId: optional(number),
+    hint: string,
+    // Like holding alt (ctrl on mac) while typing the last hint char.
+    alt: optional(boolean, false),
+  }),
+  EnterGridMode: fieldsAuto({
+    type: () => "EnterGridMode" as const,
+    version: ExternalApiVersion,
+    tabId: optional(number),
+  }),
+  EnterHintsMode: fieldsAuto({
+    type: () => "EnterHintsMode" as const,
+    version: ExternalApiVersion,
+    tabId: optional(number),
+    mode: HintsMode,
+  }),
+  ExitHintsMode: fieldsAuto({
+    type: () => "ExitHintsMode" as const,
+    version: ExternalApiVersion,
+    tabId: optional(number),
+  }),
+  GetHintsState: fieldsAuto({
+    type: () => "GetHintsState" as const,
+    version: ExternalApiVersion,
+    tabId: optional(number),
+  }),
+});
+
+export type ToExternal =
+  | {
+      type: "Error";
+      message: string;
+    }
+  | {
+      type: "HintsState";
+      tabId: number;
+      state: ExternalHintsState;
+    }
+  | {
+      type: "Ok";
+      tabId: number;
+    };
+
+export type ExternalHintsState =
+  | {
+      type: "Collecting";
+      mode: HintsMode;
+    }
+  | {
+      type: "Grid";
+      enteredChars: string;
+    }
+  | {
+      type: "Hinting";
+      mode: HintsMode;
+      enteredChars: string;
+      enteredText: string;
+      // Only the elements with visible hints (not filtered away by text).
+      elements: Array<ExternalHintedElement>;
+    }
+  | {
+      type: "Idle";
+    };
+
+export type ExternalHintedElement = {
+  hint: string;
+  text: string;
+  url: string | undefined;
+};
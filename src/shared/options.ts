@@ -4,20 +4,25 @@ import {
   chain,
   DecoderError,
   fieldsAuto,
+  optional,
   record,
   repr,
   string,
+  stringUnion,
 } from "tiny-decoders";
 
 import {
   deserializeShortcut,
   EN_US_QWERTY_TRANSLATIONS,
+  isKeyboardActionAllowedInMode,
   KeyboardMapping,
   KeyboardMappingWithModifiers,
   KeyPair,
+  KeySequenceMapping,
   KeyTranslations,
   serializeShortcut,
   Shortcut,
+  ShortcutsMode,
 } from "./keyboard";
 import {
   decode,
@@ -26,6 +31,7 @@ import {
   LogLevel,
   UnsignedInt,
 } from "./main";
+import type { ProfileOptions } from "./profiles";
 
 export type OptionsData = {
   values: Options;
@@ -41,16 +47,181 @@ export type PartialOptions = Partial<Options>;
 
 export type FlatOptions = Record<string, unknown>;
 
+// Site, selector and URL rules are matched against URLs several times per
+// keystroke, so their patterns are compiled once, when the options are decoded
+// (see `matchesUrlPattern`).
+const URL_PATTERN_REGEXES = new Map<string, RegExp | undefined>();
+
+const UrlPattern = chain(string, (value) => {
+  compileUrlPattern(value);
+  return value;
+});
+
+// Per-site rules override some options, as well as tweakables, for pages
+// whose URL matches `pattern`. Tweakables are keyed by `Namespace.KEY` and use
+// the same raw values as in storage. A rule can also use all options of a
+// profile (see `profiles.ts`), which the other fields of the rules then
+// override.
+export type SiteRule = ReturnType<typeof SiteRule>;
+
+export const SiteRule = fieldsAuto({
+  pattern: UrlPattern,
+  profile: optional(string),
+  chars: optional(chain(string, validateChars)),
+  autoActivate: optional(boolean),
+  css: optional(string),
+  tweakables: record((value: unknown): unknown => value),
+});
+
+export type SelectorRuleAction = ReturnType<typeof SelectorRuleAction>;
+export const SelectorRuleAction = stringUnion({
+  clickable: null,
+  exclude: null,
+  link: null,
+  scrollable: null,
+  textarea: null,
+});
+
+// Selector rules force an `ElementType` for matching elements on pages whose
+// URL matches `pattern`, or exclude them from getting hints at all.
+export type SelectorRule = ReturnType<typeof SelectorRule>;
+export const SelectorRule = fieldsAuto({
+  pattern: UrlPattern,
+  selector: chain(string, (value) => {
+    if (value !== "") {
+      document.querySelector(value);
+    }
+    return value;
+  }),
+  action: SelectorRuleAction,
+});
+
+// URL rules rewrite links matching `pattern` before Link Hints opens them in
+// a new tab or window. They can also force matching links to always be opened
+// in a certain way. See `urlRules.ts`.
+export type UrlRuleOpen = ReturnType<typeof UrlRuleOpen>;
+export const UrlRuleOpen = stringUnion({
+  backgroundTab: null,
+  mode: null,
+  newWindow: null,
+});
+
+export type UrlRule = ReturnType<typeof UrlRule>;
+export const UrlRule = fieldsAuto({
+  pattern: UrlPattern,
+  // Space separated names of query parameters to remove. `*` matches
+  // anything, for example `utm_*`.
+  removeParams: string,
+  // Replaces the host (and port), for example to use a self-hosted front-end.
+  // Empty means keep the host.
+  host: string,
+  open: UrlRuleOpen,
+});
+
+export type ElementSelectorRule = {
+  selector: string;
+  action: SelectorRuleAction;
+};
+
+// How hint labels are generated from the hint characters. See
+// `background/hintLabels.ts`.
+export type HintLabelStrategy = ReturnType<typeof HintLabelStrategy>;
+export const HintLabelStrategy = stringUnion({
+  fixed: null,
+  homeRow: null,
+  huffman: null,
+  numeric: null,
+});
+
+// How links are written to the clipboard in the Copy hints modes.
+export type CopyFormat = ReturnType<typeof CopyFormat>;
+export const CopyFormat = stringUnion({
+  custom: null,
+  html: null,
+  markdown: null,
+  org: null,
+  text: null,
+  url: null,
+});
+
+// A built-in set of hint styles, applied before the `css` option. See
+// `THEMES` in `css.ts`.
+export type Theme = ReturnType<typeof Theme>;
+export const Theme = stringUnion({
+  classic: null,
+  dark: null,
+  highContrast: null,
+  largePrint: null,
+  minimalOutline: null,
+});
+
+// When the dark variant of the theme is used. `page` looks at the background
+// color of the page, and falls back to `system` if the page has none.
+export type ThemeColorScheme = ReturnType<typeof ThemeColorScheme>;
+export const ThemeColorScheme = stringUnion({
+  dark: null,
+  light: null,
+  page: null,
+  system: null,
+});
+
+// What screen readers are told in hints mode. `brief` announces entering hints
+// mode and activating hints, and `verbose` also the results of filtering by
+// text and typing hint chars. See `background/announcements.ts`.
+export type Announcements = ReturnType<typeof Announcements>;
+export const Announcements = stringUnion({
+  brief: null,
+  off: null,
+  verbose: null,
+});
+
+// Extra hints mode shortcuts for specific hints modes (and grid mode). They are
+// added to `hintsKeyboardShortcuts`, and override the ones using the same
+// shortcut.
+export type ModeKeyboardShortcuts = Partial<
+  Record<ShortcutsMode, Array<KeyboardMapping>>
+>;
+const ModeKeyboardShortcuts = chain(
+  record(array(KeyboardMapping)),
+  (value): ModeKeyboardShortcuts => {
+    for (const mode of Object.keys(value)) {
+      try {
+        ShortcutsMode(mode);
+      } catch (error) {
+        throw DecoderError.at(error, mode);
+      }
+    }
+    return value;
+  }
+);
+
 export const Options = fieldsAuto({
   chars: chain(string, validateChars),
+  hintLabels: HintLabelStrategy,
   autoActivate: boolean,
+  fuzzyMatching: boolean,
+  adaptiveWeights: boolean,
   overTypingDuration: UnsignedInt,
+  theme: Theme,
+  themeColorScheme: ThemeColorScheme,
   css: string,
+  accessiblePresentation: boolean,
+  announcements: Announcements,
   logLevel: LogLevel,
   useKeyTranslations: boolean,
   keyTranslations: record(KeyPair),
   normalKeyboardShortcuts: array(KeyboardMappingWithModifiers),
+  normalKeySequences: array(KeySequenceMapping),
+  keySequenceTimeout: UnsignedInt,
+  scrollStep: UnsignedInt,
   hintsKeyboardShortcuts: array(KeyboardMapping),
+  modeKeyboardShortcuts: ModeKeyboardShortcuts,
+  siteRules: array(SiteRule),
+  selectorRules: array(SelectorRule),
+  urlRules: array(UrlRule),
+  externalExtensionIds: array(string),
+  copyFormat: CopyFormat,
+  copyTemplate: string,
 });
 
 const MIN_CHARS = 2;
@@ -117,12 +288,39 @@ export function getDefaults({ mac }: { mac: boolean }): Options {
     };
   }
 
+  const activateAll: KeyboardMapping = {
+    shortcut: shortcut({
+      key: "Enter",
+      shift: true,
+    }),
+    action: "ActivateAllHints",
+  };
+
+  const manyWindow: Array<KeyboardMapping> = [
+    activateAll,
+    {
+      shortcut: shortcut({
+        key: "Enter",
+        cmd: mac,
+        ctrl: !mac,
+      }),
+      action: "OpenCollectedWindow",
+    },
+  ];
+
   return {
     chars: "fjdkslaurieowhgmvcn",
+    hintLabels: "huffman",
     autoActivate: true,
+    fuzzyMatching: false,
+    adaptiveWeights: false,
     // This is the "prevent overtyping" timeout from VimFx.
     overTypingDuration: 400, // ms
+    theme: "classic",
+    themeColorScheme: "system",
     css: "",
+    accessiblePresentation: false,
+    announcements: "off",
     logLevel: DEFAULT_LOG_LEVEL,
     useKeyTranslations: false,
     keyTranslations: EN_US_QWERTY_TRANSLATIONS,
@@ -168,6 +366,9 @@ export function getDefaults({ mac }: { mac: boolean }): Options {
         action: "Escape",
       },
     ],
+    normalKeySequences: [],
+    keySequenceTimeout: 1000, // ms
+    scrollStep: 60, // px
     hintsKeyboardShortcuts: [
       {
         shortcut: shortcut({
@@ -218,6 +419,13 @@ export function getDefaults({ mac }: { mac: boolean }): Options {
         }),
         action: "TogglePeek",
       },
+      {
+        shortcut: shortcut({
+          key: "m",
+          ctrl: true,
+        }),
+        action: "MarkHint",
+      },
       {
         shortcut: shortcut({
           key: "Escape",
@@ -232,6 +440,44 @@ export function getDefaults({ mac }: { mac: boolean }): Options {
         action: "Escape",
       },
     ],
+    modeKeyboardShortcuts: {
+      Grid: [
+        {
+          shortcut: shortcut({
+            key: "Enter",
+            shift: true,
+          }),
+          action: "GridHover",
+        },
+        {
+          shortcut: shortcut({
+            key: "Enter",
+            alt: !mac,
+            ctrl: mac,
+          }),
+          action: "GridContextMenu",
+        },
+      ],
+      ManyCopy: [activateAll],
+      ManyNewWindow: manyWindow,
+      ManyPrivateWindow: manyWindow,
+      ManyTab: [activateAll],
+      Select: [
+        {
+          shortcut: shortcut({
+            key: "Enter",
+            shift: true,
+          }),
+          action: "ExtendSelection",
+        },
+      ],
+    },
+    siteRules: [],
+    selectorRules: [],
+    urlRules: [],
+    externalExtensionIds: [],
+    copyFormat: "url",
+    copyTemplate: "{text} – {url}",
   };
 }
 
@@ -239,7 +485,9 @@ export function flattenOptions(options: Options): FlatOptions {
   const {
     keyTranslations,
     normalKeyboardShortcuts,
+    normalKeySequences,
     hintsKeyboardShortcuts,
+    modeKeyboardShortcuts,
     ...rest
   } = options;
 
@@ -247,10 +495,31 @@ export function flattenOptions(options: Options): FlatOptions {
     ...rest,
     ...flattenKeyTranslations(keyTranslations, "keys"),
     ...flattenKeyboardMappings(normalKeyboardShortcuts, "normal"),
+    ...flattenKeySequences(normalKeySequences, "sequences"),
     ...flattenKeyboardMappings(hintsKeyboardShortcuts, "hints"),
+    ...flattenModeKeyboardShortcuts(modeKeyboardShortcuts, "modes"),
   };
 }
 
+// The hints mode shortcuts in effect for `mode`. Mode specific shortcuts win
+// over the ones for all modes, and mode-only actions are left out in the
+// modes they don’t belong to.
+export function getHintsKeyboardShortcuts(
+  options: Pick<Options, "hintsKeyboardShortcuts" | "modeKeyboardShortcuts">,
+  mode: ShortcutsMode
+): Array<KeyboardMapping> {
+  const modeMappings = options.modeKeyboardShortcuts[mode] ?? [];
+  return options.hintsKeyboardShortcuts
+    .filter(
+      (mapping) =>
+        !modeMappings.some((modeMapping) =>
+          deepEqual(modeMapping.shortcut, mapping.shortcut)
+        )
+    )
+    .concat(modeMappings)
+    .filter((mapping) => isKeyboardActionAllowedInMode(mapping.action, mode));
+}
+
 function flattenKeyTranslations(
   keyTranslations: KeyTranslations,
   prefix: string
@@ -275,6 +544,26 @@ function flattenKeyboardMappings(
   );
 }
 
+function flattenModeKeyboardShortcuts(
+  modeKeyboardShortcuts: ModeKeyboardShortcuts,
+  prefix: string
+): FlatOptions {
+  return Object.fromEntries(
+    Object.entries(modeKeyboardShortcuts).flatMap(([mode, mappings = []]) =>
+      Object.entries(flattenKeyboardMappings(mappings, `${prefix}.${mode}`))
+    )
+  );
+}
+
+function flattenKeySequences(
+  mappings: Array<KeySequenceMapping>,
+  prefix: string
+): FlatOptions {
+  return Object.fromEntries(
+    mappings.map((mapping) => [`${prefix}.${mapping.sequence}`, mapping.action])
+  );
+}
+
 const PREFIX_REGEX = /([^.]+)\.([^]*)/;
 
 // This takes a flat object and turns it into an object that can be fed to
@@ -283,7 +572,12 @@ const PREFIX_REGEX = /([^.]+)\.([^]*)/;
 export function unflattenOptions(
   object: FlatOptions
 ): [FlatOptions, Map<string, Array<number | string>>] {
-  const options: FlatOptions = {};
+  // There are no flat keys at all for empty lists, such as when no key
+  // sequences have been added.
+  const options: FlatOptions = {
+    normalKeySequences: [],
+    modeKeyboardShortcuts: {},
+  };
   const map = new Map<string, Array<number | string>>();
 
   function set(
@@ -329,6 +623,52 @@ export function unflattenOptions(
     }
   }
 
+  function pushModeShortcut(
+    parent: string,
+    fullKey: string,
+    key: string,
+    value: unknown
+  ): void {
+    const [, mode, shortcutKey] = PREFIX_REGEX.exec(key) ?? ["", key, ""];
+    if (!(typeof options[parent] === "object" && options[parent] !== null)) {
+      options[parent] = {};
+    }
+    const modes = options[parent] as Record<string, Array<unknown>>;
+    if (!Array.isArray(modes[mode])) {
+      modes[mode] = [];
+    }
+    if (value !== null) {
+      const length = modes[mode].push({
+        shortcut: deserializeShortcut(shortcutKey),
+        action: value,
+      });
+      map.set(JSON.stringify([parent, mode]), [fullKey]);
+      map.set(JSON.stringify([parent, mode, length - 1, "shortcut"]), [
+        fullKey,
+      ]);
+      map.set(JSON.stringify([parent, mode, length - 1, "action"]), [fullKey]);
+    }
+  }
+
+  function pushSequence(
+    parent: string,
+    fullKey: string,
+    key: string,
+    value: unknown
+  ): void {
+    if (!Array.isArray(options[parent])) {
+      options[parent] = [];
+    }
+    if (value !== null) {
+      const length = (options[parent] as Array<unknown>).push({
+        sequence: key,
+        action: value,
+      });
+      map.set(JSON.stringify([parent, length - 1, "sequence"]), [fullKey]);
+      map.set(JSON.stringify([parent, length - 1, "action"]), [fullKey]);
+    }
+  }
+
   for (const key of Object.keys(object)) {
     const item = object[key];
     const [, start, rest] = PREFIX_REGEX.exec(key) ?? ["", "", ""];
@@ -342,10 +682,18 @@ export function unflattenOptions(
         pushShortcut("normalKeyboardShortcuts", key, rest, item);
         break;
 
+      case "sequences":
+        pushSequence("normalKeySequences", key, rest, item);
+        break;
+
       case "hints":
         pushShortcut("hintsKeyboardShortcuts", key, rest, item);
         break;
 
+      case "modes":
+        pushModeShortcut("modeKeyboardShortcuts", key, rest, item);
+        break;
+
       default:
         options[key] = item;
     }
@@ -356,12 +704,154 @@ export function unflattenOptions(
 
 export const DEBUG_PREFIX = "debug.";
 
+// Patterns are matched against the whole URL. `*` matches any sequence of
+// characters, for example `*://mail.example.com/*`.
+export function matchesUrlPattern(pattern: string, url: string): boolean {
+  const regex = URL_PATTERN_REGEXES.has(pattern)
+    ? URL_PATTERN_REGEXES.get(pattern)
+    : compileUrlPattern(pattern);
+  return regex?.test(url) ?? false;
+}
+
+// Empty patterns match nothing.
+function compileUrlPattern(pattern: string): RegExp | undefined {
+  const trimmed = pattern.trim();
+  const regex =
+    trimmed === ""
+      ? undefined
+      : new RegExp(
+          `^${trimmed
+            .split("*")
+            .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+            .join(".*")}$`,
+          "u"
+        );
+  URL_PATTERN_REGEXES.set(pattern, regex);
+  return regex;
+}
+
+export function getMatchingSiteRules(
+  options: Options,
+  url: string | undefined
+): Array<SiteRule> {
+  return url === undefined
+    ? []
+    : options.siteRules.filter((rule) => matchesUrlPattern(rule.pattern, url));
+}
+
+// Later rules win over earlier ones. `profiles` contains the profiles that
+// site rules can use. The active profile is left out, since its options are
+// the ones in `options` already.
+export function getSiteOptions(
+  options: Options,
+  url: string | undefined,
+  profiles: Map<string, ProfileOptions> = new Map()
+): {
+  options: Options;
+  tweakables: Record<string, unknown>;
+  selectorRules: Array<ElementSelectorRule>;
+} {
+  const { options: siteOptions, tweakables } = getMatchingSiteRules(
+    options,
+    url
+  ).reduce(
+    (result: ProfileOptions, rule) => {
+      const profile =
+        rule.profile === undefined ? undefined : profiles.get(rule.profile);
+      const base = profile ?? result;
+      return {
+        options: {
+          ...base.options,
+          chars: rule.chars ?? base.options.chars,
+          autoActivate: rule.autoActivate ?? base.options.autoActivate,
+          css: rule.css ?? base.options.css,
+        },
+        tweakables: { ...base.tweakables, ...rule.tweakables },
+      };
+    },
+    { options, tweakables: {} }
+  );
+
+  return {
+    options: siteOptions,
+    tweakables,
+    selectorRules:
+      url === undefined
+        ? []
+        : options.selectorRules
+            .filter(
+              (rule) =>
+                rule.selector !== "" && matchesUrlPattern(rule.pattern, url)
+            )
+            .map(({ selector, action }) => ({ selector, action })),
+  };
+}
+
+// The schema version of the flat options is stored next to them in
+// `storage.sync` (and in exported options files). Options without a version
+// are version 1.
+export const OPTIONS_VERSION_KEY = "optionsVersion";
+export const OPTIONS_VERSION = 1;
+
+// `OPTIONS_MIGRATIONS[n]` upgrades flat options from version `n + 1` to
+// `n + 2`. When renaming or changing an option in a way that would make old
+// stored values fail to decode, increase `OPTIONS_VERSION` and add a migration
+// here, instead of reporting decode errors to the user. For example:
+//
+//     (flatOptions) => {
+//       const { oldName, ...rest } = flatOptions;
+//       return oldName === undefined ? rest : { ...rest, newName: oldName };
+//     },
+const OPTIONS_MIGRATIONS: Array<(flatOptions: FlatOptions) => FlatOptions> = [];
+
+// Upgrades flat options (possibly containing `OPTIONS_VERSION_KEY`) to the
+// current version. The version key is removed. Options from a newer version
+// (synced from another browser) are left as-is.
+export function migrateOptions(raw: FlatOptions): FlatOptions {
+  const { [OPTIONS_VERSION_KEY]: rawVersion, ...flatOptions } = raw;
+  const version =
+    typeof rawVersion === "number" && Number.isInteger(rawVersion)
+      ? rawVersion
+      : 1;
+  return OPTIONS_MIGRATIONS.slice(Math.max(0, version - 1)).reduce(
+    (result, migrate) => migrate(result),
+    flatOptions
+  );
+}
+
 export async function getRawOptions(): Promise<FlatOptions> {
   const raw = await browser.storage.sync.get();
   // Exclude all tweakables since they are handled completely differently.
-  return Object.fromEntries(
+  return migrateOptions(
+    Object.fromEntries(
+      Object.entries(raw).filter(([key]) => !key.startsWith(DEBUG_PREFIX))
+    )
+  );
+}
+
+// Stores migrated options if `storage.sync` contains options from an older
+// version.
+export async function migrateStoredOptions(): Promise<void> {
+  const { [OPTIONS_VERSION_KEY]: version } = await browser.storage.sync.get(
+    OPTIONS_VERSION_KEY
+  );
+  if (typeof version === "number" && version >= OPTIONS_VERSION) {
+    return;
+  }
+  const raw = await browser.storage.sync.get();
+  const flatOptions = Object.fromEntries(
     Object.entries(raw).filter(([key]) => !key.startsWith(DEBUG_PREFIX))
   );
+  const migrated = migrateOptions(flatOptions);
+  await browser.storage.sync.remove(
+    Object.keys(flatOptions).filter(
+      (key) => !Object.prototype.hasOwnProperty.call(migrated, key)
+    )
+  );
+  await browser.storage.sync.set({
+    ...migrated,
+    [OPTIONS_VERSION_KEY]: OPTIONS_VERSION,
+  });
 }
 
 export function diffOptions(
@@ -431,15 +921,16 @@ export function importOptions(
   errors: Array<string>;
 } {
   try {
+    const migrated = migrateOptions(flatOptions);
     const updatedOptionsFlat = {
       ...flattenOptions(options),
-      ...flatOptions,
+      ...migrated,
     };
     const [unflattened, map] = unflattenOptions(updatedOptionsFlat);
     const newOptions = decode(Options, unflattened, map);
     return {
       options: newOptions,
-      successCount: Object.keys(flatOptions).length,
+      successCount: Object.keys(migrated).length,
       errors: [],
     };
   } catch (errorAny) {
@@ -451,3 +942,59 @@ export function importOptions(
     };
   }
 }
+
+export type CopyItem = {
+  url: string | undefined;
+  text: string;
+  title: string;
+};
+
+// Formats a copied link. `title` is the title of the page. Elements without a
+// URL fall back to their text in all formats except `custom`, where `{url}` is
+// replaced with the empty string.
+export function formatCopyText(
+  format: CopyFormat,
+  template: string,
+  { url, text, title }: CopyItem
+): string {
+  const linkText = text === "" ? url ?? "" : text;
+
+  switch (format) {
+    case "url":
+      return url ?? text;
+
+    case "text":
+      return linkText;
+
+    case "markdown":
+      return url === undefined
+        ? text
+        : `[${linkText.replace(/[[\]\\]/g, "\\$&")}](${url
+            .replace(/\(/g, "%28")
+            .replace(/\)/g, "%29")})`;
+
+    case "html":
+      return url === undefined
+        ? escapeHtml(text)
+        : `<a href="${escapeHtml(url)}">${escapeHtml(linkText)}</a>`;
+
+    case "org":
+      // Org-mode has no way of escaping brackets in link descriptions.
+      return url === undefined
+        ? text
+        : `[[${url}][${linkText.replace(/\[/g, "{").replace(/\]/g, "}")}]]`;
+
+    case "custom":
+      return template.replace(/\{(text|title|url)\}/g, (_, key: string) =>
+        key === "url" ? url ?? "" : key === "text" ? text : title
+      );
+  }
+}
+
+function escapeHtml(text: string): string {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
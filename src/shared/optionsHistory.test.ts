@@ -0,0 +1,125 @@
+import assert from "assert";
+
+import { DEBUG_PREFIX, OPTIONS_VERSION, OPTIONS_VERSION_KEY } from "./options";
+import {
+  addOptionsSnapshot,
+  decodeOptionsHistory,
+  diffFlatOptions,
+  MAX_SNAPSHOTS,
+  OptionsChange,
+  OptionsHistory,
+  SAVE_COALESCE_DURATION,
+} from "./optionsHistory";
+
+function addMany(
+  history: OptionsHistory,
+  snapshots: Array<{ change: OptionsChange; now: number }>
+): OptionsHistory {
+  return snapshots.reduce(
+    (current, { change, now }) =>
+      addOptionsSnapshot(current, { change, raw: { chars: `${now}` }, now }),
+    history
+  );
+}
+
+assert.deepStrictEqual(
+  addOptionsSnapshot([], { change: "Import", raw: { chars: "ab" }, now: 1 }),
+  [
+    {
+      timestamp: 1,
+      change: "Import",
+      version: OPTIONS_VERSION,
+      raw: { chars: "ab" },
+    },
+  ],
+  "snapshot"
+);
+
+assert.deepStrictEqual(
+  addMany(
+    [],
+    [
+      { change: "Save", now: 0 },
+      { change: "Save", now: SAVE_COALESCE_DURATION - 1 },
+    ]
+  ).map((snapshot) => snapshot.raw),
+  [{ chars: "0" }],
+  "saves are coalesced, keeping the first snapshot"
+);
+
+assert.deepStrictEqual(
+  addMany(
+    [],
+    [
+      { change: "Save", now: 0 },
+      { change: "Save", now: SAVE_COALESCE_DURATION },
+    ]
+  ).map((snapshot) => snapshot.timestamp),
+  [0, SAVE_COALESCE_DURATION],
+  "saves far apart are not coalesced"
+);
+
+assert.deepStrictEqual(
+  addMany(
+    [],
+    [
+      { change: "Save", now: 0 },
+      { change: "Reset", now: 1 },
+      { change: "Save", now: 2 },
+      { change: "Import", now: 3 },
+      { change: "Import", now: 4 },
+    ]
+  ).map((snapshot) => snapshot.change),
+  ["Save", "Reset", "Save", "Import", "Import"],
+  "only saves are coalesced"
+);
+
+{
+  const history = addMany(
+    [],
+    Array.from({ length: MAX_SNAPSHOTS + 2 }, (_, index) => ({
+      change: "Import",
+      now: index,
+    }))
+  );
+  assert.strictEqual(history.length, MAX_SNAPSHOTS, "snapshots cap");
+  assert.strictEqual(history[0].timestamp, 2, "oldest snapshots dropped");
+  assert.strictEqual(
+    history[history.length - 1].timestamp,
+    MAX_SNAPSHOTS + 1,
+    "newest snapshot kept"
+  );
+}
+
+assert.deepStrictEqual(decodeOptionsHistory(undefined), [], "no history");
+
+assert.deepStrictEqual(
+  diffFlatOptions(
+    {
+      chars: "ab",
+      css: "a {}",
+      "keys.Alt+j": "EnterHintsMode_Click",
+      [`${DEBUG_PREFIX}tweakable`]: 1,
+      [OPTIONS_VERSION_KEY]: 1,
+    },
+    {
+      chars: "abc",
+      css: "a {}",
+      "keys.Alt+k": "EnterHintsMode_Click",
+      [`${DEBUG_PREFIX}tweakable`]: 2,
+      [OPTIONS_VERSION_KEY]: 2,
+    }
+  ),
+  [
+    { key: "chars", before: "ab", after: "abc" },
+    { key: "keys.Alt+j", before: "EnterHintsMode_Click", after: undefined },
+    { key: "keys.Alt+k", before: undefined, after: "EnterHintsMode_Click" },
+  ],
+  "diff"
+);
+
+assert.deepStrictEqual(
+  diffFlatOptions({ excludedUrls: ["a", "b"] }, { excludedUrls: ["a", "b"] }),
+  [],
+  "deeply equal values are not part of the diff"
+);
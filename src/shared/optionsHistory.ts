@@ -0,0 +1,102 @@
+import { array, fieldsAuto, number, record, stringUnion } from "tiny-decoders";
+
+import { decode, deepEqual, log } from "./main";
+import {
+  DEBUG_PREFIX,
+  FlatOptions,
+  OPTIONS_VERSION,
+  OPTIONS_VERSION_KEY,
+} from "./options";
+
+// Before the options in `storage.sync` are changed, the background program
+// stores a snapshot of them in `storage.local`, so that the options page can
+// roll back bad imports and accidental resets. Tweakables are included, since
+// resets clear them too.
+export const OPTIONS_HISTORY_KEY = "optionsHistory";
+
+export const MAX_SNAPSHOTS = 50;
+
+// Saving happens on every (debounced) keystroke in text inputs. Saves closer
+// together than this share the snapshot taken before the first one.
+export const SAVE_COALESCE_DURATION = 60000; // ms
+
+// What replaced the options in the snapshot.
+export type OptionsChange = ReturnType<typeof OptionsChange>;
+export const OptionsChange = stringUnion({
+  Import: null,
+  Profile: null,
+  Reset: null,
+  Rollback: null,
+  Save: null,
+});
+
+export type OptionsSnapshot = ReturnType<typeof OptionsSnapshot>;
+export const OptionsSnapshot = fieldsAuto({
+  timestamp: number,
+  change: OptionsChange,
+  // `OPTIONS_VERSION` at the time of the snapshot. Rolling back to an older
+  // snapshot migrates it.
+  version: number,
+  // All of `storage.sync`: The options that differ from the defaults, and the
+  // tweakables.
+  raw: record((value: unknown): unknown => value),
+});
+
+// Oldest first.
+export type OptionsHistory = ReturnType<typeof OptionsHistory>;
+export const OptionsHistory = array(OptionsSnapshot);
+
+// Returns no history if there is none, or if it is broken.
+export function decodeOptionsHistory(value: unknown): OptionsHistory {
+  if (value === undefined) {
+    return [];
+  }
+  try {
+    return decode(OptionsHistory, value);
+  } catch (error) {
+    log("error", "decodeOptionsHistory", "Failed to decode.", error);
+    return [];
+  }
+}
+
+export function addOptionsSnapshot(
+  history: OptionsHistory,
+  { change, raw, now }: { change: OptionsChange; raw: FlatOptions; now: number }
+): OptionsHistory {
+  const last = history.length > 0 ? history[history.length - 1] : undefined;
+  if (
+    last !== undefined &&
+    change === "Save" &&
+    last.change === "Save" &&
+    now - last.timestamp < SAVE_COALESCE_DURATION
+  ) {
+    return history;
+  }
+  return [
+    ...history,
+    { timestamp: now, change, version: OPTIONS_VERSION, raw },
+  ].slice(-MAX_SNAPSHOTS);
+}
+
+export type OptionsDiffItem = {
+  key: string;
+  // `undefined` means the default value, `null` a removed default.
+  before: unknown;
+  after: unknown;
+};
+
+// Compares two sets of flat options field by field. Tweakables and the options
+// version are left out.
+export function diffFlatOptions(
+  before: FlatOptions,
+  after: FlatOptions
+): Array<OptionsDiffItem> {
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  return Array.from(keys)
+    .filter(
+      (key) => !key.startsWith(DEBUG_PREFIX) && key !== OPTIONS_VERSION_KEY
+    )
+    .sort()
+    .filter((key) => !deepEqual(before[key], after[key]))
+    .map((key) => ({ key, before: before[key], after: after[key] }));
+}
@@ -19,6 +19,16 @@ export const Stats = fieldsAuto({
   numTrackedElements: number,
   numVisibleElements: number,
   numVisibleFrames: number,
+  // Pages with too many elements for an `IntersectionObserver` (`bailed`) use
+  // a spatial index instead. Elements with stale boxes in it are re-measured
+  // when entering hints mode (`numRemeasured`).
+  numIndexedElements: number,
+  numRemeasured: number,
+  // The elements that were measured to see if they should get hints, and the
+  // ones skipped since that took too long (including stale elements in the
+  // spatial index that weren’t re-measured).
+  numCandidates: number,
+  numSkipped: number,
   bailed: number,
   durations: Durations,
 });
@@ -0,0 +1,136 @@
+import { array, fieldsAuto, optional, record, string } from "tiny-decoders";
+
+import { decode, log } from "./main";
+import {
+  DEBUG_PREFIX,
+  FlatOptions,
+  flattenOptions,
+  migrateOptions,
+  Options,
+  unflattenOptions,
+} from "./options";
+
+// Profiles are named sets of options, such as one for presenting and one for
+// daily use. The options in `storage.sync` are always the ones in use. When
+// switching profiles, they are saved into the active profile, and replaced
+// with the ones of the other profile. The profiles are stored in
+// `storage.local` since `storage.sync` has a small quota.
+export const PROFILES_KEY = "profiles";
+
+// The name used for the options in use when switching profiles for the first
+// time.
+export const DEFAULT_PROFILE_NAME = "Default";
+
+export type Profile = ReturnType<typeof Profile>;
+export const Profile = fieldsAuto({
+  name: string,
+  // The contents of `storage.sync`: Only the options that differ from the
+  // defaults, as well as the tweakables (with `DEBUG_PREFIX`).
+  raw: record((value: unknown): unknown => value),
+});
+
+export type Profiles = ReturnType<typeof Profiles>;
+export const Profiles = fieldsAuto({
+  // The profile that the options in `storage.sync` belong to, if any.
+  active: optional(string),
+  profiles: array(Profile),
+});
+
+// A profile ready to be used by site rules.
+export type ProfileOptions = {
+  options: Options;
+  // Keyed by `Namespace.KEY`, as in `SiteRule`.
+  tweakables: Record<string, unknown>;
+};
+
+// Returns no profiles if there are none, or if they are broken.
+export function decodeProfiles(value: unknown): Profiles {
+  if (value === undefined) {
+    return { active: undefined, profiles: [] };
+  }
+  try {
+    return decode(Profiles, value);
+  } catch (error) {
+    log("error", "decodeProfiles", "Failed to decode.", error);
+    return { active: undefined, profiles: [] };
+  }
+}
+
+// Returns new profiles with `profile` replacing the one with the same name, or
+// added last.
+export function setProfile(
+  profiles: Array<Profile>,
+  profile: Profile
+): Array<Profile> {
+  return profiles.some((profile2) => profile2.name === profile.name)
+    ? profiles.map((profile2) =>
+        profile2.name === profile.name ? profile : profile2
+      )
+    : [...profiles, profile];
+}
+
+// Separates the tweakables from the options in `raw`. The tweakables lose their
+// `DEBUG_PREFIX`, and the options are migrated to the current version.
+export function partitionProfileRaw(raw: FlatOptions): {
+  options: FlatOptions;
+  tweakables: Record<string, unknown>;
+} {
+  const entries = Object.entries(raw);
+  return {
+    options: migrateOptions(
+      Object.fromEntries(
+        entries.filter(([key]) => !key.startsWith(DEBUG_PREFIX))
+      )
+    ),
+    tweakables: Object.fromEntries(
+      entries.flatMap(([key, value]) =>
+        key.startsWith(DEBUG_PREFIX)
+          ? [[key.slice(DEBUG_PREFIX.length), value]]
+          : []
+      )
+    ),
+  };
+}
+
+// Throws if the profile contains invalid options.
+export function getProfileOptions(
+  profile: Profile,
+  defaults: Options
+): ProfileOptions {
+  const { options: rawOptions, tweakables } = partitionProfileRaw(profile.raw);
+  const [unflattened, map] = unflattenOptions({
+    ...flattenOptions(defaults),
+    ...rawOptions,
+  });
+  return {
+    options: decode(Options, unflattened, map),
+    tweakables,
+  };
+}
+
+// The options of all profiles but the active one, for `getSiteOptions`.
+// Invalid profiles are left out.
+export function getInactiveProfileOptions(
+  profiles: Profiles,
+  defaults: Options
+): Map<string, ProfileOptions> {
+  return new Map(
+    profiles.profiles.flatMap((profile): Array<[string, ProfileOptions]> => {
+      if (profile.name === profiles.active) {
+        return [];
+      }
+      try {
+        return [[profile.name, getProfileOptions(profile, defaults)]];
+      } catch (error) {
+        log(
+          "error",
+          "getInactiveProfileOptions",
+          "Ignoring invalid profile.",
+          profile.name,
+          error
+        );
+        return [];
+      }
+    })
+  );
+}
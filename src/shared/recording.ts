@@ -0,0 +1,215 @@
+import {
+  array,
+  boolean,
+  Decoder,
+  fields,
+  fieldsAuto,
+  fieldsUnion,
+  number,
+  optional,
+  record,
+  string,
+  stringUnion,
+} from "tiny-decoders";
+
+import {
+  ElementType,
+  ElementWithHint,
+  HintMeasurements,
+  HintUpdate,
+} from "./hints";
+import {
+  EN_US_QWERTY_TRANSLATIONS,
+  HintsMode,
+  KeyPair,
+  NormalizedKeypress,
+} from "./keyboard";
+import { Box, decode, log } from "./main";
+import { HintLabelStrategy } from "./options";
+import { Stats } from "./perf";
+
+// A recording of one hints session, for bug reports about missing or
+// misplaced hints. It is started from the popup, and covers everything from
+// entering hints mode in the tab until going back to normal mode. The latest
+// recording is stored in `storage.local`, and can be exported and replayed on
+// the options page – without the original site.
+export const RECORDING_KEY = "recording";
+
+const RecordedBox = fieldsAuto<Box>({
+  x: number,
+  y: number,
+  width: number,
+  height: number,
+});
+
+const RecordedMeasurements = fieldsAuto<HintMeasurements>({
+  x: number,
+  y: number,
+  align: stringUnion({ left: null, right: null }),
+  debug: string,
+  maxX: number,
+  weight: number,
+});
+
+// `undefined` fields are left out in JSON. The decoders turn them into
+// optional fields, while the hint types have required fields that can be
+// `undefined`, hence the type assertions.
+const RecordedElement = fields(
+  (field): ElementWithHint => ({
+    type: field("type", ElementType),
+    index: field("index", number),
+    hintMeasurements: field("hintMeasurements", RecordedMeasurements),
+    url: field("url", optional(string)),
+    urlWithTarget: field("urlWithTarget", optional(string)),
+    text: field("text", string),
+    textContent: field("textContent", boolean),
+    textWeight: field("textWeight", number),
+    attributes: field("attributes", array(string)),
+    isTextInput: field("isTextInput", boolean),
+    hasClickListener: field("hasClickListener", boolean),
+    offscreen: field("offscreen", boolean),
+    frame: field("frame", fieldsAuto({ id: number, index: number })),
+    hidden: field("hidden", boolean),
+    weight: field("weight", number),
+    hint: field("hint", string),
+    usageCount: field("usageCount", number),
+    mark: field("mark", optional(string)),
+  })
+) as Decoder<ElementWithHint>;
+
+const RecordedUpdate = fields((field): HintUpdate => {
+  const type = field(
+    "type",
+    stringUnion({ Hide: null, UpdateContent: null, UpdatePosition: null })
+  );
+  switch (type) {
+    case "Hide":
+      return {
+        type,
+        index: field("index", number),
+        hidden: true,
+      };
+
+    case "UpdateContent":
+      return {
+        type,
+        index: field("index", number),
+        order: field("order", number),
+        matchedChars: field("matchedChars", string),
+        restChars: field("restChars", string),
+        highlighted: field("highlighted", boolean),
+        hidden: field("hidden", boolean),
+      };
+
+    case "UpdatePosition":
+      return {
+        type,
+        index: field("index", number),
+        order: field("order", number),
+        hint: field("hint", string),
+        hintMeasurements: field("hintMeasurements", RecordedMeasurements),
+        offscreenText: field("offscreenText", optional(string)),
+        highlighted: field("highlighted", boolean),
+        hidden: field("hidden", boolean),
+      };
+  }
+}) as Decoder<HintUpdate>;
+
+const RecordedKeypress = fields(
+  (field): NormalizedKeypress => ({
+    key: field("key", string),
+    printableKey: field("printableKey", optional(string)),
+    alt: field("alt", boolean),
+    cmd: field("cmd", boolean),
+    ctrl: field("ctrl", boolean),
+    shift: field("shift", optional(boolean)),
+  })
+) as Decoder<NormalizedKeypress>;
+
+export type RecordedInput = ReturnType<typeof RecordedInput>;
+export const RecordedInput = fieldsUnion("type", {
+  ActivateHint: fieldsAuto({
+    type: () => "ActivateHint" as const,
+    alt: boolean,
+    extendSelection: boolean,
+  }),
+  Backspace: fieldsAuto({
+    type: () => "Backspace" as const,
+  }),
+  Input: fieldsAuto({
+    type: () => "Input" as const,
+    keypress: RecordedKeypress,
+  }),
+  Label: fieldsAuto({
+    type: () => "Label" as const,
+    hint: string,
+    alt: boolean,
+  }),
+});
+
+export type RecordedEvent = ReturnType<typeof RecordedEvent>;
+export const RecordedEvent = fieldsUnion("type", {
+  // All frames have reported their elements. `elements` are the reports
+  // before hints are assigned (`weight` and `hint` are not filled in yet).
+  Hints: fieldsAuto({
+    type: () => "Hints" as const,
+    timestamp: number,
+    mode: HintsMode,
+    elements: array(RecordedElement),
+    stats: array(Stats),
+  }),
+  // A keypress changed the entered chars or text.
+  Input: fieldsAuto({
+    type: () => "Input" as const,
+    timestamp: number,
+    input: RecordedInput,
+    enteredChars: string,
+    enteredText: string,
+    updates: array(RecordedUpdate),
+  }),
+  // The positions of the hints were updated (such as after scrolling).
+  Update: fieldsAuto({
+    type: () => "Update" as const,
+    timestamp: number,
+    elements: array(RecordedElement),
+    updates: array(RecordedUpdate),
+  }),
+});
+
+export type Recording = ReturnType<typeof Recording>;
+export const Recording = fieldsAuto({
+  // The extension version that made the recording.
+  version: string,
+  browser: optional(stringUnion({ chrome: null, firefox: null })),
+  userAgent: string,
+  timestamp: number,
+  url: optional(string),
+  // The size of the top frame. Hint positions are relative to it.
+  viewport: optional(RecordedBox),
+  frames: array(
+    fieldsAuto({
+      id: number,
+      url: optional(string),
+    })
+  ),
+  chars: string,
+  hintLabels: HintLabelStrategy,
+  // Older recordings were made with hint labels assuming en-US QWERTY.
+  keyTranslations: optional(record(KeyPair), EN_US_QWERTY_TRANSLATIONS),
+  autoActivate: boolean,
+  fuzzyMatching: boolean,
+  events: array(RecordedEvent),
+});
+
+// Returns `undefined` if there is no recording, or if it is broken.
+export function decodeRecording(value: unknown): Recording | undefined {
+  if (value === undefined) {
+    return undefined;
+  }
+  try {
+    return decode(Recording, value);
+  } catch (error) {
+    log("error", "decodeRecording", "Failed to decode.", error);
+    return undefined;
+  }
+}
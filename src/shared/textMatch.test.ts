@@ -0,0 +1,82 @@
+import assert from "assert";
+
+import { getMatchedRanges, matchText } from "./textMatch";
+
+const FUZZY = { fuzzy: true };
+
+assert.deepStrictEqual(
+  matchText("Hello World", ["wor"], { fuzzy: false }),
+  { score: 0, ranges: [{ start: 6, end: 9 }] },
+  "substring"
+);
+
+assert.strictEqual(
+  matchText("Hello World", ["wor", "xyz"], { fuzzy: false }),
+  undefined,
+  "substring, not all words"
+);
+
+assert.deepStrictEqual(
+  matchText("Café crème", ["cafe", "creme"], FUZZY)?.ranges,
+  [
+    { start: 0, end: 4 },
+    { start: 5, end: 10 },
+  ],
+  "accents"
+);
+
+assert.deepStrictEqual(
+  getMatchedRanges("Crème brûlée", ["brule", "nope"], FUZZY),
+  [{ start: 6, end: 11 }],
+  "accents, highlighting"
+);
+
+assert.deepStrictEqual(
+  matchText("GitHub", ["gh"], FUZZY)?.ranges,
+  [
+    { start: 0, end: 1 },
+    { start: 3, end: 4 },
+  ],
+  "spread out"
+);
+
+assert.strictEqual(matchText("abc", ["ba"], FUZZY), undefined, "order");
+
+// Regression test: Very spread out matches used to get negative scores.
+const spreadOut = matchText(`a${"x".repeat(1000)}b`, ["ab"], FUZZY);
+assert.ok(
+  spreadOut !== undefined && spreadOut.score > 0,
+  "very spread out score"
+);
+
+// Letters at the start of words win over letters in the middle of words.
+assert.deepStrictEqual(
+  matchText("ship Home Page", ["hp"], FUZZY)?.ranges,
+  [
+    { start: 5, end: 6 },
+    { start: 10, end: 11 },
+  ],
+  "word starts win"
+);
+
+assert.ok(
+  (matchText("Settings", ["set"], FUZZY)?.score ?? 0) >
+    (matchText("Reset", ["set"], FUZZY)?.score ?? 0),
+  "prefix scores higher"
+);
+
+// Only the first `MAX_FUZZY_STARTS` (100) starting points are tried.
+assert.deepStrictEqual(
+  matchText(`${"xa".repeat(99)} ab`, ["ab"], FUZZY)?.ranges,
+  [{ start: 199, end: 201 }],
+  "best start within MAX_FUZZY_STARTS"
+);
+
+assert.deepStrictEqual(
+  matchText(`${"xa".repeat(100)} ab`, ["ab"], FUZZY)?.ranges,
+  [
+    { start: 199, end: 200 },
+    { start: 202, end: 203 },
+  ],
+  "best start after MAX_FUZZY_STARTS"
+);
@@ -0,0 +1,204 @@
+// Matching of element text against the words entered when filtering hints by
+// text. The default is case-insensitive substring matching. Fuzzy matching
+// additionally ignores accents (“cafe” matches “Café”) and allows the letters
+// of a word to be spread out (“gh” matches “GitHub”, “hp” matches “Home
+// Page”), and scores each match so that the best matches can be ranked first.
+
+export type TextRange = {
+  start: number;
+  end: number;
+};
+
+export type TextMatch = {
+  score: number;
+  // Ranges of the original text that were matched.
+  ranges: Array<TextRange>;
+};
+
+type WordMatch = {
+  score: number;
+  positions: Array<number>;
+};
+
+type FoldedText = {
+  text: string;
+  // `indexes[i]` is the index in the original text of `text[i]`. `undefined`
+  // means that the indexes are the same.
+  indexes: Array<number> | undefined;
+};
+
+// Fuzzy matching tries this many starting points per word at most. Long texts
+// could otherwise take a long time to match.
+const MAX_FUZZY_STARTS = 100;
+
+const WORD_CHAR = /[\p{L}\p{N}]/u;
+
+// Returns a match if all `words` match `text`, or `undefined` otherwise. The
+// `words` are expected to be lowercase (see `splitEnteredText`).
+export function matchText(
+  text: string,
+  words: Array<string>,
+  { fuzzy }: { fuzzy: boolean }
+): TextMatch | undefined {
+  if (!fuzzy) {
+    const lowerText = text.toLowerCase();
+    return words.every((word) => lowerText.includes(word))
+      ? { score: 0, ranges: getSubstringRanges(lowerText, words) }
+      : undefined;
+  }
+
+  const folded = foldText(text);
+  let score = 0;
+  const positions: Array<number> = [];
+
+  for (const word of words) {
+    const wordMatch = matchWordFuzzy(folded.text, foldText(word).text);
+    if (wordMatch === undefined) {
+      return undefined;
+    }
+    score += wordMatch.score;
+    positions.push(...wordMatch.positions);
+  }
+
+  return { score, ranges: positionsToRanges(folded, positions) };
+}
+
+// Like `matchText`, but returns the ranges of all words that match, even if
+// not all of them do. Used for highlighting text, where the text of an element
+// can be split across several elements (such as the element and its labels).
+export function getMatchedRanges(
+  text: string,
+  words: Array<string>,
+  { fuzzy }: { fuzzy: boolean }
+): Array<TextRange> {
+  if (!fuzzy) {
+    return getSubstringRanges(text.toLowerCase(), words);
+  }
+
+  const folded = foldText(text);
+  return positionsToRanges(
+    folded,
+    words.flatMap(
+      (word) =>
+        matchWordFuzzy(folded.text, foldText(word).text)?.positions ?? []
+    )
+  );
+}
+
+// All occurrences of all words.
+function getSubstringRanges(
+  lowerText: string,
+  words: Array<string>
+): Array<TextRange> {
+  const ranges = [];
+  for (const word of words) {
+    let index = -1;
+    while ((index = lowerText.indexOf(word, index + 1)) >= 0) {
+      ranges.push({ start: index, end: index + word.length });
+    }
+  }
+  return ranges;
+}
+
+// Lowercases and removes accents. Characters are folded one at a time, so
+// that every folded character can be traced back to the original text.
+function foldText(text: string): FoldedText {
+  if (/^[\u0000-\u007f]*$/.test(text)) {
+    return { text: text.toLowerCase(), indexes: undefined };
+  }
+
+  let folded = "";
+  const indexes: Array<number> = [];
+
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index]
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .toLowerCase();
+    folded += char;
+    indexes.push(...new Array<number>(char.length).fill(index));
+  }
+
+  return { text: folded, indexes };
+}
+
+// Finds the best placement of the letters of `word` in `text`, in order.
+// Letters at the start of words and consecutive letters score higher, and
+// spreading the letters out scores lower. This makes whole-word and word-prefix
+// matches win over matches in the middle of words.
+function matchWordFuzzy(text: string, word: string): WordMatch | undefined {
+  if (word === "") {
+    return { score: 0, positions: [] };
+  }
+
+  let best: WordMatch | undefined = undefined;
+  let starts = 0;
+  let start = -1;
+
+  while (
+    starts < MAX_FUZZY_STARTS &&
+    (start = text.indexOf(word[0], start + 1)) >= 0
+  ) {
+    starts++;
+    const positions = [start];
+    let position = start;
+
+    for (let index = 1; index < word.length; index++) {
+      position = text.indexOf(word[index], position + 1);
+      if (position === -1) {
+        break;
+      }
+      positions.push(position);
+    }
+
+    // If the rest of the word couldn’t be found, later starts won’t find it
+    // either.
+    if (position === -1) {
+      break;
+    }
+
+    const score = scorePositions(text, positions);
+    if (best === undefined || score > best.score) {
+      best = { score, positions };
+    }
+  }
+
+  return best;
+}
+
+function scorePositions(text: string, positions: Array<number>): number {
+  let score = 0;
+  for (const [index, position] of positions.entries()) {
+    score += 1;
+    if (position === 0 || !WORD_CHAR.test(text[position - 1])) {
+      score += 2;
+    }
+    if (index > 0 && positions[index - 1] === position - 1) {
+      score += 2;
+    }
+  }
+  // Spread out matches score lower, but never drop to 0 or below: The score is
+  // multiplied by the usage boost and used as a weight for the hints.
+  const span = positions[positions.length - 1] - positions[0] + 1;
+  return score / (1 + (span - positions.length) * 0.1);
+}
+
+function positionsToRanges(
+  folded: FoldedText,
+  positions: Array<number>
+): Array<TextRange> {
+  const { indexes } = folded;
+  const ranges: Array<TextRange> = [];
+
+  for (const position of positions.slice().sort((a, b) => a - b)) {
+    const index = indexes === undefined ? position : indexes[position];
+    const last = ranges.length > 0 ? ranges[ranges.length - 1] : undefined;
+    if (last !== undefined && index <= last.end) {
+      last.end = Math.max(last.end, index + 1);
+    } else {
+      ranges.push({ start: index, end: index + 1 });
+    }
+  }
+
+  return ranges;
+}
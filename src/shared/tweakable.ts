@@ -71,6 +71,7 @@ export type TweakableMeta = {
   errors: Record<string, string | undefined>;
   loaded: Promise<void>;
   unlisten: () => void;
+  setOverrides: (data: Record<string, unknown>) => void;
 };
 
 export function bool(value: boolean): Bool {
@@ -130,6 +131,39 @@ export function tweakable(
   const defaults = { ...mapping };
   const changed: Record<string, boolean> = {};
   const errors: Record<string, string | undefined> = {};
+  // Values from storage, and values from per-site rules which take precedence.
+  let stored: Record<string, unknown> = {};
+  let overrides: Record<string, unknown> = {};
+
+  function updateStored(data: Record<string, unknown>): void {
+    stored = { ...stored, ...data };
+    update(
+      Object.fromEntries(
+        Object.entries(data).filter(
+          ([key]) => !Object.prototype.hasOwnProperty.call(overrides, key)
+        )
+      )
+    );
+  }
+
+  function setOverrides(data: Record<string, unknown>): void {
+    if (deepEqual(data, overrides)) {
+      return;
+    }
+    const previous = overrides;
+    overrides = data;
+    const keys = new Set([...Object.keys(previous), ...Object.keys(data)]);
+    update(
+      Object.fromEntries(
+        Array.from(keys, (key) => [
+          key,
+          Object.prototype.hasOwnProperty.call(data, key)
+            ? data[key]
+            : stored[key],
+        ])
+      )
+    );
+  }
 
   function update(data: Record<string, unknown>): void {
     for (const [key, value] of Object.entries(data)) {
@@ -245,7 +279,7 @@ export function tweakable(
           value,
         ])
       );
-      update(data);
+      updateStored(data);
     })
     .catch((error: Error) => {
       log("error", "tweakable", "First load failed.", {
@@ -270,7 +304,7 @@ export function tweakable(
             return [];
           })
         );
-        update(data);
+        updateStored(data);
       }
     },
     "tweakable storage.onChanged listener"
@@ -283,9 +317,26 @@ export function tweakable(
     errors,
     loaded,
     unlisten,
+    setOverrides,
   };
 }
 
+// `tweakables` is keyed by `Namespace.KEY`, as in `SiteRule`. Only the keys for
+// the namespace of `tMeta` are used.
+export function applyTweakableOverrides(
+  tMeta: TweakableMeta,
+  tweakables: Record<string, unknown>
+): void {
+  const prefix = `${tMeta.namespace}.`;
+  tMeta.setOverrides(
+    Object.fromEntries(
+      Object.entries(tweakables).flatMap(([key, value]) =>
+        key.startsWith(prefix) ? [[key.slice(prefix.length), value]] : []
+      )
+    )
+  );
+}
+
 export function normalizeStringArray(
   arrayOrSet: Array<string> | Set<string>
 ): Array<string> {
@@ -0,0 +1,99 @@
+import assert from "assert";
+
+import type { UrlRule } from "./options";
+import { applyUrlRules } from "./urlRules";
+
+function rule(partial: Partial<UrlRule>): UrlRule {
+  return {
+    pattern: "*",
+    removeParams: "",
+    host: "",
+    open: "mode",
+    ...partial,
+  };
+}
+
+assert.deepStrictEqual(
+  applyUrlRules(
+    [rule({ removeParams: "utm_* ref" })],
+    "https://example.com/?utm_source=a&id=1&ref=b&utm_medium=c#top"
+  ),
+  { url: "https://example.com/?id=1#top", open: "mode" },
+  "removeParams with patterns"
+);
+
+assert.deepStrictEqual(
+  applyUrlRules(
+    [rule({ removeParams: "utm_*" })],
+    "https://example.com/?utm_source=a"
+  ),
+  { url: "https://example.com/", open: "mode" },
+  "removeParams removing all params"
+);
+
+// The kept params must not be re-encoded (such as `%20` into `+`).
+assert.deepStrictEqual(
+  applyUrlRules(
+    [rule({ removeParams: "fbclid" })],
+    "https://example.com/search?q=a%20b%2Bc&fbclid=x&x=%E2%9C%93"
+  ),
+  { url: "https://example.com/search?q=a%20b%2Bc&x=%E2%9C%93", open: "mode" },
+  "removeParams keeping encoding"
+);
+
+// Param names are decoded before matching.
+assert.deepStrictEqual(
+  applyUrlRules(
+    [rule({ removeParams: "utm_source" })],
+    "https://example.com/?utm%5Fsource=a&id=1"
+  ),
+  { url: "https://example.com/?id=1", open: "mode" },
+  "removeParams with encoded name"
+);
+
+assert.deepStrictEqual(
+  applyUrlRules(
+    [
+      rule({
+        pattern: "https://www.youtube.com/*",
+        host: " yewtu.be:8080 ",
+        open: "backgroundTab",
+      }),
+    ],
+    "https://www.youtube.com/watch?v=1"
+  ),
+  { url: "https://yewtu.be:8080/watch?v=1", open: "backgroundTab" },
+  "host"
+);
+
+assert.deepStrictEqual(
+  applyUrlRules(
+    [rule({ pattern: "https://other.com/*", host: "example.org" })],
+    "https://example.com/"
+  ),
+  { url: "https://example.com/", open: "mode" },
+  "non-matching pattern"
+);
+
+// Later rules see the result of earlier ones, and win for `open` unless they
+// use "mode".
+assert.deepStrictEqual(
+  applyUrlRules(
+    [
+      rule({ pattern: "https://a.com/*", host: "b.com", open: "newWindow" }),
+      rule({ pattern: "https://b.com/*", removeParams: "x" }),
+    ],
+    "https://a.com/?x=1"
+  ),
+  { url: "https://b.com/", open: "newWindow" },
+  "rules in order"
+);
+
+assert.deepStrictEqual(
+  applyUrlRules(
+    [rule({ removeParams: "x", host: "example.com", open: "newWindow" })],
+    "not a url?x=1"
+  ),
+  { url: "not a url?x=1", open: "newWindow" },
+  "invalid URL"
+);
@@ -0,0 +1,62 @@
+import { matchesUrlPattern, UrlRule, UrlRuleOpen } from "./options";
+
+// Runs all rules matching `url` in order, each on the result of the previous
+// one. For `open`, later rules win over earlier ones.
+export function applyUrlRules(
+  rules: Array<UrlRule>,
+  url: string
+): { url: string; open: UrlRuleOpen } {
+  return rules.reduce<{ url: string; open: UrlRuleOpen }>(
+    (result, rule) =>
+      matchesUrlPattern(rule.pattern, result.url)
+        ? {
+            url: rewriteUrl(result.url, rule),
+            open: rule.open === "mode" ? result.open : rule.open,
+          }
+        : result,
+    { url, open: "mode" }
+  );
+}
+
+function rewriteUrl(
+  url: string,
+  { removeParams, host }: Pick<UrlRule, "host" | "removeParams">
+): string {
+  let parsed = undefined;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return url;
+  }
+
+  // Keep the remaining params exactly as they were, instead of letting
+  // `URLSearchParams` re-encode all of them (such as `%20` into `+`).
+  const paramPatterns = removeParams.split(/\s+/).filter((name) => name !== "");
+  const pairs = parsed.search.replace(/^\?/, "").split("&");
+  const keptPairs = pairs.filter(
+    (pair) =>
+      pair !== "" &&
+      !paramPatterns.some((pattern) =>
+        matchesUrlPattern(pattern, decodeParamName(pair))
+      )
+  );
+  if (keptPairs.length !== pairs.length) {
+    parsed.search = keptPairs.join("&");
+  }
+
+  const trimmedHost = host.trim();
+  if (trimmedHost !== "") {
+    parsed.host = trimmedHost;
+  }
+
+  return parsed.toString();
+}
+
+function decodeParamName(pair: string): string {
+  const name = pair.split("=", 1)[0].replace(/\+/g, " ");
+  try {
+    return decodeURIComponent(name);
+  } catch {
+    return name;
+  }
+}
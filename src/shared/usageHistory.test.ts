@@ -0,0 +1,123 @@
+import assert from "assert";
+
+import {
+  decodeUsageHistory,
+  getOrigin,
+  getUsageCount,
+  MAX_USAGE_ENTRIES_PER_ORIGIN,
+  MAX_USAGE_ORIGINS,
+  recordUsage,
+  UsageHistory,
+} from "./usageHistory";
+
+const ORIGIN = "https://example.com";
+
+function recordMany(
+  history: UsageHistory,
+  usages: Array<{ origin: string; signature: string }>,
+  start = 0
+): UsageHistory {
+  return usages.reduce(
+    (current, usage, index) =>
+      recordUsage(current, { ...usage, now: start + index }),
+    history
+  );
+}
+
+function range(length: number): Array<number> {
+  return Array.from({ length }, (_, index) => index);
+}
+
+{
+  const history = recordMany({}, [
+    { origin: ORIGIN, signature: "a" },
+    { origin: ORIGIN, signature: "a" },
+    { origin: ORIGIN, signature: "b" },
+  ]);
+  assert.strictEqual(getUsageCount(history, ORIGIN, "a"), 2, "count");
+  assert.strictEqual(getUsageCount(history, ORIGIN, "b"), 1, "count once");
+  assert.strictEqual(getUsageCount(history, ORIGIN, "c"), 0, "never used");
+  assert.strictEqual(
+    getUsageCount(history, "https://example.org", "a"),
+    0,
+    "other origin"
+  );
+  assert.strictEqual(getUsageCount(history, undefined, "a"), 0, "no origin");
+  assert.ok(!JSON.stringify(history).includes("example"), "origins are hashed");
+}
+
+{
+  const before = recordMany(
+    {},
+    range(MAX_USAGE_ENTRIES_PER_ORIGIN).map((index) => ({
+      origin: ORIGIN,
+      signature: `s${index}`,
+    }))
+  );
+  // Using the oldest entry again makes it the most recently used one.
+  const history = recordMany(
+    before,
+    [
+      { origin: ORIGIN, signature: "s0" },
+      { origin: ORIGIN, signature: "new" },
+    ],
+    MAX_USAGE_ENTRIES_PER_ORIGIN
+  );
+  const [entries] = Object.values(history);
+  assert.strictEqual(
+    Object.keys(entries).length,
+    MAX_USAGE_ENTRIES_PER_ORIGIN,
+    "entries per origin cap"
+  );
+  assert.strictEqual(getUsageCount(history, ORIGIN, "new"), 1, "entry added");
+  assert.strictEqual(getUsageCount(history, ORIGIN, "s0"), 2, "entry reused");
+  assert.strictEqual(
+    getUsageCount(history, ORIGIN, "s1"),
+    0,
+    "least recently used entry dropped"
+  );
+  assert.strictEqual(getUsageCount(history, ORIGIN, "s2"), 1, "entry kept");
+}
+
+{
+  const origins = range(MAX_USAGE_ORIGINS).map(
+    (index) => `https://${index}.example.com`
+  );
+  const history = recordMany(
+    {},
+    [...origins, origins[0], "https://new.example.com"].map((origin) => ({
+      origin,
+      signature: "a",
+    }))
+  );
+  assert.strictEqual(
+    Object.keys(history).length,
+    MAX_USAGE_ORIGINS,
+    "origins cap"
+  );
+  assert.strictEqual(
+    getUsageCount(history, "https://new.example.com", "a"),
+    1,
+    "origin added"
+  );
+  assert.strictEqual(
+    getUsageCount(history, origins[0], "a"),
+    2,
+    "origin reused"
+  );
+  assert.strictEqual(
+    getUsageCount(history, origins[1], "a"),
+    0,
+    "least recently used origin dropped"
+  );
+}
+
+assert.deepStrictEqual(decodeUsageHistory(undefined), {}, "no history");
+
+assert.strictEqual(
+  getOrigin("https://example.com/path?query"),
+  ORIGIN,
+  "origin"
+);
+assert.strictEqual(getOrigin("about:blank"), undefined, "opaque origin");
+assert.strictEqual(getOrigin("not a url"), undefined, "invalid url");
@@ -0,0 +1,132 @@
+import { fieldsAuto, number, record } from "tiny-decoders";
+
+import type { ElementReport } from "./hints";
+import { decode, log, UnsignedInt } from "./main";
+
+// How often hints have been activated, per origin, for adaptive hint weights.
+// Origins are hashed, and elements are identified by a hash of their type, URL
+// and text, so that the history (stored in `storage.local`) doesn’t contain any
+// URLs or texts.
+export const USAGE_HISTORY_KEY = "usageHistory";
+
+export const MAX_USAGE_ENTRIES_PER_ORIGIN = 500;
+export const MAX_USAGE_ORIGINS = 200;
+
+export type UsageEntry = ReturnType<typeof UsageEntry>;
+export const UsageEntry = fieldsAuto({
+  count: UnsignedInt,
+  lastUsed: number,
+});
+
+// hashed origin -> element signature -> entry
+export type UsageHistory = ReturnType<typeof UsageHistory>;
+export const UsageHistory = record(record(UsageEntry));
+
+// Returns an empty history if there is none, or if it is broken.
+export function decodeUsageHistory(value: unknown): UsageHistory {
+  if (value === undefined) {
+    return {};
+  }
+  try {
+    return decode(UsageHistory, value);
+  } catch (error) {
+    log("error", "decodeUsageHistory", "Failed to decode.", error);
+    return {};
+  }
+}
+
+// Up to this many characters of the text are used for the signature. Longer
+// texts tend to contain things like timestamps and counters.
+const MAX_SIGNATURE_TEXT_LENGTH = 100;
+
+export function getElementSignature(
+  element: Pick<ElementReport, "text" | "type" | "url">
+): string {
+  const text = element.text
+    .trim()
+    .replace(/\s+/g, " ")
+    .toLowerCase()
+    .slice(0, MAX_SIGNATURE_TEXT_LENGTH);
+  return hash([element.type, element.url ?? "", text].join("\n"));
+}
+
+export function getUsageCount(
+  history: UsageHistory,
+  origin: string | undefined,
+  signature: string
+): number {
+  return origin === undefined
+    ? 0
+    : history[hash(origin)]?.[signature]?.count ?? 0;
+}
+
+// Returns a new history with the usage added. The least recently used entries
+// and origins are dropped to keep the history from growing forever.
+export function recordUsage(
+  history: UsageHistory,
+  { origin, signature, now }: { origin: string; signature: string; now: number }
+): UsageHistory {
+  const key = hash(origin);
+  const entries = history[key] ?? {};
+  const previous = entries[signature];
+
+  const newEntries = pruneByLastUsed(
+    {
+      ...entries,
+      [signature]: {
+        count: (previous?.count ?? 0) + 1,
+        lastUsed: now,
+      },
+    },
+    (entry) => entry.lastUsed,
+    MAX_USAGE_ENTRIES_PER_ORIGIN
+  );
+
+  return pruneByLastUsed(
+    { ...history, [key]: newEntries },
+    (originEntries) =>
+      Math.max(...Object.values(originEntries).map((entry) => entry.lastUsed)),
+    MAX_USAGE_ORIGINS
+  );
+}
+
+export function getOrigin(url: string | undefined): string | undefined {
+  if (url === undefined) {
+    return undefined;
+  }
+  try {
+    const { origin } = new URL(url);
+    // Pages like `about:blank` and `data:` URLs have the opaque origin "null".
+    return origin === "null" ? undefined : origin;
+  } catch {
+    return undefined;
+  }
+}
+
+function pruneByLastUsed<T>(
+  items: Record<string, T>,
+  getLastUsed: (item: T) => number,
+  max: number
+): Record<string, T> {
+  const keys = Object.keys(items);
+  if (keys.length <= max) {
+    return items;
+  }
+  return Object.fromEntries(
+    keys
+      .map((key) => ({ key, lastUsed: getLastUsed(items[key]) }))
+      .sort((a, b) => b.lastUsed - a.lastUsed)
+      .slice(0, max)
+      .map(({ key }) => [key, items[key]])
+  );
+}
+
+// 32-bit FNV-1a, as a hex string.
+function hash(text: string): string {
+  let result = 0x811c9dc5;
+  for (let index = 0; index < text.length; index++) {
+    result ^= text.charCodeAt(index);
+    result = Math.imul(result, 0x01000193);
+  }
+  return (result >>> 0).toString(16).padStart(8, "0");
+}
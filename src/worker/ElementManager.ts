@@ -8,9 +8,11 @@ import type {
 import {
   addEventListener,
   Box,
+  deepEqual,
   getElementFromPoint,
   getElementsFromPoint,
   getLabels,
+  getViewport,
   getVisibleBox,
   LAST_NON_WHITESPACE,
   log,
@@ -20,6 +22,8 @@ import {
   SKIP_TEXT_ELEMENTS,
   walkTextNodes,
 } from "../shared/main";
+import { EXTERNAL_CLICKABLE_EVENT } from "../shared/messages";
+import type { ElementSelectorRule } from "../shared/options";
 import type { Durations, Stats, TimeTracker } from "../shared/perf";
 import {
   elementTypeSet,
@@ -43,6 +47,7 @@ import injected, {
   REGISTER_SECRET_ELEMENT_EVENT,
   RESET_EVENT,
 } from "./injected";
+import SpatialIndex from "./SpatialIndex";
 
 // Keep the above imports and this object in sync. See injected.ts.
 const constants = {
@@ -88,15 +93,28 @@ export const t = {
   // The single-page HTML specification has over 70K links! If trying to track all
   // of those with `IntersectionObserver`, scrolling is noticeably laggy. On my
   // computer, the lag starts somewhere between 10K and 20K tracked links.
-  // Tracking at most 10K should be enough for regular sites.
+  // Tracking at most 10K should be enough for regular sites. Beyond that, a
+  // `SpatialIndex` is used instead (see `bail`).
   MAX_INTERSECTION_OBSERVED_ELEMENTS: unsignedInt(10e3),
 
+  // The size of the cells of the `SpatialIndex`. Smaller cells mean fewer
+  // candidates outside the viewport, but more cells per element.
+  SPATIAL_INDEX_CELL_SIZE: unsignedInt(512), // px
+
+  // Wait this long after the last mutation, scroll or resize before
+  // re-measuring the stale elements in the `SpatialIndex` during idle time.
+  SPATIAL_INDEX_REFRESH_DELAY: unsignedInt(200), // ms
+
   // If `.getVisibleElements` is taking too long, skip remaining elements.
   // Chrome’s implementation of `document.elementFromPoint` is not optimized for
   // elements with thousands of children, which is rare in practice but present
-  // in the link-monster demo.
+  // in the link-monster demo. Skipped elements are counted in `Stats`.
   MAX_DURATION: unsignedInt(10e3),
 
+  // Search hints mode looks through all tracked elements, not just the ones
+  // intersecting the viewport. Skip remaining elements if that takes too long.
+  MAX_OFFSCREEN_DURATION: unsignedInt(1e3),
+
   ELEMENT_TYPES_LOW_QUALITY: elementTypeSet(new Set(["clickable-event"])),
 
   // Give worse hints to scrollable elements and (selectable) frames. They are
@@ -250,6 +268,11 @@ type QueueItem =
       childIndex: number;
       children: NodeListOf<HTMLElement> | undefined;
       removalsOnly: boolean;
+    }
+  | {
+      type: "SelectorRulesChanged";
+      elements: Array<HTMLElement>;
+      elementIndex: number;
     };
 
 type MutationType = "added" | "changed" | "removed";
@@ -263,6 +286,21 @@ type ShadowRootData = {
 
 type Deadline = { timeRemaining: () => number };
 
+type QueryStats = {
+  // Elements considered by `getVisibleElements`: The ones found by the
+  // intersection observer or the spatial index.
+  numCandidates: number;
+  // Elements in the spatial index whose boxes were stale when querying.
+  numRemeasured: number;
+  // Elements skipped due to `MAX_DURATION` or `MAX_OFFSCREEN_DURATION`,
+  // including stale elements in the spatial index that weren’t re-measured.
+  numSkipped: number;
+};
+
+function makeEmptyQueryStats(): QueryStats {
+  return { numCandidates: 0, numRemeasured: 0, numSkipped: 0 };
+}
+
 const infiniteDeadline: Deadline = {
   timeRemaining: () => Infinity,
 };
@@ -288,10 +326,26 @@ export default class ElementManager {
 
   shadowRoots = new WeakMap<Element, ShadowRootData>();
 
+  selectorRules: Array<ElementSelectorRule> = [];
+
+  // Elements excluded by a selector rule. Only used for debugging.
+  excludedElements = new Set<HTMLElement>();
+
   idleCallbackId: IdleCallbackID | undefined = undefined;
 
   bailed = false;
 
+  // Only used after bailing.
+  spatialIndex: SpatialIndex | undefined = undefined;
+
+  spatialIndexTimeoutId: ReturnType<typeof setTimeout> | undefined = undefined;
+
+  spatialIndexIdleCallbackId: IdleCallbackID | undefined = undefined;
+
+  // Numbers from the latest `getVisibleElements` and `getOffscreenElements`,
+  // for `makeStats`.
+  queryStats = makeEmptyQueryStats();
+
   secretElementResets = new Resets();
 
   resets = new Resets();
@@ -366,6 +420,12 @@ export default class ElementManager {
         "underflow",
         this.onOverflowChange.bind(this),
         "ElementManager#onOverflowChange"
+      ),
+      addEventListener(
+        window,
+        EXTERNAL_CLICKABLE_EVENT,
+        this.onExternalClickable.bind(this),
+        "ElementManager#onExternalClickable"
       )
     );
 
@@ -377,7 +437,11 @@ export default class ElementManager {
     // before the observer was running.
     await tMeta.loaded;
 
-    mutationObserve(this.mutationObserver, document);
+    mutationObserve(
+      this.mutationObserver,
+      document,
+      this.getObservedAttributes()
+    );
 
     // Pick up all elements present in the initial HTML payload. Large HTML
     // pages are usually streamed in chunks. As later chunks arrive and are
@@ -403,6 +467,7 @@ export default class ElementManager {
     if (this.idleCallbackId !== undefined) {
       cancelIdleCallback(this.idleCallbackId);
     }
+    this.cancelSpatialIndexRefresh();
 
     this.intersectionObserver.disconnect();
     this.frameIntersectionObserver.disconnect();
@@ -414,6 +479,12 @@ export default class ElementManager {
     this.elements.clear();
     this.visibleElements.clear();
     this.visibleFrames.clear();
+    this.excludedElements.clear();
+    // The listeners that keep the spatial index up-to-date are removed below,
+    // so start over with the intersection observer (and bail again if needed).
+    this.bailed = false;
+    this.spatialIndex = undefined;
+    this.queryStats = makeEmptyQueryStats();
     // `WeakSet`s don’t have a `.clear()` method.
     this.elementsWithClickListeners = new WeakSet();
     this.elementsWithScrollbars = new WeakSet();
@@ -424,9 +495,10 @@ export default class ElementManager {
     this.sendInjectedEvent(RESET_EVENT);
   }
 
-  // Stop using the intersection observer for everything except frames. The
-  // reason to still track frames is because it saves more than half a second
-  // when generating hints on the single-page HTML specification.
+  // Stop using the intersection observer for everything except frames, and
+  // switch to a `SpatialIndex`. The reason to still track frames is because it
+  // saves more than half a second when generating hints on the single-page HTML
+  // specification.
   bail(): void {
     if (this.bailed) {
       return;
@@ -438,6 +510,27 @@ export default class ElementManager {
     this.visibleElements.clear();
     this.bailed = true;
 
+    const spatialIndex = new SpatialIndex(t.SPATIAL_INDEX_CELL_SIZE.value);
+    for (const element of this.elements.keys()) {
+      spatialIndex.add(element);
+    }
+    this.spatialIndex = spatialIndex;
+    this.resets.add(
+      addEventListener(
+        window,
+        "scroll",
+        this.onSpatialIndexScroll.bind(this),
+        "ElementManager#onSpatialIndexScroll"
+      ),
+      addEventListener(
+        window,
+        "resize",
+        this.onSpatialIndexResize.bind(this),
+        "ElementManager#onSpatialIndexResize"
+      )
+    );
+    this.scheduleSpatialIndexRefresh();
+
     log(
       "warn",
       "ElementManager#bail",
@@ -446,6 +539,68 @@ export default class ElementManager {
     );
   }
 
+  // Elements matching both the old and the new rules need to be re-evaluated.
+  // Selectors might also use attributes not in `ATTRIBUTES_MUTATION`, so
+  // re-observe with the new set of attributes.
+  setSelectorRules(selectorRules: Array<ElementSelectorRule>): void {
+    if (deepEqual(selectorRules, this.selectorRules)) {
+      return;
+    }
+
+    const selector = this.selectorRules
+      .concat(selectorRules)
+      .map((rule) => rule.selector)
+      .join(", ");
+
+    this.selectorRules = selectorRules;
+
+    const attributes = this.getObservedAttributes();
+    mutationObserve(this.mutationObserver, document, attributes);
+
+    const elements: Array<HTMLElement> = [];
+    for (const element of this.getAllElements(document)) {
+      const root = this.shadowRoots.get(element);
+      if (root?.active === true) {
+        mutationObserve(root.mutationObserver, root.shadowRoot, attributes);
+      }
+      if (element.matches(selector)) {
+        elements.push(element);
+      }
+    }
+
+    log("log", "ElementManager#setSelectorRules", selectorRules, elements);
+
+    if (elements.length > 0) {
+      this.queueItem({
+        type: "SelectorRulesChanged",
+        elements,
+        elementIndex: 0,
+      });
+    }
+  }
+
+  getObservedAttributes(): Array<string> {
+    return Array.from(
+      new Set([
+        ...t.ATTRIBUTES_MUTATION.value,
+        ...this.selectorRules.flatMap((rule) =>
+          getSelectorAttributes(rule.selector)
+        ),
+      ])
+    );
+  }
+
+  // Later rules win over earlier ones.
+  getSelectorRule(element: HTMLElement): ElementSelectorRule | undefined {
+    for (let index = this.selectorRules.length - 1; index >= 0; index--) {
+      const rule = this.selectorRules[index];
+      if (element.matches(rule.selector)) {
+        return rule;
+      }
+    }
+    return undefined;
+  }
+
   injectScript(): void {
     // Neither Chrome nor Firefox allow inline scripts in the options page. It’s
     // not needed there anyway.
@@ -478,6 +633,8 @@ export default class ElementManager {
       numTrackedElements: this.elements.size,
       numVisibleElements: this.visibleElements.size,
       numVisibleFrames: this.visibleFrames.size,
+      numIndexedElements: this.spatialIndex?.size ?? 0,
+      ...this.queryStats,
       bailed: this.bailed ? 1 : 0,
       durations,
     };
@@ -573,8 +730,80 @@ export default class ElementManager {
     }
   }
 
+  // Scrolling the page only moves fixed and sticky elements in document
+  // coordinates, but scrolling any other element moves its descendants.
+  onSpatialIndexScroll(event: Event): void {
+    const { spatialIndex } = this;
+    if (spatialIndex === undefined) {
+      return;
+    }
+    if (event.target instanceof Element) {
+      spatialIndex.markDescendantsStale(event.target);
+    } else {
+      spatialIndex.markPageScrolled();
+    }
+    this.scheduleSpatialIndexRefresh();
+  }
+
+  onSpatialIndexResize(): void {
+    if (this.spatialIndex !== undefined) {
+      this.spatialIndex.markAllStale();
+      this.scheduleSpatialIndexRefresh();
+    }
+  }
+
+  // Added and changed elements are marked as stale when the queue is flushed
+  // (see `addOrRemoveElement`). But a mutation might also move the descendants
+  // of its target, such as the siblings after an inserted element.
+  onSpatialIndexMutation(records: Array<MutationRecord>): void {
+    const { spatialIndex } = this;
+    if (spatialIndex === undefined) {
+      return;
+    }
+    spatialIndex.clearPositionCache();
+    const targets = new Set(records.map((record) => record.target));
+    for (const target of targets) {
+      spatialIndex.markDescendantsStale(target);
+    }
+    this.scheduleSpatialIndexRefresh();
+  }
+
+  // Refresh the spatial index once the page has settled, so that querying it
+  // has less to measure.
+  scheduleSpatialIndexRefresh(): void {
+    this.cancelSpatialIndexRefresh();
+    this.spatialIndexTimeoutId = setTimeout(() => {
+      this.spatialIndexTimeoutId = undefined;
+      this.refreshSpatialIndex();
+    }, t.SPATIAL_INDEX_REFRESH_DELAY.value);
+  }
+
+  cancelSpatialIndexRefresh(): void {
+    if (this.spatialIndexTimeoutId !== undefined) {
+      clearTimeout(this.spatialIndexTimeoutId);
+      this.spatialIndexTimeoutId = undefined;
+    }
+    if (this.spatialIndexIdleCallbackId !== undefined) {
+      cancelIdleCallback(this.spatialIndexIdleCallbackId);
+      this.spatialIndexIdleCallbackId = undefined;
+    }
+  }
+
+  refreshSpatialIndex(): void {
+    this.spatialIndexIdleCallbackId = requestIdleCallback((deadline) => {
+      this.spatialIndexIdleCallbackId = undefined;
+      if (this.spatialIndex !== undefined) {
+        this.spatialIndex.refresh(deadline);
+        if (this.spatialIndex.stale.size > 0) {
+          this.refreshSpatialIndex();
+        }
+      }
+    });
+  }
+
   onMutation(records: Array<MutationRecord>): void {
     if (records.length > 0) {
+      this.onSpatialIndexMutation(records);
       this.queueRecords(records);
       this.observeRemovals(records);
       this.onMutationExternal(records);
@@ -626,6 +855,15 @@ export default class ElementManager {
     });
   }
 
+  // Unlike `onClickableChanged`, this is for pages marking their own elements.
+  onExternalClickable(event: CustomEvent): void {
+    this.queueItem({
+      type: "ClickableChanged",
+      target: getTarget(event),
+      clickable: event.detail !== false,
+    });
+  }
+
   onInjectedQueue(event: CustomEvent): void {
     this.onInjectedMessage({ type: "Queue", hasQueue: Boolean(event.detail) });
   }
@@ -746,7 +984,7 @@ export default class ElementManager {
     const mutationObserver = new MutationObserver(this.onMutation.bind(this));
     const resets = new Resets();
 
-    mutationObserve(mutationObserver, shadowRoot);
+    mutationObserve(mutationObserver, shadowRoot, this.getObservedAttributes());
 
     resets.add(
       addEventListener(
@@ -837,8 +1075,23 @@ export default class ElementManager {
       return;
     }
 
+    const selectorRule =
+      mutationType === "removed" ? undefined : this.getSelectorRule(element);
     const type =
-      mutationType === "removed" ? undefined : this.getElementType(element);
+      mutationType === "removed"
+        ? undefined
+        : selectorRule !== undefined
+        ? selectorRule.action === "exclude"
+          ? undefined
+          : selectorRule.action
+        : this.getElementType(element);
+
+    if (selectorRule?.action === "exclude") {
+      this.excludedElements.add(element);
+    } else {
+      this.excludedElements.delete(element);
+    }
+
     if (type === undefined) {
       if (mutationType !== "added") {
         this.elements.delete(element);
@@ -849,6 +1102,7 @@ export default class ElementManager {
         // `this.visibleElements` since the element might still be on-screen.
         this.visibleElements.delete(element);
         this.intersectionObserver.unobserve(element);
+        this.spatialIndex?.delete(element);
         // The element must not be removed from `elementsWithClickListeners`
         // or `elementsWithScrollbars` (if `mutationType === "removed"`), even
         // though it might seem logical at first. But the element (or one of
@@ -879,6 +1133,8 @@ export default class ElementManager {
         if (this.elements.size > t.MAX_INTERSECTION_OBSERVED_ELEMENTS.value) {
           this.bail();
         }
+      } else if (this.spatialIndex !== undefined) {
+        this.spatialIndex.add(element);
       }
     }
 
@@ -1105,6 +1361,28 @@ export default class ElementManager {
           break;
         }
 
+        case "SelectorRulesChanged": {
+          const startElementIndex = item.elementIndex;
+          for (
+            ;
+            item.elementIndex < item.elements.length;
+            item.elementIndex++
+          ) {
+            if (
+              item.elementIndex > startElementIndex &&
+              deadline.timeRemaining() <= 0
+            ) {
+              this.requestIdleCallback();
+              return;
+            }
+            this.addOrRemoveElement(
+              "changed",
+              item.elements[item.elementIndex]
+            );
+          }
+          break;
+        }
+
         case "OverflowChanged": {
           const element = item.target;
           if (element instanceof HTMLElement) {
@@ -1132,8 +1410,9 @@ export default class ElementManager {
     log("debug", "ElementManager#flushQueue", "Empty queue.");
   }
 
+  // Word hints are found by `getVisibleWords`, based on "selectable" elements.
   getVisibleElements(
-    types: ElementTypes,
+    types: Exclude<ElementTypes, "words">,
     viewports: Array<Box>,
     time: TimeTracker,
     passedCandidates?: Array<HTMLElement>
@@ -1167,14 +1446,23 @@ export default class ElementManager {
 
     this.onIntersection(this.intersectionObserver.takeRecords());
 
-    const candidates =
+    if (!isUpdate) {
+      this.queryStats = makeEmptyQueryStats();
+    }
+
+    time.start("candidates");
+    const candidates = Array.from(
       passedCandidates !== undefined
         ? passedCandidates
         : types === "selectable"
         ? this.getAllElements(document)
-        : this.bailed
-        ? this.elements.keys()
-        : this.visibleElements;
+        : this.spatialIndex !== undefined
+        ? this.querySpatialIndex(this.spatialIndex, viewports, startTime)
+        : this.visibleElements
+    );
+    if (!isUpdate) {
+      this.queryStats.numCandidates = candidates.length;
+    }
     const range = document.createRange();
     const deduper = new Deduper();
 
@@ -1261,11 +1549,20 @@ export default class ElementManager {
         }
 
         time.start("loop:visibleElement");
+        const selectorRule =
+          types === "selectable" ? undefined : this.getSelectorRule(element);
         const visibleElement: VisibleElement = {
           element,
           type,
-          measurements,
+          measurements:
+            selectorRule === undefined
+              ? measurements
+              : {
+                  ...measurements,
+                  debug: `${measurements.debug} (selector rule: ${selectorRule.selector} → ${selectorRule.action})`,
+                },
           hasClickListener: this.elementsWithClickListeners.has(element),
+          offscreen: false,
         };
 
         time.start("loop:dedupe");
@@ -1283,10 +1580,20 @@ export default class ElementManager {
 
     log("log", prefix, "results (including rejected)", maybeResults);
 
+    if (this.excludedElements.size > 0) {
+      log(
+        "log",
+        prefix,
+        "excluded by selector rules",
+        Array.from(this.excludedElements)
+      );
+    }
+
     time.start("check duration");
     const slow = maybeResults.filter(
       (result) => "isRejected" in result && result.debug.reason === "slow"
     ).length;
+    this.queryStats.numSkipped += slow;
     if (slow > 0) {
       log("warn", prefix, `Skipped ${slow} element(s) due to timeout`, {
         duration: Date.now() - startTime,
@@ -1303,6 +1610,150 @@ export default class ElementManager {
     return [results, timeLeft];
   }
 
+  // Elements outside the viewport, for search hints mode. Elements already
+  // found by `getVisibleElements` are passed as `exclude`. This must be called
+  // _after_ `getVisibleElements`, so that everything is already flushed.
+  getOffscreenElements(
+    types: Array<ElementType>,
+    viewports: Array<Box>,
+    exclude: Set<HTMLElement>,
+    passedCandidates?: Array<HTMLElement>
+  ): Array<VisibleElement | undefined> {
+    const startTime = Date.now();
+
+    // Even after bailing, all elements are still tracked.
+    const candidates = passedCandidates ?? Array.from(this.elements.keys());
+
+    let slow = 0;
+
+    const results = candidates.map((element) => {
+      if (exclude.has(element)) {
+        return undefined;
+      }
+
+      if (Date.now() - startTime > t.MAX_OFFSCREEN_DURATION.value) {
+        slow++;
+        return undefined;
+      }
+
+      const type = this.elements.get(element);
+      if (
+        type === undefined ||
+        !types.includes(type) ||
+        (type === "label" &&
+          element instanceof HTMLLabelElement &&
+          element.control === null)
+      ) {
+        return undefined;
+      }
+
+      const measurements = getOffscreenMeasurements(element, viewports);
+      return measurements === undefined
+        ? undefined
+        : {
+            element,
+            type,
+            measurements,
+            hasClickListener: this.elementsWithClickListeners.has(element),
+            offscreen: true,
+          };
+    });
+
+    this.queryStats.numSkipped += slow;
+    if (slow > 0) {
+      log(
+        "warn",
+        "ElementManager#getOffscreenElements",
+        `Skipped ${slow} element(s) due to timeout`,
+        {
+          duration: Date.now() - startTime,
+          max: t.MAX_OFFSCREEN_DURATION.value,
+        }
+      );
+    }
+
+    return results;
+  }
+
+  // The element with scrollbars taking up the most space in the viewport, for
+  // the scroll keyboard shortcuts. The page itself competes too. Note that
+  // `elementsWithScrollbars` is only populated in Firefox.
+  getLargestScrollable(viewports: Array<Box>): HTMLElement | undefined {
+    this.onIntersection(this.intersectionObserver.takeRecords());
+
+    const { scrollingElement } = document;
+    const trackedCandidates = (
+      this.spatialIndex !== undefined
+        ? this.querySpatialIndex(this.spatialIndex, viewports, Date.now())
+        : Array.from(this.visibleElements)
+    ).filter(
+      (element) =>
+        this.elementsWithScrollbars.has(element) && isScrollable(element)
+    );
+    // `elementsWithScrollbars` is only filled by the Firefox-only "overflow" and
+    // "underflow" events. Otherwise, look for scrollable elements under a few
+    // points spread over the viewport instead.
+    const candidates =
+      trackedCandidates.length > 0
+        ? trackedCandidates
+        : getScrollablesInViewport().filter(
+            (element) => element !== scrollingElement
+          );
+    if (
+      scrollingElement instanceof HTMLElement &&
+      (scrollingElement.scrollHeight > scrollingElement.clientHeight ||
+        scrollingElement.scrollWidth > scrollingElement.clientWidth)
+    ) {
+      candidates.push(scrollingElement);
+    }
+
+    let largest: { element: HTMLElement; area: number } | undefined = undefined;
+
+    for (const element of candidates) {
+      const box = getVisibleBox(element.getBoundingClientRect(), viewports);
+      const boxArea = box === undefined ? 0 : box.width * box.height;
+      if (boxArea > 0 && (largest === undefined || boxArea > largest.area)) {
+        largest = { element, area: boxArea };
+      }
+    }
+
+    return largest?.element;
+  }
+
+  // The candidates for the viewport of this frame. `getMeasurements` then checks
+  // them against all `viewports`. Re-measuring stale elements counts towards
+  // `MAX_DURATION` (from `startTime`).
+  querySpatialIndex(
+    spatialIndex: SpatialIndex,
+    viewports: Array<Box>,
+    startTime: number
+  ): Array<HTMLElement> {
+    const viewport =
+      viewports.length > 0 ? viewports[viewports.length - 1] : getViewport();
+    const { elements, numRemeasured, numSkipped } = spatialIndex.query(
+      {
+        x: window.scrollX,
+        y: window.scrollY,
+        width: viewport.width,
+        height: viewport.height,
+      },
+      {
+        timeRemaining: () => t.MAX_DURATION.value - (Date.now() - startTime),
+      }
+    );
+    this.queryStats.numRemeasured += numRemeasured;
+    this.queryStats.numSkipped += numSkipped;
+    if (numSkipped > 0) {
+      log(
+        "warn",
+        "ElementManager#querySpatialIndex",
+        `Skipped re-measuring ${numSkipped} element(s) due to timeout`,
+        { max: t.MAX_DURATION.value }
+      );
+    }
+    return elements;
+  }
+
   getVisibleFrames(
     viewports: Array<Box>
   ): Array<HTMLFrameElement | HTMLIFrameElement> {
@@ -1604,6 +2055,39 @@ function hintPositionKey(measurements: HintMeasurements): string {
   ].join(",");
 }
 
+// Returns `undefined` for elements inside the viewport (those are handled by
+// `getMeasurements`) and for elements not rendered at all. There is nowhere to
+// place a hint, so the position is only used for sorting.
+function getOffscreenMeasurements(
+  element: HTMLElement,
+  viewports: Array<Box>
+): HintMeasurements | undefined {
+  const rect = element.getBoundingClientRect();
+  if (
+    rect.width < t.MIN_SIZE_TEXT_RECT.value ||
+    rect.height < t.MIN_SIZE_TEXT_RECT.value ||
+    getVisibleBox(rect, viewports) !== undefined ||
+    window.getComputedStyle(element).visibility !== "visible"
+  ) {
+    return undefined;
+  }
+
+  const [offsetX, offsetY] = viewports.reduceRight(
+    ([x, y], viewport) => [x + viewport.x, y + viewport.y],
+    [0, 0]
+  );
+
+  return {
+    x: rect.left + offsetX,
+    y: rect.top + rect.height / 2 + offsetY,
+    align: "left",
+    maxX: rect.right + offsetX,
+    // The lowest weight, so that elements in the viewport get better hints.
+    weight: 1,
+    debug: "offscreen",
+  };
+}
+
 function getMeasurements(
   element: HTMLElement,
   elementType: ElementType,
@@ -2280,6 +2764,47 @@ function isScrollable(element: HTMLElement): boolean {
   );
 }
 
+// How many points to check along each axis in `getScrollablesInViewport`.
+const SCROLLABLE_SAMPLE_POINTS = 4;
+
+function getScrollablesInViewport(): Array<HTMLElement> {
+  const viewport = getViewport();
+  const result = new Set<HTMLElement>();
+  for (let xIndex = 0; xIndex < SCROLLABLE_SAMPLE_POINTS; xIndex++) {
+    for (let yIndex = 0; yIndex < SCROLLABLE_SAMPLE_POINTS; yIndex++) {
+      const x = ((xIndex + 0.5) / SCROLLABLE_SAMPLE_POINTS) * viewport.width;
+      const y = ((yIndex + 0.5) / SCROLLABLE_SAMPLE_POINTS) * viewport.height;
+      // This includes the ancestors of the element at the point.
+      for (const element of document.elementsFromPoint(x, y)) {
+        if (
+          element instanceof HTMLElement &&
+          !result.has(element) &&
+          isScrollableByStyle(element)
+        ) {
+          result.add(element);
+        }
+      }
+    }
+  }
+  return Array.from(result);
+}
+
+// Like `isScrollable`, but works in all browsers. It is too slow to run on
+// every tracked element, though.
+function isScrollableByStyle(element: HTMLElement): boolean {
+  const computedStyle = window.getComputedStyle(element);
+  return (
+    (element.scrollWidth > element.clientWidth &&
+      t.VALUES_SCROLLABLE_OVERFLOW.value.has(
+        computedStyle.getPropertyValue("overflow-x")
+      )) ||
+    (element.scrollHeight > element.clientHeight &&
+      t.VALUES_SCROLLABLE_OVERFLOW.value.has(
+        computedStyle.getPropertyValue("overflow-y")
+      ))
+  );
+}
+
 function hasClickListenerProp(element: HTMLElement): boolean {
   // Adding a `onclick="..."` attribute in HTML automatically sets
   // `.onclick` of the element to a function. But in Chrome, `.onclick`
@@ -2370,10 +2895,24 @@ function getTarget(event: Event): EventTarget {
   return path.length > 0 ? path[0] : (event.target as EventTarget);
 }
 
-function mutationObserve(mutationObserver: MutationObserver, node: Node): void {
+function mutationObserve(
+  mutationObserver: MutationObserver,
+  node: Node,
+  attributes: Array<string>
+): void {
   mutationObserver.observe(node, {
     childList: true,
     subtree: true,
-    attributeFilter: Array.from(t.ATTRIBUTES_MUTATION.value),
+    attributeFilter: attributes,
   });
 }
+
+// Find the attribute names used in a selector, such as `data-action` in
+// `[data-action="open"]`. Not a full CSS parser, but good enough for
+// selectors written by hand.
+function getSelectorAttributes(selector: string): Array<string> {
+  return Array.from(
+    selector.matchAll(/\[\s*(?:[\w-]*\|)?([\w-]+)/gu),
+    (match) => match[1]
+  );
+}
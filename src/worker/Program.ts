@@ -2,15 +2,22 @@ import type {
   ElementReport,
   ElementType,
   ElementTypes,
+  PointAction,
   VisibleElement,
 } from "../shared/hints";
 import {
   isModifierKey,
+  KeyboardAction,
   keyboardEventToKeypress,
   KeyboardMapping,
   KeyboardModeWorker,
+  KeySequenceMapping,
   KeyTranslations,
+  matchKeySequence,
+  NormalizedKeypress,
   normalizeKeypress,
+  ScrollAmount,
+  ScrollDirection,
 } from "../shared/keyboard";
 import {
   addEventListener,
@@ -35,20 +42,52 @@ import type {
   ToBackground,
 } from "../shared/messages";
 import { TimeTracker } from "../shared/perf";
-import { selectorString, tweakable, unsignedInt } from "../shared/tweakable";
+import {
+  applyTweakableOverrides,
+  selectorString,
+  tweakable,
+  unsignedFloat,
+  unsignedInt,
+} from "../shared/tweakable";
 import { FrameMessage } from "./decoders";
-import ElementManager from "./ElementManager";
+import ElementManager, { tMeta as tMetaElementManager } from "./ElementManager";
+import {
+  getVisibleWords,
+  getWordBoxes,
+  getWordMeasurements,
+  VisibleWord,
+} from "./words";
 
 type CurrentElements = {
   elements: Array<VisibleElement>;
+  // In word hints mode, the range of each word in `elements`.
+  wordRanges: Array<Range>;
   frames: Array<HTMLFrameElement | HTMLIFrameElement>;
   viewports: Array<Box>;
   types: ElementTypes;
+  // Whether to also find elements outside the viewport (search hints mode).
+  offscreen: boolean;
   indexes: Array<number>;
   words: Array<string>;
+  fuzzy: boolean;
   waitId: WaitId;
 };
 
+// Viewport coordinates.
+type ClientPoint = {
+  x: number;
+  y: number;
+};
+
+type KeySequenceMatch =
+  | { type: "Matched"; action: KeyboardAction }
+  | { type: "Pending" };
+
+type PendingKeyEvent = {
+  target: EventTarget;
+  init: KeyboardEventInit;
+};
+
 type WaitId =
   | {
       tag: "NotWaiting";
@@ -70,6 +109,9 @@ export const t = {
     "img, audio, video, object, embed, iframe, frame, input, textarea, select, progress, meter, canvas"
   ),
   HINTS_REFRESH_IDLE_CALLBACK_TIMEOUT: unsignedInt(100), // ms
+  // Like browsers, keep a bit of the previous page in view when scrolling by
+  // page.
+  SCROLL_PAGE_FRACTION: unsignedFloat(0.85),
 };
 
 export const tMeta = tweakable("Worker", t);
@@ -79,6 +121,22 @@ export default class WorkerProgram {
 
   keyboardShortcuts: Array<KeyboardMapping> = [];
 
+  keySequences: Array<KeySequenceMapping> = [];
+
+  keySequenceTimeout = 0;
+
+  // The keys typed so far of a key sequence, and when the last one was typed.
+  // The keypresses are suppressed while pending, so `events` are kept to be
+  // able to pass them on to the page if the sequence isn’t completed.
+  pendingKeySequence:
+    | {
+        keys: string;
+        timestamp: number;
+        events: Array<PendingKeyEvent>;
+        timeoutId: ReturnType<typeof setTimeout>;
+      }
+    | undefined = undefined;
+
   keyboardMode: KeyboardModeWorker = "Normal";
 
   keyTranslations: KeyTranslations = {};
@@ -89,8 +147,22 @@ export default class WorkerProgram {
 
   mac = false;
 
+  // No smooth scrolling and no flashing of copied elements (see the
+  // `accessiblePresentation` option).
+  reducedMotion = false;
+
   suppressNextKeyup: { key: string; code: string } | undefined = undefined;
 
+  hoveredElement: HTMLElement | undefined = undefined;
+
+  // The most recently hinted scrollable element, for the scroll keyboard
+  // shortcuts.
+  scrollTarget: HTMLElement | undefined = undefined;
+
+  // The word selected first in word hints mode, which the selection is
+  // extended from.
+  wordAnchor: Range | undefined = undefined;
+
   resets = new Resets();
 
   elementManager = new ElementManager({
@@ -160,6 +232,8 @@ export default class WorkerProgram {
     this.elementManager.stop();
     this.oneTimeWindowMessageToken = undefined;
     this.suppressNextKeyup = undefined;
+    this.hoveredElement = undefined;
+    this.dropPendingKeySequence();
     this.clearCurrent();
   }
 
@@ -192,10 +266,16 @@ export default class WorkerProgram {
         log.level = message.logLevel;
         this.isPinned = message.isPinned;
         this.keyboardShortcuts = message.keyboardShortcuts;
+        this.keySequences = message.keySequences;
+        this.keySequenceTimeout = message.keySequenceTimeout;
         this.keyboardMode = message.keyboardMode;
         this.keyTranslations = message.keyTranslations;
         this.oneTimeWindowMessageToken = message.oneTimeWindowMessageToken;
         this.mac = message.mac;
+        this.reducedMotion = message.reducedMotion;
+        applyTweakableOverrides(tMeta, message.tweakables);
+        applyTweakableOverrides(tMetaElementManager, message.tweakables);
+        this.elementManager.setSelectorRules(message.selectorRules);
 
         if (message.clearElements) {
           this.clearCurrent();
@@ -203,7 +283,7 @@ export default class WorkerProgram {
         break;
 
       case "StartFindElements": {
-        const run = (types: ElementTypes): void => {
+        const run = (types: ElementTypes, offscreen: boolean): void => {
           const { oneTimeWindowMessageToken } = this;
           if (oneTimeWindowMessageToken === undefined) {
             log("error", "missing oneTimeWindowMessageToken", message);
@@ -213,14 +293,16 @@ export default class WorkerProgram {
           this.reportVisibleElements(
             types,
             [viewport],
-            oneTimeWindowMessageToken
+            oneTimeWindowMessageToken,
+            offscreen
           );
         };
 
         if (this.current === undefined) {
-          run(message.types);
+          run(message.types, message.offscreen);
         } else {
           this.current.types = message.types;
+          this.current.offscreen = message.offscreen;
           switch (this.current.waitId.tag) {
             case "NotWaiting": {
               const id1 = requestAnimationFrame(() => {
@@ -229,7 +311,7 @@ export default class WorkerProgram {
                     () => {
                       if (this.current !== undefined) {
                         this.current.waitId = { tag: "NotWaiting" };
-                        run(this.current.types);
+                        run(this.current.types, this.current.offscreen);
                       }
                     },
                     { timeout: t.HINTS_REFRESH_IDLE_CALLBACK_TIMEOUT.value }
@@ -270,21 +352,23 @@ export default class WorkerProgram {
           return;
         }
 
-        const { indexes, words } = message;
+        const { indexes, words, fuzzy } = message;
         current.indexes = indexes;
         current.words = words;
-
-        const elements = current.elements.filter((_elementData, index) =>
-          indexes.includes(index)
-        );
-        const wordsSet = new Set(words);
-        const rects = elements.flatMap((elementData) =>
-          getTextRectsHelper({
-            element: elementData.element,
-            type: elementData.type,
-            viewports: current.viewports,
-            words: wordsSet,
-          })
+        current.fuzzy = fuzzy;
+
+        const rects = current.elements.flatMap((elementData, index) =>
+          !indexes.includes(index)
+            ? []
+            : current.types === "words"
+            ? getWordBoxes(current.wordRanges[index], current.viewports)
+            : getTextRectsHelper({
+                element: elementData.element,
+                type: elementData.type,
+                viewports: current.viewports,
+                words,
+                fuzzy,
+              })
         );
 
         this.sendMessage({
@@ -316,6 +400,18 @@ export default class WorkerProgram {
         break;
       }
 
+      case "GetViewport":
+        this.sendMessage({ type: "ReportViewport", viewport: getViewport() });
+        break;
+
+      case "ActivatePoint":
+        this.activatePoint(
+          message.action,
+          { x: message.x, y: message.y },
+          this.oneTimeWindowMessageToken
+        );
+        break;
+
       case "ClickElement": {
         const elementData = this.getElement(message.index);
 
@@ -328,6 +424,10 @@ export default class WorkerProgram {
 
         const { element } = elementData;
 
+        if (elementData.type === "scrollable") {
+          this.scrollTarget = element;
+        }
+
         const defaultPrevented = this.clickElement(element);
 
         if (
@@ -343,6 +443,131 @@ export default class WorkerProgram {
         break;
       }
 
+      case "HoverElement": {
+        const elementData = this.getElement(message.index);
+        if (elementData === undefined) {
+          log("error", "HoverElement: Missing element", message, this.current);
+          return;
+        }
+
+        log("log", "WorkerProgram: HoverElement", elementData);
+
+        this.hoverElement(elementData.element);
+        break;
+      }
+
+      case "Unhover":
+        this.unhoverElement();
+        break;
+
+      case "ContextMenuElement": {
+        const elementData = this.getElement(message.index);
+        if (elementData === undefined) {
+          log(
+            "error",
+            "ContextMenuElement: Missing element",
+            message,
+            this.current
+          );
+          return;
+        }
+
+        log("log", "WorkerProgram: ContextMenuElement", elementData);
+
+        contextMenuElement(elementData.element);
+        break;
+      }
+
+      case "DoubleClickElement": {
+        const elementData = this.getElement(message.index);
+        if (elementData === undefined) {
+          log(
+            "error",
+            "DoubleClickElement: Missing element",
+            message,
+            this.current
+          );
+          return;
+        }
+
+        log("log", "WorkerProgram: DoubleClickElement", elementData);
+
+        const { element } = elementData;
+        const targetElement = getTargetElement(element);
+        const options = getMouseEventInit(targetElement);
+
+        element.focus();
+        for (const detail of [1, 2]) {
+          dispatchMouseEvents(targetElement, ["pointerdown", "mousedown"], {
+            ...options,
+            detail,
+            buttons: 1,
+          });
+          dispatchMouseEvents(
+            targetElement,
+            ["pointerup", "mouseup", "click"],
+            {
+              ...options,
+              detail,
+            }
+          );
+        }
+        dispatchMouseEvents(targetElement, ["dblclick"], {
+          ...options,
+          detail: 2,
+        });
+        break;
+      }
+
+      case "MiddleClickElement": {
+        const elementData = this.getElement(message.index);
+        if (elementData === undefined) {
+          log(
+            "error",
+            "MiddleClickElement: Missing element",
+            message,
+            this.current
+          );
+          return;
+        }
+
+        log("log", "WorkerProgram: MiddleClickElement", elementData);
+
+        const targetElement = getTargetElement(elementData.element);
+        const options = { ...getMouseEventInit(targetElement), button: 1 };
+
+        dispatchMouseEvents(targetElement, ["pointerdown", "mousedown"], {
+          ...options,
+          buttons: 4,
+        });
+        dispatchMouseEvents(
+          targetElement,
+          ["pointerup", "mouseup", "auxclick"],
+          options
+        );
+        break;
+      }
+
+      case "Scroll":
+        this.scroll(message.direction, message.amount, message.step);
+        break;
+
+      case "ScrollIntoView": {
+        const elementData = this.getElement(message.index);
+        if (elementData === undefined) {
+          log(
+            "error",
+            "ScrollIntoView: Missing element",
+            message,
+            this.current
+          );
+          return;
+        }
+
+        elementData.element.scrollIntoView({ block: "center" });
+        break;
+      }
+
       case "SelectElement": {
         const elementData = this.getElement(message.index);
         if (elementData === undefined) {
@@ -385,19 +610,33 @@ export default class WorkerProgram {
         ) {
           element.focus();
         } else {
-          // Focus the element, even if it isn't usually focusable.
-          if (element !== this.elementManager.getActiveElement(document)) {
+          const selection = window.getSelection();
+          const extend =
+            message.extend &&
+            selection !== null &&
+            selection.anchorNode !== null &&
+            selection.rangeCount > 0;
+
+          // Focus the element, even if it isn't usually focusable. Focusing
+          // could move the selection when extending it, though.
+          if (
+            !extend &&
+            element !== this.elementManager.getActiveElement(document)
+          ) {
             focusElement(element);
           }
 
           // Try to select the text of the element, or the element itself.
-          const selection = window.getSelection();
           if (selection !== null) {
             // Firefox won’t select text inside a ShadowRoot without this timeout.
             setTimeout(() => {
               const range = selectNodeContents(element);
-              selection.removeAllRanges();
-              selection.addRange(range);
+              if (extend) {
+                extendSelection(selection, range);
+              } else {
+                selection.removeAllRanges();
+                selection.addRange(range);
+              }
             }, 0);
           }
         }
@@ -405,6 +644,40 @@ export default class WorkerProgram {
         break;
       }
 
+      case "SelectWord": {
+        const elementData = this.getElement(message.index);
+        const range = this.current?.wordRanges[message.index];
+        const selection = window.getSelection();
+        if (elementData === undefined || range === undefined) {
+          log("error", "SelectWord: Missing word", message, this.current);
+          return;
+        }
+
+        log("log", "WorkerProgram: SelectWord", elementData, range.toString());
+
+        if (selection === null) {
+          return;
+        }
+
+        const anchor = message.extend ? this.wordAnchor : undefined;
+        if (anchor === undefined) {
+          this.wordAnchor = range.cloneRange();
+          if (message.caret) {
+            this.wordAnchor.collapse(true);
+          }
+          // Make the caret usable in for example `contenteditable` elements.
+          if (elementData.element.isContentEditable) {
+            elementData.element.focus();
+          }
+        }
+
+        // See "SelectElement" for the timeout.
+        setTimeout(() => {
+          selectWord(selection, { range, anchor, caret: message.caret });
+        }, 0);
+        break;
+      }
+
       case "CopyElement": {
         const elementData = this.getElement(message.index);
         if (elementData === undefined) {
@@ -448,7 +721,27 @@ export default class WorkerProgram {
           text
         );
 
-        flashElement(element);
+        if (!this.reducedMotion) {
+          flashElement(element);
+        }
+
+        break;
+      }
+
+      case "CopyText": {
+        const elementData = this.getElement(message.index);
+
+        log("log", "WorkerProgram: CopyText", elementData, message.text);
+
+        fireAndForget(
+          navigator.clipboard.writeText(message.text),
+          "WorkerProgram#onMessage->CopyText->clipboard.writeText",
+          message
+        );
+
+        if (elementData !== undefined && !this.reducedMotion) {
+          flashElement(elementData.element);
+        }
 
         break;
       }
@@ -528,7 +821,8 @@ export default class WorkerProgram {
           this.reportVisibleElements(
             message.types,
             message.viewports,
-            oneTimeWindowMessageToken
+            oneTimeWindowMessageToken,
+            message.offscreen
           );
           break;
 
@@ -545,6 +839,14 @@ export default class WorkerProgram {
           });
           break;
         }
+
+        case "ActivatePoint":
+          this.activatePoint(
+            message.action,
+            { x: message.x, y: message.y },
+            oneTimeWindowMessageToken
+          );
+          break;
       }
     }
   }
@@ -597,9 +899,23 @@ export default class WorkerProgram {
       );
     });
 
+    // Key sequences are only checked once per keypress, not for every
+    // "keydown" event fired while holding the key. Lone modifier keypresses
+    // (such as shift, to type an uppercase letter) don’t interrupt a sequence.
+    let sequenceMatch: KeySequenceMatch | undefined = undefined;
+    if (!event.repeat && !isModifierKey(event.key)) {
+      if (match === undefined && this.keyboardMode === "Normal") {
+        sequenceMatch = this.matchKeySequence(event, keypress);
+      } else {
+        this.releasePendingKeySequence();
+      }
+    }
+
     const suppress =
       // If we matched one of our keyboard shortcuts, always suppress.
       match !== undefined ||
+      // The same goes for keys that are part of a key sequence.
+      sequenceMatch !== undefined ||
       // Just after activating a hint, suppress everything for a short while.
       this.keyboardMode === "PreventOverTyping" ||
       // When capturing keypresses in the Options UI, always suppress.
@@ -645,6 +961,7 @@ export default class WorkerProgram {
         code: event.code,
         event,
         match,
+        sequenceMatch,
         keyboardMode: this.keyboardMode,
         suppressNextKeyup: this.suppressNextKeyup,
       });
@@ -672,6 +989,15 @@ export default class WorkerProgram {
         action: match.action,
         timestamp: Date.now(),
       });
+    } else if (
+      sequenceMatch !== undefined &&
+      sequenceMatch.type === "Matched"
+    ) {
+      this.sendMessage({
+        type: "KeyboardShortcutMatched",
+        action: sequenceMatch.action,
+        timestamp: Date.now(),
+      });
     } else if (this.keyboardMode === "Hints" && suppress) {
       this.sendMessage({
         type: "NonKeyboardShortcutKeypress",
@@ -681,6 +1007,91 @@ export default class WorkerProgram {
     }
   }
 
+  // Returns whether `keypress` completes a key sequence, or is the start (or
+  // continuation) of one. Text inputs get all keys as usual. Keys that were
+  // suppressed while waiting for the rest of a sequence, which never came, are
+  // passed on to the page.
+  matchKeySequence(
+    event: KeyboardEvent,
+    keypress: NormalizedKeypress
+  ): KeySequenceMatch | undefined {
+    const pending = this.pendingKeySequence;
+    this.dropPendingKeySequence();
+
+    const { printableKey } = keypress;
+    const activeElement = this.elementManager.getActiveElement(document);
+    if (
+      this.keySequences.length === 0 ||
+      printableKey === undefined ||
+      keypress.alt ||
+      keypress.cmd ||
+      keypress.ctrl ||
+      (activeElement !== undefined && isTextInput(activeElement))
+    ) {
+      if (pending !== undefined) {
+        replayKeyEvents(pending.events);
+      }
+      return undefined;
+    }
+
+    const now = Date.now();
+    const result = matchKeySequence({
+      sequences: this.keySequences,
+      pending,
+      key: printableKey,
+      now,
+      timeout: this.keySequenceTimeout,
+    });
+
+    if (pending !== undefined && result.releasePending) {
+      replayKeyEvents(pending.events);
+    }
+
+    switch (result.type) {
+      case "Matched":
+        return { type: "Matched", action: result.action };
+
+      case "NotMatched":
+        return undefined;
+
+      case "Pending": {
+        const pendingEvents =
+          pending === undefined || result.releasePending ? [] : pending.events;
+        this.pendingKeySequence = {
+          keys: result.keys,
+          timestamp: now,
+          events: [...pendingEvents, getPendingKeyEvent(event)],
+          timeoutId: setTimeout(() => {
+            this.releasePendingKeySequence();
+          }, this.keySequenceTimeout),
+        };
+        return { type: "Pending" };
+      }
+    }
+  }
+
+  // Passes the keys of an unfinished key sequence on to the page.
+  releasePendingKeySequence(): void {
+    const pending = this.pendingKeySequence;
+    this.dropPendingKeySequence();
+    if (pending !== undefined) {
+      log(
+        "log",
+        "WorkerProgram#releasePendingKeySequence",
+        "passing on unmatched keys",
+        pending.keys
+      );
+      replayKeyEvents(pending.events);
+    }
+  }
+
+  dropPendingKeySequence(): void {
+    if (this.pendingKeySequence !== undefined) {
+      clearTimeout(this.pendingKeySequence.timeoutId);
+      this.pendingKeySequence = undefined;
+    }
+  }
+
   onKeyup(event: KeyboardEvent): void {
     if (!event.isTrusted) {
       log("log", "WorkerProgram#onKeyup", "ignoring untrusted event", event);
@@ -777,18 +1188,50 @@ export default class WorkerProgram {
   reportVisibleElements(
     types: ElementTypes,
     viewports: Array<Box>,
-    oneTimeWindowMessageToken: string
+    oneTimeWindowMessageToken: string,
+    offscreen: boolean
   ): void {
     const time = new TimeTracker();
 
     const [elementsWithNulls, timeLeft]: [
       Array<VisibleElement | undefined>,
       number
-    ] = this.elementManager.getVisibleElements(types, viewports, time);
-    const elements = elementsWithNulls.flatMap((elementData) =>
+    ] = this.elementManager.getVisibleElements(
+      types === "words" ? "selectable" : types,
+      viewports,
+      time
+    );
+    const visibleElements = elementsWithNulls.flatMap((elementData) =>
       elementData === undefined ? [] : elementData
     );
 
+    time.start("words");
+    const words =
+      types === "words"
+        ? getVisibleWords(
+            visibleElements.map(({ element }) => element),
+            viewports
+          )
+        : [];
+    time.start("offscreen");
+    const offscreenElements =
+      offscreen && Array.isArray(types)
+        ? this.elementManager
+            .getOffscreenElements(
+              types,
+              viewports,
+              new Set(visibleElements.map(({ element }) => element))
+            )
+            .flatMap((elementData) =>
+              elementData === undefined ? [] : elementData
+            )
+        : [];
+
+    const elements =
+      types === "words"
+        ? words.map(wordToVisibleElement)
+        : visibleElements.concat(offscreenElements);
+
     time.start("frames");
     const frames = this.elementManager.getVisibleFrames(viewports);
     for (const frame of frames) {
@@ -798,16 +1241,20 @@ export default class WorkerProgram {
           token: oneTimeWindowMessageToken,
           types,
           viewports: viewports.concat(getFrameViewport(frame)),
+          offscreen,
         };
         frame.contentWindow.postMessage(message, "*");
       }
     }
 
     time.start("element reports");
-    const elementReports = makeElementReports(elements, {
-      maxDuration: timeLeft,
-      prefix: "WorkerProgram#reportVisibleElements",
-    });
+    const elementReports =
+      types === "words"
+        ? makeWordReports(words)
+        : makeElementReports(elements, {
+            maxDuration: timeLeft,
+            prefix: "WorkerProgram#reportVisibleElements",
+          });
 
     time.start("send results");
     this.sendMessage({
@@ -819,11 +1266,14 @@ export default class WorkerProgram {
 
     this.current = {
       elements,
+      wordRanges: words.map(({ range }) => range),
       frames,
       viewports,
       types,
+      offscreen,
       indexes: [],
       words: [],
+      fuzzy: false,
       waitId: { tag: "NotWaiting" },
     };
   }
@@ -835,16 +1285,6 @@ export default class WorkerProgram {
     current: CurrentElements;
     oneTimeWindowMessageToken: string | undefined;
   }): void {
-    const [elements, timeLeft]: [Array<VisibleElement | undefined>, number] =
-      this.elementManager.getVisibleElements(
-        current.types,
-        current.viewports,
-        new TimeTracker(),
-        current.elements.map(({ element }) => element)
-      );
-
-    const { words } = current;
-
     if (oneTimeWindowMessageToken !== undefined) {
       for (const frame of current.frames) {
         // Removing an iframe from the DOM nukes its page (this will be detected
@@ -861,7 +1301,44 @@ export default class WorkerProgram {
       }
     }
 
-    const wordsSet = new Set(words);
+    if (current.types === "words") {
+      this.updateVisibleWords(current);
+      return;
+    }
+
+    const candidates = current.elements.map(({ element }) => element);
+
+    const [visibleElements, timeLeft]: [
+      Array<VisibleElement | undefined>,
+      number
+    ] = this.elementManager.getVisibleElements(
+      current.types,
+      current.viewports,
+      new TimeTracker(),
+      candidates
+    );
+
+    // Elements can move into or out of the viewport when scrolling.
+    const offscreenElements =
+      current.offscreen && Array.isArray(current.types)
+        ? this.elementManager.getOffscreenElements(
+            current.types,
+            current.viewports,
+            new Set(
+              visibleElements.flatMap((elementData) =>
+                elementData === undefined ? [] : elementData.element
+              )
+            ),
+            candidates
+          )
+        : [];
+
+    const elements = visibleElements.map(
+      (elementData, index) => elementData ?? offscreenElements[index]
+    );
+
+    const { words, fuzzy } = current;
+
     const rects =
       words.length === 0
         ? []
@@ -874,7 +1351,8 @@ export default class WorkerProgram {
               element,
               type,
               viewports: current.viewports,
-              words: wordsSet,
+              words,
+              fuzzy,
             });
           });
 
@@ -890,6 +1368,36 @@ export default class WorkerProgram {
     });
   }
 
+  // Words are measured again, rather than looked for again.
+  updateVisibleWords(current: CurrentElements): void {
+    const words = current.wordRanges.map((range, index) => {
+      const { element } = current.elements[index];
+      const measurements = getWordMeasurements(
+        element,
+        range,
+        current.viewports
+      );
+      return measurements === undefined
+        ? undefined
+        : { element, range, measurements };
+    });
+
+    const rects =
+      current.words.length === 0
+        ? []
+        : words.flatMap((word, index) =>
+            word === undefined || !current.indexes.includes(index)
+              ? []
+              : getWordBoxes(word.range, current.viewports)
+          );
+
+    this.sendMessage({
+      type: "ReportUpdatedElements",
+      elements: makeWordReports(words),
+      rects,
+    });
+  }
+
   // Let the tutorial page know that Link Hints is installed, so it can toggle
   // some content.
   markTutorial(): void {
@@ -902,7 +1410,84 @@ export default class WorkerProgram {
     }
   }
 
-  clickElement(element: HTMLElement): boolean {
+  // Simulate moving the mouse onto the element, for things like menus and
+  // tooltips that only show up on hover. The element stays “hovered” until
+  // another element is hovered or `unhoverElement` is called.
+  hoverElement(element: HTMLElement, point?: ClientPoint): void {
+    this.unhoverElement();
+
+    const targetElement =
+      point === undefined ? getTargetElement(element) : element;
+    const options = { ...getMouseEventInit(targetElement, point), detail: 0 };
+    const ancestors = getComposedAncestors(targetElement).reverse();
+
+    dispatchMouseEvents(targetElement, ["pointerover"], options);
+    dispatchEnterLeaveEvents(ancestors, "pointerenter", options);
+    dispatchMouseEvents(targetElement, ["mouseover"], options);
+    dispatchEnterLeaveEvents(ancestors, "mouseenter", options);
+    dispatchMouseEvents(targetElement, ["pointermove", "mousemove"], options);
+
+    this.hoveredElement = targetElement;
+  }
+
+  scroll(direction: ScrollDirection, amount: ScrollAmount, step: number): void {
+    const { scrollTarget } = this;
+    const element =
+      scrollTarget?.isConnected === true
+        ? scrollTarget
+        : this.elementManager.getLargestScrollable([getViewport()]) ??
+          document.scrollingElement;
+
+    if (element === null) {
+      return;
+    }
+
+    const vertical = direction === "Down" || direction === "Up";
+    const sign = direction === "Up" || direction === "Left" ? -1 : 1;
+    const size = vertical ? element.clientHeight : element.clientWidth;
+    const distance =
+      amount === "Step"
+        ? step
+        : amount === "HalfPage"
+        ? size / 2
+        : amount === "Page"
+        ? size * t.SCROLL_PAGE_FRACTION.value
+        : vertical
+        ? element.scrollHeight
+        : element.scrollWidth;
+
+    element.scrollBy({
+      left: vertical ? 0 : sign * distance,
+      top: vertical ? sign * distance : 0,
+      behavior: this.reducedMotion ? "auto" : "smooth",
+    });
+  }
+
+  unhoverElement(): void {
+    const { hoveredElement } = this;
+    if (hoveredElement === undefined) {
+      return;
+    }
+
+    this.hoveredElement = undefined;
+
+    // The element might have been removed from the page since it was hovered.
+    if (!hoveredElement.isConnected) {
+      return;
+    }
+
+    const options = { ...getMouseEventInit(hoveredElement), detail: 0 };
+    const ancestors = getComposedAncestors(hoveredElement);
+
+    dispatchMouseEvents(hoveredElement, ["pointerout"], options);
+    dispatchEnterLeaveEvents(ancestors, "pointerleave", options);
+    dispatchMouseEvents(hoveredElement, ["mouseout"], options);
+    dispatchEnterLeaveEvents(ancestors, "mouseleave", options);
+  }
+
+  // When `point` is given, `element` is the element under it and is clicked as
+  // is, like a real mouse would.
+  clickElement(element: HTMLElement, point?: ClientPoint): boolean {
     if (element instanceof HTMLMediaElement) {
       element.focus();
       if (element.paused) {
@@ -917,21 +1502,10 @@ export default class WorkerProgram {
       return false;
     }
 
-    const targetElement = getTargetElement(element);
+    const targetElement =
+      point === undefined ? getTargetElement(element) : element;
 
-    const rect = targetElement.getBoundingClientRect();
-    const options = {
-      // Mimic real events as closely as possible.
-      bubbles: true,
-      cancelable: true,
-      composed: true,
-      detail: 1,
-      view: window,
-      // These seem to automatically set `x`, `y`, `pageX` and `pageY` as well.
-      // There’s also `screenX` and `screenY`, but we can’t know those.
-      clientX: Math.round(rect.left),
-      clientY: Math.round(rect.top + rect.height / 2),
-    };
+    const options = getMouseEventInit(targetElement, point);
 
     // Just calling `.click()` isn’t enough to open dropdowns in gmail. That
     // requires the full mousedown+mouseup+click event sequence.
@@ -957,8 +1531,13 @@ export default class WorkerProgram {
     // below causes dropdowns in gmail not to be triggered anymore.
     // Note: The target element is clicked, but the original element is
     // focused. The idea is that the original element is a link or button, and
-    // the target element might be a span or div.
-    element.focus();
+    // the target element might be a span or div. An element under a point can
+    // be anything, so focus the closest focusable element instead.
+    if (point === undefined) {
+      element.focus();
+    } else {
+      focusClosestFocusable(element);
+    }
 
     targetElement.dispatchEvent(mousedownEvent);
     targetElement.dispatchEvent(mouseupEvent);
@@ -980,6 +1559,71 @@ export default class WorkerProgram {
     return defaultPrevented;
   }
 
+  // Does `action` at `point` like a real mouse would: On the element under the
+  // point, or in the frame under it.
+  activatePoint(
+    action: PointAction,
+    point: ClientPoint,
+    oneTimeWindowMessageToken: string | undefined
+  ): void {
+    const element = getDeepElementFromPoint(document, point);
+    if (element === undefined) {
+      log("error", "WorkerProgram#activatePoint: No element", action, point);
+      return;
+    }
+
+    if (
+      element instanceof HTMLFrameElement ||
+      element instanceof HTMLIFrameElement
+    ) {
+      if (
+        element.contentWindow === null ||
+        oneTimeWindowMessageToken === undefined
+      ) {
+        log(
+          "error",
+          "WorkerProgram#activatePoint: Cannot reach frame",
+          element
+        );
+        return;
+      }
+      const viewport = getFrameViewport(element);
+      const message: FrameMessage = {
+        type: "ActivatePoint",
+        token: oneTimeWindowMessageToken,
+        action,
+        x: point.x - viewport.x,
+        y: point.y - viewport.y,
+      };
+      element.contentWindow.postMessage(message, "*");
+      return;
+    }
+
+    // The events are dispatched on the closest HTML element, for example the
+    // button around an SVG icon.
+    const htmlElement = getComposedAncestors(element)[0];
+    if (htmlElement === undefined) {
+      log("error", "WorkerProgram#activatePoint: No HTML element", element);
+      return;
+    }
+
+    log("log", "WorkerProgram#activatePoint", action, point, htmlElement);
+
+    switch (action) {
+      case "Click":
+        this.clickElement(htmlElement, point);
+        break;
+
+      case "Hover":
+        this.hoverElement(htmlElement, point);
+        break;
+
+      case "ContextMenu":
+        contextMenuElement(htmlElement, point);
+        break;
+    }
+  }
+
   clearCurrent(): void {
     if (this.current !== undefined) {
       const { waitId } = this.current;
@@ -1099,6 +1743,124 @@ function* getRootNodes(fromNode: Node): Generator<Node, void, void> {
   } while (true);
 }
 
+function getMouseEventInit(
+  targetElement: HTMLElement,
+  point?: ClientPoint
+): MouseEventInit {
+  const rect = targetElement.getBoundingClientRect();
+  return {
+    // Mimic real events as closely as possible.
+    bubbles: true,
+    cancelable: true,
+    composed: true,
+    detail: 1,
+    view: window,
+    // These seem to automatically set `x`, `y`, `pageX` and `pageY` as well.
+    // There’s also `screenX` and `screenY`, but we can’t know those.
+    clientX: point?.x ?? Math.round(rect.left),
+    clientY: point?.y ?? Math.round(rect.top + rect.height / 2),
+  };
+}
+
+function contextMenuElement(element: HTMLElement, point?: ClientPoint): void {
+  const targetElement =
+    point === undefined ? getTargetElement(element) : element;
+  const options = { ...getMouseEventInit(targetElement, point), button: 2 };
+
+  // Note: Synthetic events can’t open the browser’s native context menu,
+  // but they do trigger custom context menus implemented by the page.
+  if (point === undefined) {
+    element.focus();
+  } else {
+    focusClosestFocusable(element);
+  }
+  dispatchMouseEvents(targetElement, ["pointerdown", "mousedown"], {
+    ...options,
+    buttons: 2,
+  });
+  dispatchMouseEvents(
+    targetElement,
+    ["pointerup", "mouseup", "contextmenu"],
+    options
+  );
+}
+
+// Dispatches the events in order, as `PointerEvent`s or `MouseEvent`s depending
+// on the event name. Returns whether any of them had their default prevented.
+function dispatchMouseEvents(
+  element: HTMLElement,
+  types: Array<string>,
+  options: MouseEventInit
+): boolean {
+  let defaultPrevented = false;
+  for (const type of types) {
+    const event = type.startsWith("pointer")
+      ? new PointerEvent(type, {
+          ...options,
+          pointerId: 1,
+          pointerType: "mouse",
+          isPrimary: true,
+        })
+      : new MouseEvent(type, options);
+    if (!element.dispatchEvent(event)) {
+      defaultPrevented = true;
+    }
+  }
+  return defaultPrevented;
+}
+
+// Enter and leave events don’t bubble. Instead, they are fired at every element
+// that the mouse entered or left.
+function dispatchEnterLeaveEvents(
+  elements: Array<HTMLElement>,
+  type: string,
+  options: MouseEventInit
+): void {
+  for (const element of elements) {
+    dispatchMouseEvents(element, [type], {
+      ...options,
+      bubbles: false,
+      cancelable: false,
+    });
+  }
+}
+
+// Returns `element` and all its ancestors, innermost first, crossing shadow
+// root boundaries. Only HTML elements are included.
+function getComposedAncestors(element: Element): Array<HTMLElement> {
+  const result: Array<HTMLElement> = [];
+  let current: Node | null = element;
+  while (current !== null) {
+    if (current instanceof HTMLElement) {
+      result.push(current);
+    }
+    current = current instanceof ShadowRoot ? current.host : current.parentNode;
+  }
+  return result;
+}
+
+// Like a real mouse click, focus `element` or its closest focusable ancestor.
+function focusClosestFocusable(element: HTMLElement): void {
+  getComposedAncestors(element).find(isFocusable)?.focus();
+}
+
+// Like `root.elementFromPoint`, but looks inside open shadow roots.
+function getDeepElementFromPoint(
+  root: Document | ShadowRoot,
+  point: ClientPoint
+): Element | undefined {
+  const element = root.elementFromPoint(point.x, point.y);
+  if (element === null) {
+    return undefined;
+  }
+  // Inside a shadow root, the host might be returned if nothing in the shadow
+  // root is at the point.
+  if (element.shadowRoot === null || element.shadowRoot === root) {
+    return element;
+  }
+  return getDeepElementFromPoint(element.shadowRoot, point) ?? element;
+}
+
 // When triggering a click on an element, it might actually make more sense to
 // trigger the click on one of its children. If `element` contains a single
 // child element (and no non-blank text nodes), use that child element instead
@@ -1249,6 +2011,73 @@ function selectNodeContents(element: HTMLElement): Range {
   return range;
 }
 
+// Moves the focus end of `selection` to cover `range`, keeping the anchor end
+// where it is. The selection grows forwards or backwards depending on which
+// side of the anchor the range is.
+function extendSelection(selection: Selection, range: Range): void {
+  const { anchorNode, anchorOffset } = selection;
+  if (anchorNode === null) {
+    return;
+  }
+
+  const anchor = document.createRange();
+  anchor.setStart(anchorNode, anchorOffset);
+
+  if (range.compareBoundaryPoints(Range.START_TO_START, anchor) >= 0) {
+    selection.extend(range.endContainer, range.endOffset);
+  } else {
+    selection.extend(range.startContainer, range.startOffset);
+  }
+}
+
+// Selects `range`, or places the caret before it. If there’s an `anchor` (the
+// word chosen before), the selection goes from the anchor to `range` instead,
+// covering both.
+function selectWord(
+  selection: Selection,
+  {
+    range,
+    anchor,
+    caret,
+  }: { range: Range; anchor: Range | undefined; caret: boolean }
+): void {
+  if (anchor === undefined) {
+    if (caret) {
+      selection.collapse(range.startContainer, range.startOffset);
+    } else {
+      selection.removeAllRanges();
+      selection.addRange(range);
+    }
+    return;
+  }
+
+  let forward;
+  try {
+    forward = range.compareBoundaryPoints(Range.START_TO_START, anchor) >= 0;
+  } catch {
+    // The words are in different shadow roots, which cannot be part of the
+    // same selection.
+    selectWord(selection, { range, anchor: undefined, caret });
+    return;
+  }
+
+  if (forward) {
+    selection.setBaseAndExtent(
+      anchor.startContainer,
+      anchor.startOffset,
+      caret ? range.startContainer : range.endContainer,
+      caret ? range.startOffset : range.endOffset
+    );
+  } else {
+    selection.setBaseAndExtent(
+      anchor.endContainer,
+      anchor.endOffset,
+      range.startContainer,
+      range.startOffset
+    );
+  }
+}
+
 function getTextWeight(text: string, weight: number): number {
   // The weight used for hints after filtering by text is the number of
   // non-whitespace characters, plus a tiny bit of the regular hint weight in
@@ -1285,6 +2114,38 @@ function suppressEvent(event: Event): void {
   }
 }
 
+function getPendingKeyEvent(event: KeyboardEvent): PendingKeyEvent {
+  return {
+    target: event.composedPath()[0] ?? event.target ?? document,
+    init: {
+      key: event.key,
+      code: event.code,
+      location: event.location,
+      altKey: event.altKey,
+      ctrlKey: event.ctrlKey,
+      metaKey: event.metaKey,
+      shiftKey: event.shiftKey,
+      bubbles: true,
+      cancelable: true,
+      composed: true,
+    },
+  };
+}
+
+// Fires the events of keypresses that were suppressed at first, but turned out
+// not to be for us. The events are untrusted, so `onKeydown` ignores them, and
+// they won’t make the browser type anything – but the page’s own keyboard
+// shortcuts still get them.
+function replayKeyEvents(events: Array<PendingKeyEvent>): void {
+  for (const { target, init } of events) {
+    const actualTarget =
+      target instanceof Node && !target.isConnected ? document : target;
+    actualTarget.dispatchEvent(new KeyboardEvent("keydown", init));
+    actualTarget.dispatchEvent(new KeyboardEvent("keypress", init));
+    actualTarget.dispatchEvent(new KeyboardEvent("keyup", init));
+  }
+}
+
 function makeElementReports(
   elements: Array<VisibleElement | undefined>,
   { maxDuration, prefix }: { maxDuration: number; prefix: string }
@@ -1317,8 +2178,47 @@ function makeElementReports(
   return elementReports;
 }
 
+function wordToVisibleElement({
+  element,
+  measurements,
+}: VisibleWord): VisibleElement {
+  return {
+    element,
+    type: "selectable",
+    measurements,
+    hasClickListener: false,
+    offscreen: false,
+  };
+}
+
+// Unlike for elements, the text of a word is just the word itself.
+function makeWordReports(
+  words: Array<VisibleWord | undefined>
+): Array<ElementReport> {
+  return words.flatMap((word, index) => {
+    if (word === undefined) {
+      return [];
+    }
+    const text = word.range.toString();
+    return {
+      type: "selectable",
+      index,
+      url: undefined,
+      urlWithTarget: undefined,
+      text,
+      textContent: false,
+      textWeight: getTextWeight(text, word.measurements.weight),
+      attributes: [],
+      isTextInput: false,
+      hasClickListener: false,
+      offscreen: false,
+      hintMeasurements: word.measurements,
+    };
+  });
+}
+
 function visibleElementToElementReport(
-  { element, type, measurements, hasClickListener }: VisibleElement,
+  { element, type, measurements, hasClickListener, offscreen }: VisibleElement,
   { index, textContent }: { index: number; textContent: boolean }
 ): ElementReport {
   const text = textContent
@@ -1338,8 +2238,14 @@ function visibleElementToElementReport(
     text,
     textContent,
     textWeight: getTextWeight(text, measurements.weight),
+    attributes: [
+      element.id,
+      element.getAttribute("aria-label") ?? "",
+      element.title,
+    ].filter((value) => value !== ""),
     isTextInput: isTextInput(element),
     hasClickListener,
+    offscreen,
     hintMeasurements: measurements,
   };
 }
@@ -1403,12 +2309,14 @@ export function getTextRectsHelper({
   type,
   viewports,
   words,
+  fuzzy,
   checkElementAtPoint,
 }: {
   element: HTMLElement;
   type: ElementType;
   viewports: Array<Box>;
-  words: Set<string>;
+  words: Array<string>;
+  fuzzy: boolean;
   checkElementAtPoint?: boolean;
 }): Array<Box> {
   // See `extractTextHelper`.
@@ -1424,12 +2332,19 @@ export function getTextRectsHelper({
         element: element2,
         viewports,
         words,
+        fuzzy,
         checkElementAtPoint,
       })
     );
   }
 
-  return getTextRects({ element, viewports, words, checkElementAtPoint });
+  return getTextRects({
+    element,
+    viewports,
+    words,
+    fuzzy,
+    checkElementAtPoint,
+  });
 }
 
 // Used to decide if two links can get the same hint. If they have the same href
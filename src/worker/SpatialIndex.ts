@@ -0,0 +1,266 @@
+import type { Box } from "../shared/main";
+
+// Elements covering more cells than this are not put in the cells, but are
+// always returned by `query`. They are usually few (such as scrollable
+// containers and huge click listener areas), and would otherwise bloat the
+// cells.
+const MAX_CELLS_PER_ELEMENT = 64;
+
+// How many elements to measure between checking the deadline.
+const MEASURE_BATCH_SIZE = 100;
+
+type Deadline = { timeRemaining: () => number };
+
+type Entry = {
+  // The cells the element is in. Empty if it isn’t rendered, or if it is in
+  // `large` instead.
+  keys: Array<string>;
+  // Whether the element is, or is inside, a fixed or sticky element. Those
+  // move in document coordinates when the page is scrolled.
+  movesOnPageScroll: boolean;
+};
+
+// A uniform grid over the page, in document coordinates (so that scrolling the
+// page doesn’t move most elements), mapping each cell to the tracked elements
+// in it. This lets `ElementManager` find the elements near the viewport without
+// measuring all of them, on pages with too many elements for an
+// `IntersectionObserver`.
+//
+// Only elements that might have moved are marked as `stale`: Added and changed
+// elements and the descendants of mutated elements (see `markStale` and
+// `markDescendantsStale`), fixed and sticky elements when the page is scrolled
+// (`markPageScrolled`) and the descendants of a scrolled element. Stale
+// elements are re-measured by `refresh` during idle time, and by `query` for as
+// long as its deadline allows.
+export default class SpatialIndex {
+  cellSize: number;
+
+  entries = new Map<HTMLElement, Entry>();
+
+  stale = new Set<HTMLElement>();
+
+  cells = new Map<string, Set<HTMLElement>>();
+
+  large = new Set<HTMLElement>();
+
+  // Whether an element has `position: fixed` or `position: sticky`, or is
+  // inside such an element. Shared by all elements measured until the next
+  // mutation, since they often have the same ancestors.
+  positionCache = new Map<Element, boolean>();
+
+  constructor(cellSize: number) {
+    this.cellSize = Math.max(1, cellSize);
+  }
+
+  get size(): number {
+    return this.entries.size;
+  }
+
+  // New and changed elements need to be (re-)measured.
+  add(element: HTMLElement): void {
+    if (!this.entries.has(element)) {
+      this.entries.set(element, { keys: [], movesOnPageScroll: false });
+    }
+    this.stale.add(element);
+  }
+
+  delete(element: HTMLElement): void {
+    const entry = this.entries.get(element);
+    if (entry !== undefined) {
+      this.unplace(element, entry);
+      this.entries.delete(element);
+      this.stale.delete(element);
+    }
+  }
+
+  clear(): void {
+    this.entries.clear();
+    this.stale.clear();
+    this.cells.clear();
+    this.large.clear();
+    this.positionCache.clear();
+  }
+
+  markStale(element: HTMLElement): void {
+    if (this.entries.has(element)) {
+      this.stale.add(element);
+    }
+  }
+
+  // Changing an element (or its children) might move all of its descendants.
+  // This is also used for scrolled elements (other than the page itself).
+  markDescendantsStale(node: Node): void {
+    if (node instanceof HTMLElement) {
+      this.markStale(node);
+    }
+    if (
+      node instanceof Element ||
+      node instanceof Document ||
+      node instanceof DocumentFragment
+    ) {
+      for (const element of node.querySelectorAll<HTMLElement>("*")) {
+        this.markStale(element);
+      }
+    }
+  }
+
+  // Mutations might change `position` of any element.
+  clearPositionCache(): void {
+    this.positionCache.clear();
+  }
+
+  markPageScrolled(): void {
+    for (const [element, entry] of this.entries) {
+      if (entry.movesOnPageScroll) {
+        this.stale.add(element);
+      }
+    }
+  }
+
+  // Resizing the window might reflow the whole page.
+  markAllStale(): void {
+    for (const element of this.entries.keys()) {
+      this.stale.add(element);
+    }
+  }
+
+  // Re-measures stale elements until `deadline` runs out. Returns how many
+  // elements were measured.
+  refresh(deadline: Deadline): number {
+    let count = 0;
+    for (const element of this.stale) {
+      if (count % MEASURE_BATCH_SIZE === 0 && deadline.timeRemaining() <= 0) {
+        break;
+      }
+      count++;
+      this.stale.delete(element);
+      const entry = this.entries.get(element);
+      if (entry !== undefined) {
+        this.measure(element, entry);
+      }
+    }
+    return count;
+  }
+
+  // Returns the elements whose boxes intersect `box` (in document coordinates).
+  // Stale elements are re-measured first until `deadline` runs out. The rest
+  // are left in their old cells, and counted in `numSkipped`.
+  query(
+    box: Box,
+    deadline: Deadline
+  ): {
+    elements: Array<HTMLElement>;
+    numRemeasured: number;
+    numSkipped: number;
+  } {
+    const numRemeasured = this.refresh(deadline);
+
+    const elements = new Set(this.large);
+    const { minColumn, maxColumn, minRow, maxRow } = this.getCellRange(box);
+    for (let column = minColumn; column <= maxColumn; column++) {
+      for (let row = minRow; row <= maxRow; row++) {
+        const cell = this.cells.get(`${column}:${row}`);
+        if (cell !== undefined) {
+          for (const element of cell) {
+            elements.add(element);
+          }
+        }
+      }
+    }
+
+    return {
+      elements: Array.from(elements),
+      numRemeasured,
+      numSkipped: this.stale.size,
+    };
+  }
+
+  measure(element: HTMLElement, entry: Entry): void {
+    this.unplace(element, entry);
+
+    const rect = element.getBoundingClientRect();
+
+    // Elements that aren’t rendered (such as `display: none;`) have no client
+    // rects. They are measured again when they or their ancestors change.
+    if (
+      rect.width === 0 &&
+      rect.height === 0 &&
+      element.getClientRects().length === 0
+    ) {
+      return;
+    }
+
+    entry.movesOnPageScroll = this.movesOnPageScroll(element);
+
+    const { minColumn, maxColumn, minRow, maxRow } = this.getCellRange({
+      x: rect.left + window.scrollX,
+      y: rect.top + window.scrollY,
+      width: rect.width,
+      height: rect.height,
+    });
+
+    if (
+      (maxColumn - minColumn + 1) * (maxRow - minRow + 1) >
+      MAX_CELLS_PER_ELEMENT
+    ) {
+      this.large.add(element);
+      return;
+    }
+
+    for (let column = minColumn; column <= maxColumn; column++) {
+      for (let row = minRow; row <= maxRow; row++) {
+        const key = `${column}:${row}`;
+        const cell = this.cells.get(key);
+        if (cell === undefined) {
+          this.cells.set(key, new Set([element]));
+        } else {
+          cell.add(element);
+        }
+        entry.keys.push(key);
+      }
+    }
+  }
+
+  movesOnPageScroll(element: Element): boolean {
+    const cached = this.positionCache.get(element);
+    if (cached !== undefined) {
+      return cached;
+    }
+    const { position } = window.getComputedStyle(element);
+    const { parentElement } = element;
+    const result =
+      position === "fixed" ||
+      position === "sticky" ||
+      (parentElement !== null && this.movesOnPageScroll(parentElement));
+    this.positionCache.set(element, result);
+    return result;
+  }
+
+  unplace(element: HTMLElement, entry: Entry): void {
+    for (const key of entry.keys) {
+      const cell = this.cells.get(key);
+      if (cell !== undefined) {
+        cell.delete(element);
+        if (cell.size === 0) {
+          this.cells.delete(key);
+        }
+      }
+    }
+    entry.keys = [];
+    this.large.delete(element);
+  }
+
+  getCellRange(box: Box): {
+    minColumn: number;
+    maxColumn: number;
+    minRow: number;
+    maxRow: number;
+  } {
+    return {
+      minColumn: Math.floor(box.x / this.cellSize),
+      maxColumn: Math.floor((box.x + box.width) / this.cellSize),
+      minRow: Math.floor(box.y / this.cellSize),
+      maxRow: Math.floor((box.y + box.height) / this.cellSize),
+    };
+  }
+}
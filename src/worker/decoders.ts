@@ -1,6 +1,13 @@
-import { array, Decoder, fieldsAuto, fieldsUnion, number } from "tiny-decoders";
+import {
+  array,
+  boolean,
+  Decoder,
+  fieldsAuto,
+  fieldsUnion,
+  number,
+} from "tiny-decoders";
 
-import { ElementTypes } from "../shared/hints";
+import { ElementTypes, PointAction } from "../shared/hints";
 import { Box, UnsignedFloat } from "../shared/main";
 
 const Viewports: Decoder<Array<Box>> = array(
@@ -15,11 +22,20 @@ const Viewports: Decoder<Array<Box>> = array(
 
 export type FrameMessage = ReturnType<typeof FrameMessage>;
 export const FrameMessage = fieldsUnion("type", {
+  ActivatePoint: fieldsAuto({
+    type: () => "ActivatePoint" as const,
+    token: () => "",
+    action: PointAction,
+    // Viewport coordinates of the receiving frame.
+    x: number,
+    y: number,
+  }),
   FindElements: fieldsAuto({
     type: () => "FindElements" as const,
     token: () => "",
     types: ElementTypes,
     viewports: Viewports,
+    offscreen: boolean,
   }),
   UpdateElements: fieldsAuto({
     type: () => "UpdateElements" as const,
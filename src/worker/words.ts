@@ -0,0 +1,97 @@
+import type { HintMeasurements } from "../shared/hints";
+import {
+  Box,
+  getElementFromPoint,
+  getVisibleBox,
+  SKIP_TEXT_ELEMENTS,
+} from "../shared/main";
+
+// In word hints mode, every visible word gets a hint instead of every element.
+// A word is a run of non-whitespace characters in a text node. `element` is
+// the parent element of the text node.
+export type VisibleWord = {
+  element: HTMLElement;
+  range: Range;
+  measurements: HintMeasurements;
+};
+
+const WORD = /\S+/g;
+
+// `elements` are the visible "selectable" elements. Only the text nodes
+// directly inside each element are looked at, since any element containing
+// text nodes is selectable. That way no word is found twice.
+export function getVisibleWords(
+  elements: Array<HTMLElement>,
+  viewports: Array<Box>
+): Array<VisibleWord> {
+  return elements.flatMap((element) => {
+    if (SKIP_TEXT_ELEMENTS.has(element.localName) || isTiny(element)) {
+      return [];
+    }
+    return Array.from(element.childNodes).flatMap((node) =>
+      node instanceof Text
+        ? Array.from(node.data.matchAll(WORD)).flatMap((match) => {
+            const start = match.index ?? 0;
+            const range = document.createRange();
+            range.setStart(node, start);
+            range.setEnd(node, start + match[0].length);
+            const measurements = getWordMeasurements(element, range, viewports);
+            return measurements === undefined
+              ? []
+              : { element, range, measurements };
+          })
+        : []
+    );
+  });
+}
+
+// Returns `undefined` if the word isn’t visible (anymore).
+export function getWordMeasurements(
+  element: HTMLElement,
+  range: Range,
+  viewports: Array<Box>
+): HintMeasurements | undefined {
+  const box = getWordBoxes(range, viewports)[0];
+  if (box === undefined || !element.isConnected) {
+    return undefined;
+  }
+
+  // Skip words covered by something else, such as a fixed header.
+  const [offsetX, offsetY] = viewports.reduceRight(
+    ([x, y], viewport) => [x + viewport.x, y + viewport.y],
+    [0, 0]
+  );
+  const elementAtPoint = getElementFromPoint(
+    element,
+    Math.round(box.x + box.width / 2 - offsetX),
+    Math.round(box.y + box.height / 2 - offsetY)
+  );
+  if (elementAtPoint === undefined || !element.contains(elementAtPoint)) {
+    return undefined;
+  }
+
+  return {
+    x: box.x,
+    y: box.y + box.height / 2,
+    align: "right",
+    maxX: box.x + box.width,
+    // Like for elements, larger text gets shorter hints.
+    weight: Math.round(box.height),
+    debug: "word",
+  };
+}
+
+// A word can be split over two lines if it contains a hyphen.
+export function getWordBoxes(range: Range, viewports: Array<Box>): Array<Box> {
+  return Array.from(
+    range.getClientRects(),
+    (rect) => getVisibleBox(rect, viewports) ?? []
+  ).flat();
+}
+
+// Detect 1px elements with `overflow: hidden;` used to visually hide screen
+// reader text (see `walkTextNodes`).
+function isTiny(element: HTMLElement): boolean {
+  const rect = element.getBoundingClientRect();
+  return rect.width <= 1 && rect.height <= 1;
+}